@@ -0,0 +1,17 @@
+// main.js and the renderer scripts are large non-module files where a second
+// function declaration with the same name silently replaces the first
+module.exports = [
+  {
+    ignores: ['node_modules/**', 'dist/**', 'docs/**', 'examples/**']
+  },
+  {
+    files: ['**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'script'
+    },
+    rules: {
+      'no-redeclare': 'error'
+    }
+  }
+];
@@ -0,0 +1,154 @@
+/**
+ * Git process runner
+ * Runs git commands for the main process and tracks them so they can be cancelled
+ */
+
+const { spawn } = require('child_process');
+
+const GIT_DEFAULT_TIMEOUT = 60000;
+const GIT_NETWORK_TIMEOUT = 30000;
+const GIT_MAX_BUFFER = 1024 * 1024 * 50;
+const activeGitOperations = new Set(); // { workspacePath, child, cancel }
+
+/**
+ * Run git with an argument array (never through a shell, so paths, branch
+ * names and messages are passed verbatim). Resolves with { stdout, stderr }.
+ * Rejects with an Error carrying args, exitCode, stdout, stderr, timedOut and
+ * cancelled. Options: input (written to stdin), timeout (ms, 0 disables),
+ * maxBuffer, env and signal (an AbortSignal that cancels the command).
+ */
+function runGit(workspacePath, args, options = {}) {
+  const {
+    input = null,
+    timeout = GIT_DEFAULT_TIMEOUT,
+    maxBuffer = GIT_MAX_BUFFER,
+    env = null,
+    signal = null
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createGitError(args, 'Git command cancelled', { cancelled: true }));
+      return;
+    }
+
+    const child = spawn('git', args, {
+      cwd: workspacePath,
+      // Fail instead of waiting forever on a credential prompt nobody can answer
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0', ...env }
+    });
+
+    const stdoutChunks = [];
+    const stderrChunks = [];
+    let outputSize = 0;
+    let timedOut = false;
+    let cancelled = false;
+    let bufferExceeded = false;
+    let timer = null;
+
+    const operation = {
+      workspacePath,
+      child,
+      cancel: () => {
+        cancelled = true;
+        child.kill();
+      }
+    };
+    activeGitOperations.add(operation);
+
+    const onAbort = () => operation.cancel();
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        child.kill();
+      }, timeout);
+    }
+
+    const collect = (chunks) => (data) => {
+      outputSize += data.length;
+      if (outputSize > maxBuffer) {
+        bufferExceeded = true;
+        child.kill();
+        return;
+      }
+      chunks.push(data);
+    };
+
+    child.stdout.on('data', collect(stdoutChunks));
+    child.stderr.on('data', collect(stderrChunks));
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      activeGitOperations.delete(operation);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+
+    child.on('error', (error) => {
+      cleanup();
+      reject(createGitError(args, `Failed to run git: ${error.message}`, { code: error.code }));
+    });
+
+    child.on('close', (exitCode) => {
+      cleanup();
+
+      const stdout = Buffer.concat(stdoutChunks).toString('utf-8');
+      const stderr = Buffer.concat(stderrChunks).toString('utf-8');
+      const details = { exitCode, stdout, stderr, timedOut, cancelled };
+
+      if (cancelled) {
+        reject(createGitError(args, 'Git command cancelled', details));
+      } else if (timedOut) {
+        reject(createGitError(args, `git ${args[0]} timed out after ${timeout / 1000}s`, details));
+      } else if (bufferExceeded) {
+        reject(createGitError(args, `git ${args[0]} output exceeded ${maxBuffer} bytes`, details));
+      } else if (exitCode !== 0) {
+        reject(createGitError(args, stderr.trim() || stdout.trim() || `git ${args[0]} exited with code ${exitCode}`, details));
+      } else {
+        resolve({ stdout, stderr });
+      }
+    });
+
+    // Ignore EPIPE when git exits before reading all of its input
+    child.stdin.on('error', () => {});
+    child.stdin.end(input === null ? undefined : input);
+  });
+}
+
+// Build the error object every runGit failure rejects with
+function createGitError(args, message, details = {}) {
+  return Object.assign(new Error(message), {
+    args,
+    exitCode: null,
+    stdout: '',
+    stderr: '',
+    timedOut: false,
+    cancelled: false,
+    ...details
+  });
+}
+
+// Cancel running git commands for a workspace (all workspaces if omitted)
+function cancelGitOperations(workspacePath) {
+  let count = 0;
+  for (const operation of activeGitOperations) {
+    if (!workspacePath || operation.workspacePath === workspacePath) {
+      operation.cancel();
+      count++;
+    }
+  }
+  return count;
+}
+
+module.exports = {
+  GIT_DEFAULT_TIMEOUT,
+  GIT_NETWORK_TIMEOUT,
+  runGit,
+  createGitError,
+  cancelGitOperations
+};
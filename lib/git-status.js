@@ -0,0 +1,140 @@
+/**
+ * Git status parsing
+ * Turns porcelain v2 status output into branch info and per-file index/worktree states
+ */
+
+// Split a porcelain v2 record into its leading fields and the trailing path (which may contain spaces)
+function splitGitStatusRecord(record, fieldCount) {
+  const fields = [];
+  let rest = record;
+
+  for (let i = 0; i < fieldCount; i++) {
+    const spaceIndex = rest.indexOf(' ');
+    fields.push(rest.substring(0, spaceIndex));
+    rest = rest.substring(spaceIndex + 1);
+  }
+
+  return { fields, path: rest };
+}
+
+// Coarse status used for file tree badges and commit dialog icons
+function getGitDisplayStatus(entry) {
+  if (entry.kind === 'unmerged') return 'conflicted';
+  if (entry.kind === 'untracked') return 'untracked';
+  if (entry.kind === 'renamed') return 'renamed';
+  if (entry.kind === 'copied') return 'copied';
+  if (entry.index === 'A') return 'added';
+  if (entry.index === 'D' || entry.worktree === 'D') return 'deleted';
+  return 'modified';
+}
+
+/**
+ * Parse `git status --porcelain=v2 -z --branch` into branch info and one entry
+ * per path with separate index (staged) and worktree (unstaged) states
+ */
+function parseGitStatusV2(output) {
+  const branch = {
+    head: null,
+    oid: null,
+    upstream: null,
+    ahead: 0,
+    behind: 0,
+    detached: false
+  };
+  const files = [];
+
+  const records = output.split('\0');
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+    if (!record) continue;
+
+    // Branch headers: "# branch.<key> <value>"
+    if (record.startsWith('# ')) {
+      const [key, ...values] = record.substring(2).split(' ');
+      const value = values.join(' ');
+
+      if (key === 'branch.oid') {
+        branch.oid = value === '(initial)' ? null : value;
+      } else if (key === 'branch.head') {
+        branch.detached = value === '(detached)';
+        branch.head = branch.detached ? null : value;
+      } else if (key === 'branch.upstream') {
+        branch.upstream = value;
+      } else if (key === 'branch.ab') {
+        const match = value.match(/^\+(\d+) -(\d+)$/);
+        if (match) {
+          branch.ahead = parseInt(match[1]);
+          branch.behind = parseInt(match[2]);
+        }
+      }
+      continue;
+    }
+
+    const type = record.charAt(0);
+    let entry = null;
+
+    if (type === '1') {
+      // 1 <XY> <sub> <mH> <mI> <mW> <hH> <hI> <path>
+      const { fields, path: filePath } = splitGitStatusRecord(record, 8);
+      entry = { path: filePath, origPath: null, xy: fields[1], sub: fields[2], kind: 'changed' };
+    } else if (type === '2') {
+      // 2 <XY> <sub> <mH> <mI> <mW> <hH> <hI> <X><score> <path>\0<origPath>
+      const { fields, path: filePath } = splitGitStatusRecord(record, 9);
+      entry = {
+        path: filePath,
+        origPath: records[++i],
+        xy: fields[1],
+        sub: fields[2],
+        kind: fields[8].startsWith('C') ? 'copied' : 'renamed',
+        score: parseInt(fields[8].substring(1))
+      };
+    } else if (type === 'u') {
+      // u <XY> <sub> <m1> <m2> <m3> <mW> <h1> <h2> <h3> <path>
+      const { fields, path: filePath } = splitGitStatusRecord(record, 10);
+      entry = { path: filePath, origPath: null, xy: fields[1], sub: fields[2], kind: 'unmerged' };
+    } else if (type === '?') {
+      // Untracked directories are reported with a trailing slash
+      entry = { path: record.substring(2).replace(/\/$/, ''), origPath: null, xy: '??', sub: 'N...', kind: 'untracked' };
+    } else {
+      // Ignored entries ("!") are not shown
+      continue;
+    }
+
+    const index = entry.xy.charAt(0);
+    const worktree = entry.xy.charAt(1);
+    const isTracked = entry.kind !== 'untracked' && entry.kind !== 'unmerged';
+
+    // Submodule state: "N..." for regular files, "S<c><m><u>" for submodules
+    const submodule = entry.sub.startsWith('S')
+      ? {
+        commitChanged: entry.sub.charAt(1) === 'C',
+        trackedChanges: entry.sub.charAt(2) === 'M',
+        untrackedChanges: entry.sub.charAt(3) === 'U'
+      }
+      : null;
+
+    const file = {
+      path: entry.path,
+      origPath: entry.origPath,
+      kind: entry.kind,
+      index,
+      worktree,
+      staged: isTracked && index !== '.',
+      unstaged: !isTracked || worktree !== '.',
+      conflicted: entry.kind === 'unmerged',
+      submodule
+    };
+    if (entry.score !== undefined) {
+      file.score = entry.score;
+    }
+    file.status = getGitDisplayStatus(file);
+
+    files.push(file);
+  }
+
+  return { branch, files };
+}
+
+module.exports = {
+  parseGitStatusV2
+};
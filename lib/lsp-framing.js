@@ -0,0 +1,80 @@
+/**
+ * LSP message framing
+ * Content-Length framing shared by language servers and debug adapters
+ */
+
+/**
+ * Split a server's stdout into messages. Content-Length counts bytes, so the
+ * stream stays a Buffer until a whole message (which may arrive in several
+ * chunks, split anywhere, even inside a multibyte character) is available.
+ */
+function readLSPMessages(serverData, chunk) {
+  const messages = [];
+  let buffer = serverData.messageBuffer.length > 0 ? Buffer.concat([serverData.messageBuffer, chunk]) : chunk;
+
+  while (buffer.length > 0) {
+    const headerEnd = buffer.indexOf('\r\n\r\n');
+    if (headerEnd === -1) break;
+
+    const headers = parseLSPHeaders(buffer.toString('ascii', 0, headerEnd));
+    const contentStart = headerEnd + 4;
+    const contentLength = Number(headers['content-length']);
+
+    if (!Number.isInteger(contentLength) || contentLength < 0) {
+      // Not a valid header block (e.g. a server printing to stdout); drop it and resync
+      console.error('Invalid LSP message header:', buffer.toString('ascii', 0, headerEnd));
+      buffer = buffer.subarray(contentStart);
+      continue;
+    }
+
+    if (buffer.length < contentStart + contentLength) break;
+
+    const content = buffer.toString(getLSPContentEncoding(headers['content-type']), contentStart, contentStart + contentLength);
+    buffer = buffer.subarray(contentStart + contentLength);
+
+    try {
+      messages.push(JSON.parse(content));
+    } catch (error) {
+      console.error('Error parsing LSP message:', error);
+    }
+  }
+
+  serverData.messageBuffer = buffer;
+  return messages;
+}
+
+// "Name: value" lines; header names are case-insensitive
+function parseLSPHeaders(headerText) {
+  const headers = {};
+  headerText.split('\r\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  });
+  return headers;
+}
+
+// Content-Type defaults to application/vscode-jsonrpc; charset=utf-8 ("utf8" is accepted too)
+function getLSPContentEncoding(contentType) {
+  const match = contentType && contentType.match(/charset=([^;\s]+)/i);
+  const charset = match ? match[1].replace(/"/g, '').toLowerCase() : 'utf-8';
+
+  if (charset !== 'utf-8' && charset !== 'utf8') {
+    console.warn(`Unsupported LSP charset ${charset}, reading as UTF-8`);
+  }
+  return 'utf8';
+}
+
+// Frame a JSON-RPC message with its Content-Length header
+function encodeLSPMessage(message) {
+  const content = JSON.stringify(message);
+  return `Content-Length: ${Buffer.byteLength(content)}\r\n\r\n${content}`;
+}
+
+module.exports = {
+  readLSPMessages,
+  parseLSPHeaders,
+  getLSPContentEncoding,
+  encodeLSPMessage
+};
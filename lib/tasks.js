@@ -0,0 +1,229 @@
+/**
+ * Task detection
+ * Finds tasks in a workspace's build files and turns custom tasks.json entries into shell command lines
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+const MAKEFILE_NAMES = ['GNUmakefile', 'makefile', 'Makefile'];
+const CARGO_COMMANDS = ['build', 'check', 'test', 'run', 'clippy'];
+
+// Quote an argument for the shell create-terminal runs task command lines with
+function quoteTaskArg(arg) {
+  if (/^[\w/.:=@%+,-]+$/.test(arg)) return arg;
+  return process.platform === 'win32'
+    ? `'${arg.replace(/'/g, "''")}'`
+    : `'${arg.replace(/'/g, "'\\''")}'`;
+}
+
+// Well-known task names go into the build and test groups
+function getTaskGroup(name) {
+  if (/^(build|compile|all)$/.test(name)) return 'build';
+  if (/^(test|tests|check)$/.test(name)) return 'test';
+  return undefined;
+}
+
+// Problem matchers for the tools a detected command line runs
+function guessProblemMatchers(commandLine) {
+  const matchers = [];
+  if (/\btsc\b/.test(commandLine)) matchers.push('tsc');
+  if (/\beslint\b/.test(commandLine)) matchers.push('eslint');
+  if (/\b(gcc|g\+\+|clang\+*|cc|make|cmake)\b/.test(commandLine)) matchers.push('gcc');
+  if (/\b(cargo|rustc)\b/.test(commandLine)) matchers.push('rustc');
+  return matchers;
+}
+
+// Return a description of what is wrong with a custom task, or null if it is usable
+function validateTask(task) {
+  if (!task || typeof task !== 'object' || Array.isArray(task)) return 'must be an object';
+  if (typeof task.label !== 'string' || !task.label) return '"label" must be a string';
+  if (typeof task.command !== 'string' || !task.command.trim()) return '"command" must be a non-empty string';
+  if (task.args !== undefined && !(Array.isArray(task.args) && task.args.every(arg => typeof arg === 'string'))) {
+    return '"args" must be an array of strings';
+  }
+  if (task.cwd !== undefined && typeof task.cwd !== 'string') return '"cwd" must be a string';
+  if (task.env !== undefined && (!task.env || typeof task.env !== 'object' || Array.isArray(task.env) ||
+      !Object.values(task.env).every(value => typeof value === 'string'))) {
+    return '"env" must be an object of strings';
+  }
+
+  const group = task.group && typeof task.group === 'object' ? task.group.kind : task.group;
+  if (group !== undefined && group !== 'build' && group !== 'test') return '"group" must be "build" or "test"';
+
+  for (const matcher of [].concat(task.problemMatcher === undefined ? [] : task.problemMatcher)) {
+    if (typeof matcher === 'string') continue;
+    if (!matcher || typeof matcher !== 'object' || typeof matcher.regexp !== 'string') {
+      return '"problemMatcher" entries must be matcher names or objects with a "regexp"';
+    }
+    try {
+      new RegExp(matcher.regexp);
+    } catch (error) {
+      return `"problemMatcher" regexp is invalid: ${error.message}`;
+    }
+  }
+
+  return null;
+}
+
+function normalizeTask(task) {
+  const command = [task.command, ...(task.args || []).map(quoteTaskArg)].join(' ');
+  return {
+    label: task.label,
+    source: 'workspace',
+    command,
+    cwd: task.cwd,
+    env: task.env,
+    group: task.group && typeof task.group === 'object' ? task.group.kind : task.group,
+    isDefault: !!(task.group && task.group.isDefault),
+    problemMatcher: [].concat(task.problemMatcher === undefined ? [] : task.problemMatcher),
+    detail: command
+  };
+}
+
+// package.json scripts, run with the package manager whose lockfile is present
+async function detectPackageScripts(workspacePath) {
+  const packagePath = path.join(workspacePath, 'package.json');
+  if (!fsSync.existsSync(packagePath)) return [];
+
+  const data = JSON.parse(await fs.readFile(packagePath, 'utf-8'));
+  if (!data || !data.scripts || typeof data.scripts !== 'object') return [];
+
+  const hasFile = name => fsSync.existsSync(path.join(workspacePath, name));
+  const runner = hasFile('pnpm-lock.yaml') ? 'pnpm'
+    : hasFile('yarn.lock') ? 'yarn'
+    : hasFile('bun.lockb') || hasFile('bun.lock') ? 'bun'
+    : 'npm';
+
+  return Object.entries(data.scripts)
+    .filter(([, script]) => typeof script === 'string')
+    .map(([name, script]) => ({
+      label: `${runner}: ${name}`,
+      source: runner,
+      command: `${runner} run ${quoteTaskArg(name)}`,
+      group: getTaskGroup(name),
+      problemMatcher: guessProblemMatchers(script),
+      detail: script
+    }));
+}
+
+// Explicit Makefile targets (pattern rules and special targets like .PHONY are skipped)
+async function detectMakeTargets(workspacePath) {
+  const fileName = MAKEFILE_NAMES.find(name => fsSync.existsSync(path.join(workspacePath, name)));
+  if (!fileName) return [];
+
+  const content = await fs.readFile(path.join(workspacePath, fileName), 'utf-8');
+  const targets = new Set();
+  for (const line of content.split(/\r?\n/)) {
+    const match = /^(\w[\w./-]*(?:[ \t]+\w[\w./-]*)*)[ \t]*::?(?![=:])/.exec(line);
+    if (match) {
+      match[1].split(/[ \t]+/).forEach(target => targets.add(target));
+    }
+  }
+
+  return Array.from(targets).map(target => ({
+    label: `make: ${target}`,
+    source: 'make',
+    command: `make ${quoteTaskArg(target)}`,
+    group: getTaskGroup(target),
+    problemMatcher: ['gcc'],
+    detail: fileName
+  }));
+}
+
+async function detectCargoCommands(workspacePath) {
+  if (!fsSync.existsSync(path.join(workspacePath, 'Cargo.toml'))) return [];
+
+  return CARGO_COMMANDS.map(name => ({
+    label: `cargo: ${name}`,
+    source: 'cargo',
+    command: `cargo ${name}`,
+    group: getTaskGroup(name),
+    problemMatcher: ['rustc'],
+    detail: 'Cargo.toml'
+  }));
+}
+
+// Keys of each [table] in a TOML file; enough to list script names without a TOML parser
+function getTomlTableKeys(content) {
+  const tables = new Map();
+  let current = null;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const header = /^\[([^[\]]+)\]\s*(#.*)?$/.exec(line);
+    if (header) {
+      current = header[1].replace(/["'\s]/g, '');
+      if (!tables.has(current)) tables.set(current, []);
+    } else if (line.startsWith('[')) {
+      current = null; // [[array of tables]]
+    } else if (current !== null) {
+      const key = /^("[^"]+"|'[^']+'|[\w-]+)\s*=/.exec(line);
+      if (key) tables.get(current).push(key[1].replace(/^["']|["']$/g, ''));
+    }
+  }
+
+  return tables;
+}
+
+// pyproject.toml: poe, pdm and hatch scripts, console scripts and pytest
+async function detectPythonTasks(workspacePath) {
+  const pyprojectPath = path.join(workspacePath, 'pyproject.toml');
+  if (!fsSync.existsSync(pyprojectPath)) return [];
+
+  const tables = getTomlTableKeys(await fs.readFile(pyprojectPath, 'utf-8'));
+  const tasks = [];
+  const addTasks = (source, names, prefix) => {
+    names.filter(name => !name.startsWith('_')).forEach(name => tasks.push({
+      label: `${source}: ${name}`,
+      source,
+      command: `${prefix}${quoteTaskArg(name)}`,
+      group: getTaskGroup(name),
+      problemMatcher: [],
+      detail: 'pyproject.toml'
+    }));
+  };
+
+  const poeTasks = new Set(tables.get('tool.poe.tasks') || []);
+  tables.forEach((keys, table) => {
+    if (table.startsWith('tool.poe.tasks.')) poeTasks.add(table.slice('tool.poe.tasks.'.length).split('.')[0]);
+  });
+
+  addTasks('poe', Array.from(poeTasks), 'poe ');
+  addTasks('pdm', tables.get('tool.pdm.scripts') || [], 'pdm run ');
+  addTasks('hatch', tables.get('tool.hatch.envs.default.scripts') || [], 'hatch run ');
+  addTasks('python', [...(tables.get('project.scripts') || []), ...(tables.get('tool.poetry.scripts') || [])],
+    tables.has('tool.poetry') ? 'poetry run ' : '');
+
+  if (tables.has('tool.pytest.ini_options') || fsSync.existsSync(path.join(workspacePath, 'tests'))) {
+    tasks.push({
+      label: 'python: pytest',
+      source: 'python',
+      command: `${process.platform === 'win32' ? 'python' : 'python3'} -m pytest`,
+      group: 'test',
+      problemMatcher: [],
+      detail: 'pyproject.toml'
+    });
+  }
+
+  return tasks;
+}
+
+const TASK_DETECTORS = [
+  ['package.json', detectPackageScripts],
+  ['Makefile', detectMakeTargets],
+  ['Cargo.toml', detectCargoCommands],
+  ['pyproject.toml', detectPythonTasks]
+];
+
+module.exports = {
+  quoteTaskArg,
+  validateTask,
+  normalizeTask,
+  detectPackageScripts,
+  detectMakeTargets,
+  detectCargoCommands,
+  detectPythonTasks,
+  TASK_DETECTORS
+};
@@ -0,0 +1,495 @@
+/**
+ * Test discovery and runs
+ * Finds tests by reading test files, builds framework command lines and parses their reports
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+const TEST_DISCOVERY_MAX_FILES = 5000;
+const TEST_DISCOVERY_SKIP = new Set(['node_modules', '__pycache__', 'target', 'dist', 'build', 'venv', 'coverage']);
+const JS_TEST_FILE_PATTERN = /\.(test|spec)\.[cm]?[jt]sx?$/;
+const JS_SOURCE_FILE_PATTERN = /\.[cm]?[jt]sx?$/;
+const PYTHON_TEST_FILE_PATTERN = /^(test_\w*|\w+_test)\.py$/;
+const JS_TEST_CALL_PATTERN = /^(\s*)(describe|context|suite|it|test|specify)((?:\.\w+)*)(?:\s*\([^)]*\))?\s*\(\s*(['"`])((?:\\.|(?!\4).)*)\4/;
+const RUST_TEST_ATTRIBUTE_PATTERN = /^\s*#\[(?:[\w:]+::)?test(?:\(.*\))?\]/;
+const RUST_FN_PATTERN = /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:const\s+)?(?:async\s+)?(?:unsafe\s+)?fn\s+(\w+)/;
+const RUST_MOD_PATTERN = /^(\s*)(?:pub(?:\([^)]*\))?\s+)?mod\s+(\w+)\s*\{/;
+
+// Test frameworks of a workspace besides pytest, which is recognized by file name alone
+function detectTestFrameworks(workspacePath) {
+  const hasFile = name => fsSync.existsSync(path.join(workspacePath, name));
+  const frameworks = { js: null, cargo: hasFile('Cargo.toml') };
+
+  if (hasFile('package.json')) {
+    try {
+      const data = JSON.parse(fsSync.readFileSync(path.join(workspacePath, 'package.json'), 'utf-8'));
+      const dependencies = { ...data.dependencies, ...data.devDependencies };
+      const configFiles = prefix => fsSync.readdirSync(workspacePath).some(name => name.startsWith(prefix));
+
+      if (dependencies.vitest || configFiles('vitest.config.')) {
+        frameworks.js = 'vitest';
+      } else if (dependencies.jest || data.jest || configFiles('jest.config.')) {
+        frameworks.js = 'jest';
+      } else if (dependencies.mocha || configFiles('.mocharc')) {
+        frameworks.js = 'mocha';
+      }
+    } catch (error) {
+      console.error('Error reading package.json for tests:', error);
+    }
+  }
+
+  return frameworks;
+}
+
+// The framework that runs a file, or null if it is not a test file
+function getTestFileFramework(relativePath, frameworks) {
+  const fileName = path.basename(relativePath);
+  const segments = relativePath.split(/[\\/]/).slice(0, -1);
+
+  if (frameworks.js && JS_SOURCE_FILE_PATTERN.test(fileName) && !fileName.endsWith('.d.ts')) {
+    if (JS_TEST_FILE_PATTERN.test(fileName) || segments.includes('__tests__') ||
+        (frameworks.js === 'mocha' && segments[0] === 'test')) {
+      return frameworks.js;
+    }
+  }
+  if (PYTHON_TEST_FILE_PATTERN.test(fileName)) {
+    return 'pytest';
+  }
+  if (frameworks.cargo && fileName.endsWith('.rs') && (segments[0] === 'src' || segments[0] === 'tests')) {
+    return 'cargo';
+  }
+  return null;
+}
+
+// describe/it/test calls, nested by indentation
+function parseJavaScriptTests(content) {
+  const roots = [];
+  const stack = []; // { indent, node }
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    const match = JS_TEST_CALL_PATTERN.exec(line);
+    if (!match) return;
+
+    const indent = match[1].replace(/\t/g, '  ').length;
+    while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+
+    const kind = ['describe', 'context', 'suite'].includes(match[2]) ? 'suite' : 'test';
+    const node = { name: match[5].replace(/\\(.)/g, '$1'), kind, line: index + 1, children: [] };
+    (stack.length ? stack[stack.length - 1].node.children : roots).push(node);
+    if (kind === 'suite') stack.push({ indent, node });
+  });
+
+  return roots;
+}
+
+// Test* classes and test_* functions; anything inside other classes or functions is skipped
+function parsePythonTests(content) {
+  const roots = [];
+  const stack = []; // { indent, node } with node null for blocks that are not test classes
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    const match = /^(\s*)(class|def|async\s+def)\s+(\w+)/.exec(line);
+    if (!match) return;
+
+    const indent = match[1].replace(/\t/g, '    ').length;
+    while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+
+    const parent = stack.length ? stack[stack.length - 1].node : null;
+    const insideTestScope = stack.length === 0 ? indent === 0 : parent !== null;
+    const name = match[3];
+
+    if (match[2] === 'class' && insideTestScope && name.startsWith('Test')) {
+      const node = { name, kind: 'suite', line: index + 1, children: [] };
+      (parent ? parent.children : roots).push(node);
+      stack.push({ indent, node });
+    } else if (match[2] !== 'class' && insideTestScope && name.startsWith('test')) {
+      (parent ? parent.children : roots).push({ name, kind: 'test', line: index + 1, children: [] });
+      stack.push({ indent, node: null });
+    } else {
+      stack.push({ indent, node: null });
+    }
+  });
+
+  return roots;
+}
+
+// #[test] functions, nested in their inline modules by indentation
+function parseRustTests(content) {
+  const roots = [];
+  const stack = []; // { indent, node }
+  let testAttribute = false;
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    if (RUST_TEST_ATTRIBUTE_PATTERN.test(line)) {
+      testAttribute = true;
+      return;
+    }
+
+    const mod = RUST_MOD_PATTERN.exec(line);
+    if (mod) {
+      const indent = mod[1].replace(/\t/g, '    ').length;
+      while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+      const node = { name: mod[2], kind: 'suite', line: index + 1, children: [] };
+      (stack.length ? stack[stack.length - 1].node.children : roots).push(node);
+      stack.push({ indent, node });
+      return;
+    }
+
+    const fn = RUST_FN_PATTERN.exec(line);
+    if (fn) {
+      if (testAttribute) {
+        const indent = line.search(/\S/);
+        while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+        const node = { name: fn[1], kind: 'test', line: index + 1, children: [] };
+        (stack.length ? stack[stack.length - 1].node.children : roots).push(node);
+      }
+      testAttribute = false;
+    }
+  });
+
+  return roots;
+}
+
+// The cargo test target (--test name for tests/*.rs) and module path of a Rust file
+function getRustTestLocation(relativePath) {
+  const segments = relativePath.replace(/\.rs$/, '').split(/[\\/]/);
+
+  if (segments[0] === 'tests') {
+    return { target: segments[1], modulePath: segments.slice(2).filter(name => name !== 'main' && name !== 'mod') };
+  }
+  if (segments[1] === 'bin') {
+    return { target: null, modulePath: segments.slice(3).filter(name => name !== 'mod') };
+  }
+  const modulePath = segments.slice(1).filter(name => name !== 'mod');
+  if (modulePath.length === 1 && (modulePath[0] === 'lib' || modulePath[0] === 'main')) {
+    return { target: null, modulePath: [] };
+  }
+  return { target: null, modulePath };
+}
+
+// Drop suites without tests and give every node the name the framework filters and reports it by
+function buildTestItems(nodes, filePath, framework, parentNames, separator) {
+  const items = [];
+
+  for (const node of nodes) {
+    const names = [...parentNames, node.name];
+    const children = buildTestItems(node.children, filePath, framework, names, separator);
+    if (node.kind === 'suite' && children.length === 0) continue;
+
+    const runName = names.join(separator);
+    items.push({
+      id: `${filePath}#${runName}#${node.line}`,
+      label: node.name,
+      kind: node.kind,
+      filePath,
+      line: node.line,
+      framework,
+      runName,
+      children
+    });
+  }
+
+  return items;
+}
+
+// The test tree of one file: { id, label, kind: 'file', filePath, framework, target, children } or null
+async function discoverTestFile(workspacePath, filePath, framework) {
+  const content = await fs.readFile(filePath, 'utf-8');
+  const relativePath = path.relative(workspacePath, filePath);
+  let children;
+  let target = null;
+
+  if (framework === 'pytest') {
+    children = buildTestItems(parsePythonTests(content), filePath, framework, [], '::');
+  } else if (framework === 'cargo') {
+    const location = getRustTestLocation(relativePath);
+    target = location.target;
+    children = buildTestItems(parseRustTests(content), filePath, framework, location.modulePath, '::');
+  } else {
+    children = buildTestItems(parseJavaScriptTests(content), filePath, framework, [], ' ');
+  }
+
+  if (children.length === 0) return null;
+
+  return {
+    id: filePath,
+    label: relativePath.split(path.sep).join('/'),
+    kind: 'file',
+    filePath,
+    framework,
+    target,
+    children
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A test name as a regular expression; each-table placeholders (%s, $name) and template
+// literal expressions match whatever they expand to
+function getTestNamePattern(name) {
+  return escapeRegExp(name)
+    .replace(/%[sdifjoOp#]/g, '.*')
+    .replace(/\\\$\\\{.*?\\\}|\\\$\w+/g, '.*');
+}
+
+// A workspace-local binary (node_modules/.bin) or npx; both are .cmd shims on Windows
+function getNodeTestCommand(workspacePath, name) {
+  const win32 = process.platform === 'win32';
+  const localPath = path.join(workspacePath, 'node_modules', '.bin', win32 ? `${name}.cmd` : name);
+  return fsSync.existsSync(localPath)
+    ? { command: localPath, args: [] }
+    : { command: win32 ? 'npx.cmd' : 'npx', args: ['--no-install', name] };
+}
+
+// cmd.exe metacharacters, escaped with ^
+const CMD_META_CHARS = /([()\][%!^"`<>&|;, *?])/g;
+
+// Quote an argument for a .cmd shim run through cmd.exe: first for the command line
+// parser of the program the shim starts, then twice for cmd (once for the shim's %*)
+function quoteCmdArg(arg) {
+  const quoted = `"${arg
+    .replace(/(\\*)"/g, '$1$1\\"')
+    .replace(/(\\*)$/, '$1$1')}"`;
+  return quoted.replace(CMD_META_CHARS, '^$1').replace(CMD_META_CHARS, '^$1');
+}
+
+/**
+ * Spawn a test command. Executables start directly; .cmd shims can only be started
+ * through cmd.exe, so they get an explicit cmd command line in which every argument
+ * (test name patterns are regular expressions built from test names) is escaped
+ */
+function spawnTestCommand(command, args, options) {
+  if (process.platform === 'win32' && /\.cmd$/i.test(command)) {
+    const commandLine = [command.replace(CMD_META_CHARS, '^$1'), ...args.map(quoteCmdArg)].join(' ');
+    return spawn(process.env.ComSpec || 'cmd.exe', ['/d', '/s', '/c', `"${commandLine}"`], {
+      ...options,
+      windowsVerbatimArguments: true
+    });
+  }
+  return spawn(command, args, options);
+}
+
+/**
+ * Command line for a test run. request: { framework, files (absolute paths, empty for
+ * all tests), name (runName of one test or suite in files[0]), kind (test or suite) }
+ */
+function buildTestCommand(workspacePath, request, reportFile) {
+  const { framework, files = [], name = null, kind = 'test' } = request;
+  const relativeFiles = files.map(filePath => path.relative(workspacePath, filePath));
+
+  // jest, vitest and mocha all match -t/--grep against the suite and test names joined by
+  // spaces; vitest puts the (possibly empty) file suite name in front
+  const namePrefix = framework === 'vitest' ? '(?:^| )' : '^';
+  const namePattern = name ? `${namePrefix}${getTestNamePattern(name)}${kind === 'test' ? '$' : ' '}` : null;
+
+  if (framework === 'jest' || framework === 'vitest') {
+    const { command, args } = getNodeTestCommand(workspacePath, framework);
+    args.push(...(framework === 'jest'
+      ? ['--json', `--outputFile=${reportFile}`, '--testLocationInResults', '--ci']
+      : ['run', '--reporter=json', `--outputFile=${reportFile}`]));
+    args.push(...relativeFiles);
+    if (namePattern) args.push('-t', namePattern);
+    return { command, args, report: 'json', namePattern };
+  }
+
+  if (framework === 'mocha') {
+    const { command, args } = getNodeTestCommand(workspacePath, 'mocha');
+    args.push('--reporter', 'tap', ...relativeFiles);
+    if (namePattern) args.push('--grep', namePattern);
+    return { command, args, report: 'tap', namePattern };
+  }
+
+  if (framework === 'pytest') {
+    const nodeIds = relativeFiles.map(file => (name ? `${file}::${name}` : file));
+    return {
+      command: process.platform === 'win32' ? 'python' : 'python3',
+      args: ['-m', 'pytest', `--junitxml=${reportFile}`, '-o', 'junit_family=xunit1', ...nodeIds],
+      report: 'junit'
+    };
+  }
+
+  if (framework === 'cargo') {
+    // libtest filters are substrings of the module path, so a file runs as its module
+    const location = relativeFiles.length ? getRustTestLocation(relativeFiles[0]) : { target: null, modulePath: [] };
+    const filter = name || location.modulePath.join('::');
+    const args = ['test', '--no-fail-fast'];
+    if (location.target) args.push('--test', location.target);
+    args.push('--');
+    if (name && kind === 'test') {
+      args.push(filter, '--exact');
+    } else if (filter) {
+      args.push(`${filter}::`);
+    }
+    return { command: 'cargo', args, report: 'cargo', targetFile: location.target ? files[0] : null };
+  }
+
+  throw new Error(`Unknown test framework "${framework}"`);
+}
+
+/**
+ * Results are { file (absolute path or null if the output does not say), name (the runName
+ * discovery gave the test), status: passed|failed|skipped, message, duration (ms) }
+ */
+function parseJestResults(data) {
+  const results = [];
+  for (const fileResult of data.testResults || []) {
+    for (const test of fileResult.assertionResults || []) {
+      const status = test.status === 'passed' ? 'passed' : test.status === 'failed' ? 'failed' : 'skipped';
+      results.push({
+        file: fileResult.name,
+        name: [...(test.ancestorTitles || []), test.title].filter(Boolean).join(' '),
+        status,
+        message: (test.failureMessages || []).join('\n'),
+        duration: test.duration || 0
+      });
+    }
+    // A file that fails to load has no assertions, only a message
+    if (fileResult.status === 'failed' && !(fileResult.assertionResults || []).length) {
+      results.push({ file: fileResult.name, name: null, status: 'failed', message: fileResult.message || '', duration: 0 });
+    }
+  }
+  return results;
+}
+
+// TAP: failure details are the indented lines (or YAML block) under "not ok"
+function parseTapResults(output) {
+  const results = [];
+  let current = null;
+  let inYamlBlock = false;
+
+  for (const line of output.split(/\r?\n/)) {
+    const match = /^(not ok|ok)\s+\d+\s+(?:-\s+)?(.*?)(?:\s+#\s*(SKIP|TODO)\b.*)?$/i.exec(line);
+    if (match) {
+      current = {
+        file: null,
+        name: match[2],
+        status: match[3] ? 'skipped' : match[1] === 'ok' ? 'passed' : 'failed',
+        message: '',
+        duration: 0
+      };
+      results.push(current);
+      inYamlBlock = false;
+    } else if (!/^\s/.test(line)) {
+      current = null;
+    } else if (current && current.status === 'failed') {
+      if (/^\s+---\s*$/.test(line)) {
+        inYamlBlock = true;
+      } else if (/^\s+\.\.\.\s*$/.test(line)) {
+        inYamlBlock = false;
+      } else if (!(inYamlBlock && /^\s+(message|stack):\s*\|-?$/.test(line))) {
+        // The text of "message: |-" and "stack: |-" is indented under its key
+        current.message += line.replace(inYamlBlock ? /^ {2,4}/ : /^ {2}/, '') + '\n';
+      }
+    }
+  }
+
+  results.forEach(result => {
+    result.message = result.message.trim();
+  });
+  return results;
+}
+
+function decodeXmlEntities(text) {
+  return text.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[\da-f]+);/gi, (entity, code) => {
+    const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' }[code.toLowerCase()];
+    if (named) return named;
+    return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+  });
+}
+
+function getXmlAttributes(tag) {
+  const attributes = {};
+  for (const match of tag.matchAll(/([\w:-]+)="([^"]*)"/g)) {
+    attributes[match[1]] = decodeXmlEntities(match[2]);
+  }
+  return attributes;
+}
+
+// pytest --junitxml with junit_family=xunit1, which adds file and line to each testcase
+function parseJUnitResults(xml, workspacePath) {
+  const results = [];
+
+  for (const match of xml.matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g)) {
+    const attributes = getXmlAttributes(match[1]);
+    const body = match[2] || '';
+    const file = attributes.file ? path.resolve(workspacePath, attributes.file) : null;
+
+    // classname is the dotted module followed by the test classes
+    const module = (attributes.file || '').replace(/\.py$/, '').split(/[\\/]/).join('.');
+    const classPath = (attributes.classname || '').startsWith(module)
+      ? attributes.classname.slice(module.length).replace(/^\./, '')
+      : '';
+    const testName = (attributes.name || '').replace(/\[.*\]$/, ''); // parametrized cases share one test
+    const name = [...(classPath ? classPath.split('.') : []), testName].join('::');
+
+    const failure = /<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/.exec(body);
+    const skipped = /<skipped\b/.test(body);
+    const message = failure
+      ? [getXmlAttributes(failure[2]).message, decodeXmlEntities(failure[3] || '')].filter(Boolean).join('\n')
+      : '';
+
+    results.push({
+      file,
+      name: attributes.classname ? name : null, // Collection errors have no class name
+      status: failure ? 'failed' : skipped ? 'skipped' : 'passed',
+      message,
+      duration: Math.round(parseFloat(attributes.time || '0') * 1000)
+    });
+  }
+
+  return results;
+}
+
+// libtest's text output: "test path::name ... ok|FAILED|ignored", failures printed afterwards
+function parseCargoResults(output) {
+  const results = new Map();
+  const lines = output.split(/\r?\n/);
+  let failureName = null;
+  let failureLines = [];
+
+  const flushFailure = () => {
+    const result = failureName && results.get(failureName);
+    if (result) result.message = failureLines.join('\n').trim();
+    failureName = null;
+    failureLines = [];
+  };
+
+  for (const line of lines) {
+    const test = /^test (\S+) \.\.\. (ok|FAILED|ignored)/.exec(line);
+    const header = /^---- (\S+) stdout ----$/.exec(line);
+
+    if (test) {
+      const status = test[2] === 'ok' ? 'passed' : test[2] === 'FAILED' ? 'failed' : 'skipped';
+      results.set(test[1], { file: null, name: test[1], status, message: '', duration: 0 });
+    } else if (header) {
+      flushFailure();
+      failureName = header[1];
+    } else if (failureName && (/^failures:$/.test(line) || /^test result:/.test(line))) {
+      flushFailure();
+    } else if (failureName) {
+      failureLines.push(line);
+    }
+  }
+  flushFailure();
+
+  return Array.from(results.values());
+}
+
+module.exports = {
+  TEST_DISCOVERY_MAX_FILES,
+  TEST_DISCOVERY_SKIP,
+  detectTestFrameworks,
+  getTestFileFramework,
+  discoverTestFile,
+  spawnTestCommand,
+  buildTestCommand,
+  parseJestResults,
+  parseTapResults,
+  parseJUnitResults,
+  parseCargoResults
+};
@@ -29,6 +29,16 @@ let currentWorkspace = null;
 // Workspace state file
 const STATE_FILE = path.join(app.getPath('userData'), 'workspace-state.json');
 
+// Language server registry files (user level, and relative to the workspace root)
+const LSP_SERVERS_FILE = path.join(app.getPath('userData'), 'lsp-servers.json');
+const WORKSPACE_LSP_SERVERS_FILE = path.join('.fast-editor', 'lsp-servers.json');
+
+// Debug launch configurations, relative to the workspace root
+const WORKSPACE_LAUNCH_FILE = path.join('.fast-editor', 'launch.json');
+
+// Custom tasks, relative to the workspace root
+const WORKSPACE_TASKS_FILE = path.join('.fast-editor', 'tasks.json');
+
 // Performance: Set process priority
 if (process.platform === 'win32') {
   app.commandLine.appendSwitch('high-dpi-support', 'true');
@@ -259,6 +269,15 @@ function createWindow() {
           accelerator: 'Shift+F12',
           click: () => sendToFocusedWindow('menu-find-references')
         },
+        {
+          label: 'Show Call Hierarchy',
+          accelerator: 'Shift+Alt+H',
+          click: () => sendToFocusedWindow('menu-show-call-hierarchy')
+        },
+        {
+          label: 'Show Type Hierarchy',
+          click: () => sendToFocusedWindow('menu-show-type-hierarchy')
+        },
         { type: 'separator' },
         {
           label: 'Next Error',
@@ -272,6 +291,115 @@ function createWindow() {
         }
       ]
     },
+    {
+      label: 'Run',
+      submenu: [
+        {
+          label: 'Start Debugging / Continue',
+          accelerator: 'F5',
+          click: () => sendToFocusedWindow('menu-debug-start')
+        },
+        {
+          label: 'Run Without Debugging',
+          accelerator: 'CmdOrCtrl+F5',
+          click: () => sendToFocusedWindow('menu-debug-run')
+        },
+        {
+          label: 'Stop Debugging',
+          accelerator: 'Shift+F5',
+          click: () => sendToFocusedWindow('menu-debug-stop')
+        },
+        {
+          label: 'Restart Debugging',
+          accelerator: 'CmdOrCtrl+Shift+F5',
+          click: () => sendToFocusedWindow('menu-debug-restart')
+        },
+        { type: 'separator' },
+        {
+          label: 'Pause',
+          accelerator: 'F6',
+          click: () => sendToFocusedWindow('menu-debug-pause')
+        },
+        {
+          label: 'Step Over',
+          accelerator: 'F10',
+          click: () => sendToFocusedWindow('menu-debug-step-over')
+        },
+        {
+          label: 'Step Into',
+          accelerator: 'F11',
+          click: () => sendToFocusedWindow('menu-debug-step-into')
+        },
+        {
+          label: 'Step Out',
+          accelerator: 'Shift+F11',
+          click: () => sendToFocusedWindow('menu-debug-step-out')
+        },
+        { type: 'separator' },
+        {
+          label: 'Toggle Breakpoint',
+          accelerator: 'F9',
+          click: () => sendToFocusedWindow('menu-debug-toggle-breakpoint')
+        },
+        {
+          label: 'Remove All Breakpoints',
+          click: () => sendToFocusedWindow('menu-debug-remove-breakpoints')
+        },
+        { type: 'separator' },
+        {
+          label: 'Run All Tests',
+          click: () => sendToFocusedWindow('menu-test-run-all')
+        },
+        {
+          label: 'Run Tests in Current File',
+          click: () => sendToFocusedWindow('menu-test-run-file')
+        },
+        {
+          label: 'Rerun Failed Tests',
+          click: () => sendToFocusedWindow('menu-test-rerun-failed')
+        },
+        {
+          label: 'Cancel Test Run',
+          click: () => sendToFocusedWindow('menu-test-cancel')
+        },
+        { type: 'separator' },
+        {
+          label: 'Open Configurations',
+          click: () => sendToFocusedWindow('menu-debug-open-configurations')
+        }
+      ]
+    },
+    {
+      label: 'Terminal',
+      submenu: [
+        {
+          label: 'Run Task...',
+          click: () => sendToFocusedWindow('menu-run-task')
+        },
+        {
+          label: 'Run Build Task...',
+          accelerator: 'CmdOrCtrl+Shift+B',
+          click: () => sendToFocusedWindow('menu-run-build-task')
+        },
+        {
+          label: 'Run Test Task...',
+          click: () => sendToFocusedWindow('menu-run-test-task')
+        },
+        {
+          label: 'Rerun Last Task',
+          click: () => sendToFocusedWindow('menu-rerun-task')
+        },
+        {
+          label: 'Terminate Task',
+          click: () => sendToFocusedWindow('menu-terminate-task')
+        },
+        { type: 'separator' },
+        {
+          label: 'Configure Tasks...',
+          click: () => sendToFocusedWindow('menu-configure-tasks')
+        }
+      ]
+    },
     {
       label: 'View',
       submenu: [
@@ -285,6 +413,16 @@ function createWindow() {
           accelerator: 'CmdOrCtrl+`',
           click: () => sendToFocusedWindow('menu-toggle-terminal')
         },
+        {
+          label: 'Toggle Problems',
+          accelerator: 'CmdOrCtrl+Shift+M',
+          click: () => sendToFocusedWindow('menu-toggle-problems')
+        },
+        {
+          label: 'Toggle Debug Console',
+          accelerator: 'CmdOrCtrl+Shift+Y',
+          click: () => sendToFocusedWindow('menu-toggle-debug-console')
+        },
         { type: 'separator' },
         {
           label: 'Toggle Word Wrap',
@@ -305,6 +443,23 @@ function createWindow() {
           click: () => sendToFocusedWindow('menu-open-diff-editor')
         },
         { type: 'separator' },
+        {
+          label: 'Toggle Language Server Output',
+          click: () => sendToFocusedWindow('menu-toggle-lsp-output')
+        },
+        {
+          label: 'Restart Language Server',
+          click: () => sendToFocusedWindow('menu-restart-language-server')
+        },
+        {
+          label: 'Configure Language Servers...',
+          click: () => sendToFocusedWindow('menu-configure-language-servers')
+        },
+        {
+          label: 'Configure Workspace Language Servers...',
+          click: () => sendToFocusedWindow('menu-configure-workspace-language-servers')
+        },
+        { type: 'separator' },
         {
           label: 'Theme',
           submenu: [
@@ -399,6 +554,37 @@ function createWindow() {
         {
           label: 'Pull',
           click: () => sendToFocusedWindow('menu-git-pull')
+        },
+        {
+          label: 'Fetch',
+          click: () => sendToFocusedWindow('menu-git-fetch')
+        },
+        {
+          label: 'Sync (Pull then Push)',
+          click: () => sendToFocusedWindow('menu-git-sync')
+        },
+        {
+          label: 'Manage Remotes...',
+          click: () => sendToFocusedWindow('menu-git-remotes')
+        },
+        {
+          label: 'Interactive Rebase...',
+          click: () => sendToFocusedWindow('menu-git-rebase')
+        },
+        { type: 'separator' },
+        {
+          label: 'Show History',
+          accelerator: 'CmdOrCtrl+Alt+H',
+          click: () => sendToFocusedWindow('menu-git-history')
+        },
+        {
+          label: 'Show File History',
+          click: () => sendToFocusedWindow('menu-git-file-history')
+        },
+        {
+          label: 'Toggle Blame Annotations',
+          accelerator: 'CmdOrCtrl+Alt+B',
+          click: () => sendToFocusedWindow('menu-git-toggle-blame')
         }
       ]
     }
@@ -414,8 +600,8 @@ function createWindow() {
   });
 }
 
-// Create new window (for Cmd+Shift+N)
-function createNewWindow() {
+// Create new window (for Cmd+Shift+N), optionally opening a folder in it
+function createNewWindow(workspacePath = null) {
   const newWindow = new BrowserWindow({
     width: 1400,
     height: 900,
@@ -436,9 +622,11 @@ function createNewWindow() {
   });
 
   // Load as new window (empty slate) with query parameter
-  newWindow.loadFile('renderer/index.html', {
-    query: { newWindow: 'true' }
-  });
+  const query = { newWindow: 'true' };
+  if (workspacePath) {
+    query.workspace = workspacePath;
+  }
+  newWindow.loadFile('renderer/index.html', { query });
 
   // Open DevTools in development
   if (process.env.NODE_ENV === 'development') {
@@ -464,6 +652,18 @@ app.on('window-all-closed', () => {
   terminals.forEach(term => term.kill());
   terminals.clear();
 
+  // Clean up language servers
+  lspServers.forEach(serverData => killLSPServer(serverData));
+  lspServers.clear();
+
+  // Clean up debug adapters
+  debugSessions.forEach(sessionData => killLSPServer(sessionData));
+  debugSessions.clear();
+
+  // Clean up test runs
+  testRuns.forEach(child => killTestRun(child));
+  testRuns.clear();
+
   if (process.platform !== 'darwin') {
     app.quit();
   }
@@ -525,6 +725,22 @@ ipcMain.handle('open-folder-dialog', async () => {
   return null;
 });
 
+// Open a folder (e.g. a git worktree) in a separate window
+ipcMain.handle('open-folder-in-new-window', async (event, folderPath) => {
+  try {
+    const stat = await fs.stat(folderPath);
+    if (!stat.isDirectory()) {
+      throw new Error(`Not a folder: ${folderPath}`);
+    }
+
+    createNewWindow(folderPath);
+    return { success: true };
+  } catch (error) {
+    console.error('Error opening folder in new window:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('read-directory', async (event, dirPath) => {
   try {
     const entries = await fs.readdir(dirPath, { withFileTypes: true });
@@ -750,19 +966,23 @@ ipcMain.handle('path-exists', async (event, targetPath) => {
 });
 
 // Terminal Operations
-ipcMain.handle('create-terminal', async (event) => {
+// options.command runs a command line through the shell instead of an interactive shell (tasks)
+ipcMain.handle('create-terminal', async (event, options = {}) => {
   try {
     const shell = process.platform === 'win32' ? 'powershell.exe' : process.env.SHELL || '/bin/bash';
-    const cwd = currentWorkspace || process.env.HOME || process.env.USERPROFILE;
+    const cwd = options.cwd || currentWorkspace || process.env.HOME || process.env.USERPROFILE;
+    const shellArgs = !options.command ? []
+      : process.platform === 'win32' ? ['-NoProfile', '-Command', options.command]
+      : ['-c', options.command];
 
-    console.log('Creating terminal with shell:', shell, 'in directory:', cwd);
+    console.log('Creating terminal with shell:', [shell, ...shellArgs].join(' '), 'in directory:', cwd);
 
-    const ptyProcess = pty.spawn(shell, [], {
+    const ptyProcess = pty.spawn(shell, shellArgs, {
       name: 'xterm-color',
-      cols: 80,
-      rows: 30,
+      cols: options.cols || 80,
+      rows: options.rows || 30,
       cwd: cwd,
-      env: process.env,
+      env: options.env ? { ...process.env, ...options.env } : process.env,
       // Performance: Limit scrollback to prevent memory issues (Phase 3)
       scrollback: 1000 // Reduced from default to 1000 lines
     });
@@ -778,11 +998,11 @@ ipcMain.handle('create-terminal', async (event) => {
       }
     });
 
-    ptyProcess.onExit(() => {
-      console.log('Terminal exited:', terminalId);
+    ptyProcess.onExit(({ exitCode, signal }) => {
+      console.log('Terminal exited:', terminalId, 'code:', exitCode);
       terminals.delete(terminalId);
       if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('terminal-exit', terminalId);
+        mainWindow.webContents.send('terminal-exit', terminalId, exitCode, signal);
       }
     });
 
@@ -819,13 +1039,30 @@ ipcMain.handle('terminal-kill', (event, terminalId) => {
 });
 
 // Git Operations
-const { exec } = require('child_process');
-const util = require('util');
-const execPromise = util.promisify(exec);
+const { execFile, spawn } = require('child_process');
+const { runGit, cancelGitOperations, GIT_NETWORK_TIMEOUT } = require('./lib/git-process');
+const { parseGitStatusV2 } = require('./lib/git-status');
+
+// Separators used in git --pretty formats (unit/record separators never appear in commit data)
+const GIT_FIELD_SEP = '\x1f';
+const GIT_RECORD_SEP = '\x1e';
+
+// Convert an absolute file path into a path relative to the repository root
+function toGitRelativePath(workspacePath, filePath) {
+  if (filePath.startsWith(workspacePath)) {
+    return filePath.substring(workspacePath.length).replace(/^\/+/, '');
+  }
+  return filePath;
+}
+
+// Reject revisions that git could interpret as command line options
+function isSafeGitRevision(revision) {
+  return typeof revision === 'string' && revision.length > 0 && !revision.startsWith('-');
+}
 
 ipcMain.handle('is-git-repository', async (event, workspacePath) => {
   try {
-    await execPromise('git rev-parse --git-dir', { cwd: workspacePath });
+    await runGit(workspacePath, ['rev-parse', '--git-dir']);
     return true;
   } catch (error) {
     return false;
@@ -834,55 +1071,20 @@ ipcMain.handle('is-git-repository', async (event, workspacePath) => {
 
 ipcMain.handle('get-git-status', async (event, workspacePath) => {
   try {
-    const { stdout } = await execPromise('git status --porcelain', { cwd: workspacePath });
-
-    const status = {
-      modified: [],
-      added: [],
-      deleted: [],
-      untracked: [],
-      renamed: []
-    };
-
-    // Parse git status output - don't trim individual lines to preserve formatting
-    const lines = stdout.split('\n').filter(line => line.trim());
-
-    for (const line of lines) {
-      const statusCode = line.substring(0, 2);
-      const filePath = line.substring(3).trim();
-
-      if (statusCode === ' M' || statusCode === 'M ' || statusCode === 'MM') {
-        status.modified.push(filePath);
-      } else if (statusCode === 'A ' || statusCode === 'AM') {
-        status.added.push(filePath);
-      } else if (statusCode === ' D' || statusCode === 'D ') {
-        status.deleted.push(filePath);
-      } else if (statusCode === '??') {
-        status.untracked.push(filePath);
-      } else if (statusCode.startsWith('R')) {
-        // Renamed files format: "R  old -> new"
-        const parts = filePath.split(' -> ');
-        status.renamed.push({ from: parts[0], to: parts[1] || filePath });
-      }
-    }
-
-    return status;
+    const { stdout } = await runGit(workspacePath, ['status', '--porcelain=v2', '-z', '--branch']);
+    return parseGitStatusV2(stdout);
   } catch (error) {
     console.error('Error getting git status:', error);
-    return { modified: [], added: [], deleted: [], untracked: [], renamed: [] };
+    return { branch: null, files: [] };
   }
 });
 
 ipcMain.handle('get-git-diff', async (event, workspacePath, filePath) => {
   try {
-    // Get the relative path
-    const relativePath = filePath.startsWith(workspacePath)
-      ? filePath.substring(workspacePath.length + 1)
-      : filePath;
+    const relativePath = toGitRelativePath(workspacePath, filePath);
 
     // Get diff with line numbers
-    const { stdout } = await execPromise(`git diff HEAD "${relativePath}"`, {
-      cwd: workspacePath,
+    const { stdout } = await runGit(workspacePath, ['diff', 'HEAD', '--', relativePath], {
       maxBuffer: 1024 * 1024 * 10 // 10MB buffer for large diffs
     });
 
@@ -942,15 +1144,10 @@ ipcMain.handle('get-git-diff', async (event, workspacePath, filePath) => {
 
 ipcMain.handle('git-add', async (event, workspacePath, filePath) => {
   try {
-    // If it's already a relative path, use it as is
-    // Otherwise, extract the relative path
-    let relativePath = filePath;
-    if (filePath.startsWith(workspacePath)) {
-      // Remove workspace path and leading slash
-      relativePath = filePath.substring(workspacePath.length).replace(/^\/+/, '');
-    }
+    // Accepts both absolute and workspace-relative paths
+    const relativePath = toGitRelativePath(workspacePath, filePath);
 
-    await execPromise(`git add "${relativePath}"`, { cwd: workspacePath });
+    await runGit(workspacePath, ['add', '--', relativePath]);
     return { success: true };
   } catch (error) {
     console.error('Error staging file:', error);
@@ -960,16 +1157,10 @@ ipcMain.handle('git-add', async (event, workspacePath, filePath) => {
 
 ipcMain.handle('git-reset', async (event, workspacePath, filePath) => {
   try {
-    // If it's already a relative path, use it as is
-    // Otherwise, extract the relative path
-    let relativePath = filePath;
-    if (filePath.startsWith(workspacePath)) {
-      // Remove workspace path and leading slash
-      relativePath = filePath.substring(workspacePath.length).replace(/^\/+/, '');
-    }
+    // Accepts both absolute and workspace-relative paths
+    const relativePath = toGitRelativePath(workspacePath, filePath);
 
-    console.log(`git reset HEAD "${relativePath}" in ${workspacePath}`);
-    await execPromise(`git reset HEAD "${relativePath}"`, { cwd: workspacePath });
+    await runGit(workspacePath, ['reset', '-q', 'HEAD', '--', relativePath]);
     return { success: true };
   } catch (error) {
     console.error('Error unstaging file:', error);
@@ -977,15 +1168,75 @@ ipcMain.handle('git-reset', async (event, workspacePath, filePath) => {
   }
 });
 
-ipcMain.handle('git-commit', async (event, workspacePath, message) => {
+// Hooks that can reject a commit
+const GIT_COMMIT_HOOKS = ['pre-commit', 'prepare-commit-msg', 'commit-msg'];
+
+// Names of the commit hooks installed in the repository (honours core.hooksPath)
+async function getInstalledCommitHooks(workspacePath) {
+  try {
+    const { stdout } = await runGit(workspacePath, ['rev-parse', '--git-path', 'hooks']);
+    const hooksDir = path.resolve(workspacePath, stdout.trim());
+
+    return GIT_COMMIT_HOOKS.filter(hook => {
+      try {
+        fsSync.accessSync(path.join(hooksDir, hook), fsSync.constants.X_OK);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    });
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Commit staged changes. Options: amend, signoff, noVerify, and fixup (a commit
+ * hash; the message is then generated by git). Failures include the full git
+ * output and the hooks that may have produced it.
+ */
+ipcMain.handle('git-commit', async (event, workspacePath, message, options = {}) => {
+  const { amend = false, signoff = false, noVerify = false, fixup = null } = options;
+
   try {
-    // Escape quotes in commit message
-    const escapedMessage = message.replace(/"/g, '\\"');
-    await execPromise(`git commit -m "${escapedMessage}"`, { cwd: workspacePath });
+    const args = ['commit'];
+    // Hooks may run linters or test suites; git-cancel stops a commit that hangs
+    const runOptions = { timeout: 0 };
+
+    if (fixup) {
+      if (!/^[0-9a-f]{4,40}$/i.test(fixup)) {
+        throw new Error(`Invalid commit: ${fixup}`);
+      }
+      args.push(`--fixup=${fixup}`);
+    } else {
+      // Message is read from stdin so it reaches git byte for byte
+      args.push('-F', '-');
+      runOptions.input = message;
+
+      if (amend) {
+        args.push('--amend');
+      }
+    }
+
+    if (signoff) {
+      args.push('--signoff');
+    }
+    if (noVerify) {
+      args.push('--no-verify');
+    }
+
+    await runGit(workspacePath, args, runOptions);
     return { success: true };
   } catch (error) {
     console.error('Error committing:', error);
-    return { success: false, error: error.message };
+
+    const output = [error.stdout, error.stderr]
+      .filter(text => text && text.trim())
+      .join('\n')
+      .trim();
+    const hooks = noVerify || error.exitCode === null ? [] : await getInstalledCommitHooks(workspacePath);
+
+    return { success: false, error: error.message, output, hooks };
   }
 });
 
@@ -993,10 +1244,7 @@ ipcMain.handle('git-push', async (event, workspacePath) => {
   try {
     // First try normal push
     try {
-      await execPromise('git push', {
-        cwd: workspacePath,
-        timeout: 30000
-      });
+      await runGit(workspacePath, ['push'], { timeout: GIT_NETWORK_TIMEOUT });
       return { success: true };
     } catch (pushError) {
       // If push fails because no upstream is set, try setting it
@@ -1004,16 +1252,13 @@ ipcMain.handle('git-push', async (event, workspacePath) => {
           pushError.message.includes('has no upstream branch')) {
 
         // Get current branch
-        const { stdout: branch } = await execPromise('git branch --show-current', {
-          cwd: workspacePath
-        });
+        const { stdout: branch } = await runGit(workspacePath, ['branch', '--show-current']);
 
         const branchName = branch.trim();
 
         // Push with upstream set
-        await execPromise(`git push -u origin ${branchName}`, {
-          cwd: workspacePath,
-          timeout: 30000
+        await runGit(workspacePath, ['push', '-u', 'origin', branchName], {
+          timeout: GIT_NETWORK_TIMEOUT
         });
 
         return { success: true, message: 'Pushed and set upstream' };
@@ -1030,9 +1275,8 @@ ipcMain.handle('git-push', async (event, workspacePath) => {
 
 ipcMain.handle('git-pull', async (event, workspacePath) => {
   try {
-    await execPromise('git pull', {
-      cwd: workspacePath,
-      timeout: 30000 // 30 second timeout
+    await runGit(workspacePath, ['pull'], {
+      timeout: GIT_NETWORK_TIMEOUT
     });
     return { success: true };
   } catch (error) {
@@ -1043,9 +1287,7 @@ ipcMain.handle('git-pull', async (event, workspacePath) => {
 
 ipcMain.handle('get-current-branch', async (event, workspacePath) => {
   try {
-    const { stdout } = await execPromise('git branch --show-current', {
-      cwd: workspacePath
-    });
+    const { stdout } = await runGit(workspacePath, ['branch', '--show-current']);
     return stdout.trim();
   } catch (error) {
     console.error('Error getting current branch:', error);
@@ -1055,9 +1297,7 @@ ipcMain.handle('get-current-branch', async (event, workspacePath) => {
 
 ipcMain.handle('get-all-branches', async (event, workspacePath) => {
   try {
-    const { stdout } = await execPromise('git branch --all', {
-      cwd: workspacePath
-    });
+    const { stdout } = await runGit(workspacePath, ['branch', '--all']);
 
     const branches = stdout
       .split('\n')
@@ -1094,25 +1334,32 @@ ipcMain.handle('get-all-branches', async (event, workspacePath) => {
 
 ipcMain.handle('switch-branch', async (event, workspacePath, branchName) => {
   try {
-    await execPromise(`git checkout ${branchName}`, {
-      cwd: workspacePath
-    });
+    if (!isSafeGitRevision(branchName)) {
+      throw new Error(`Invalid branch name: ${branchName}`);
+    }
+
+    await runGit(workspacePath, ['checkout', branchName]);
     return { success: true };
   } catch (error) {
     console.error('Error switching branch:', error);
-    return { success: false, error: error.message };
+
+    // Local changes that checkout would overwrite can be stashed first
+    const dirtyWorkingTree = /would be overwritten by checkout|commit your changes or stash them/i.test(error.message);
+    return { success: false, error: error.message, dirtyWorkingTree };
   }
 });
 
 ipcMain.handle('create-branch', async (event, workspacePath, branchName, switchToIt) => {
   try {
-    const command = switchToIt
-      ? `git checkout -b ${branchName}`
-      : `git branch ${branchName}`;
+    if (!isSafeGitRevision(branchName)) {
+      throw new Error(`Invalid branch name: ${branchName}`);
+    }
 
-    await execPromise(command, {
-      cwd: workspacePath
-    });
+    const args = switchToIt
+      ? ['checkout', '-b', branchName]
+      : ['branch', branchName];
+
+    await runGit(workspacePath, args);
     return { success: true };
   } catch (error) {
     console.error('Error creating branch:', error);
@@ -1120,161 +1367,1625 @@ ipcMain.handle('create-branch', async (event, workspacePath, branchName, switchT
   }
 });
 
-// LSP Operations
-const { spawn } = require('child_process');
-const lspServers = new Map(); // serverId -> { process, language, messageBuffer }
-let lspServerIdCounter = 0;
+// Cancel in-flight git commands (e.g. a pull stuck on the network)
+ipcMain.handle('git-cancel', async (event, workspacePath) => {
+  return { success: true, cancelled: cancelGitOperations(workspacePath) };
+});
 
-// Check if an LSP server command is available
-ipcMain.handle('check-lsp-server', async (event, command) => {
+// Git History Operations
+
+// Parse a commit record produced by the GIT_COMMIT_FORMAT pretty format
+const GIT_COMMIT_FORMAT = ['%H', '%h', '%P', '%an', '%ae', '%aI', '%D', '%s', '%b'].join('%x1f') + '%x1e';
+
+function parseGitCommitRecord(record) {
+  const [hash, shortHash, parents, author, email, date, refs, subject, body] = record.split(GIT_FIELD_SEP);
+  return {
+    hash,
+    shortHash,
+    parents: parents ? parents.split(' ') : [],
+    author,
+    email,
+    date,
+    refs: refs ? refs.split(', ').filter(Boolean) : [],
+    subject,
+    body: (body || '').trim()
+  };
+}
+
+ipcMain.handle('git-log', async (event, workspacePath, options = {}) => {
   try {
-    // Check if command exists
-    const checkCmd = process.platform === 'win32' ? 'where' : 'which';
-    await execPromise(`${checkCmd} ${command}`);
-    return true;
+    const { filePath = null, maxCount = 200, skip = 0 } = options;
+
+    const args = [
+      'log',
+      `--max-count=${parseInt(maxCount) || 200}`,
+      `--skip=${parseInt(skip) || 0}`,
+      `--pretty=format:${GIT_COMMIT_FORMAT}`
+    ];
+
+    // Per-file history follows renames
+    if (filePath) {
+      args.push('--follow', '--', toGitRelativePath(workspacePath, filePath));
+    }
+
+    const { stdout } = await runGit(workspacePath, args);
+
+    return stdout
+      .split(GIT_RECORD_SEP)
+      .map(record => record.replace(/^\n/, ''))
+      .filter(record => record.trim())
+      .map(parseGitCommitRecord);
   } catch (error) {
-    return false;
+    // Repositories without commits have no log
+    console.error('Error getting git log:', error.message);
+    return [];
   }
 });
 
-// Start an LSP server
-ipcMain.handle('start-lsp-server', async (event, language, command, args, workspacePath) => {
-  try {
-    const serverId = `lsp-${language}-${++lspServerIdCounter}`;
+// Parse --name-status -z output: STATUS\0path\0 (renames and copies: STATUS\0old\0new\0)
+function parseGitNameStatus(output) {
+  const files = [];
+  const parts = output.split('\0').filter(part => part !== '');
 
-    console.log(`Starting LSP server ${serverId}: ${command} ${args.join(' ')}`);
+  for (let i = 0; i < parts.length;) {
+    const code = parts[i++];
+    const type = code.charAt(0);
 
-    const lspProcess = spawn(command, args, {
-      cwd: workspacePath,
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
+    if (type === 'R' || type === 'C') {
+      files.push({ status: type, oldPath: parts[i], path: parts[i + 1] });
+      i += 2;
+    } else {
+      files.push({ status: type, path: parts[i] });
+      i += 1;
+    }
+  }
 
-    if (!lspProcess || !lspProcess.pid) {
-      console.error(`Failed to start LSP server ${serverId}`);
-      return null;
+  return files;
+}
+
+ipcMain.handle('git-show', async (event, workspacePath, revision) => {
+  try {
+    if (!isSafeGitRevision(revision)) {
+      throw new Error(`Invalid revision: ${revision}`);
     }
 
-    const serverData = {
-      process: lspProcess,
-      language,
-      messageBuffer: '',
-      pendingRequests: new Map(), // requestId -> { resolve, reject }
-      requestIdCounter: 0
-    };
+    const { stdout: meta } = await runGit(workspacePath, [
+      'show', '-s', `--pretty=format:${GIT_COMMIT_FORMAT}`, revision
+    ]);
 
-    lspServers.set(serverId, serverData);
+    const commit = parseGitCommitRecord(meta.replace(new RegExp(`${GIT_RECORD_SEP}$`), ''));
 
-    // Handle stdout (LSP responses)
-    lspProcess.stdout.on('data', (data) => {
-      serverData.messageBuffer += data.toString();
-
-      // Process complete messages
-      let contentLengthMatch;
-      while ((contentLengthMatch = serverData.messageBuffer.match(/Content-Length: (\d+)\r\n\r\n/))) {
-        const contentLength = parseInt(contentLengthMatch[1]);
-        const messageStart = serverData.messageBuffer.indexOf('\r\n\r\n') + 4;
-
-        if (serverData.messageBuffer.length >= messageStart + contentLength) {
-          const messageContent = serverData.messageBuffer.substring(messageStart, messageStart + contentLength);
-          serverData.messageBuffer = serverData.messageBuffer.substring(messageStart + contentLength);
-
-          try {
-            const message = JSON.parse(messageContent);
-            handleLSPMessage(serverId, message);
-          } catch (error) {
-            console.error('Error parsing LSP message:', error);
-          }
-        } else {
-          break;
-        }
-      }
-    });
+    // Diff against the first parent so merge commits list their changes too
+    const diffArgs = commit.parents.length > 0
+      ? ['diff-tree', '-r', '-M', '--name-status', '-z', commit.parents[0], commit.hash]
+      : ['diff-tree', '-r', '-M', '--name-status', '-z', '--root', commit.hash];
 
-    // Handle stderr
-    lspProcess.stderr.on('data', (data) => {
-      console.error(`LSP ${serverId} stderr:`, data.toString());
-    });
+    const { stdout: diffOutput } = await runGit(workspacePath, diffArgs);
 
-    // Handle process exit
-    lspProcess.on('exit', (code) => {
-      console.log(`LSP server ${serverId} exited with code ${code}`);
-      lspServers.delete(serverId);
-    });
+    return { success: true, commit, files: parseGitNameStatus(diffOutput) };
+  } catch (error) {
+    console.error('Error showing commit:', error);
+    return { success: false, error: error.message };
+  }
+});
 
-    console.log(`✅ LSP server ${serverId} started`);
-    return serverId;
+// Read a file's content at a given revision (null if it does not exist there)
+ipcMain.handle('git-show-file', async (event, workspacePath, revision, filePath) => {
+  try {
+    if (!isSafeGitRevision(revision)) {
+      throw new Error(`Invalid revision: ${revision}`);
+    }
+
+    const relativePath = toGitRelativePath(workspacePath, filePath);
+    const { stdout } = await runGit(workspacePath, ['show', `${revision}:${relativePath}`]);
+    return stdout;
   } catch (error) {
-    console.error('Error starting LSP server:', error);
     return null;
   }
 });
 
-// Handle LSP message (response or notification)
-function handleLSPMessage(serverId, message) {
-  const serverData = lspServers.get(serverId);
-  if (!serverData) return;
+ipcMain.handle('git-blame', async (event, workspacePath, filePath) => {
+  try {
+    const relativePath = toGitRelativePath(workspacePath, filePath);
+    const { stdout } = await runGit(workspacePath, ['blame', '--porcelain', '--', relativePath]);
+
+    // Porcelain format: a "<hash> <origLine> <finalLine> [<count>]" header, commit
+    // details the first time a commit appears, then the line content prefixed by a tab
+    const commits = {};
+    const lines = [];
+    let current = null;
+
+    for (const line of stdout.split('\n')) {
+      if (line.startsWith('\t')) {
+        if (current) {
+          lines.push({ lineNumber: current.finalLine, hash: current.hash });
+        }
+        current = null;
+        continue;
+      }
 
-  // Handle response to a request
-  if (message.id !== undefined) {
-    const pending = serverData.pendingRequests.get(message.id);
-    if (pending) {
-      serverData.pendingRequests.delete(message.id);
+      const header = line.match(/^([0-9a-f]{40}) \d+ (\d+)/);
+      if (header) {
+        current = { hash: header[1], finalLine: parseInt(header[2]) };
+        if (!commits[current.hash]) {
+          commits[current.hash] = {
+            hash: current.hash,
+            shortHash: current.hash.substring(0, 7),
+            uncommitted: /^0+$/.test(current.hash)
+          };
+        }
+        continue;
+      }
 
-      if (message.error) {
-        pending.reject(new Error(message.error.message));
-      } else {
-        pending.resolve(message.result);
+      if (!current) continue;
+
+      const spaceIndex = line.indexOf(' ');
+      const key = spaceIndex === -1 ? line : line.substring(0, spaceIndex);
+      const value = spaceIndex === -1 ? '' : line.substring(spaceIndex + 1);
+      const commit = commits[current.hash];
+
+      if (key === 'author') {
+        commit.author = value;
+      } else if (key === 'author-mail') {
+        commit.email = value.replace(/^<|>$/g, '');
+      } else if (key === 'author-time') {
+        commit.date = new Date(parseInt(value) * 1000).toISOString();
+      } else if (key === 'summary') {
+        commit.summary = value;
       }
     }
+
+    return { success: true, lines, commits };
+  } catch (error) {
+    // Untracked files and files outside the repository cannot be blamed
+    return { success: false, error: error.message };
   }
+});
 
-  // Handle server notifications (diagnostics, etc.)
-  if (message.method) {
-    if (message.method === 'textDocument/publishDiagnostics') {
-      // Send diagnostics to renderer
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('lsp-diagnostics', serverId, message.params);
+// Git Hunk Operations
+
+// Parse unified diff output into file header lines and hunks
+function parseGitDiffHunks(diffOutput) {
+  const header = [];
+  const hunks = [];
+  let current = null;
+
+  for (const line of diffOutput.split('\n')) {
+    const match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (match) {
+      current = {
+        header: line,
+        oldStart: parseInt(match[1]),
+        oldLines: match[2] === undefined ? 1 : parseInt(match[2]),
+        newStart: parseInt(match[3]),
+        newLines: match[4] === undefined ? 1 : parseInt(match[4]),
+        lines: []
+      };
+      hunks.push(current);
+    } else if (current) {
+      if (/^[ +\-\\]/.test(line)) {
+        current.lines.push(line);
       }
+    } else if (line) {
+      header.push(line);
     }
   }
+
+  // Range of new-side lines actually changed (deletions sit at the following line)
+  hunks.forEach(hunk => {
+    let newLine = hunk.newStart;
+    hunk.changeStart = null;
+    hunk.changeEnd = null;
+
+    hunk.lines.forEach(line => {
+      const type = line.charAt(0);
+      if (type === '+' || type === '-') {
+        const position = Math.max(newLine, 1);
+        if (hunk.changeStart === null) hunk.changeStart = position;
+        hunk.changeEnd = position;
+      }
+      if (type === '+' || type === ' ') {
+        newLine++;
+      }
+    });
+  });
+
+  return { header, hunks };
 }
 
-// Send LSP request
-ipcMain.handle('send-lsp-request', async (event, serverId, method, params) => {
-  const serverData = lspServers.get(serverId);
-  if (!serverData) {
-    throw new Error(`LSP server ${serverId} not found`);
+/**
+ * Build a single-hunk patch, optionally limited to the changes whose new-side
+ * line falls inside selection. Unselected changes are dropped or turned into
+ * context depending on which side must stay untouched.
+ */
+function buildGitHunkPatch(header, hunk, selection, reverse) {
+  const entries = [];
+  let newLine = hunk.newStart;
+  let changeCount = 0;
+  let noNewlineMarker = '\\ No newline at end of file';
+
+  for (const line of hunk.lines) {
+    const type = line.charAt(0);
+    const text = line.substring(1);
+
+    // "\ No newline at end of file" belongs to the previous line, on the sides it is on
+    if (type === '\\') {
+      noNewlineMarker = line;
+      const previous = entries[entries.length - 1];
+      if (previous) {
+        if (previous.source !== 'new') previous.noNewlineOld = true;
+        if (previous.source !== 'old') previous.noNewlineNew = true;
+      }
+      continue;
+    }
+
+    const position = Math.max(newLine, 1);
+    if (type === '+' || type === ' ') {
+      newLine++;
+    }
+
+    const selected = !selection ||
+      (position >= selection.startLineNumber && position <= selection.endLineNumber);
+    const source = type === '-' ? 'old' : type === '+' ? 'new' : 'both';
+
+    if (type === ' ' || selected) {
+      entries.push({ text, source, inOld: type !== '+', inNew: type !== '-' });
+      if (type !== ' ') changeCount++;
+    } else if ((type === '-' && !reverse) || (type === '+' && reverse)) {
+      // Line exists on the side the patch is applied to, keep it as context
+      entries.push({ text, source, inOld: true, inNew: true, unchanged: true });
+    } else {
+      // Dropped lines take their marker with them
+      entries.push({ text, source, dropped: true });
+    }
   }
 
-  const requestId = ++serverData.requestIdCounter;
+  if (changeCount === 0) {
+    return null;
+  }
+
+  const kept = entries.filter(entry => !entry.dropped);
+
+  // The side the patch is applied to is reproduced exactly. On the resulting side a
+  // kept line without a newline (e.g. the old last line) only stays so while it is last
+  const resultSide = reverse ? 'inOld' : 'inNew';
+  const resultFlag = reverse ? 'noNewlineOld' : 'noNewlineNew';
+  const appliedFlag = reverse ? 'noNewlineNew' : 'noNewlineOld';
+  const lastResultIndex = kept.map(entry => !!entry[resultSide]).lastIndexOf(true);
+  kept.forEach((entry, index) => {
+    if (entry.unchanged) {
+      // Context made from a line of the applied-to side ends the way that line does
+      entry[resultFlag] = !!entry[appliedFlag];
+    }
+    if (index !== lastResultIndex) {
+      entry[resultFlag] = false;
+    }
+  });
 
-  const request = {
-    jsonrpc: '2.0',
-    id: requestId,
-    method,
-    params
+  const lines = [];
+  let oldCount = 0;
+  let newCount = 0;
+  const push = (prefix, text, noNewline) => {
+    lines.push(prefix + text);
+    if (noNewline) lines.push(noNewlineMarker);
   };
 
-  const requestContent = JSON.stringify(request);
-  const requestMessage = `Content-Length: ${Buffer.byteLength(requestContent)}\r\n\r\n${requestContent}`;
+  for (const entry of kept) {
+    if (entry.inOld) oldCount++;
+    if (entry.inNew) newCount++;
 
-  return new Promise((resolve, reject) => {
-    serverData.pendingRequests.set(requestId, { resolve, reject });
+    if (entry.inOld && entry.inNew && !!entry.noNewlineOld === !!entry.noNewlineNew) {
+      push(' ', entry.text, entry.noNewlineOld);
+    } else {
+      // Context whose two sides differ only in the final newline is a change
+      if (entry.inOld) push('-', entry.text, entry.noNewlineOld);
+      if (entry.inNew) push('+', entry.text, entry.noNewlineNew);
+    }
+  }
 
-    serverData.process.stdin.write(requestMessage, (error) => {
-      if (error) {
-        serverData.pendingRequests.delete(requestId);
+  const hunkHeader = `@@ -${hunk.oldStart},${oldCount} +${hunk.newStart},${newCount} @@`;
+  return [...header, hunkHeader, ...lines].join('\n') + '\n';
+}
+
+// Get unstaged (index -> worktree) and staged (HEAD -> index) hunks for a file
+ipcMain.handle('get-git-hunks', async (event, workspacePath, filePath) => {
+  try {
+    const relativePath = toGitRelativePath(workspacePath, filePath);
+    const diffArgs = ['diff', '--no-color', '--no-ext-diff', '-U3'];
+
+    const [unstaged, staged] = await Promise.all([
+      runGit(workspacePath, [...diffArgs, '--', relativePath]),
+      runGit(workspacePath, [...diffArgs, '--cached', '--', relativePath])
+    ]);
+
+    return {
+      success: true,
+      unstaged: parseGitDiffHunks(unstaged.stdout),
+      staged: parseGitDiffHunks(staged.stdout)
+    };
+  } catch (error) {
+    console.error('Error getting git hunks:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Stage, unstage or revert a hunk (or the lines of it inside selection).
+ * Stage and revert take an unstaged hunk, unstage takes a staged hunk.
+ */
+ipcMain.handle('git-apply-hunk', async (event, workspacePath, header, hunk, action, selection = null) => {
+  try {
+    const applyArgs = {
+      stage: ['--cached'],
+      unstage: ['--cached', '--reverse'],
+      revert: ['--reverse']
+    }[action];
+
+    if (!applyArgs) {
+      throw new Error(`Unknown hunk action: ${action}`);
+    }
+
+    const patch = buildGitHunkPatch(header, hunk, selection, action !== 'stage');
+    if (!patch) {
+      return { success: false, error: 'No changes in selection' };
+    }
+
+    // The patch is fed to git apply through stdin
+    await runGit(workspacePath, ['apply', '--recount', '--whitespace=nowarn', ...applyArgs, '-'], {
+      input: patch
+    });
+    return { success: true };
+  } catch (error) {
+    console.error(`Error applying hunk (${action}):`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Git Conflict Operations
+
+// Read the base (:1), current (:2) and incoming (:3) index stages of a conflicted file
+ipcMain.handle('get-git-conflict-versions', async (event, workspacePath, filePath) => {
+  try {
+    const relativePath = toGitRelativePath(workspacePath, filePath);
+
+    // A stage is missing when one side added or deleted the file
+    const readStage = (stage) => runGit(workspacePath, ['show', `:${stage}:${relativePath}`])
+      .then(({ stdout }) => stdout, () => null);
+
+    const [base, current, incoming] = await Promise.all([readStage(1), readStage(2), readStage(3)]);
+
+    return { success: true, base, current, incoming };
+  } catch (error) {
+    console.error('Error reading conflict versions:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Git Stash Operations
+
+function isValidStashRef(ref) {
+  return typeof ref === 'string' && /^stash@\{\d+\}$/.test(ref);
+}
+
+ipcMain.handle('git-stash-push', async (event, workspacePath, options = {}) => {
+  try {
+    const { message = '', includeUntracked = false } = options;
+
+    const args = ['stash', 'push'];
+    if (includeUntracked) {
+      args.push('--include-untracked');
+    }
+    if (message.trim()) {
+      args.push('-m', message.trim());
+    }
+
+    const { stdout } = await runGit(workspacePath, args);
+
+    // git exits successfully even when there was nothing to stash
+    if (/No local changes to save/i.test(stdout)) {
+      return { success: false, error: 'No local changes to save' };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error stashing changes:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git-stash-list', async (event, workspacePath) => {
+  try {
+    const { stdout } = await runGit(workspacePath, [
+      'stash', 'list', `--format=%gd${GIT_FIELD_SEP}%H${GIT_FIELD_SEP}%gs${GIT_FIELD_SEP}%aI`
+    ]);
+
+    return stdout.split('\n').filter(line => line.trim()).map(line => {
+      const [ref, hash, subject, date] = line.split(GIT_FIELD_SEP);
+
+      // Subjects look like "WIP on main: abc1234 message" or "On main: message"
+      const match = subject.match(/^(?:WIP on|On) ([^:]+): (.*)$/);
+      return {
+        ref,
+        hash,
+        branch: match ? match[1] : null,
+        message: match ? match[2] : subject,
+        date
+      };
+    });
+  } catch (error) {
+    console.error('Error listing stashes:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('git-stash-show', async (event, workspacePath, ref) => {
+  try {
+    if (!isValidStashRef(ref)) {
+      throw new Error(`Invalid stash: ${ref}`);
+    }
+
+    const { stdout } = await runGit(workspacePath, ['stash', 'show', '--name-status', '-z', ref]);
+
+    return { success: true, files: parseGitNameStatus(stdout) };
+  } catch (error) {
+    console.error('Error showing stash:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Apply, pop or drop a stash entry
+async function runGitStashCommand(workspacePath, action, ref) {
+  try {
+    if (!isValidStashRef(ref)) {
+      throw new Error(`Invalid stash: ${ref}`);
+    }
+
+    await runGit(workspacePath, ['stash', action, ref]);
+    return { success: true };
+  } catch (error) {
+    console.error(`Error running git stash ${action}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+ipcMain.handle('git-stash-apply', async (event, workspacePath, ref) => {
+  return runGitStashCommand(workspacePath, 'apply', ref);
+});
+
+ipcMain.handle('git-stash-pop', async (event, workspacePath, ref) => {
+  return runGitStashCommand(workspacePath, 'pop', ref);
+});
+
+ipcMain.handle('git-stash-drop', async (event, workspacePath, ref) => {
+  return runGitStashCommand(workspacePath, 'drop', ref);
+});
+
+// Git Remote Operations
+
+// Remote names must not be mistaken for git options
+function isValidRemoteName(name) {
+  return typeof name === 'string' && /^[A-Za-z0-9][\w.\/-]*$/.test(name);
+}
+
+// Fetch one remote, or all remotes when none is given
+ipcMain.handle('git-fetch', async (event, workspacePath, remote) => {
+  try {
+    if (remote && !isValidRemoteName(remote)) {
+      throw new Error(`Invalid remote: ${remote}`);
+    }
+
+    await runGit(workspacePath, ['fetch', '--prune', remote || '--all'], {
+      timeout: GIT_NETWORK_TIMEOUT
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Error fetching:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git-remote-list', async (event, workspacePath) => {
+  try {
+    const { stdout } = await runGit(workspacePath, ['remote', '-v']);
+
+    // Lines look like "origin\thttps://example.com/repo.git (fetch)"
+    const remotes = new Map();
+    stdout.split('\n').forEach(line => {
+      const match = line.match(/^(\S+)\s+(.+?)\s+\((fetch|push)\)$/);
+      if (!match) return;
+
+      const [, name, url, kind] = match;
+      if (!remotes.has(name)) {
+        remotes.set(name, { name, fetchUrl: null, pushUrl: null, branches: [] });
+      }
+      remotes.get(name)[kind === 'fetch' ? 'fetchUrl' : 'pushUrl'] = url;
+    });
+
+    // Remote-tracking branches, offered as upstream candidates
+    const { stdout: refs } = await runGit(workspacePath, [
+      'for-each-ref', '--format=%(refname:short)', 'refs/remotes'
+    ]);
+    refs.split('\n').forEach(ref => {
+      if (!ref || ref.endsWith('/HEAD') || remotes.has(ref)) return;
+
+      const remote = ref.substring(0, ref.indexOf('/'));
+      if (remotes.has(remote)) {
+        remotes.get(remote).branches.push(ref);
+      }
+    });
+
+    return { success: true, remotes: Array.from(remotes.values()) };
+  } catch (error) {
+    console.error('Error listing remotes:', error);
+    return { success: false, error: error.message, remotes: [] };
+  }
+});
+
+ipcMain.handle('git-remote-add', async (event, workspacePath, name, url) => {
+  try {
+    if (!isValidRemoteName(name)) {
+      throw new Error(`Invalid remote name: ${name}`);
+    }
+    if (typeof url !== 'string' || !url.trim() || url.trim().startsWith('-')) {
+      throw new Error(`Invalid remote URL: ${url}`);
+    }
+
+    await runGit(workspacePath, ['remote', 'add', name, url.trim()]);
+    return { success: true };
+  } catch (error) {
+    console.error('Error adding remote:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git-remote-remove', async (event, workspacePath, name) => {
+  try {
+    if (!isValidRemoteName(name)) {
+      throw new Error(`Invalid remote name: ${name}`);
+    }
+
+    await runGit(workspacePath, ['remote', 'remove', name]);
+    return { success: true };
+  } catch (error) {
+    console.error('Error removing remote:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Set the upstream of the current branch (e.g. "origin/main"), or unset it when empty
+ipcMain.handle('git-set-upstream', async (event, workspacePath, upstream) => {
+  try {
+    if (!upstream) {
+      await runGit(workspacePath, ['branch', '--unset-upstream']);
+      return { success: true };
+    }
+
+    if (!isSafeGitRevision(upstream)) {
+      throw new Error(`Invalid upstream: ${upstream}`);
+    }
+
+    await runGit(workspacePath, ['branch', `--set-upstream-to=${upstream}`]);
+    return { success: true };
+  } catch (error) {
+    console.error('Error setting upstream:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Git Repository Discovery
+
+const GIT_DISCOVERY_MAX_DEPTH = 4;
+const GIT_DISCOVERY_SKIP = new Set(['node_modules', '__pycache__', 'target', 'dist', 'build', 'venv']);
+
+/**
+ * Classify a working tree by its .git entry: a directory for regular
+ * repositories, a "gitdir:" file for submodules (.../modules/...) and linked
+ * worktrees (.../worktrees/...)
+ */
+async function getGitRepositoryKind(repoPath) {
+  const gitPath = path.join(repoPath, '.git');
+  const stat = await fs.stat(gitPath);
+  if (stat.isDirectory()) {
+    return 'repository';
+  }
+
+  const content = await fs.readFile(gitPath, 'utf-8');
+  const match = content.match(/^gitdir:\s*(.+)$/m);
+  const gitDir = match ? match[1].trim().replace(/\\/g, '/') : '';
+
+  if (/\/worktrees\/[^/]+$/.test(gitDir)) {
+    return 'worktree';
+  }
+  if (/\/modules\//.test(gitDir)) {
+    return 'submodule';
+  }
+  return 'repository';
+}
+
+// Find the repository containing the workspace plus every repository, submodule and worktree below it
+ipcMain.handle('git-discover-repositories', async (event, workspacePath) => {
+  try {
+    const repositories = new Map(); // path -> { path, name, kind }
+
+    const addRepository = async (repoPath) => {
+      if (repositories.has(repoPath)) return;
+      const kind = await getGitRepositoryKind(repoPath).catch(() => 'repository');
+      const relativePath = path.relative(workspacePath, repoPath);
+      const name = relativePath && !relativePath.startsWith('..') ? relativePath : path.basename(repoPath);
+      repositories.set(repoPath, { path: repoPath, name, kind });
+    };
+
+    // The workspace may be a repository root or sit somewhere inside one
+    try {
+      const { stdout } = await runGit(workspacePath, ['rev-parse', '--show-cdup']);
+      await addRepository(path.resolve(workspacePath, stdout.trim()));
+    } catch (error) {
+      // Not inside a repository; nested ones are still discovered below
+    }
+
+    const walk = async (dirPath, depth) => {
+      if (depth > GIT_DISCOVERY_MAX_DEPTH) return;
+
+      let entries;
+      try {
+        entries = await fs.readdir(dirPath, { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      for (const entry of entries) {
+        if (!entry.isDirectory() || entry.name.startsWith('.') || GIT_DISCOVERY_SKIP.has(entry.name)) continue;
+
+        const childPath = path.join(dirPath, entry.name);
+        if (fsSync.existsSync(path.join(childPath, '.git'))) {
+          await addRepository(childPath);
+        }
+        await walk(childPath, depth + 1);
+      }
+    };
+    await walk(workspacePath, 1);
+
+    const sorted = Array.from(repositories.values()).sort((a, b) => a.path.localeCompare(b.path));
+    return { success: true, repositories: sorted };
+  } catch (error) {
+    console.error('Error discovering repositories:', error);
+    return { success: false, error: error.message, repositories: [] };
+  }
+});
+
+// Git Worktree Operations
+
+// Parse `git worktree list --porcelain` blocks
+function parseGitWorktreeList(output) {
+  return output.split('\n\n').filter(block => block.trim()).map(block => {
+    const worktree = { path: null, head: null, branch: null, bare: false, detached: false, locked: false, prunable: false };
+
+    block.split('\n').forEach(line => {
+      const [key, ...rest] = line.split(' ');
+      const value = rest.join(' ');
+
+      if (key === 'worktree') worktree.path = value;
+      else if (key === 'HEAD') worktree.head = value;
+      else if (key === 'branch') worktree.branch = value.replace(/^refs\/heads\//, '');
+      else if (key === 'bare') worktree.bare = true;
+      else if (key === 'detached') worktree.detached = true;
+      else if (key === 'locked') worktree.locked = true;
+      else if (key === 'prunable') worktree.prunable = true;
+    });
+
+    return worktree;
+  });
+}
+
+ipcMain.handle('git-worktree-list', async (event, workspacePath) => {
+  try {
+    const { stdout } = await runGit(workspacePath, ['worktree', 'list', '--porcelain']);
+    const worktrees = parseGitWorktreeList(stdout);
+
+    // The first entry is always the main worktree
+    worktrees.forEach((worktree, index) => {
+      worktree.main = index === 0;
+    });
+
+    return { success: true, worktrees };
+  } catch (error) {
+    console.error('Error listing worktrees:', error);
+    return { success: false, error: error.message, worktrees: [] };
+  }
+});
+
+// Check out branch in a new worktree at worktreePath, creating the branch from HEAD if it does not exist
+ipcMain.handle('git-worktree-add', async (event, workspacePath, worktreePath, branch) => {
+  try {
+    if (typeof worktreePath !== 'string' || !path.isAbsolute(worktreePath)) {
+      throw new Error(`Worktree path must be absolute: ${worktreePath}`);
+    }
+    if (!isSafeGitRevision(branch)) {
+      throw new Error(`Invalid branch name: ${branch}`);
+    }
+
+    let branchExists = true;
+    try {
+      await runGit(workspacePath, ['show-ref', '--verify', '--quiet', `refs/heads/${branch}`]);
+    } catch (error) {
+      branchExists = false;
+    }
+
+    const args = branchExists
+      ? ['worktree', 'add', worktreePath, branch]
+      : ['worktree', 'add', '-b', branch, worktreePath];
+
+    await runGit(workspacePath, args);
+    return { success: true, path: worktreePath, createdBranch: !branchExists };
+  } catch (error) {
+    console.error('Error adding worktree:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git-worktree-remove', async (event, workspacePath, worktreePath, force = false) => {
+  try {
+    if (typeof worktreePath !== 'string' || !path.isAbsolute(worktreePath)) {
+      throw new Error(`Worktree path must be absolute: ${worktreePath}`);
+    }
+
+    const args = ['worktree', 'remove'];
+    if (force) {
+      args.push('--force');
+    }
+    args.push(worktreePath);
+
+    await runGit(workspacePath, args);
+    return { success: true };
+  } catch (error) {
+    console.error('Error removing worktree:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Git Rebase Operations
+
+const GIT_REBASE_ACTIONS = ['pick', 'reword', 'squash', 'fixup', 'drop'];
+
+// Quote a value for the sh command lines git runs editors and exec steps with
+function quoteShellArg(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+// Directory in the git dir holding the todo list and reword messages of the running rebase
+async function getGitRebaseFilesDir(workspacePath) {
+  const { stdout } = await runGit(workspacePath, ['rev-parse', '--git-path', 'fast-editor-rebase']);
+  return path.resolve(workspacePath, stdout.trim());
+}
+
+// Remove the rebase files once no rebase needs them any more
+async function removeGitRebaseFiles(workspacePath) {
+  if (await isGitRebaseInProgress(workspacePath)) return;
+  await fs.rm(await getGitRebaseFilesDir(workspacePath), { recursive: true, force: true });
+}
+
+// Whether a rebase has stopped (conflict, empty commit or failed step) and waits for the user
+async function isGitRebaseInProgress(workspacePath) {
+  for (const stateDir of ['rebase-merge', 'rebase-apply']) {
+    const { stdout } = await runGit(workspacePath, ['rev-parse', '--git-path', stateDir]);
+    if (fsSync.existsSync(path.resolve(workspacePath, stdout.trim()))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Describe a failed rebase command, including whether the rebase is now stopped
+async function getGitRebaseFailure(workspacePath, error) {
+  const output = [error.stdout, error.stderr]
+    .filter(text => text && text.trim())
+    .join('\n')
+    .trim();
+  const stopped = await isGitRebaseInProgress(workspacePath).catch(() => false);
+
+  return { success: false, error: error.message, output, stopped };
+}
+
+// Commits an interactive rebase against base would rewrite, oldest first
+ipcMain.handle('git-rebase-commits', async (event, workspacePath, base) => {
+  try {
+    if (!isSafeGitRevision(base)) {
+      throw new Error(`Invalid branch: ${base}`);
+    }
+
+    const { stdout: mergeBase } = await runGit(workspacePath, ['merge-base', 'HEAD', base]);
+    const { stdout } = await runGit(workspacePath, [
+      'log', '--reverse', '--no-merges', `--pretty=format:${GIT_COMMIT_FORMAT}`, `${mergeBase.trim()}..HEAD`
+    ]);
+
+    const commits = stdout
+      .split(GIT_RECORD_SEP)
+      .map(record => record.replace(/^\n/, ''))
+      .filter(record => record.trim())
+      .map(parseGitCommitRecord);
+
+    return { success: true, mergeBase: mergeBase.trim(), commits };
+  } catch (error) {
+    console.error('Error listing rebase commits:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Run an interactive rebase with a prepared todo list instead of an editor.
+ * plan: { base, onto, noVerify, todo: [{ action, hash, message }] }. The rebase
+ * starts from the merge-base with base (only rewriting local commits), or from
+ * base itself when onto is set. Rewords become a pick followed by an amend,
+ * which skips the commit hooks when noVerify is set.
+ */
+ipcMain.handle('git-rebase-start', async (event, workspacePath, plan = {}) => {
+  const { base, onto = false, noVerify = false, todo = [] } = plan;
+
+  try {
+    if (!isSafeGitRevision(base)) {
+      throw new Error(`Invalid branch: ${base}`);
+    }
+    if (todo.length === 0) {
+      throw new Error('Nothing to rebase');
+    }
+
+    todo.forEach(entry => {
+      if (!GIT_REBASE_ACTIONS.includes(entry.action) || !/^[0-9a-f]{40}$/i.test(entry.hash)) {
+        throw new Error(`Invalid rebase step: ${entry.action} ${entry.hash}`);
+      }
+    });
+
+    // The message files of a stopped rebase are still in use
+    if (await isGitRebaseInProgress(workspacePath)) {
+      throw new Error('A rebase is already in progress');
+    }
+
+    const { stdout: mergeBase } = await runGit(workspacePath, ['merge-base', 'HEAD', base]);
+
+    // Kept in the git dir until the rebase finishes or is aborted, since later
+    // reword steps read their message files when a stopped rebase continues
+    const filesDir = await getGitRebaseFilesDir(workspacePath);
+    await fs.rm(filesDir, { recursive: true, force: true });
+    await fs.mkdir(filesDir, { recursive: true });
+
+    const amendArgs = noVerify ? '--allow-empty --no-verify' : '--allow-empty';
+    const lines = [];
+    for (const [index, entry] of todo.entries()) {
+      if (entry.action === 'reword') {
+        const messageFile = path.join(filesDir, `message-${index}`);
+        await fs.writeFile(messageFile, entry.message || '', 'utf-8');
+        lines.push(`pick ${entry.hash}`);
+        lines.push(`exec git commit --amend ${amendArgs} -F ${quoteShellArg(messageFile)}`);
+      } else {
+        lines.push(`${entry.action} ${entry.hash}`);
+      }
+    }
+
+    const todoFile = path.join(filesDir, 'git-rebase-todo');
+    await fs.writeFile(todoFile, lines.join('\n') + '\n', 'utf-8');
+
+    // The sequence editor replaces git's todo with ours; squash messages are accepted as combined.
+    // No time limit: exec steps and hooks run for every commit (git-cancel stops it)
+    await runGit(workspacePath, ['rebase', '-i', onto ? base : mergeBase.trim()], {
+      timeout: 0,
+      env: {
+        GIT_SEQUENCE_EDITOR: `cp ${quoteShellArg(todoFile)}`,
+        GIT_EDITOR: 'true'
+      }
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error rebasing:', error);
+    return getGitRebaseFailure(workspacePath, error);
+  } finally {
+    await removeGitRebaseFiles(workspacePath).catch(() => {});
+  }
+});
+
+ipcMain.handle('git-rebase-status', async (event, workspacePath) => {
+  try {
+    const inProgress = await isGitRebaseInProgress(workspacePath);
+    if (!inProgress) {
+      // A rebase finished outside the editor (e.g. in the terminal) leaves its files behind
+      await removeGitRebaseFiles(workspacePath);
+    }
+    return { success: true, inProgress };
+  } catch (error) {
+    console.error('Error reading rebase status:', error);
+    return { success: false, error: error.message, inProgress: false };
+  }
+});
+
+// Continue, skip or abort a stopped rebase
+async function runGitRebaseCommand(workspacePath, action) {
+  try {
+    // Continuing or skipping replays the remaining steps, so only abort keeps the time limit
+    const runOptions = { env: { GIT_EDITOR: 'true' } };
+    if (action !== 'abort') {
+      runOptions.timeout = 0;
+    }
+
+    await runGit(workspacePath, ['rebase', `--${action}`], runOptions);
+    return { success: true };
+  } catch (error) {
+    console.error(`Error running git rebase --${action}:`, error);
+    return getGitRebaseFailure(workspacePath, error);
+  } finally {
+    await removeGitRebaseFiles(workspacePath).catch(() => {});
+  }
+}
+
+ipcMain.handle('git-rebase-continue', async (event, workspacePath) => {
+  return runGitRebaseCommand(workspacePath, 'continue');
+});
+
+ipcMain.handle('git-rebase-skip', async (event, workspacePath) => {
+  return runGitRebaseCommand(workspacePath, 'skip');
+});
+
+ipcMain.handle('git-rebase-abort', async (event, workspacePath) => {
+  return runGitRebaseCommand(workspacePath, 'abort');
+});
+
+// LSP Operations
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { readLSPMessages, encodeLSPMessage } = require('./lib/lsp-framing');
+
+const lspServers = new Map(); // serverId -> { process, output, webSocket, language, messageBuffer, ... }
+let lspServerIdCounter = 0;
+
+// Built-in language servers. Entries in the user and workspace registry files are merged
+// over these by id, so a file can add a server or override single fields of an existing one.
+const DEFAULT_LSP_SERVERS = {
+  rust: {
+    name: 'rust-analyzer',
+    command: 'rust-analyzer',
+    args: [],
+    globs: ['**/*.rs'],
+    languageId: 'rust',
+    initializationOptions: {
+      cargo: {
+        loadOutDirsFromCheck: true
+      },
+      procMacro: {
+        enable: true
+      }
+    },
+    settings: {}
+  },
+  python: {
+    name: 'pyright',
+    command: 'pyright-langserver',
+    args: ['--stdio'],
+    globs: ['**/*.py', '**/*.pyi'],
+    languageId: 'python',
+    initializationOptions: {},
+    settings: {}
+  }
+};
+
+// Written when the user registry file is opened for the first time
+const LSP_SERVERS_TEMPLATE = {
+  servers: {
+    typescript: {
+      enabled: false,
+      name: 'typescript-language-server',
+      command: 'typescript-language-server',
+      args: ['--stdio'],
+      globs: ['**/*.ts', '**/*.tsx', '**/*.js', '**/*.jsx'],
+      languageId: 'typescript',
+      initializationOptions: {},
+      settings: {}
+    }
+  }
+};
+
+function getLSPServersFilePath(scope, workspacePath) {
+  return scope === 'workspace' ? path.join(workspacePath, WORKSPACE_LSP_SERVERS_FILE) : LSP_SERVERS_FILE;
+}
+
+// Read the "servers" object of a registry file (empty if the file does not exist)
+async function readLSPServersFile(filePath) {
+  if (!fsSync.existsSync(filePath)) return {};
+
+  const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  if (!data || typeof data.servers !== 'object' || Array.isArray(data.servers)) {
+    throw new Error('expected a top-level "servers" object');
+  }
+  return data.servers;
+}
+
+// Return a description of what is wrong with a merged server entry, or null if it is usable
+// stdio/socket/pipe spawn "command"; tcp and websocket connect to a running server instead
+const LSP_TRANSPORTS = ['stdio', 'socket', 'pipe', 'tcp', 'websocket'];
+
+function validateLSPServerConfig(config) {
+  const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+  const transport = config.transport || 'stdio';
+
+  if (!LSP_TRANSPORTS.includes(transport)) return `"transport" must be one of ${LSP_TRANSPORTS.join(', ')}`;
+  if (transport === 'tcp' && !(Number.isInteger(config.port) && config.port > 0 && config.port < 65536)) return '"port" must be a port number';
+  if (transport === 'tcp' && config.host !== undefined && typeof config.host !== 'string') return '"host" must be a string';
+  if (transport === 'websocket' && !(typeof config.url === 'string' && /^wss?:\/\//.test(config.url))) return '"url" must be a ws:// or wss:// URL';
+  if (transport !== 'tcp' && transport !== 'websocket' && (typeof config.command !== 'string' || !config.command.trim())) return '"command" must be a non-empty string';
+  if (config.args !== undefined && !isStringArray(config.args)) return '"args" must be an array of strings';
+  if (!isStringArray(config.globs) || config.globs.length === 0) return '"globs" must be a non-empty array of strings';
+  if (typeof config.languageId !== 'string' || !config.languageId) return '"languageId" must be a string';
+  return null;
+}
+
+// Merge the built-in, user and workspace registries into the servers to run for a workspace
+ipcMain.handle('get-lsp-server-configs', async (event, workspacePath) => {
+  const merged = JSON.parse(JSON.stringify(DEFAULT_LSP_SERVERS));
+  const files = { user: LSP_SERVERS_FILE, workspace: workspacePath ? getLSPServersFilePath('workspace', workspacePath) : null };
+  const errors = [];
+  const workspaceCommands = new Set(); // ids whose command line comes from the workspace file
+
+  for (const scope of ['user', 'workspace']) {
+    if (!files[scope]) continue;
+
+    try {
+      const servers = await readLSPServersFile(files[scope]);
+      for (const [id, config] of Object.entries(servers)) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+          errors.push(`${files[scope]}: server "${id}" must be an object`);
+          continue;
+        }
+        merged[id] = { ...(merged[id] || {}), ...config };
+        if (scope === 'workspace' && ['command', 'args', 'transport', 'host', 'port', 'url'].some(key => config[key] !== undefined)) {
+          workspaceCommands.add(id);
+        }
+      }
+    } catch (error) {
+      console.error(`Error reading ${files[scope]}:`, error);
+      errors.push(`${files[scope]}: ${error.message}`);
+    }
+  }
+
+  const servers = {};
+  for (const [id, config] of Object.entries(merged)) {
+    if (config.enabled === false) continue;
+
+    const problem = validateLSPServerConfig(config);
+    if (problem) {
+      errors.push(`Language server "${id}": ${problem}`);
+      continue;
+    }
+
+    const transport = config.transport || 'stdio';
+    const isRemote = transport === 'tcp' || transport === 'websocket';
+
+    servers[id] = {
+      name: config.name || config.command || id,
+      command: isRemote ? null : config.command,
+      args: config.args || [],
+      transport: {
+        type: transport,
+        host: config.host || '127.0.0.1',
+        port: config.port,
+        url: config.url
+      },
+      globs: config.globs,
+      languageId: config.languageId,
+      monacoLanguage: config.monacoLanguage || config.languageId,
+      initializationOptions: config.initializationOptions || {},
+      settings: config.settings || {},
+      fromWorkspace: workspaceCommands.has(id)
+    };
+  }
+
+  return { success: true, servers, errors, files };
+});
+
+// Create a registry file if needed and return its path so it can be opened in the editor
+ipcMain.handle('ensure-lsp-servers-file', async (event, scope, workspacePath) => {
+  try {
+    if (scope === 'workspace' && !workspacePath) {
+      return { success: false, error: 'No workspace folder is open' };
+    }
+
+    const filePath = getLSPServersFilePath(scope, workspacePath);
+    if (!fsSync.existsSync(filePath)) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const template = scope === 'workspace' ? { servers: {} } : LSP_SERVERS_TEMPLATE;
+      await fs.writeFile(filePath, JSON.stringify(template, null, 2) + '\n');
+    }
+
+    return { success: true, filePath };
+  } catch (error) {
+    console.error('Error creating language server settings file:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Check if an LSP server command is available
+ipcMain.handle('check-lsp-server', async (event, command, workspacePath) => {
+  // Commands come from the registry files, so look them up without going through a shell
+  return new Promise((resolve) => {
+    const checkCmd = process.platform === 'win32' ? 'where' : 'which';
+    const checker = spawn(checkCmd, [command], { cwd: workspacePath || undefined, stdio: 'ignore' });
+    checker.on('error', () => resolve(false));
+    checker.on('exit', (code) => resolve(code === 0));
+  });
+});
+
+// Start an LSP server
+ipcMain.handle('start-lsp-server', async (event, language, command, args, workspacePath, transport = { type: 'stdio' }) => {
+  const serverId = `lsp-${language}-${++lspServerIdCounter}`;
+  let serverData = null;
+
+  try {
+    serverData = {
+      process: null,
+      output: null, // writable end for framed messages (stdin or a socket)
+      webSocket: null,
+      language,
+      webContents: event.sender, // window that owns the server and answers its requests
+      messageBuffer: Buffer.alloc(0), // raw stdout bytes not yet parsed into messages
+      pendingRequests: new Map(), // requestId -> { resolve, reject }
+      requestIdCounter: 0,
+      exited: false
+    };
+    serverData.exitPromise = new Promise(resolve => { serverData.resolveExit = resolve; });
+
+    const type = transport.type || 'stdio';
+    console.log(`Starting LSP server ${serverId} (${type}): ${describeLSPTransport(command, args, transport)}`);
+
+    if (type === 'stdio') {
+      const lspProcess = spawnLSPProcess(serverId, serverData, command, args, workspacePath);
+      if (!lspProcess) return null;
+
+      serverData.output = lspProcess.stdin;
+      lspProcess.stdout.on('data', (data) => {
+        readLSPMessages(serverData, data).forEach(message => handleLSPMessage(serverId, message));
+      });
+    } else if (type === 'socket' || type === 'pipe') {
+      // The server connects back to us: on a TCP port (--socket=N) or a named pipe (--pipe=path)
+      const listener = await listenForLSPServer(type);
+      const flag = type === 'socket' ? `--socket=${listener.address().port}` : `--pipe=${listener.address()}`;
+
+      const lspProcess = spawnLSPProcess(serverId, serverData, command, [...args, flag], workspacePath);
+      if (!lspProcess) {
+        listener.close();
+        return null;
+      }
+
+      // Anything the server prints is log output in these modes
+      lspProcess.stdout.on('data', (data) => {
+        sendToLSPOwner(serverData, 'lsp-stderr', serverId, data.toString());
+      });
+
+      const socket = await acceptLSPConnection(listener, serverData.exitPromise);
+      attachLSPSocket(serverId, serverData, socket);
+    } else if (type === 'tcp') {
+      const socket = await connectLSPSocket(transport.host || '127.0.0.1', transport.port);
+      attachLSPSocket(serverId, serverData, socket);
+    } else if (type === 'websocket') {
+      serverData.webSocket = await connectLSPWebSocket(transport.url, {
+        onMessage: (text) => {
+          // Bridges either forward the stdio stream as is or send one JSON message per frame
+          const messages = text.startsWith('Content-Length')
+            ? readLSPMessages(serverData, Buffer.from(text))
+            : [JSON.parse(text)];
+          messages.forEach(message => handleLSPMessage(serverId, message));
+        },
+        onClose: (code) => handleLSPServerExit(serverId, serverData, code, null),
+        onError: (error) => console.error(`LSP server ${serverId} connection error:`, error)
+      });
+    } else {
+      throw new Error(`Unknown transport "${type}"`);
+    }
+
+    lspServers.set(serverId, serverData);
+
+    console.log(`✅ LSP server ${serverId} started`);
+    return serverId;
+  } catch (error) {
+    console.error(`Error starting LSP server ${serverId}:`, error);
+    if (serverData) {
+      killLSPServer(serverData);
+    }
+    return null;
+  }
+});
+
+function describeLSPTransport(command, args, transport) {
+  switch (transport.type) {
+    case 'tcp':
+      return `${transport.host || '127.0.0.1'}:${transport.port}`;
+    case 'websocket':
+      return transport.url;
+    default:
+      return [command, ...(args || [])].join(' ');
+  }
+}
+
+function spawnLSPProcess(serverId, serverData, command, args, workspacePath) {
+  const lspProcess = spawn(command, args, {
+    cwd: workspacePath,
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+
+  // Spawn failures (and broken pipes) arrive as error events; unhandled they would crash the app
+  lspProcess.on('error', (error) => {
+    console.error(`LSP server ${serverId} error:`, error);
+  });
+  lspProcess.stdin.on('error', (error) => {
+    console.error(`LSP server ${serverId} stdin error:`, error);
+  });
+
+  if (!lspProcess || !lspProcess.pid) {
+    console.error(`Failed to start LSP server ${serverId}`);
+    return null;
+  }
+
+  serverData.process = lspProcess;
+
+  lspProcess.stderr.on('data', (data) => {
+    console.error(`LSP ${serverId} stderr:`, data.toString());
+    sendToLSPOwner(serverData, 'lsp-stderr', serverId, data.toString());
+  });
+
+  lspProcess.on('exit', (code, signal) => {
+    handleLSPServerExit(serverId, serverData, code, signal);
+  });
+
+  return lspProcess;
+}
+
+/**
+ * The process exited or the connection closed
+ */
+function handleLSPServerExit(serverId, serverData, code, signal) {
+  if (serverData.exited) return;
+
+  console.log(`LSP server ${serverId} exited with code ${code}`);
+  serverData.exited = true;
+  serverData.resolveExit();
+
+  // A spawned server whose connection dropped is of no use any more
+  if (isLSPProcessRunning(serverData)) {
+    serverData.process.kill();
+  }
+  if (serverData.output && serverData.output !== (serverData.process && serverData.process.stdin)) {
+    serverData.output.destroy();
+  }
+
+  // Requests still waiting will never get an answer
+  serverData.pendingRequests.forEach(pending => pending.reject(new Error(`LSP server ${serverId} exited`)));
+  serverData.pendingRequests.clear();
+
+  // Servers stopped through stop-lsp-server were already removed; anything else crashed
+  if (lspServers.get(serverId) === serverData) {
+    lspServers.delete(serverId);
+    sendToLSPOwner(serverData, 'lsp-server-exit', serverId, code, signal);
+  }
+}
+
+function isLSPProcessRunning(serverData) {
+  return !!serverData.process && serverData.process.exitCode === null && serverData.process.signalCode === null;
+}
+
+function killLSPServer(serverData) {
+  if (isLSPProcessRunning(serverData)) {
+    serverData.process.kill();
+  }
+  if (serverData.output && serverData.output.destroy) {
+    serverData.output.destroy();
+  }
+  if (serverData.webSocket) {
+    serverData.webSocket.close();
+  }
+}
+
+const LSP_CONNECT_TIMEOUT = 10000;
+
+// Listen on a free local port or a fresh named pipe for a server started with --socket/--pipe
+function listenForLSPServer(type) {
+  return new Promise((resolve, reject) => {
+    const listener = net.createServer();
+    listener.once('error', reject);
+
+    if (type === 'socket') {
+      listener.listen(0, '127.0.0.1', () => resolve(listener));
+    } else {
+      const name = `fast-editor-lsp-${process.pid}-${crypto.randomBytes(6).toString('hex')}`;
+      const pipePath = process.platform === 'win32' ? `\\\\.\\pipe\\${name}` : path.join(os.tmpdir(), `${name}.sock`);
+      listener.listen(pipePath, () => resolve(listener));
+    }
+  });
+}
+
+function acceptLSPConnection(listener, exitPromise) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const settle = (error, socket) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      listener.close(); // one server, one connection
+      if (error) {
+        reject(error);
+      } else {
+        resolve(socket);
+      }
+    };
+
+    const timer = setTimeout(() => settle(new Error('Language server did not connect')), LSP_CONNECT_TIMEOUT);
+    exitPromise.then(() => settle(new Error('Language server exited before connecting')));
+    listener.once('connection', (socket) => settle(null, socket));
+  });
+}
+
+function connectLSPSocket(host, port) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    socket.setTimeout(LSP_CONNECT_TIMEOUT, () => socket.destroy(new Error(`Timed out connecting to ${host}:${port}`)));
+    socket.once('connect', () => {
+      socket.setTimeout(0);
+      socket.removeListener('error', reject);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+// Framed messages over a socket, exactly as over stdio
+function attachLSPSocket(serverId, serverData, socket) {
+  serverData.output = socket;
+
+  socket.on('data', (data) => {
+    readLSPMessages(serverData, data).forEach(message => handleLSPMessage(serverId, message));
+  });
+  socket.on('error', (error) => {
+    console.error(`LSP server ${serverId} socket error:`, error);
+  });
+  socket.on('close', () => {
+    handleLSPServerExit(serverId, serverData, null, null);
+  });
+}
+
+/**
+ * Minimal WebSocket client (RFC 6455) for LSP bridges: text messages only,
+ * which is all JSON-RPC needs
+ */
+function connectLSPWebSocket(url, { onMessage, onClose, onError }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const key = crypto.randomBytes(16).toString('base64');
+    const client = target.protocol === 'wss:' ? https : http;
+
+    const request = client.request({
+      hostname: target.hostname,
+      port: target.port || (target.protocol === 'wss:' ? 443 : 80),
+      path: target.pathname + target.search,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': key,
+        'Sec-WebSocket-Version': '13'
+      },
+      timeout: LSP_CONNECT_TIMEOUT
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Timed out connecting to ${url}`)));
+    request.on('error', reject);
+    request.on('response', (response) => {
+      reject(new Error(`WebSocket upgrade refused: HTTP ${response.statusCode}`));
+      response.resume();
+    });
+
+    request.on('upgrade', (response, socket, head) => {
+      const expected = crypto.createHash('sha1').update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC11B65').digest('base64');
+      if (response.headers['sec-websocket-accept'] !== expected) {
+        socket.destroy();
+        reject(new Error('Invalid WebSocket handshake'));
+        return;
+      }
+
+      let buffer = head && head.length > 0 ? Buffer.from(head) : Buffer.alloc(0);
+      let fragments = [];
+      let closed = false;
+
+      const sendFrame = (opcode, payload, callback) => {
+        // Client frames must be masked
+        const mask = crypto.randomBytes(4);
+        const length = payload.length;
+        const header = length < 126 ? Buffer.alloc(2) : length < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        if (length < 126) {
+          header[1] = 0x80 | length;
+        } else if (length < 65536) {
+          header[1] = 0x80 | 126;
+          header.writeUInt16BE(length, 2);
+        } else {
+          header[1] = 0x80 | 127;
+          header.writeBigUInt64BE(BigInt(length), 2);
+        }
+        const masked = Buffer.alloc(length);
+        for (let i = 0; i < length; i++) {
+          masked[i] = payload[i] ^ mask[i % 4];
+        }
+        socket.write(Buffer.concat([header, mask, masked]), callback);
+      };
+
+      const finish = (code) => {
+        if (closed) return;
+        closed = true;
+        socket.destroy();
+        onClose(code);
+      };
+
+      socket.on('data', (data) => {
+        buffer = Buffer.concat([buffer, data]);
+
+        while (buffer.length >= 2) {
+          const fin = (buffer[0] & 0x80) !== 0;
+          const opcode = buffer[0] & 0x0f;
+          const masked = (buffer[1] & 0x80) !== 0;
+          let length = buffer[1] & 0x7f;
+          let offset = 2;
+
+          if (length === 126) {
+            if (buffer.length < 4) return;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+          } else if (length === 127) {
+            if (buffer.length < 10) return;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+          }
+
+          const maskKey = masked ? buffer.subarray(offset, offset + 4) : null;
+          if (masked) offset += 4;
+          if (buffer.length < offset + length) return;
+
+          let payload = buffer.subarray(offset, offset + length);
+          if (maskKey) {
+            payload = Buffer.from(payload.map((byte, i) => byte ^ maskKey[i % 4]));
+          }
+          buffer = buffer.subarray(offset + length);
+
+          if (opcode === 0x8) {
+            // Close: echo it and drop the connection
+            sendFrame(0x8, payload.subarray(0, 2));
+            finish(payload.length >= 2 ? payload.readUInt16BE(0) : null);
+            return;
+          } else if (opcode === 0x9) {
+            sendFrame(0xA, payload); // ping -> pong
+          } else if (opcode === 0x1 || opcode === 0x2 || opcode === 0x0) {
+            fragments.push(payload);
+            if (fin) {
+              const text = Buffer.concat(fragments).toString('utf8');
+              fragments = [];
+              try {
+                onMessage(text);
+              } catch (error) {
+                console.error('Error parsing LSP message:', error);
+              }
+            }
+          }
+        }
+      });
+
+      socket.on('error', onError);
+      socket.on('close', () => finish(null));
+
+      resolve({
+        send: (text, callback) => sendFrame(0x1, Buffer.from(text, 'utf8'), callback),
+        close: () => {
+          if (!closed) sendFrame(0x8, Buffer.from([0x03, 0xe8]));
+          finish(1000);
+        }
+      });
+    });
+
+    request.end();
+  });
+}
+
+// Send an event to the window that started a server
+function sendToLSPOwner(serverData, channel, ...args) {
+  if (serverData.webContents && !serverData.webContents.isDestroyed()) {
+    serverData.webContents.send(channel, ...args);
+    return true;
+  }
+  return false;
+}
+
+// Handle LSP message (response, server request or notification)
+function handleLSPMessage(serverId, message) {
+  const serverData = lspServers.get(serverId);
+  if (!serverData) return;
+
+  // Response to one of our requests
+  if (message.id !== undefined && !message.method) {
+    const pending = serverData.pendingRequests.get(message.id);
+    if (pending) {
+      serverData.pendingRequests.delete(message.id);
+
+      if (message.error) {
+        pending.reject(new Error(message.error.message));
+      } else {
+        pending.resolve(message.result);
+      }
+    }
+    return;
+  }
+
+  // Request from the server: the renderer answers it through send-lsp-response
+  if (message.id !== undefined) {
+    if (!sendToLSPOwner(serverData, 'lsp-server-request', serverId, message.id, message.method, message.params)) {
+      writeLSPMessage(serverData, createLSPMessage({
+        id: message.id,
+        error: { code: -32803, message: 'No window to handle the request' }
+      }));
+    }
+    return;
+  }
+
+  // Server notifications (diagnostics, progress, messages, etc.)
+  if (message.method === 'textDocument/publishDiagnostics') {
+    sendToLSPOwner(serverData, 'lsp-diagnostics', serverId, message.params);
+  } else {
+    sendToLSPOwner(serverData, 'lsp-notification', serverId, message.method, message.params);
+  }
+}
+
+// Write a JSON-RPC message with its Content-Length header
+function writeLSPMessage(serverData, message, callback) {
+  // WebSocket frames delimit messages themselves
+  if (serverData.webSocket) {
+    serverData.webSocket.send(JSON.stringify(message), callback);
+    return;
+  }
+
+  serverData.output.write(encodeLSPMessage(message), callback);
+}
+
+// Build a JSON-RPC message; requests like shutdown and exit carry no params at all
+function createLSPMessage(fields, params) {
+  const message = { jsonrpc: '2.0', ...fields };
+  if (params !== undefined && params !== null) {
+    message.params = params;
+  }
+  return message;
+}
+
+const LSP_REQUEST_TIMEOUT = 30000;
+const LSP_EXIT_GRACE_PERIOD = 2000;
+
+// Send LSP request
+ipcMain.handle('send-lsp-request', async (event, serverId, method, params, timeout = LSP_REQUEST_TIMEOUT) => {
+  const serverData = lspServers.get(serverId);
+  if (!serverData) {
+    throw new Error(`LSP server ${serverId} not found`);
+  }
+
+  const requestId = ++serverData.requestIdCounter;
+
+  const request = createLSPMessage({ id: requestId, method }, params);
+
+  return new Promise((resolve, reject) => {
+    serverData.pendingRequests.set(requestId, { resolve, reject });
+
+    writeLSPMessage(serverData, request, (error) => {
+      if (error) {
+        serverData.pendingRequests.delete(requestId);
         reject(error);
       }
     });
 
-    // Timeout after 30 seconds
     setTimeout(() => {
       if (serverData.pendingRequests.has(requestId)) {
         serverData.pendingRequests.delete(requestId);
-        reject(new Error('LSP request timeout'));
+        reject(new Error(`LSP request timeout: ${method}`));
       }
-    }, 30000);
+    }, timeout);
   });
 });
 
@@ -1285,23 +2996,637 @@ ipcMain.handle('send-lsp-notification', async (event, serverId, method, params)
     throw new Error(`LSP server ${serverId} not found`);
   }
 
-  const notification = {
-    jsonrpc: '2.0',
-    method,
-    params
-  };
+  writeLSPMessage(serverData, createLSPMessage({ method }, params));
+});
 
-  const notificationContent = JSON.stringify(notification);
-  const notificationMessage = `Content-Length: ${Buffer.byteLength(notificationContent)}\r\n\r\n${notificationContent}`;
+// Answer a request the server sent to the client
+ipcMain.handle('send-lsp-response', async (event, serverId, id, result, error) => {
+  const serverData = lspServers.get(serverId);
+  if (!serverData) return;
 
-  serverData.process.stdin.write(notificationMessage);
+  const response = error
+    ? createLSPMessage({ id, error })
+    : createLSPMessage({ id, result: result === undefined ? null : result });
+  writeLSPMessage(serverData, response);
 });
 
-// Stop LSP server
+// Stop LSP server, giving it a moment to exit by itself after the exit notification
 ipcMain.handle('stop-lsp-server', async (event, serverId) => {
   const serverData = lspServers.get(serverId);
-  if (serverData) {
-    serverData.process.kill();
-    lspServers.delete(serverId);
+  if (!serverData) return;
+
+  lspServers.delete(serverId);
+
+  if (!serverData.exited) {
+    let timer;
+    await Promise.race([
+      serverData.exitPromise,
+      new Promise(resolve => { timer = setTimeout(resolve, LSP_EXIT_GRACE_PERIOD); })
+    ]);
+    clearTimeout(timer);
+  }
+
+  if (!serverData.exited) {
+    killLSPServer(serverData);
+  }
+});
+
+// Debug Adapter Operations
+// DAP uses the same Content-Length framing as LSP, so adapters share the LSP stream
+// helpers (readLSPMessages, writeLSPMessage, sendToLSPOwner, killLSPServer)
+const debugSessions = new Map(); // sessionId -> { process, output, type, messageBuffer, pendingRequests, seq, ... }
+let debugSessionIdCounter = 0;
+
+// Built-in debug adapters by configuration "type"; all of them speak DAP over stdio.
+// The "adapters" object of a workspace launch.json is merged over these.
+// Node has no entry: js-debug (the "pwa-node" adapter) only runs as a TCP server
+// (dapDebugServer.js) and debugs each process in a child session started through the
+// startDebugging reverse request, while sessions here are single stdio connections.
+const DEFAULT_DEBUG_ADAPTERS = {
+  python: {
+    name: 'debugpy',
+    command: process.platform === 'win32' ? 'python' : 'python3',
+    args: ['-m', 'debugpy.adapter']
+  },
+  lldb: {
+    name: 'lldb-dap',
+    command: 'lldb-dap',
+    args: []
+  }
+};
+
+// Written when a workspace's launch.json is opened for the first time
+const LAUNCH_TEMPLATE = {
+  configurations: [
+    {
+      name: 'Python: Current File',
+      type: 'python',
+      request: 'launch',
+      program: '${file}',
+      cwd: '${workspaceFolder}',
+      console: 'internalConsole'
+    }
+  ],
+  adapters: {}
+};
+
+// Return a description of what is wrong with a launch configuration, or null if it is usable
+function validateDebugConfiguration(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return 'must be an object';
+  if (typeof config.name !== 'string' || !config.name) return '"name" must be a string';
+  if (typeof config.type !== 'string' || !config.type) return '"type" must be a string';
+  if (config.request !== 'launch' && config.request !== 'attach') return '"request" must be "launch" or "attach"';
+  return null;
+}
+
+function validateDebugAdapter(adapter) {
+  if (typeof adapter.command !== 'string' || !adapter.command.trim()) return '"command" must be a non-empty string';
+  if (adapter.args !== undefined && !(Array.isArray(adapter.args) && adapter.args.every(arg => typeof arg === 'string'))) {
+    return '"args" must be an array of strings';
+  }
+  return null;
+}
+
+// Launch configurations and adapters of a workspace (built-in adapters only if it has no launch.json)
+ipcMain.handle('get-debug-configurations', async (event, workspacePath) => {
+  const filePath = path.join(workspacePath, WORKSPACE_LAUNCH_FILE);
+  const merged = JSON.parse(JSON.stringify(DEFAULT_DEBUG_ADAPTERS));
+  const workspaceCommands = new Set(); // types whose command line comes from the workspace file
+  const errors = [];
+  let configurations = [];
+
+  try {
+    if (fsSync.existsSync(filePath)) {
+      const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+      if (!data || !Array.isArray(data.configurations)) {
+        throw new Error('expected a top-level "configurations" array');
+      }
+
+      configurations = data.configurations.filter((config, index) => {
+        const problem = validateDebugConfiguration(config);
+        if (problem) errors.push(`${filePath}: configuration ${index + 1} ${problem}`);
+        return !problem;
+      });
+
+      for (const [type, adapter] of Object.entries(data.adapters || {})) {
+        if (!adapter || typeof adapter !== 'object' || Array.isArray(adapter)) {
+          errors.push(`${filePath}: adapter "${type}" must be an object`);
+          continue;
+        }
+        merged[type] = { ...(merged[type] || {}), ...adapter };
+        if (adapter.command !== undefined || adapter.args !== undefined) {
+          workspaceCommands.add(type);
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`Error reading ${filePath}:`, error);
+    errors.push(`${filePath}: ${error.message}`);
+  }
+
+  const adapters = {};
+  for (const [type, adapter] of Object.entries(merged)) {
+    const problem = validateDebugAdapter(adapter);
+    if (problem) {
+      errors.push(`Debug adapter "${type}": ${problem}`);
+      continue;
+    }
+
+    adapters[type] = {
+      name: adapter.name || adapter.command,
+      command: adapter.command,
+      args: adapter.args || [],
+      fromWorkspace: workspaceCommands.has(type)
+    };
+  }
+
+  return { success: true, configurations, adapters, errors, filePath };
+});
+
+// Create the workspace launch.json if needed and return its path so it can be opened in the editor
+ipcMain.handle('ensure-launch-file', async (event, workspacePath) => {
+  try {
+    if (!workspacePath) {
+      return { success: false, error: 'No workspace folder is open' };
+    }
+
+    const filePath = path.join(workspacePath, WORKSPACE_LAUNCH_FILE);
+    if (!fsSync.existsSync(filePath)) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(LAUNCH_TEMPLATE, null, 2) + '\n');
+    }
+
+    return { success: true, filePath };
+  } catch (error) {
+    console.error('Error creating launch configuration file:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Start a debug adapter; the renderer drives the session (initialize, launch, ...) through send-debug-request
+ipcMain.handle('start-debug-adapter', async (event, type, command, args, workspacePath) => {
+  const sessionId = `debug-${type}-${++debugSessionIdCounter}`;
+
+  try {
+    console.log(`Starting debug adapter ${sessionId}: ${[command, ...args].join(' ')}`);
+
+    const adapterProcess = spawn(command, args, {
+      cwd: workspacePath,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    adapterProcess.on('error', (error) => {
+      console.error(`Debug adapter ${sessionId} error:`, error);
+    });
+    adapterProcess.stdin.on('error', (error) => {
+      console.error(`Debug adapter ${sessionId} stdin error:`, error);
+    });
+
+    if (!adapterProcess.pid) {
+      console.error(`Failed to start debug adapter ${sessionId}`);
+      return null;
+    }
+
+    const sessionData = {
+      process: adapterProcess,
+      output: adapterProcess.stdin,
+      type,
+      webContents: event.sender, // window that drives the session and answers reverse requests
+      messageBuffer: Buffer.alloc(0),
+      pendingRequests: new Map(), // request seq -> { resolve, reject }
+      seq: 0,
+      exited: false
+    };
+    sessionData.exitPromise = new Promise(resolve => { sessionData.resolveExit = resolve; });
+
+    adapterProcess.stdout.on('data', (data) => {
+      readLSPMessages(sessionData, data).forEach(message => handleDebugMessage(sessionId, sessionData, message));
+    });
+
+    adapterProcess.stderr.on('data', (data) => {
+      sendToLSPOwner(sessionData, 'debug-adapter-stderr', sessionId, data.toString());
+    });
+
+    adapterProcess.on('exit', (code, signal) => {
+      handleDebugAdapterExit(sessionId, sessionData, code, signal);
+    });
+
+    debugSessions.set(sessionId, sessionData);
+    return sessionId;
+  } catch (error) {
+    console.error(`Error starting debug adapter ${sessionId}:`, error);
+    return null;
+  }
+});
+
+function handleDebugAdapterExit(sessionId, sessionData, code, signal) {
+  if (sessionData.exited) return;
+
+  console.log(`Debug adapter ${sessionId} exited with code ${code}`);
+  sessionData.exited = true;
+  sessionData.resolveExit();
+
+  sessionData.pendingRequests.forEach(pending => pending.reject(new Error('Debug adapter exited')));
+  sessionData.pendingRequests.clear();
+
+  // Adapters stopped through stop-debug-adapter were already removed
+  if (debugSessions.get(sessionId) === sessionData) {
+    debugSessions.delete(sessionId);
+    sendToLSPOwner(sessionData, 'debug-adapter-exit', sessionId, code, signal);
+  }
+}
+
+// Handle a DAP message (response, event or reverse request)
+function handleDebugMessage(sessionId, sessionData, message) {
+  if (message.type === 'response') {
+    const pending = sessionData.pendingRequests.get(message.request_seq);
+    if (!pending) return;
+
+    sessionData.pendingRequests.delete(message.request_seq);
+    if (message.success) {
+      pending.resolve(message.body);
+    } else {
+      pending.reject(new Error(formatDebugError(message)));
+    }
+  } else if (message.type === 'event') {
+    sendToLSPOwner(sessionData, 'debug-event', sessionId, message.event, message.body);
+  } else if (message.type === 'request') {
+    // Reverse request (runInTerminal, startDebugging): the renderer answers through send-debug-response
+    if (!sendToLSPOwner(sessionData, 'debug-adapter-request', sessionId, message.seq, message.command, message.arguments)) {
+      writeLSPMessage(sessionData, createDebugResponse(sessionData, message.seq, message.command, false, undefined, 'No window to handle the request'));
+    }
+  }
+}
+
+// Error responses carry a short message and optionally a format string with {variables}
+function formatDebugError(response) {
+  const error = response.body && response.body.error;
+  if (error && error.format) {
+    return error.format.replace(/\{(\w+)\}/g, (match, name) =>
+      error.variables && error.variables[name] !== undefined ? error.variables[name] : match);
+  }
+  return response.message || `${response.command} failed`;
+}
+
+function createDebugResponse(sessionData, requestSeq, command, success, body, message) {
+  const response = { seq: ++sessionData.seq, type: 'response', request_seq: requestSeq, command, success };
+  if (body !== undefined) response.body = body;
+  if (message) response.message = message;
+  return response;
+}
+
+const DEBUG_REQUEST_TIMEOUT = 30000;
+
+// Send a DAP request and resolve with the response body
+ipcMain.handle('send-debug-request', async (event, sessionId, command, args, timeout = DEBUG_REQUEST_TIMEOUT) => {
+  const sessionData = debugSessions.get(sessionId);
+  if (!sessionData) {
+    throw new Error(`Debug session ${sessionId} not found`);
+  }
+
+  const seq = ++sessionData.seq;
+  const request = { seq, type: 'request', command };
+  if (args !== undefined && args !== null) {
+    request.arguments = args;
+  }
+
+  return new Promise((resolve, reject) => {
+    sessionData.pendingRequests.set(seq, { resolve, reject });
+
+    writeLSPMessage(sessionData, request, (error) => {
+      if (error) {
+        sessionData.pendingRequests.delete(seq);
+        reject(error);
+      }
+    });
+
+    setTimeout(() => {
+      if (sessionData.pendingRequests.has(seq)) {
+        sessionData.pendingRequests.delete(seq);
+        reject(new Error(`Debug request timeout: ${command}`));
+      }
+    }, timeout);
+  });
+});
+
+// Answer a reverse request the adapter sent to the client
+ipcMain.handle('send-debug-response', async (event, sessionId, requestSeq, command, success, body, message) => {
+  const sessionData = debugSessions.get(sessionId);
+  if (!sessionData) return;
+
+  writeLSPMessage(sessionData, createDebugResponse(sessionData, requestSeq, command, success, body, message));
+});
+
+// Stop a debug adapter, giving it a moment to exit by itself after the disconnect request
+ipcMain.handle('stop-debug-adapter', async (event, sessionId) => {
+  const sessionData = debugSessions.get(sessionId);
+  if (!sessionData) return;
+
+  debugSessions.delete(sessionId);
+
+  if (!sessionData.exited) {
+    let timer;
+    await Promise.race([
+      sessionData.exitPromise,
+      new Promise(resolve => { timer = setTimeout(resolve, LSP_EXIT_GRACE_PERIOD); })
+    ]);
+    clearTimeout(timer);
+  }
+
+  if (!sessionData.exited) {
+    killLSPServer(sessionData);
+  }
+});
+
+// Task Operations
+// Tasks are shell command lines run in a terminal (create-terminal with options.command).
+// They are detected from the workspace's build files, plus custom ones from tasks.json.
+const { validateTask, normalizeTask, TASK_DETECTORS } = require('./lib/tasks');
+
+// Written when a workspace's tasks.json is opened for the first time
+const TASKS_TEMPLATE = {
+  tasks: [
+    {
+      label: 'build',
+      command: 'make',
+      args: [],
+      group: 'build',
+      problemMatcher: ['gcc']
+    }
+  ]
+};
+
+// Custom tasks from tasks.json first, then the detected ones
+ipcMain.handle('get-tasks', async (event, workspacePath) => {
+  const filePath = path.join(workspacePath, WORKSPACE_TASKS_FILE);
+  const errors = [];
+  const tasks = [];
+
+  try {
+    if (fsSync.existsSync(filePath)) {
+      const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+      if (!data || !Array.isArray(data.tasks)) {
+        throw new Error('expected a top-level "tasks" array');
+      }
+
+      data.tasks.forEach((task, index) => {
+        const problem = validateTask(task);
+        if (problem) {
+          errors.push(`${filePath}: task ${index + 1} ${problem}`);
+        } else {
+          tasks.push(normalizeTask(task));
+        }
+      });
+    }
+  } catch (error) {
+    console.error(`Error reading ${filePath}:`, error);
+    errors.push(`${filePath}: ${error.message}`);
+  }
+
+  for (const [fileName, detect] of TASK_DETECTORS) {
+    try {
+      tasks.push(...await detect(workspacePath));
+    } catch (error) {
+      console.error(`Error detecting tasks from ${fileName}:`, error);
+      errors.push(`${fileName}: ${error.message}`);
+    }
+  }
+
+  return { success: true, tasks, errors, filePath };
+});
+
+// Create the workspace tasks.json if needed and return its path so it can be opened in the editor
+ipcMain.handle('ensure-tasks-file', async (event, workspacePath) => {
+  try {
+    if (!workspacePath) {
+      return { success: false, error: 'No workspace folder is open' };
+    }
+
+    const filePath = path.join(workspacePath, WORKSPACE_TASKS_FILE);
+    if (!fsSync.existsSync(filePath)) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(TASKS_TEMPLATE, null, 2) + '\n');
+    }
+
+    return { success: true, filePath };
+  } catch (error) {
+    console.error('Error creating tasks file:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Test Operations
+// Tests are found by reading test files (nothing is run to discover them) and run with the
+// framework's own command line; results come from its JSON, JUnit XML, TAP or text output.
+const {
+  TEST_DISCOVERY_MAX_FILES,
+  TEST_DISCOVERY_SKIP,
+  detectTestFrameworks,
+  getTestFileFramework,
+  discoverTestFile,
+  spawnTestCommand,
+  buildTestCommand,
+  parseJestResults,
+  parseTapResults,
+  parseJUnitResults,
+  parseCargoResults
+} = require('./lib/tests');
+const testRuns = new Map(); // runId -> child process
+
+// Test files of a workspace, grouped by file
+ipcMain.handle('discover-tests', async (event, workspacePath) => {
+  const errors = [];
+  const files = [];
+
+  try {
+    const frameworks = detectTestFrameworks(workspacePath);
+    const candidates = [];
+
+    const walk = async (dirPath) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dirPath, { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      for (const entry of entries) {
+        if (candidates.length >= TEST_DISCOVERY_MAX_FILES) return;
+        if (entry.name.startsWith('.') || TEST_DISCOVERY_SKIP.has(entry.name)) continue;
+
+        const entryPath = path.join(dirPath, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (entry.isFile()) {
+          const framework = getTestFileFramework(path.relative(workspacePath, entryPath), frameworks);
+          if (framework) candidates.push([entryPath, framework]);
+        }
+      }
+    };
+    await walk(workspacePath);
+
+    for (const [filePath, framework] of candidates) {
+      try {
+        const file = await discoverTestFile(workspacePath, filePath, framework);
+        if (file) files.push(file);
+      } catch (error) {
+        errors.push(`${filePath}: ${error.message}`);
+      }
+    }
+
+    files.sort((a, b) => a.label.localeCompare(b.label));
+    return { success: true, files, frameworks, errors };
+  } catch (error) {
+    console.error('Error discovering tests:', error);
+    return { success: false, error: error.message, files: [], errors };
+  }
+});
+
+// Re-read one test file after it was saved; file is null if it no longer has tests
+ipcMain.handle('discover-test-file', async (event, workspacePath, filePath) => {
+  try {
+    const framework = getTestFileFramework(path.relative(workspacePath, filePath), detectTestFrameworks(workspacePath));
+    const file = framework ? await discoverTestFile(workspacePath, filePath, framework) : null;
+    return { success: true, file };
+  } catch (error) {
+    console.error(`Error discovering tests in ${filePath}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+async function readTestReport(reportFile) {
+  try {
+    return await fs.readFile(reportFile, 'utf-8');
+  } catch (error) {
+    return null; // The run failed before writing a report
+  } finally {
+    fs.unlink(reportFile).catch(() => {});
+  }
+}
+
+// Run tests, streaming their output as test-output events, and resolve with the parsed results
+ipcMain.handle('run-tests', async (event, runId, workspacePath, request) => {
+  const reportFile = path.join(os.tmpdir(), `fast-editor-tests-${process.pid}-${runId}.${request.framework === 'pytest' ? 'xml' : 'json'}`);
+  let testCommand;
+  try {
+    testCommand = buildTestCommand(workspacePath, request, reportFile);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  const { command, args, report, namePattern, targetFile } = testCommand;
+  const sender = event.sender;
+  const send = text => {
+    if (!sender.isDestroyed()) sender.send('test-output', runId, text);
+  };
+  send(`> ${[command, ...args].join(' ')}\n\n`);
+
+  return new Promise((resolve) => {
+    const child = spawnTestCommand(command, args, {
+      cwd: workspacePath,
+      env: { ...process.env, NO_COLOR: '1', FORCE_COLOR: '0', CARGO_TERM_COLOR: 'never' },
+      detached: process.platform !== 'win32' // Own process group, so cancelling also stops test workers
+    });
+    testRuns.set(runId, child);
+
+    let stdout = '';
+    child.stdout.on('data', (data) => {
+      const text = data.toString();
+      stdout += text;
+      send(text);
+    });
+    child.stderr.on('data', (data) => send(data.toString()));
+
+    child.on('error', (error) => {
+      testRuns.delete(runId);
+      const message = error.code === 'ENOENT' ? `${command} not found` : error.message;
+      resolve({ success: false, error: message });
+    });
+
+    child.on('close', async (code, signal) => {
+      const cancelled = child.cancelled === true;
+      testRuns.delete(runId);
+
+      let results = [];
+      try {
+        if (report === 'json') {
+          const content = await readTestReport(reportFile);
+          if (content) results = parseJestResults(JSON.parse(content));
+        } else if (report === 'junit') {
+          const content = await readTestReport(reportFile);
+          if (content) results = parseJUnitResults(content, workspacePath);
+        } else if (report === 'tap') {
+          results = parseTapResults(stdout);
+        } else {
+          // Only an integration test target (tests/*.rs) tells which file its tests are in
+          results = parseCargoResults(stdout).map(result => ({ ...result, file: targetFile }));
+        }
+
+        // Tests left out by -t/--grep are reported as skipped, which would hide their last result
+        if (namePattern) {
+          const pattern = new RegExp(namePattern);
+          results = results.filter(result => !result.name || pattern.test(result.name));
+        }
+      } catch (error) {
+        console.error('Error reading test results:', error);
+        send(`\nCould not read the test results: ${error.message}\n`);
+      }
+
+      resolve({ success: true, exitCode: code, signal, cancelled, results });
+    });
+  });
+});
+
+function killTestRun(child) {
+  child.cancelled = true;
+  try {
+    if (process.platform !== 'win32') {
+      process.kill(-child.pid);
+    } else {
+      child.kill();
+    }
+  } catch (error) {
+    child.kill();
   }
+}
+
+ipcMain.handle('cancel-test-run', async (event, runId) => {
+  const child = testRuns.get(runId);
+  if (!child) return false;
+
+  killTestRun(child);
+  return true;
+});
+
+// Build the tests of a cargo target without running them and return the test executable to debug
+ipcMain.handle('get-test-executable', async (event, workspacePath, target) => {
+  const args = ['test', '--no-run', '--message-format=json', ...(target ? ['--test', target] : [])];
+
+  return new Promise((resolve) => {
+    execFile('cargo', args, { cwd: workspacePath, maxBuffer: 1024 * 1024 * 50 }, (error, stdout, stderr) => {
+      const executables = [];
+      for (const line of stdout.split(/\r?\n/)) {
+        try {
+          const message = JSON.parse(line);
+          if (message.reason === 'compiler-artifact' && message.profile && message.profile.test && message.executable) {
+            executables.push({ kinds: message.target.kind, name: message.target.name, executable: message.executable });
+          }
+        } catch (parseError) {
+          // Not a JSON message
+        }
+      }
+
+      const match = target
+        ? executables.find(artifact => artifact.kinds.includes('test') && artifact.name === target)
+        : executables.find(artifact => artifact.kinds.some(kind => kind.endsWith('lib'))) ||
+          executables.find(artifact => artifact.kinds.includes('bin'));
+
+      if (match) {
+        resolve({ success: true, executable: match.executable });
+      } else {
+        const lastError = stderr.trim().split(/\r?\n/).filter(line => /^error/.test(line)).pop();
+        resolve({ success: false, error: lastError || (error ? error.message : 'No test executable was built') });
+      }
+    });
+  });
 });
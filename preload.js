@@ -17,6 +17,7 @@ contextBridge.exposeInMainWorld('api', {
   loadWorkspaceState: () => ipcRenderer.invoke('load-workspace-state'),
   saveWorkspaceState: (state) => ipcRenderer.invoke('save-workspace-state', state),
   getRecentWorkspaces: () => ipcRenderer.invoke('get-recent-workspaces'),
+  openFolderInNewWindow: (folderPath) => ipcRenderer.invoke('open-folder-in-new-window', folderPath),
 
   // File Management operations
   createFile: (filePath, content) => ipcRenderer.invoke('create-file', filePath, content),
@@ -26,14 +27,14 @@ contextBridge.exposeInMainWorld('api', {
   pathExists: (targetPath) => ipcRenderer.invoke('path-exists', targetPath),
 
   // Terminal operations
-  createTerminal: () => ipcRenderer.invoke('create-terminal'),
+  createTerminal: (options) => ipcRenderer.invoke('create-terminal', options),
   terminalWrite: (terminalId, data) => ipcRenderer.invoke('terminal-write', terminalId, data),
   terminalResize: (terminalId, cols, rows) => ipcRenderer.invoke('terminal-resize', terminalId, cols, rows),
   terminalKill: (terminalId) => ipcRenderer.invoke('terminal-kill', terminalId),
 
   // Event listeners
   onTerminalData: (callback) => ipcRenderer.on('terminal-data', (event, terminalId, data) => callback(terminalId, data)),
-  onTerminalExit: (callback) => ipcRenderer.on('terminal-exit', (event, terminalId) => callback(terminalId)),
+  onTerminalExit: (callback) => ipcRenderer.on('terminal-exit', (event, terminalId, exitCode, signal) => callback(terminalId, exitCode, signal)),
   onMenuOpenFile: (callback) => ipcRenderer.on('menu-open-file', callback),
   onMenuOpenFolder: (callback) => ipcRenderer.on('menu-open-folder', callback),
   onMenuSaveFile: (callback) => ipcRenderer.on('menu-save-file', callback),
@@ -77,6 +78,8 @@ contextBridge.exposeInMainWorld('api', {
   onMenuGotoTypeDefinition: (callback) => ipcRenderer.on('menu-goto-type-definition', callback),
   onMenuGotoImplementation: (callback) => ipcRenderer.on('menu-goto-implementation', callback),
   onMenuFindReferences: (callback) => ipcRenderer.on('menu-find-references', callback),
+  onMenuShowCallHierarchy: (callback) => ipcRenderer.on('menu-show-call-hierarchy', callback),
+  onMenuShowTypeHierarchy: (callback) => ipcRenderer.on('menu-show-type-hierarchy', callback),
 
   // Error navigation listeners
   onMenuNextError: (callback) => ipcRenderer.on('menu-next-error', callback),
@@ -87,6 +90,12 @@ contextBridge.exposeInMainWorld('api', {
   onMenuToggleMinimap: (callback) => ipcRenderer.on('menu-toggle-minimap', callback),
   onMenuToggleBreadcrumbs: (callback) => ipcRenderer.on('menu-toggle-breadcrumbs', callback),
   onMenuOpenDiffEditor: (callback) => ipcRenderer.on('menu-open-diff-editor', callback),
+  onMenuToggleProblems: (callback) => ipcRenderer.on('menu-toggle-problems', callback),
+  onMenuToggleDebugConsole: (callback) => ipcRenderer.on('menu-toggle-debug-console', callback),
+  onMenuToggleLSPOutput: (callback) => ipcRenderer.on('menu-toggle-lsp-output', callback),
+  onMenuRestartLanguageServer: (callback) => ipcRenderer.on('menu-restart-language-server', callback),
+  onMenuConfigureLanguageServers: (callback) => ipcRenderer.on('menu-configure-language-servers', callback),
+  onMenuConfigureWorkspaceLanguageServers: (callback) => ipcRenderer.on('menu-configure-workspace-language-servers', callback),
 
   // Theme listeners
   onMenuThemeDark: (callback) => ipcRenderer.on('menu-theme-dark', callback),
@@ -107,13 +116,45 @@ contextBridge.exposeInMainWorld('api', {
   getGitDiff: (workspacePath, filePath) => ipcRenderer.invoke('get-git-diff', workspacePath, filePath),
   gitAdd: (workspacePath, filePath) => ipcRenderer.invoke('git-add', workspacePath, filePath),
   gitReset: (workspacePath, filePath) => ipcRenderer.invoke('git-reset', workspacePath, filePath),
-  gitCommit: (workspacePath, message) => ipcRenderer.invoke('git-commit', workspacePath, message),
+  gitCommit: (workspacePath, message, options) => ipcRenderer.invoke('git-commit', workspacePath, message, options),
   gitPush: (workspacePath) => ipcRenderer.invoke('git-push', workspacePath),
   gitPull: (workspacePath) => ipcRenderer.invoke('git-pull', workspacePath),
   getCurrentBranch: (workspacePath) => ipcRenderer.invoke('get-current-branch', workspacePath),
   getAllBranches: (workspacePath) => ipcRenderer.invoke('get-all-branches', workspacePath),
   switchBranch: (workspacePath, branchName) => ipcRenderer.invoke('switch-branch', workspacePath, branchName),
   createBranch: (workspacePath, branchName, switchToIt) => ipcRenderer.invoke('create-branch', workspacePath, branchName, switchToIt),
+  gitCancel: (workspacePath) => ipcRenderer.invoke('git-cancel', workspacePath),
+  gitLog: (workspacePath, options) => ipcRenderer.invoke('git-log', workspacePath, options),
+  gitShow: (workspacePath, revision) => ipcRenderer.invoke('git-show', workspacePath, revision),
+  gitShowFile: (workspacePath, revision, filePath) => ipcRenderer.invoke('git-show-file', workspacePath, revision, filePath),
+  gitBlame: (workspacePath, filePath) => ipcRenderer.invoke('git-blame', workspacePath, filePath),
+  getGitHunks: (workspacePath, filePath) => ipcRenderer.invoke('get-git-hunks', workspacePath, filePath),
+  gitApplyHunk: (workspacePath, header, hunk, action, selection) =>
+    ipcRenderer.invoke('git-apply-hunk', workspacePath, header, hunk, action, selection),
+  getGitConflictVersions: (workspacePath, filePath) => ipcRenderer.invoke('get-git-conflict-versions', workspacePath, filePath),
+  gitStashPush: (workspacePath, options) => ipcRenderer.invoke('git-stash-push', workspacePath, options),
+  gitStashList: (workspacePath) => ipcRenderer.invoke('git-stash-list', workspacePath),
+  gitStashShow: (workspacePath, ref) => ipcRenderer.invoke('git-stash-show', workspacePath, ref),
+  gitStashApply: (workspacePath, ref) => ipcRenderer.invoke('git-stash-apply', workspacePath, ref),
+  gitStashPop: (workspacePath, ref) => ipcRenderer.invoke('git-stash-pop', workspacePath, ref),
+  gitStashDrop: (workspacePath, ref) => ipcRenderer.invoke('git-stash-drop', workspacePath, ref),
+  gitFetch: (workspacePath, remote) => ipcRenderer.invoke('git-fetch', workspacePath, remote),
+  gitRemoteList: (workspacePath) => ipcRenderer.invoke('git-remote-list', workspacePath),
+  gitRemoteAdd: (workspacePath, name, url) => ipcRenderer.invoke('git-remote-add', workspacePath, name, url),
+  gitRemoteRemove: (workspacePath, name) => ipcRenderer.invoke('git-remote-remove', workspacePath, name),
+  gitSetUpstream: (workspacePath, upstream) => ipcRenderer.invoke('git-set-upstream', workspacePath, upstream),
+  gitDiscoverRepositories: (workspacePath) => ipcRenderer.invoke('git-discover-repositories', workspacePath),
+  gitWorktreeList: (workspacePath) => ipcRenderer.invoke('git-worktree-list', workspacePath),
+  gitWorktreeAdd: (workspacePath, worktreePath, branch) =>
+    ipcRenderer.invoke('git-worktree-add', workspacePath, worktreePath, branch),
+  gitWorktreeRemove: (workspacePath, worktreePath, force) =>
+    ipcRenderer.invoke('git-worktree-remove', workspacePath, worktreePath, force),
+  gitRebaseCommits: (workspacePath, base) => ipcRenderer.invoke('git-rebase-commits', workspacePath, base),
+  gitRebaseStart: (workspacePath, plan) => ipcRenderer.invoke('git-rebase-start', workspacePath, plan),
+  gitRebaseStatus: (workspacePath) => ipcRenderer.invoke('git-rebase-status', workspacePath),
+  gitRebaseContinue: (workspacePath) => ipcRenderer.invoke('git-rebase-continue', workspacePath),
+  gitRebaseSkip: (workspacePath) => ipcRenderer.invoke('git-rebase-skip', workspacePath),
+  gitRebaseAbort: (workspacePath) => ipcRenderer.invoke('git-rebase-abort', workspacePath),
 
   // Git menu listeners
   onMenuGitRefresh: (callback) => ipcRenderer.on('menu-git-refresh', callback),
@@ -122,17 +163,84 @@ contextBridge.exposeInMainWorld('api', {
   onMenuGitCommit: (callback) => ipcRenderer.on('menu-git-commit', callback),
   onMenuGitPush: (callback) => ipcRenderer.on('menu-git-push', callback),
   onMenuGitPull: (callback) => ipcRenderer.on('menu-git-pull', callback),
+  onMenuGitFetch: (callback) => ipcRenderer.on('menu-git-fetch', callback),
+  onMenuGitSync: (callback) => ipcRenderer.on('menu-git-sync', callback),
+  onMenuGitRemotes: (callback) => ipcRenderer.on('menu-git-remotes', callback),
+  onMenuGitRebase: (callback) => ipcRenderer.on('menu-git-rebase', callback),
+  onMenuGitHistory: (callback) => ipcRenderer.on('menu-git-history', callback),
+  onMenuGitFileHistory: (callback) => ipcRenderer.on('menu-git-file-history', callback),
+  onMenuGitToggleBlame: (callback) => ipcRenderer.on('menu-git-toggle-blame', callback),
 
   // LSP operations
-  checkLSPServer: (command) => ipcRenderer.invoke('check-lsp-server', command),
-  startLSPServer: (language, command, args, workspacePath) =>
-    ipcRenderer.invoke('start-lsp-server', language, command, args, workspacePath),
-  sendLSPRequest: (serverId, method, params) =>
-    ipcRenderer.invoke('send-lsp-request', serverId, method, params),
+  checkLSPServer: (command, workspacePath) => ipcRenderer.invoke('check-lsp-server', command, workspacePath),
+  getLSPServerConfigs: (workspacePath) => ipcRenderer.invoke('get-lsp-server-configs', workspacePath),
+  ensureLSPServersFile: (scope, workspacePath) => ipcRenderer.invoke('ensure-lsp-servers-file', scope, workspacePath),
+  startLSPServer: (language, command, args, workspacePath, transport) =>
+    ipcRenderer.invoke('start-lsp-server', language, command, args, workspacePath, transport),
+  sendLSPRequest: (serverId, method, params, timeout) =>
+    ipcRenderer.invoke('send-lsp-request', serverId, method, params, timeout),
   sendLSPNotification: (serverId, method, params) =>
     ipcRenderer.invoke('send-lsp-notification', serverId, method, params),
   stopLSPServer: (serverId) => ipcRenderer.invoke('stop-lsp-server', serverId),
+  sendLSPResponse: (serverId, id, result, error) =>
+    ipcRenderer.invoke('send-lsp-response', serverId, id, result, error),
   onLSPDiagnostics: (callback) => ipcRenderer.on('lsp-diagnostics', (event, serverId, params) => callback(serverId, params)),
+  onLSPServerExit: (callback) => ipcRenderer.on('lsp-server-exit', (event, serverId, code, signal) => callback(serverId, code, signal)),
+  onLSPServerRequest: (callback) => ipcRenderer.on('lsp-server-request', (event, serverId, id, method, params) => callback(serverId, id, method, params)),
+  onLSPNotification: (callback) => ipcRenderer.on('lsp-notification', (event, serverId, method, params) => callback(serverId, method, params)),
+  onLSPStderr: (callback) => ipcRenderer.on('lsp-stderr', (event, serverId, text) => callback(serverId, text)),
+
+  // Debug operations
+  getDebugConfigurations: (workspacePath) => ipcRenderer.invoke('get-debug-configurations', workspacePath),
+  ensureLaunchFile: (workspacePath) => ipcRenderer.invoke('ensure-launch-file', workspacePath),
+  startDebugAdapter: (type, command, args, workspacePath) =>
+    ipcRenderer.invoke('start-debug-adapter', type, command, args, workspacePath),
+  sendDebugRequest: (sessionId, command, args, timeout) =>
+    ipcRenderer.invoke('send-debug-request', sessionId, command, args, timeout),
+  sendDebugResponse: (sessionId, requestSeq, command, success, body, message) =>
+    ipcRenderer.invoke('send-debug-response', sessionId, requestSeq, command, success, body, message),
+  stopDebugAdapter: (sessionId) => ipcRenderer.invoke('stop-debug-adapter', sessionId),
+  onDebugEvent: (callback) => ipcRenderer.on('debug-event', (event, sessionId, name, body) => callback(sessionId, name, body)),
+  onDebugAdapterRequest: (callback) => ipcRenderer.on('debug-adapter-request', (event, sessionId, seq, command, args) => callback(sessionId, seq, command, args)),
+  onDebugAdapterExit: (callback) => ipcRenderer.on('debug-adapter-exit', (event, sessionId, code, signal) => callback(sessionId, code, signal)),
+  onDebugAdapterStderr: (callback) => ipcRenderer.on('debug-adapter-stderr', (event, sessionId, text) => callback(sessionId, text)),
+
+  // Run menu listeners
+  onMenuDebugStart: (callback) => ipcRenderer.on('menu-debug-start', callback),
+  onMenuDebugRun: (callback) => ipcRenderer.on('menu-debug-run', callback),
+  onMenuDebugStop: (callback) => ipcRenderer.on('menu-debug-stop', callback),
+  onMenuDebugRestart: (callback) => ipcRenderer.on('menu-debug-restart', callback),
+  onMenuDebugPause: (callback) => ipcRenderer.on('menu-debug-pause', callback),
+  onMenuDebugStepOver: (callback) => ipcRenderer.on('menu-debug-step-over', callback),
+  onMenuDebugStepInto: (callback) => ipcRenderer.on('menu-debug-step-into', callback),
+  onMenuDebugStepOut: (callback) => ipcRenderer.on('menu-debug-step-out', callback),
+  onMenuDebugToggleBreakpoint: (callback) => ipcRenderer.on('menu-debug-toggle-breakpoint', callback),
+  onMenuDebugRemoveBreakpoints: (callback) => ipcRenderer.on('menu-debug-remove-breakpoints', callback),
+  onMenuDebugOpenConfigurations: (callback) => ipcRenderer.on('menu-debug-open-configurations', callback),
+
+  // Task operations
+  getTasks: (workspacePath) => ipcRenderer.invoke('get-tasks', workspacePath),
+  ensureTasksFile: (workspacePath) => ipcRenderer.invoke('ensure-tasks-file', workspacePath),
+
+  // Terminal menu listeners
+  onMenuRunTask: (callback) => ipcRenderer.on('menu-run-task', callback),
+  onMenuRunBuildTask: (callback) => ipcRenderer.on('menu-run-build-task', callback),
+  onMenuRunTestTask: (callback) => ipcRenderer.on('menu-run-test-task', callback),
+  onMenuRerunTask: (callback) => ipcRenderer.on('menu-rerun-task', callback),
+  onMenuTerminateTask: (callback) => ipcRenderer.on('menu-terminate-task', callback),
+  onMenuConfigureTasks: (callback) => ipcRenderer.on('menu-configure-tasks', callback),
+
+  // Test operations
+  discoverTests: (workspacePath) => ipcRenderer.invoke('discover-tests', workspacePath),
+  discoverTestFile: (workspacePath, filePath) => ipcRenderer.invoke('discover-test-file', workspacePath, filePath),
+  runTests: (runId, workspacePath, request) => ipcRenderer.invoke('run-tests', runId, workspacePath, request),
+  cancelTestRun: (runId) => ipcRenderer.invoke('cancel-test-run', runId),
+  getTestExecutable: (workspacePath, target) => ipcRenderer.invoke('get-test-executable', workspacePath, target),
+  onTestOutput: (callback) => ipcRenderer.on('test-output', (event, runId, text) => callback(runId, text)),
+  onMenuTestRunAll: (callback) => ipcRenderer.on('menu-test-run-all', callback),
+  onMenuTestRunFile: (callback) => ipcRenderer.on('menu-test-run-file', callback),
+  onMenuTestRerunFailed: (callback) => ipcRenderer.on('menu-test-rerun-failed', callback),
+  onMenuTestCancel: (callback) => ipcRenderer.on('menu-test-cancel', callback),
 
   // Remove listeners
   removeTerminalDataListener: () => ipcRenderer.removeAllListeners('terminal-data'),
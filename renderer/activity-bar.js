@@ -50,6 +50,30 @@ document.querySelectorAll('.activity-item').forEach((item, index) => {
         }
       }
 
+      // Trigger editor resize
+      if (typeof editor !== 'undefined' && editor) {
+        setTimeout(() => editor.layout(), 100);
+      }
+    } else if (index === 2) {
+      // Third item is Run and Debug
+      if (wasActive) {
+        sidebar.classList.add('hidden');
+      } else if (window.debugView) {
+        window.debugView.show();
+      }
+
+      // Trigger editor resize
+      if (typeof editor !== 'undefined' && editor) {
+        setTimeout(() => editor.layout(), 100);
+      }
+    } else if (index === 3) {
+      // Fourth item is Testing
+      if (wasActive) {
+        sidebar.classList.add('hidden');
+      } else if (window.testView) {
+        window.testView.show();
+      }
+
       // Trigger editor resize
       if (typeof editor !== 'undefined' && editor) {
         setTimeout(() => editor.layout(), 100);
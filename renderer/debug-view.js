@@ -0,0 +1,594 @@
+/**
+ * Run and Debug View
+ * Sidebar view with the session toolbar, variables, watch, call stack and breakpoints, plus the debug console
+ */
+
+const DEBUG_CONSOLE_MAX_ENTRIES = 5000;
+
+let debugWatchExpressions = loadWatchExpressions();
+let expandedDebugVariables = new Set(); // "scope/name/..." paths kept open across steps
+let debugViewRenderTimer = null;
+let debugInspectedKey = null; // frame whose variables and watches are shown
+let debugConsoleHistory = [];
+let debugConsoleHistoryIndex = 0;
+
+function loadWatchExpressions() {
+  try {
+    return JSON.parse(localStorage.getItem('debugWatchExpressions') || '[]');
+  } catch (error) {
+    console.error('Failed to load watch expressions:', error);
+    return [];
+  }
+}
+
+function saveWatchExpressions() {
+  localStorage.setItem('debugWatchExpressions', JSON.stringify(debugWatchExpressions));
+}
+
+function showDebugView() {
+  const sidebar = document.getElementById('sidebar');
+  sidebar.classList.remove('hidden');
+
+  document.querySelectorAll('.activity-item').forEach(item => item.classList.remove('active'));
+  document.querySelectorAll('.sidebar-view').forEach(view => view.classList.remove('active'));
+  document.getElementById('debug-activity-item').classList.add('active');
+  document.getElementById('debug-view').classList.add('active');
+
+  showDebugConsole();
+  scheduleDebugViewRender();
+
+  if (editor) {
+    setTimeout(() => editor.layout(), 100);
+  }
+}
+
+function scheduleDebugViewRender() {
+  if (debugViewRenderTimer) return;
+
+  // Stepping produces bursts of events; batch the redraws
+  debugViewRenderTimer = setTimeout(() => {
+    debugViewRenderTimer = null;
+    renderDebugView();
+  }, 50);
+}
+
+function renderDebugView() {
+  const session = window.debug.getSession();
+
+  renderDebugToolbar(session);
+  renderConfigurationSelect();
+  renderConfigurationNote(session);
+  renderCallStack(session);
+  renderBreakpointList(session);
+
+  // Variables and watches are fetched again only when another frame is shown
+  const frame = session && session.state === 'stopped' ? session.currentFrame : null;
+  const key = frame ? `${session.id}:${session.stopCount}:${frame.id}` : (session ? `${session.id}:${session.state}` : null);
+  if (key !== debugInspectedKey) {
+    debugInspectedKey = key;
+    renderVariables(session);
+    renderWatchExpressions(session);
+  }
+}
+
+function renderDebugToolbar(session) {
+  const toolbar = document.getElementById('debug-toolbar');
+  toolbar.classList.toggle('hidden', !session);
+  if (!session) return;
+
+  const stopped = session.state === 'stopped';
+  toolbar.querySelector('[data-debug-action="continue"]').classList.toggle('hidden', !stopped);
+  toolbar.querySelector('[data-debug-action="pause"]').classList.toggle('hidden', stopped);
+  toolbar.querySelectorAll('[data-debug-step]').forEach(button => {
+    button.disabled = !stopped;
+  });
+
+  const status = document.getElementById('debug-status');
+  status.textContent = stopped
+    ? `Paused${session.stopReason ? ` on ${session.stopReason}` : ''}`
+    : (session.state === 'initializing' ? 'Starting...' : 'Running');
+  status.title = `${session.name} (${session.adapterName})`;
+}
+
+function renderConfigurationSelect() {
+  const select = document.getElementById('debug-configuration-select');
+  const configurations = window.debug.getConfigurations();
+  const selected = window.debug.getSelectedConfiguration();
+
+  select.innerHTML = '';
+  if (configurations.length === 0) {
+    const option = document.createElement('option');
+    option.textContent = 'No Configurations';
+    select.appendChild(option);
+    select.disabled = true;
+    return;
+  }
+
+  configurations.forEach(config => {
+    const option = document.createElement('option');
+    option.value = config.name;
+    option.textContent = config.name;
+    select.appendChild(option);
+  });
+  select.disabled = false;
+  select.value = selected ? selected.name : configurations[0].name;
+}
+
+// Explain up front why the selected configuration cannot start (no adapter for its type)
+function renderConfigurationNote(session) {
+  const note = document.getElementById('debug-configuration-note');
+  const problem = session ? null : window.debug.getConfigurationProblem(window.debug.getSelectedConfiguration());
+
+  note.textContent = problem || '';
+  note.classList.toggle('hidden', !problem);
+}
+
+/**
+ * Call stack: threads with the frames of paused ones
+ */
+function renderCallStack(session) {
+  const content = document.getElementById('debug-call-stack');
+  content.innerHTML = '';
+
+  if (!session || session.threads.length === 0) {
+    content.appendChild(createDebugEmptyRow(session ? 'Running' : 'Not debugging'));
+    return;
+  }
+
+  session.threads.forEach(thread => {
+    const frames = session.frames.get(thread.id);
+    const stopped = session.state === 'stopped';
+
+    const row = document.createElement('div');
+    row.className = 'debug-row debug-thread';
+
+    const name = document.createElement('span');
+    name.className = 'debug-row-name';
+    name.textContent = thread.name;
+
+    const state = document.createElement('span');
+    state.className = 'debug-row-detail';
+    state.textContent = stopped
+      ? (thread.id === session.stoppedThreadId && session.stopReason ? `Paused on ${session.stopReason}` : 'Paused')
+      : 'Running';
+
+    row.append(name, state);
+    row.addEventListener('click', () => window.debug.loadThread(thread.id));
+    content.appendChild(row);
+
+    (frames || []).forEach(frame => {
+      content.appendChild(createStackFrameRow(session, thread.id, frame));
+    });
+  });
+}
+
+function createStackFrameRow(session, threadId, frame) {
+  const row = document.createElement('div');
+  row.className = 'debug-row debug-frame';
+  if (session.currentFrame === frame) row.classList.add('selected');
+  if (!frame.source || !frame.source.path || frame.presentationHint === 'subtle') row.classList.add('subtle');
+
+  const name = document.createElement('span');
+  name.className = 'debug-row-name';
+  name.textContent = frame.name;
+
+  const location = document.createElement('span');
+  location.className = 'debug-row-detail';
+  location.textContent = frame.source ? `${frame.source.name || frame.source.path || ''}:${frame.line}` : '';
+
+  row.append(name, location);
+  row.title = frame.source && frame.source.path ? `${frame.source.path}:${frame.line}` : frame.name;
+  row.addEventListener('click', () => window.debug.selectFrame(threadId, frame));
+  return row;
+}
+
+/**
+ * Variables of the selected frame, scope by scope
+ */
+async function renderVariables(session) {
+  const content = document.getElementById('debug-variables');
+  const frame = session && session.state === 'stopped' ? session.currentFrame : null;
+
+  if (!frame) {
+    content.innerHTML = '';
+    content.appendChild(createDebugEmptyRow(session ? 'Not paused' : 'Not debugging'));
+    return;
+  }
+
+  const key = debugInspectedKey;
+  const scopes = await window.debug.getScopes(frame.id);
+  if (key !== debugInspectedKey) return;
+
+  content.innerHTML = '';
+  scopes.forEach(scope => {
+    const path = scope.name;
+    // Expensive scopes (e.g. globals) stay closed unless the user opened them
+    if (!scope.expensive && !expandedDebugVariables.has(`!${path}`)) {
+      expandedDebugVariables.add(path);
+    }
+    content.appendChild(createDebugValueNode(scope.name, '', '', scope.variablesReference, 0, path));
+  });
+}
+
+/**
+ * A name/value row that expands into the children of its variablesReference
+ */
+function createDebugValueNode(label, value, type, variablesReference, depth, path) {
+  const node = document.createElement('div');
+  node.className = 'debug-value-node';
+
+  const row = document.createElement('div');
+  row.className = 'debug-row';
+  row.style.paddingLeft = `${8 + depth * 12}px`;
+
+  const twistie = document.createElement('span');
+  twistie.className = 'debug-twistie';
+  twistie.textContent = variablesReference > 0 ? '▸' : '';
+
+  const name = document.createElement('span');
+  name.className = depth === 0 && !value ? 'debug-scope-name' : 'debug-variable-name';
+  name.textContent = value && label ? `${label}:` : label;
+
+  const valueSpan = document.createElement('span');
+  valueSpan.className = 'debug-variable-value';
+  valueSpan.textContent = value;
+
+  row.append(twistie, name, valueSpan);
+  row.title = type ? `${label}: ${type}` : label;
+
+  const children = document.createElement('div');
+  children.className = 'debug-children hidden';
+  node.append(row, children);
+
+  if (variablesReference > 0) {
+    const expand = async () => {
+      children.classList.remove('hidden');
+      twistie.textContent = '▾';
+      expandedDebugVariables.add(path);
+      expandedDebugVariables.delete(`!${path}`);
+
+      children.innerHTML = '';
+      const variables = await window.debug.getVariables(variablesReference);
+      children.innerHTML = '';
+      variables.forEach(variable => {
+        children.appendChild(createDebugValueNode(variable.name, variable.value, variable.type,
+          variable.variablesReference, depth + 1, `${path}/${variable.name}`));
+      });
+    };
+
+    row.addEventListener('click', () => {
+      if (children.classList.contains('hidden')) {
+        expand();
+      } else {
+        children.classList.add('hidden');
+        twistie.textContent = '▸';
+        expandedDebugVariables.delete(path);
+        // Remember that a scope open by default was closed
+        if (depth === 0) expandedDebugVariables.add(`!${path}`);
+      }
+    });
+
+    if (expandedDebugVariables.has(path)) {
+      expand();
+    }
+  }
+
+  return node;
+}
+
+/**
+ * Watch expressions, evaluated in the selected frame
+ */
+async function renderWatchExpressions(session) {
+  const content = document.getElementById('debug-watch');
+  const key = debugInspectedKey;
+  const paused = session && session.state === 'stopped';
+
+  const results = await Promise.all(debugWatchExpressions.map(async expression => {
+    if (!paused) return { expression };
+    try {
+      return { expression, result: await window.debug.evaluate(expression, 'watch') };
+    } catch (error) {
+      return { expression, error: error.message };
+    }
+  }));
+  if (key !== debugInspectedKey) return;
+
+  content.innerHTML = '';
+  if (results.length === 0) {
+    content.appendChild(createDebugEmptyRow('No watch expressions'));
+    return;
+  }
+
+  results.forEach(({ expression, result, error }) => {
+    let node;
+    if (result) {
+      node = createDebugValueNode(expression, result.result, result.type, result.variablesReference, 0, `watch:${expression}`);
+    } else {
+      node = createDebugValueNode(expression, error || 'not available', '', 0, 0, `watch:${expression}`);
+      node.querySelector('.debug-variable-value').classList.add('unavailable');
+    }
+
+    const remove = document.createElement('button');
+    remove.className = 'debug-row-remove';
+    remove.textContent = '×';
+    remove.title = 'Remove Expression';
+    remove.addEventListener('click', (e) => {
+      e.stopPropagation();
+      debugWatchExpressions = debugWatchExpressions.filter(candidate => candidate !== expression);
+      saveWatchExpressions();
+      refreshWatchExpressions();
+    });
+    node.querySelector('.debug-row').appendChild(remove);
+
+    content.appendChild(node);
+  });
+}
+
+function refreshWatchExpressions() {
+  renderWatchExpressions(window.debug.getSession());
+}
+
+function showWatchInput() {
+  const content = document.getElementById('debug-watch');
+  if (content.querySelector('.debug-watch-input')) return;
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'debug-watch-input';
+  input.placeholder = 'Expression to watch';
+  input.spellcheck = false;
+
+  const finish = (add) => {
+    const expression = input.value.trim();
+    input.remove();
+    if (add && expression && !debugWatchExpressions.includes(expression)) {
+      debugWatchExpressions.push(expression);
+      saveWatchExpressions();
+    }
+    refreshWatchExpressions();
+  };
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => {
+    if (input.isConnected) finish(true);
+  });
+
+  content.prepend(input);
+  input.focus();
+}
+
+/**
+ * Breakpoints list with exception filters of the running adapter
+ */
+function renderBreakpointList(session) {
+  const content = document.getElementById('debug-breakpoints');
+  content.innerHTML = '';
+
+  window.debug.getExceptionFilters().forEach(filter => {
+    const row = createDebugCheckboxRow(filter.label, filter.enabled, (enabled) => window.debug.setExceptionFilter(filter.id, enabled));
+    row.title = filter.description || filter.label;
+    content.appendChild(row);
+  });
+
+  const breakpoints = window.debug.getBreakpoints();
+  if (breakpoints.length === 0 && content.childElementCount === 0) {
+    content.appendChild(createDebugEmptyRow('No breakpoints'));
+    return;
+  }
+
+  breakpoints.forEach(({ filePath, breakpoint }) => {
+    const relativePath = currentWorkspacePath && filePath.startsWith(currentWorkspacePath + '/')
+      ? filePath.slice(currentWorkspacePath.length + 1)
+      : filePath;
+
+    const row = createDebugCheckboxRow(filePath.split('/').pop(), breakpoint.enabled,
+      (enabled) => window.debug.setBreakpointEnabled(filePath, breakpoint, enabled));
+    if (session && session.initialized && !session.noDebug && breakpoint.enabled && !breakpoint.verified) {
+      row.classList.add('unverified');
+    }
+
+    const detail = document.createElement('span');
+    detail.className = 'debug-row-detail';
+    detail.textContent = `${relativePath.includes('/') ? relativePath.slice(0, relativePath.lastIndexOf('/')) + ' ' : ''}${breakpoint.line}`;
+
+    const remove = document.createElement('button');
+    remove.className = 'debug-row-remove';
+    remove.textContent = '×';
+    remove.title = 'Remove Breakpoint';
+    remove.addEventListener('click', (e) => {
+      e.stopPropagation();
+      window.debug.removeBreakpoint(filePath, breakpoint);
+    });
+
+    row.append(detail, remove);
+    row.title = [breakpoint.condition, breakpoint.hitCondition, breakpoint.logMessage, breakpoint.message]
+      .filter(Boolean).join('\n') || `${filePath}:${breakpoint.line}`;
+    row.addEventListener('click', () => openFileAtLocation(filePath, breakpoint.line, 1));
+    content.appendChild(row);
+  });
+}
+
+function createDebugCheckboxRow(label, checked, onChange) {
+  const row = document.createElement('div');
+  row.className = 'debug-row';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = checked;
+  checkbox.addEventListener('click', (e) => e.stopPropagation());
+  checkbox.addEventListener('change', () => onChange(checkbox.checked));
+
+  const name = document.createElement('span');
+  name.className = 'debug-row-name';
+  name.textContent = label;
+
+  row.append(checkbox, name);
+  return row;
+}
+
+function createDebugEmptyRow(text) {
+  const row = document.createElement('div');
+  row.className = 'debug-empty';
+  row.textContent = text;
+  return row;
+}
+
+/**
+ * Debug console: program output, adapter messages and a REPL for the selected frame
+ */
+function appendDebugConsole(text, category = 'console') {
+  const content = document.getElementById('debug-console-content');
+  if (!content || !text) return;
+
+  const atBottom = content.scrollTop + content.clientHeight >= content.scrollHeight - 4;
+
+  const entry = document.createElement('span');
+  entry.className = `debug-console-entry ${category}`;
+  entry.textContent = text;
+  appendDebugConsoleNode(entry, atBottom);
+}
+
+function appendDebugConsoleNode(node, scroll) {
+  const content = document.getElementById('debug-console-content');
+  content.appendChild(node);
+
+  while (content.childElementCount > DEBUG_CONSOLE_MAX_ENTRIES) {
+    content.firstChild.remove();
+  }
+
+  if (scroll) {
+    content.scrollTop = content.scrollHeight;
+  }
+}
+
+async function evaluateInDebugConsole(expression) {
+  if (!expression.trim()) return;
+
+  debugConsoleHistory.push(expression);
+  debugConsoleHistoryIndex = debugConsoleHistory.length;
+  appendDebugConsole(`› ${expression}\n`, 'input');
+
+  if (!window.debug.getSession()) {
+    appendDebugConsole('No debug session\n', 'stderr');
+    return;
+  }
+
+  try {
+    const result = await window.debug.evaluate(expression, 'repl');
+    if (result.variablesReference > 0) {
+      const node = createDebugValueNode('', result.result, result.type, result.variablesReference, 0, `repl:${debugConsoleHistory.length}`);
+      node.classList.add('debug-console-result');
+      appendDebugConsoleNode(node, true);
+    } else {
+      appendDebugConsole(`${result.result}\n`, 'result');
+    }
+  } catch (error) {
+    appendDebugConsole(`${error.message}\n`, 'stderr');
+  }
+
+  // Evaluating can have side effects on variables and watches
+  debugInspectedKey = null;
+  scheduleDebugViewRender();
+}
+
+function onDebugConsoleKeyDown(e) {
+  const input = e.target;
+
+  if (e.key === 'Enter') {
+    const expression = input.value;
+    input.value = '';
+    evaluateInDebugConsole(expression);
+  } else if (e.key === 'ArrowUp' && debugConsoleHistoryIndex > 0) {
+    input.value = debugConsoleHistory[--debugConsoleHistoryIndex];
+    e.preventDefault();
+  } else if (e.key === 'ArrowDown' && debugConsoleHistoryIndex < debugConsoleHistory.length) {
+    debugConsoleHistoryIndex++;
+    input.value = debugConsoleHistory[debugConsoleHistoryIndex] || '';
+    e.preventDefault();
+  }
+}
+
+function clearDebugConsole() {
+  document.getElementById('debug-console-content').innerHTML = '';
+}
+
+function showDebugConsole() {
+  document.getElementById('debug-console-panel').classList.remove('hidden');
+}
+
+function closeDebugConsole() {
+  document.getElementById('debug-console-panel').classList.add('hidden');
+
+  if (editor) {
+    editor.focus();
+  }
+}
+
+function toggleDebugConsole() {
+  const panel = document.getElementById('debug-console-panel');
+  if (panel.classList.contains('hidden')) {
+    showDebugConsole();
+    document.getElementById('debug-console-input').focus();
+  } else {
+    closeDebugConsole();
+  }
+}
+
+// Event listeners
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('debug-start-btn').addEventListener('click', () => window.debug.start());
+  document.getElementById('debug-open-launch-btn').addEventListener('click', () => {
+    if (!currentWorkspacePath) {
+      window.showNotification('Open a folder to configure debugging', 2500);
+      return;
+    }
+    window.debug.openConfigurations();
+  });
+  document.getElementById('debug-configuration-select').addEventListener('change', (e) => {
+    window.debug.selectConfiguration(e.target.value);
+  });
+
+  const actions = {
+    continue: () => window.debug.continue(),
+    pause: () => window.debug.pause(),
+    'step-over': () => window.debug.stepOver(),
+    'step-into': () => window.debug.stepInto(),
+    'step-out': () => window.debug.stepOut(),
+    restart: () => window.debug.restart(),
+    stop: () => window.debug.stop()
+  };
+  document.querySelectorAll('#debug-toolbar [data-debug-action]').forEach(button => {
+    button.addEventListener('click', actions[button.dataset.debugAction]);
+  });
+
+  document.querySelectorAll('.debug-section-header').forEach(header => {
+    header.addEventListener('click', () => header.parentElement.classList.toggle('collapsed'));
+  });
+  document.getElementById('debug-watch-add').addEventListener('click', (e) => {
+    e.stopPropagation();
+    e.currentTarget.closest('.debug-section').classList.remove('collapsed');
+    showWatchInput();
+  });
+
+  document.getElementById('debug-console-input').addEventListener('keydown', onDebugConsoleKeyDown);
+  document.getElementById('debug-console-clear').addEventListener('click', clearDebugConsole);
+  document.getElementById('debug-console-close').addEventListener('click', closeDebugConsole);
+
+  renderDebugView();
+});
+
+window.api.onMenuToggleDebugConsole(() => {
+  toggleDebugConsole();
+});
+
+// Export functions
+window.debugView = {
+  show: showDebugView,
+  update: scheduleDebugViewRender,
+  append: appendDebugConsole,
+  toggleConsole: toggleDebugConsole
+};
@@ -0,0 +1,1146 @@
+/**
+ * Debugger
+ * Debug Adapter Protocol client: launch configurations, breakpoints and the debug session
+ */
+
+// Sent with "initialize"; lines and columns are 1-based like Monaco's
+const DEBUG_CLIENT_CAPABILITIES = {
+  clientID: 'fast-editor',
+  clientName: 'Fast Editor',
+  linesStartAt1: true,
+  columnsStartAt1: true,
+  pathFormat: 'path',
+  supportsVariableType: true,
+  supportsVariablePaging: false,
+  supportsRunInTerminalRequest: false,
+  supportsMemoryReferences: false,
+  supportsProgressReporting: false,
+  supportsInvalidatedEvent: false,
+  supportsStartDebuggingRequest: false
+};
+
+const DEBUG_DISCONNECT_TIMEOUT = 3000;
+
+// Configuration types served by VS Code's js-debug. It runs as a TCP DAP server and debugs every
+// process in a child session it opens with startDebugging, so it cannot be driven by this client
+const JS_DEBUG_TYPES = ['node', 'pwa-node', 'node-terminal', 'chrome', 'pwa-chrome', 'msedge', 'pwa-msedge', 'pwa-extensionHost'];
+
+let debugWorkspacePath = null;
+let debugConfigurations = []; // launch configurations from .fast-editor/launch.json
+let debugAdapters = {}; // configuration type -> { name, command, args, fromWorkspace }
+let debugLaunchFile = null;
+let debugSelectedConfiguration = null; // configuration name
+let debugBreakpoints = new Map(); // filePath -> [{ line, condition, hitCondition, logMessage, enabled, verified, message, id, decorationId }]
+let debugBreakpointDecorations = new Map(); // filePath -> { model, ids }
+let debugFrameDecorations = { model: null, ids: [] };
+let debugTrackedModels = new WeakSet(); // models whose edits move breakpoints
+let debugSaveTimer = null;
+let debugBreakpointWidget = null;
+let debugEditorInitialized = false;
+
+// { id, type, name, launchConfiguration, adapterName, request, config, noDebug, capabilities,
+//   state: initializing|running|stopped, threads, frames (threadId -> stack frames), stoppedThreadId,
+//   currentThreadId, currentFrame, stopCount, exceptionFilters, initialized, terminating }
+let debugSession = null;
+
+/**
+ * Load launch configurations and saved breakpoints for a workspace
+ */
+async function initDebug(workspacePath) {
+  if (debugSession) {
+    await stopDebugging();
+  }
+
+  debugWorkspacePath = workspacePath;
+  debugSelectedConfiguration = null;
+  loadBreakpoints(workspacePath);
+  await loadDebugConfigurations();
+}
+
+function initDebugEditor() {
+  if (debugEditorInitialized || typeof monaco === 'undefined' || !editor) return;
+  debugEditorInitialized = true;
+
+  // Click the glyph margin to toggle a breakpoint, right-click to edit its condition
+  editor.onMouseDown((e) => {
+    if (e.target.type !== monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN || !e.event.leftButton) return;
+
+    const tab = getActiveTab();
+    const lineNumber = e.target.position && e.target.position.lineNumber;
+    if (tab && tab.filePath && lineNumber) {
+      toggleBreakpoint(tab.filePath, lineNumber);
+    }
+  });
+
+  editor.onContextMenu((e) => {
+    if (e.target.type !== monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN) return;
+
+    const tab = getActiveTab();
+    const lineNumber = e.target.position && e.target.position.lineNumber;
+    if (tab && tab.filePath && lineNumber) {
+      showBreakpointWidget(tab.filePath, lineNumber);
+    }
+  });
+
+  // Tabs get fresh models, so put breakpoints and the current line back on them when shown
+  editor.onDidChangeModel(() => {
+    closeBreakpointWidget();
+
+    const tab = getActiveTab();
+    if (tab && tab.filePath) {
+      applyBreakpointDecorations(tab.filePath);
+      applyFrameDecorations();
+    }
+  });
+
+  editor.onKeyDown((e) => {
+    if (e.keyCode === monaco.KeyCode.Escape && debugBreakpointWidget) {
+      closeBreakpointWidget();
+    }
+  });
+}
+
+/**
+ * Launch configurations
+ */
+async function loadDebugConfigurations() {
+  if (!debugWorkspacePath) return;
+
+  const result = await window.api.getDebugConfigurations(debugWorkspacePath);
+  debugConfigurations = result.configurations || [];
+  debugAdapters = result.adapters || {};
+  debugLaunchFile = result.filePath || null;
+
+  if (result.errors && result.errors.length > 0) {
+    result.errors.forEach(error => console.error('Launch configurations:', error));
+    window.showNotification(`✗ Launch configurations: ${result.errors[0]}`, 5000);
+  }
+
+  updateDebugView();
+}
+
+function getSelectedConfiguration() {
+  return debugConfigurations.find(config => config.name === debugSelectedConfiguration) || debugConfigurations[0] || null;
+}
+
+function selectConfiguration(name) {
+  debugSelectedConfiguration = name;
+  updateDebugView();
+}
+
+// Why a configuration cannot be started, or null if there is an adapter for its type
+function getConfigurationProblem(config) {
+  if (!config || debugAdapters[config.type]) return null;
+
+  if (JS_DEBUG_TYPES.includes(config.type)) {
+    return `"${config.type}" configurations need VS Code's js-debug, which is not supported: it only runs as a TCP debug server and starts a separate child session for every debugged process`;
+  }
+  return `No debug adapter for type "${config.type}" (add one under "adapters" in launch.json)`;
+}
+
+function isLaunchFile(filePath) {
+  return !!filePath && filePath === debugLaunchFile;
+}
+
+/**
+ * Open the workspace launch.json in the editor, creating it from a template if needed
+ */
+async function openLaunchConfigurations() {
+  const workspacePath = debugWorkspacePath || currentWorkspacePath;
+  const result = await window.api.ensureLaunchFile(workspacePath);
+  if (!result.success) {
+    window.showNotification(`✗ ${result.error}`, 3000);
+    return;
+  }
+
+  debugLaunchFile = result.filePath;
+  await openFileInEditor(result.filePath);
+}
+
+// ${workspaceFolder}, ${file}, ... as in VS Code; anything else is left alone and reported
+function getDebugVariables() {
+  const variables = {
+    workspaceFolder: debugWorkspacePath,
+    workspaceFolderBasename: debugWorkspacePath.split('/').pop()
+  };
+
+  const tab = getActiveTab();
+  if (tab && tab.filePath) {
+    const filePath = tab.filePath;
+    const fileName = filePath.split('/').pop();
+    const dot = fileName.lastIndexOf('.');
+
+    Object.assign(variables, {
+      file: filePath,
+      relativeFile: filePath.startsWith(debugWorkspacePath + '/') ? filePath.slice(debugWorkspacePath.length + 1) : filePath,
+      fileBasename: fileName,
+      fileBasenameNoExtension: dot > 0 ? fileName.slice(0, dot) : fileName,
+      fileExtname: dot > 0 ? fileName.slice(dot) : '',
+      fileDirname: filePath.slice(0, filePath.lastIndexOf('/')),
+      lineNumber: String(editor.getPosition().lineNumber),
+      selectedText: editor.getModel().getValueInRange(editor.getSelection())
+    });
+  }
+
+  return variables;
+}
+
+function resolveDebugVariables(value, variables) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => (variables[name] !== undefined ? variables[name] : match));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveDebugVariables(item, variables));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveDebugVariables(item, variables)]));
+  }
+  return value;
+}
+
+/**
+ * Workspace launch files can run arbitrary commands, so ask once before starting
+ * an adapter whose command line was set by the workspace (and again if it changes)
+ */
+function confirmWorkspaceAdapter(type, adapter) {
+  if (!adapter.fromWorkspace) return true;
+
+  const signature = `${type}: ${[adapter.command, ...adapter.args].join(' ')}`;
+
+  let trusted = {};
+  try {
+    trusted = JSON.parse(localStorage.getItem('debugTrustedAdapters') || '{}');
+  } catch (error) {
+    console.error('Failed to load trusted debug adapters:', error);
+  }
+
+  const workspaceTrusted = trusted[debugWorkspacePath] || [];
+  if (workspaceTrusted.includes(signature)) return true;
+
+  if (!confirm(`This workspace configures a debug adapter:\n\n${signature}\n\nAllow it to run?`)) {
+    return false;
+  }
+
+  trusted[debugWorkspacePath] = [...workspaceTrusted, signature];
+  localStorage.setItem('debugTrustedAdapters', JSON.stringify(trusted));
+  return true;
+}
+
+/**
+ * Session lifecycle
+ */
+// configuration overrides the one selected in the Run and Debug view (e.g. debugging a single test)
+async function startDebugging(noDebug = false, configuration = null) {
+  if (debugSession) {
+    if (debugSession.state === 'stopped' && !noDebug) {
+      continueExecution();
+    } else {
+      window.showNotification('A debug session is already running', 2000);
+    }
+    return;
+  }
+
+  if (!currentWorkspacePath) {
+    window.showNotification('Open a folder to start debugging', 2500);
+    return;
+  }
+  if (debugWorkspacePath !== currentWorkspacePath) {
+    await initDebug(currentWorkspacePath);
+  } else {
+    // launch.json may have been edited outside the editor
+    await loadDebugConfigurations();
+  }
+
+  const config = configuration || getSelectedConfiguration();
+  if (!config) {
+    if (confirm('This workspace has no launch configurations. Create .fast-editor/launch.json?')) {
+      openLaunchConfigurations();
+    }
+    return;
+  }
+
+  const adapter = debugAdapters[config.type];
+  if (!adapter) {
+    const problem = getConfigurationProblem(config);
+    window.debugView.show();
+    window.debugView.append(`${config.name}: ${problem}\n`, 'stderr');
+    window.showNotification(`✗ ${problem}`, 4000);
+    return;
+  }
+  if (!confirmWorkspaceAdapter(config.type, adapter)) return;
+
+  const launchArgs = resolveDebugVariables(config, getDebugVariables());
+  const unresolved = JSON.stringify(launchArgs).match(/\$\{\w+\}/);
+  if (unresolved) {
+    window.showNotification(`✗ ${config.name}: cannot resolve ${unresolved[0]}`, 4000);
+    return;
+  }
+
+  const sessionId = await window.api.startDebugAdapter(config.type, adapter.command, adapter.args, debugWorkspacePath);
+  if (!sessionId) {
+    window.showNotification(`✗ Could not start ${adapter.name} (is it installed?)`, 4000);
+    return;
+  }
+
+  const session = {
+    id: sessionId,
+    type: config.type,
+    name: config.name,
+    launchConfiguration: configuration,
+    adapterName: adapter.name,
+    request: config.request,
+    config: noDebug ? { ...launchArgs, noDebug: true } : launchArgs,
+    noDebug,
+    capabilities: {},
+    state: 'initializing',
+    threads: [],
+    frames: new Map(),
+    stoppedThreadId: null,
+    currentThreadId: null,
+    currentFrame: null,
+    stopCount: 0,
+    exceptionFilters: new Set(),
+    initialized: false,
+    terminating: false
+  };
+  debugSession = session;
+
+  window.debugView.show();
+  window.debugView.append(`${noDebug ? 'Running' : 'Debugging'} ${config.name} with ${adapter.name}\n`, 'info');
+  updateDebugView();
+
+  session.ready = sendDebugRequest(session, 'initialize', {
+    ...DEBUG_CLIENT_CAPABILITIES,
+    adapterID: config.type,
+    locale: navigator.language
+  });
+
+  try {
+    session.capabilities = (await session.ready) || {};
+    const filters = session.capabilities.exceptionBreakpointFilters || [];
+    session.exceptionFilters = new Set(filters.filter(filter => filter.default).map(filter => filter.filter));
+
+    // Adapters answer launch/attach only after configurationDone, which waits for the "initialized" event
+    await sendDebugRequest(session, config.request, session.config);
+
+    if (debugSession === session && session.state === 'initializing') {
+      session.state = 'running';
+      updateDebugView();
+    }
+  } catch (error) {
+    if (debugSession !== session || session.terminating) return;
+
+    console.error(`Debug session ${session.id} failed to ${config.request}:`, error);
+    window.debugView.append(`Failed to ${config.request}: ${error.message}\n`, 'stderr');
+    window.showNotification(`✗ ${config.name}: ${error.message}`, 4000);
+    await stopDebugging();
+  }
+}
+
+// Breakpoints and exception filters go to the adapter between "initialized" and configurationDone
+async function configureSession(session) {
+  try {
+    await session.ready;
+    session.initialized = true;
+
+    if (!session.noDebug) {
+      await Promise.all(Array.from(debugBreakpoints.keys()).map(filePath => sendFileBreakpoints(filePath, session)));
+      await sendExceptionBreakpoints(session);
+    }
+
+    if (session.capabilities.supportsConfigurationDoneRequest) {
+      await sendDebugRequest(session, 'configurationDone');
+    }
+  } catch (error) {
+    console.error('Error configuring debug session:', error);
+    window.debugView.append(`Failed to configure the session: ${error.message}\n`, 'stderr');
+  }
+}
+
+async function stopDebugging() {
+  const session = debugSession;
+  if (!session || session.terminating) return;
+  session.terminating = true;
+
+  try {
+    const args = { restart: false };
+    if (session.request === 'launch' && session.capabilities.supportsTerminateDebuggee) {
+      args.terminateDebuggee = true;
+    }
+    await sendDebugRequest(session, 'disconnect', args, DEBUG_DISCONNECT_TIMEOUT);
+  } catch (error) {
+    // The adapter may already be gone
+    console.error('Error disconnecting debug adapter:', error);
+  }
+
+  await window.api.stopDebugAdapter(session.id);
+  endDebugSession(session);
+}
+
+async function restartDebugging() {
+  const noDebug = debugSession ? debugSession.noDebug : false;
+  const configuration = debugSession ? debugSession.launchConfiguration : null;
+  await stopDebugging();
+  await startDebugging(noDebug, configuration);
+}
+
+function endDebugSession(session) {
+  if (debugSession !== session) return;
+  debugSession = null;
+
+  debugBreakpoints.forEach((breakpoints, filePath) => {
+    breakpoints.forEach(breakpoint => {
+      breakpoint.verified = false;
+      breakpoint.message = undefined;
+      breakpoint.id = undefined;
+    });
+    applyBreakpointDecorations(filePath);
+  });
+
+  applyFrameDecorations();
+  closeBreakpointWidget();
+  window.debugView.append(`${session.name} ended\n`, 'info');
+  updateDebugView();
+}
+
+function sendDebugRequest(session, command, args, timeout) {
+  return window.api.sendDebugRequest(session.id, command, args, timeout);
+}
+
+/**
+ * Adapter events
+ */
+function handleDebugEvent(sessionId, event, body) {
+  const session = debugSession;
+  if (!session || session.id !== sessionId) return;
+
+  body = body || {};
+
+  switch (event) {
+    case 'initialized':
+      configureSession(session);
+      break;
+    case 'stopped':
+      handleStopped(session, body);
+      break;
+    case 'continued':
+      if (body.allThreadsContinued !== false || body.threadId === session.currentThreadId) {
+        markRunning(session);
+      }
+      break;
+    case 'thread':
+      if (body.reason === 'exited') {
+        session.threads = session.threads.filter(thread => thread.id !== body.threadId);
+      } else if (!session.threads.some(thread => thread.id === body.threadId)) {
+        session.threads.push({ id: body.threadId, name: `Thread ${body.threadId}` });
+      }
+      updateDebugView();
+      break;
+    case 'output':
+      handleDebugOutput(body);
+      break;
+    case 'breakpoint':
+      updateBreakpointFromAdapter(body.breakpoint);
+      break;
+    case 'capabilities':
+      Object.assign(session.capabilities, body.capabilities);
+      break;
+    case 'exited':
+      window.debugView.append(`Process exited with code ${body.exitCode}\n`, 'info');
+      break;
+    case 'terminated':
+      stopDebugging();
+      break;
+  }
+}
+
+async function handleStopped(session, body) {
+  session.state = 'stopped';
+  session.stopReason = body.description || body.reason;
+  session.stopCount++;
+  session.frames.clear();
+  if (body.threadId !== undefined) {
+    session.stoppedThreadId = body.threadId;
+  }
+
+  if (body.reason === 'exception' || body.text) {
+    window.debugView.append(`Paused on ${body.reason}${body.text ? `: ${body.text}` : ''}\n`, body.reason === 'exception' ? 'stderr' : 'info');
+  }
+
+  await refreshThreads(session);
+  if (debugSession !== session || session.state !== 'stopped') return;
+
+  if (session.stoppedThreadId === null && session.threads.length > 0) {
+    session.stoppedThreadId = session.threads[0].id;
+  }
+  if (session.stoppedThreadId === null) {
+    updateDebugView();
+    return;
+  }
+
+  const frames = await loadStackFrames(session, session.stoppedThreadId);
+  if (debugSession !== session || session.state !== 'stopped') return;
+
+  // Library frames without source are skipped, as VS Code does
+  const frame = frames.find(candidate => candidate.source && candidate.source.path) || frames[0];
+  await selectStackFrame(session.stoppedThreadId, frame);
+}
+
+function markRunning(session) {
+  session.state = 'running';
+  session.frames.clear();
+  session.currentFrame = null;
+  applyFrameDecorations();
+  updateDebugView();
+}
+
+function handleDebugOutput(body) {
+  if (!body.output || body.category === 'telemetry') return;
+
+  if (body.category === 'important') {
+    window.showNotification(body.output.trim(), 4000);
+  }
+  window.debugView.append(body.output, body.category || 'console');
+}
+
+async function refreshThreads(session) {
+  try {
+    const body = await sendDebugRequest(session, 'threads');
+    session.threads = (body && body.threads) || [];
+  } catch (error) {
+    console.error('Error loading threads:', error);
+  }
+}
+
+async function loadStackFrames(session, threadId) {
+  try {
+    const body = await sendDebugRequest(session, 'stackTrace', { threadId, startFrame: 0, levels: 200 });
+    const frames = (body && body.stackFrames) || [];
+    session.frames.set(threadId, frames);
+    return frames;
+  } catch (error) {
+    console.error('Error loading stack trace:', error);
+    return [];
+  }
+}
+
+/**
+ * Load the frames of a paused thread that was not the one that stopped
+ */
+async function loadThread(threadId) {
+  const session = debugSession;
+  if (!session || session.state !== 'stopped' || session.frames.has(threadId)) return;
+
+  await loadStackFrames(session, threadId);
+  updateDebugView();
+}
+
+/**
+ * Show a stack frame: open its source, mark the line and load its variables
+ */
+async function selectStackFrame(threadId, frame) {
+  const session = debugSession;
+  if (!session) return;
+
+  session.currentThreadId = threadId;
+  session.currentFrame = frame || null;
+
+  if (frame && frame.source && frame.source.path) {
+    await openFileAtLocation(frame.source.path, frame.line, frame.column || 1);
+  }
+
+  applyFrameDecorations();
+  updateDebugView();
+}
+
+/**
+ * Execution control
+ */
+async function runThreadCommand(command) {
+  const session = debugSession;
+  if (!session || session.state !== 'stopped') return;
+
+  const threadId = session.currentThreadId !== null ? session.currentThreadId : session.stoppedThreadId;
+
+  // Mark running first: the next "stopped" event can arrive before the response
+  markRunning(session);
+
+  try {
+    await sendDebugRequest(session, command, { threadId });
+  } catch (error) {
+    console.error(`Debug ${command} failed:`, error);
+    window.debugView.append(`${command} failed: ${error.message}\n`, 'stderr');
+  }
+}
+
+function continueExecution() {
+  return runThreadCommand('continue');
+}
+
+async function pauseExecution() {
+  const session = debugSession;
+  if (!session || session.state !== 'running') return;
+
+  if (session.threads.length === 0) {
+    await refreshThreads(session);
+  }
+
+  const thread = session.threads.find(candidate => candidate.id === session.currentThreadId) || session.threads[0];
+  if (!thread) return;
+
+  try {
+    await sendDebugRequest(session, 'pause', { threadId: thread.id });
+  } catch (error) {
+    window.debugView.append(`pause failed: ${error.message}\n`, 'stderr');
+  }
+}
+
+/**
+ * Inspection (used by the Run and Debug view and the debug console)
+ */
+async function getScopes(frameId) {
+  if (!debugSession) return [];
+
+  try {
+    const body = await sendDebugRequest(debugSession, 'scopes', { frameId });
+    return (body && body.scopes) || [];
+  } catch (error) {
+    console.error('Error loading scopes:', error);
+    return [];
+  }
+}
+
+async function getVariables(variablesReference) {
+  if (!debugSession) return [];
+
+  try {
+    const body = await sendDebugRequest(debugSession, 'variables', { variablesReference });
+    return (body && body.variables) || [];
+  } catch (error) {
+    console.error('Error loading variables:', error);
+    return [];
+  }
+}
+
+// Evaluate in the selected frame; throws with the adapter's message on errors
+async function evaluateExpression(expression, context) {
+  const session = debugSession;
+  if (!session) {
+    throw new Error('No debug session');
+  }
+
+  const args = { expression, context };
+  if (session.state === 'stopped' && session.currentFrame) {
+    args.frameId = session.currentFrame.id;
+  }
+  return sendDebugRequest(session, 'evaluate', args);
+}
+
+/**
+ * Breakpoints
+ */
+function loadBreakpoints(workspacePath) {
+  debugBreakpoints.clear();
+
+  try {
+    const saved = JSON.parse(localStorage.getItem('debugBreakpoints') || '{}')[workspacePath] || {};
+    Object.entries(saved).forEach(([filePath, breakpoints]) => {
+      debugBreakpoints.set(filePath, breakpoints.map(breakpoint => ({ ...breakpoint, verified: false })));
+    });
+  } catch (error) {
+    console.error('Failed to load breakpoints:', error);
+  }
+
+  getAllTabs().forEach(tab => {
+    if (tab.filePath) applyBreakpointDecorations(tab.filePath);
+  });
+}
+
+function saveBreakpoints() {
+  if (!debugWorkspacePath) return;
+
+  try {
+    const saved = JSON.parse(localStorage.getItem('debugBreakpoints') || '{}');
+    const files = {};
+    debugBreakpoints.forEach((breakpoints, filePath) => {
+      files[filePath] = breakpoints.map(({ line, condition, hitCondition, logMessage, enabled }) =>
+        ({ line, condition, hitCondition, logMessage, enabled }));
+    });
+
+    saved[debugWorkspacePath] = files;
+    localStorage.setItem('debugBreakpoints', JSON.stringify(saved));
+  } catch (error) {
+    console.error('Failed to save breakpoints:', error);
+  }
+}
+
+function toggleBreakpoint(filePath, line) {
+  const breakpoints = debugBreakpoints.get(filePath) || [];
+  const index = breakpoints.findIndex(breakpoint => breakpoint.line === line);
+
+  if (index >= 0) {
+    breakpoints.splice(index, 1);
+  } else {
+    breakpoints.push({ line, enabled: true, verified: false });
+  }
+
+  setFileBreakpoints(filePath, breakpoints);
+}
+
+function toggleBreakpointAtCursor() {
+  const tab = getActiveTab();
+  if (!editor || !tab || !tab.filePath) return;
+
+  toggleBreakpoint(tab.filePath, editor.getPosition().lineNumber);
+}
+
+function setBreakpointEnabled(filePath, breakpoint, enabled) {
+  breakpoint.enabled = enabled;
+  setFileBreakpoints(filePath, debugBreakpoints.get(filePath) || []);
+}
+
+function removeBreakpoint(filePath, breakpoint) {
+  setFileBreakpoints(filePath, (debugBreakpoints.get(filePath) || []).filter(candidate => candidate !== breakpoint));
+}
+
+function removeAllBreakpoints() {
+  Array.from(debugBreakpoints.keys()).forEach(filePath => setFileBreakpoints(filePath, []));
+}
+
+function setFileBreakpoints(filePath, breakpoints) {
+  if (breakpoints.length > 0) {
+    debugBreakpoints.set(filePath, breakpoints.sort((a, b) => a.line - b.line));
+  } else {
+    debugBreakpoints.delete(filePath);
+  }
+
+  saveBreakpoints();
+  applyBreakpointDecorations(filePath);
+  sendFileBreakpoints(filePath);
+  updateDebugView();
+}
+
+function getAllBreakpoints() {
+  const all = [];
+  Array.from(debugBreakpoints.keys()).sort().forEach(filePath => {
+    debugBreakpoints.get(filePath).forEach(breakpoint => all.push({ filePath, breakpoint }));
+  });
+  return all;
+}
+
+/**
+ * Replace the adapter's breakpoints for a file (an empty list clears them)
+ */
+async function sendFileBreakpoints(filePath, session = debugSession) {
+  if (!session || !session.initialized || session.noDebug || session.terminating) return;
+
+  const capabilities = session.capabilities;
+  const breakpoints = (debugBreakpoints.get(filePath) || []).filter(breakpoint => breakpoint.enabled);
+
+  try {
+    const body = await sendDebugRequest(session, 'setBreakpoints', {
+      source: { path: filePath, name: filePath.split('/').pop() },
+      breakpoints: breakpoints.map(breakpoint => {
+        const sourceBreakpoint = { line: breakpoint.line };
+        if (breakpoint.condition && capabilities.supportsConditionalBreakpoints) sourceBreakpoint.condition = breakpoint.condition;
+        if (breakpoint.hitCondition && capabilities.supportsHitConditionalBreakpoints) sourceBreakpoint.hitCondition = breakpoint.hitCondition;
+        if (breakpoint.logMessage && capabilities.supportsLogPoints) sourceBreakpoint.logMessage = breakpoint.logMessage;
+        return sourceBreakpoint;
+      }),
+      lines: breakpoints.map(breakpoint => breakpoint.line),
+      sourceModified: false
+    });
+    if (debugSession !== session) return;
+
+    // Results come back in request order; adapters may move a breakpoint to the next valid line
+    ((body && body.breakpoints) || []).forEach((result, index) => {
+      const breakpoint = breakpoints[index];
+      if (!breakpoint) return;
+
+      breakpoint.id = result.id;
+      breakpoint.verified = result.verified;
+      breakpoint.message = result.message;
+      if (result.line) breakpoint.line = result.line;
+    });
+
+    applyBreakpointDecorations(filePath);
+    updateDebugView();
+  } catch (error) {
+    console.error(`Error setting breakpoints in ${filePath}:`, error);
+    window.debugView.append(`Failed to set breakpoints in ${filePath}: ${error.message}\n`, 'stderr');
+  }
+}
+
+async function sendExceptionBreakpoints(session) {
+  if (!session.capabilities.exceptionBreakpointFilters) return;
+
+  await sendDebugRequest(session, 'setExceptionBreakpoints', { filters: Array.from(session.exceptionFilters) });
+}
+
+function getExceptionFilters() {
+  if (!debugSession || !debugSession.capabilities.exceptionBreakpointFilters) return [];
+
+  return debugSession.capabilities.exceptionBreakpointFilters.map(filter => ({
+    id: filter.filter,
+    label: filter.label,
+    description: filter.description,
+    enabled: debugSession.exceptionFilters.has(filter.filter)
+  }));
+}
+
+async function setExceptionFilter(id, enabled) {
+  const session = debugSession;
+  if (!session) return;
+
+  if (enabled) {
+    session.exceptionFilters.add(id);
+  } else {
+    session.exceptionFilters.delete(id);
+  }
+
+  try {
+    await sendExceptionBreakpoints(session);
+  } catch (error) {
+    window.debugView.append(`Failed to set exception breakpoints: ${error.message}\n`, 'stderr');
+  }
+}
+
+// "breakpoint" events report verification or moves after the fact
+function updateBreakpointFromAdapter(result) {
+  if (!result || result.id === undefined) return;
+
+  debugBreakpoints.forEach((breakpoints, filePath) => {
+    const breakpoint = breakpoints.find(candidate => candidate.id === result.id);
+    if (!breakpoint) return;
+
+    if (result.verified !== undefined) breakpoint.verified = result.verified;
+    if (result.message !== undefined) breakpoint.message = result.message;
+    if (result.line) breakpoint.line = result.line;
+
+    applyBreakpointDecorations(filePath);
+    updateDebugView();
+  });
+}
+
+function getBreakpointGlyphClass(breakpoint) {
+  if (!breakpoint.enabled) return 'debug-breakpoint-disabled';
+  if (debugSession && debugSession.initialized && !debugSession.noDebug && !breakpoint.verified) return 'debug-breakpoint-unverified';
+  if (breakpoint.logMessage) return 'debug-breakpoint-log';
+  if (breakpoint.condition || breakpoint.hitCondition) return 'debug-breakpoint-conditional';
+  return 'debug-breakpoint';
+}
+
+function describeBreakpoint(breakpoint) {
+  const lines = [];
+  if (breakpoint.logMessage) lines.push(`Log Message: ${breakpoint.logMessage}`);
+  if (breakpoint.condition) lines.push(`Expression: ${breakpoint.condition}`);
+  if (breakpoint.hitCondition) lines.push(`Hit Count: ${breakpoint.hitCondition}`);
+  if (breakpoint.message) lines.push(breakpoint.message);
+  if (!breakpoint.enabled) lines.push('Disabled');
+  return lines.length > 0 ? lines.join('\n\n') : 'Breakpoint';
+}
+
+/**
+ * Show a file's breakpoints in the glyph margin of its model, if it is open
+ */
+function applyBreakpointDecorations(filePath) {
+  const tab = findTabByPath(filePath);
+  if (!tab || !tab.model || tab.model.isDisposed() || typeof monaco === 'undefined') return;
+
+  const previous = debugBreakpointDecorations.get(filePath);
+  const oldIds = previous && previous.model === tab.model ? previous.ids : [];
+  const breakpoints = debugBreakpoints.get(filePath) || [];
+
+  trackBreakpointLines(filePath, tab.model);
+
+  const ids = tab.model.deltaDecorations(oldIds, breakpoints.map(breakpoint => ({
+    range: new monaco.Range(breakpoint.line, 1, breakpoint.line, 1),
+    options: {
+      glyphMarginClassName: getBreakpointGlyphClass(breakpoint),
+      glyphMarginHoverMessage: { value: describeBreakpoint(breakpoint) },
+      stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges
+    }
+  })));
+
+  breakpoints.forEach((breakpoint, index) => {
+    breakpoint.decorationId = ids[index];
+  });
+  debugBreakpointDecorations.set(filePath, { model: tab.model, ids });
+}
+
+// Breakpoints follow their line when lines are inserted or deleted above them
+function trackBreakpointLines(filePath, model) {
+  if (debugTrackedModels.has(model)) return;
+  debugTrackedModels.add(model);
+
+  model.onDidChangeContent(() => {
+    const record = debugBreakpointDecorations.get(filePath);
+    const breakpoints = debugBreakpoints.get(filePath);
+    if (!record || record.model !== model || !breakpoints) return;
+
+    let moved = false;
+    breakpoints.forEach(breakpoint => {
+      const range = breakpoint.decorationId && model.getDecorationRange(breakpoint.decorationId);
+      if (range && range.startLineNumber !== breakpoint.line) {
+        breakpoint.line = range.startLineNumber;
+        moved = true;
+      }
+    });
+    if (!moved) return;
+
+    // Deleting a line can push two breakpoints onto the same one
+    const lines = new Set();
+    const unique = breakpoints.filter(breakpoint => !lines.has(breakpoint.line) && lines.add(breakpoint.line));
+    if (unique.length !== breakpoints.length) {
+      debugBreakpoints.set(filePath, unique);
+      applyBreakpointDecorations(filePath);
+    }
+
+    clearTimeout(debugSaveTimer);
+    debugSaveTimer = setTimeout(saveBreakpoints, 500);
+    updateDebugView();
+  });
+}
+
+/**
+ * Highlight the line of the selected stack frame
+ */
+function applyFrameDecorations() {
+  const session = debugSession;
+  const frame = session && session.state === 'stopped' ? session.currentFrame : null;
+  const tab = frame && frame.source && frame.source.path ? findTabByPath(frame.source.path) : null;
+  const model = tab && tab.model && !tab.model.isDisposed() ? tab.model : null;
+
+  const previous = debugFrameDecorations.model;
+  if (previous && previous !== model && !previous.isDisposed()) {
+    previous.deltaDecorations(debugFrameDecorations.ids, []);
+  }
+
+  if (!model) {
+    debugFrameDecorations = { model: null, ids: [] };
+    return;
+  }
+
+  // The frame execution stopped in vs. one selected further up the stack
+  const isTopFrame = (session.frames.get(session.currentThreadId) || [])[0] === frame;
+  const ids = model.deltaDecorations(previous === model ? debugFrameDecorations.ids : [], [{
+    range: new monaco.Range(frame.line, 1, frame.line, 1),
+    options: {
+      isWholeLine: true,
+      className: isTopFrame ? 'debug-current-line' : 'debug-focused-line',
+      glyphMarginClassName: isTopFrame ? 'debug-current-frame' : 'debug-focused-frame',
+      stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges
+    }
+  }]);
+
+  debugFrameDecorations = { model, ids };
+}
+
+/**
+ * Inline editor for a breakpoint's condition, hit count or log message
+ */
+const BREAKPOINT_FIELDS = {
+  condition: { label: 'Expression', placeholder: 'Break when the expression evaluates to true' },
+  hitCondition: { label: 'Hit Count', placeholder: 'Break when the hit count condition is met, e.g. > 5' },
+  logMessage: { label: 'Log Message', placeholder: 'Message to log when hit; expressions in {} are interpolated' }
+};
+
+function showBreakpointWidget(filePath, lineNumber) {
+  closeBreakpointWidget();
+
+  const existing = (debugBreakpoints.get(filePath) || []).find(breakpoint => breakpoint.line === lineNumber);
+  const values = {
+    condition: (existing && existing.condition) || '',
+    hitCondition: (existing && existing.hitCondition) || '',
+    logMessage: (existing && existing.logMessage) || ''
+  };
+  let field = values.logMessage ? 'logMessage' : (values.hitCondition && !values.condition ? 'hitCondition' : 'condition');
+
+  const domNode = document.createElement('div');
+  domNode.className = 'debug-breakpoint-widget';
+
+  const select = document.createElement('select');
+  select.className = 'debug-breakpoint-kind';
+  Object.entries(BREAKPOINT_FIELDS).forEach(([key, { label }]) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = field;
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'debug-breakpoint-input';
+  input.spellcheck = false;
+  input.value = values[field];
+  input.placeholder = `${BREAKPOINT_FIELDS[field].placeholder} (Enter to accept, Escape to cancel)`;
+
+  select.addEventListener('change', () => {
+    values[field] = input.value;
+    field = select.value;
+    input.value = values[field];
+    input.placeholder = `${BREAKPOINT_FIELDS[field].placeholder} (Enter to accept, Escape to cancel)`;
+    input.focus();
+  });
+
+  // Keep typing inside the widget away from the editor's keybindings
+  input.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+
+    if (e.key === 'Enter') {
+      values[field] = input.value;
+      saveBreakpointFromWidget(filePath, lineNumber, values);
+      closeBreakpointWidget();
+      editor.focus();
+    } else if (e.key === 'Escape') {
+      closeBreakpointWidget();
+      editor.focus();
+    }
+  });
+
+  domNode.append(select, input);
+
+  debugBreakpointWidget = {
+    getId: () => 'debug.breakpoint.widget',
+    getDomNode: () => domNode,
+    getPosition: () => ({
+      position: { lineNumber, column: 1 },
+      preference: [monaco.editor.ContentWidgetPositionPreference.BELOW]
+    })
+  };
+
+  editor.addContentWidget(debugBreakpointWidget);
+  setTimeout(() => input.focus(), 0);
+}
+
+function saveBreakpointFromWidget(filePath, lineNumber, values) {
+  const breakpoints = debugBreakpoints.get(filePath) || [];
+  let breakpoint = breakpoints.find(candidate => candidate.line === lineNumber);
+  if (!breakpoint) {
+    breakpoint = { line: lineNumber, enabled: true, verified: false };
+    breakpoints.push(breakpoint);
+  }
+
+  breakpoint.condition = values.condition.trim() || undefined;
+  breakpoint.hitCondition = values.hitCondition.trim() || undefined;
+  breakpoint.logMessage = values.logMessage.trim() || undefined;
+
+  setFileBreakpoints(filePath, breakpoints);
+}
+
+function closeBreakpointWidget() {
+  if (debugBreakpointWidget && editor) {
+    editor.removeContentWidget(debugBreakpointWidget);
+  }
+  debugBreakpointWidget = null;
+}
+
+/**
+ * Saving launch.json reloads the configurations; saving a file with breakpoints resends their lines
+ */
+function didSaveDebugFile(filePath) {
+  if (isLaunchFile(filePath)) {
+    loadDebugConfigurations().then(() => {
+      window.showNotification(`✓ Launch configurations reloaded (${debugConfigurations.length})`, 2000);
+    });
+  } else if (debugSession && debugBreakpoints.has(filePath)) {
+    sendFileBreakpoints(filePath);
+  }
+}
+
+function updateDebugView() {
+  if (window.debugView) {
+    window.debugView.update();
+  }
+}
+
+// Initialize when Monaco is ready
+if (typeof monaco !== 'undefined' && typeof editor !== 'undefined' && editor) {
+  initDebugEditor();
+} else {
+  window.addEventListener('monaco-loaded', initDebugEditor);
+}
+
+// Adapter-to-client messages
+window.api.onDebugEvent(handleDebugEvent);
+
+window.api.onDebugAdapterRequest((sessionId, seq, command) => {
+  // runInTerminal and startDebugging are not advertised in initialize
+  window.api.sendDebugResponse(sessionId, seq, command, false, undefined, `${command} is not supported`);
+});
+
+window.api.onDebugAdapterExit((sessionId, code) => {
+  const session = debugSession;
+  if (!session || session.id !== sessionId) return;
+
+  if (code) {
+    window.debugView.append(`${session.adapterName} exited with code ${code}\n`, 'stderr');
+  }
+  endDebugSession(session);
+});
+
+window.api.onDebugAdapterStderr((sessionId, text) => {
+  if (debugSession && debugSession.id === sessionId) {
+    window.debugView.append(text, 'log');
+  }
+});
+
+// Menu handlers
+window.api.onMenuDebugStart(() => startDebugging(false));
+window.api.onMenuDebugRun(() => startDebugging(true));
+window.api.onMenuDebugStop(() => stopDebugging());
+window.api.onMenuDebugRestart(() => restartDebugging());
+window.api.onMenuDebugPause(() => pauseExecution());
+window.api.onMenuDebugStepOver(() => runThreadCommand('next'));
+window.api.onMenuDebugStepInto(() => runThreadCommand('stepIn'));
+window.api.onMenuDebugStepOut(() => runThreadCommand('stepOut'));
+window.api.onMenuDebugToggleBreakpoint(() => toggleBreakpointAtCursor());
+window.api.onMenuDebugRemoveBreakpoints(() => removeAllBreakpoints());
+window.api.onMenuDebugOpenConfigurations(() => {
+  if (!currentWorkspacePath) {
+    window.showNotification('Open a folder to configure debugging', 2500);
+    return;
+  }
+  openLaunchConfigurations();
+});
+
+// Export functions
+window.debug = {
+  init: initDebug,
+  didSave: didSaveDebugFile,
+  isLaunchFile,
+
+  // Launch configurations
+  getConfigurations: () => debugConfigurations,
+  getSelectedConfiguration,
+  getConfigurationProblem,
+  selectConfiguration,
+  openConfigurations: openLaunchConfigurations,
+
+  // Session
+  getSession: () => debugSession,
+  start: startDebugging,
+  launch: (configuration) => startDebugging(false, configuration),
+  stop: stopDebugging,
+  restart: restartDebugging,
+  continue: continueExecution,
+  pause: pauseExecution,
+  stepOver: () => runThreadCommand('next'),
+  stepInto: () => runThreadCommand('stepIn'),
+  stepOut: () => runThreadCommand('stepOut'),
+  loadThread,
+  selectFrame: selectStackFrame,
+  getScopes,
+  getVariables,
+  evaluate: evaluateExpression,
+
+  // Breakpoints
+  getBreakpoints: getAllBreakpoints,
+  toggleBreakpoint,
+  setBreakpointEnabled,
+  removeBreakpoint,
+  removeAllBreakpoints,
+  getExceptionFilters,
+  setExceptionFilter
+};
@@ -6,6 +6,7 @@ let diffEditor = null;
 let diffEditorModal = null;
 let originalFilePath = null;
 let modifiedFilePath = null;
+let threeWayVersions = null; // { base, current, incoming, language, labels } for merge conflicts
 
 /**
  * Initialize diff editor modal
@@ -63,6 +64,11 @@ function initDiffEditorModal() {
           </svg>
           Previous
         </button>
+        <select id="diff-three-way-mode" class="diff-three-way-select" title="Three-way comparison" style="display: none;">
+          <option value="base-current">Base ⟷ Current</option>
+          <option value="base-incoming">Base ⟷ Incoming</option>
+          <option value="current-incoming">Current ⟷ Incoming</option>
+        </select>
       </div>
       <div id="diff-editor-content" class="diff-editor-content"></div>
     </div>
@@ -78,6 +84,7 @@ function initDiffEditorModal() {
   document.getElementById('diff-swap-files').addEventListener('click', swapFiles);
   document.getElementById('diff-next-change').addEventListener('click', () => diffEditor?.getAction('editor.action.diffReview.next').run());
   document.getElementById('diff-prev-change').addEventListener('click', () => diffEditor?.getAction('editor.action.diffReview.prev').run());
+  document.getElementById('diff-three-way-mode').addEventListener('change', (e) => showThreeWayComparison(e.target.value));
 
   // Close on overlay click
   modal.addEventListener('click', (e) => {
@@ -99,18 +106,32 @@ function initDiffEditorModal() {
  */
 async function openDiffEditor() {
   initDiffEditorModal();
+  setThreeWayMode(null);
 
   // Show modal
   diffEditorModal.classList.remove('hidden');
 
-  // Create diff editor if it doesn't exist
+  if (!createDiffEditorInstance()) {
+    return;
+  }
+
+  // Prompt to select files if none selected
+  if (!originalFilePath || !modifiedFilePath) {
+    showNotification('Please select original and modified files', 3000);
+  }
+}
+
+/**
+ * Create the Monaco diff editor instance (once)
+ */
+function createDiffEditorInstance() {
   if (!diffEditor) {
     const container = document.getElementById('diff-editor-content');
 
     // Wait for Monaco to be ready
     if (typeof monaco === 'undefined') {
       console.error('Monaco editor not loaded');
-      return;
+      return false;
     }
 
     diffEditor = monaco.editor.createDiffEditor(container, {
@@ -136,10 +157,7 @@ async function openDiffEditor() {
     resizeObserver.observe(container);
   }
 
-  // Prompt to select files if none selected
-  if (!originalFilePath || !modifiedFilePath) {
-    showNotification('Please select original and modified files', 3000);
-  }
+  return true;
 }
 
 /**
@@ -307,6 +325,104 @@ async function compareFiles(file1Path, file2Path) {
   await updateDiffEditor();
 }
 
+/**
+ * Compare two in-memory contents (e.g. a file at two git revisions)
+ */
+function compareContents(originalContent, modifiedContent, options = {}) {
+  initDiffEditorModal();
+  setThreeWayMode(null);
+  showContents(originalContent, modifiedContent, options);
+}
+
+/**
+ * Compare the base, current and incoming versions of a conflicted file,
+ * switching between pairs from the toolbar
+ */
+function compareThreeWay(versions, options = {}) {
+  initDiffEditorModal();
+  setThreeWayMode({
+    base: versions.base || '',
+    current: versions.current || '',
+    incoming: versions.incoming || '',
+    language: options.language || 'plaintext',
+    labels: {
+      base: 'Base',
+      current: 'Current',
+      incoming: 'Incoming',
+      ...options.labels
+    }
+  });
+  showThreeWayComparison('base-current');
+}
+
+/**
+ * Show or hide the three-way pair selector
+ */
+function setThreeWayMode(versions) {
+  threeWayVersions = versions;
+
+  const select = document.getElementById('diff-three-way-mode');
+  if (select) {
+    select.style.display = versions ? '' : 'none';
+    select.value = 'base-current';
+  }
+}
+
+/**
+ * Show one pair of the three-way versions ('base-current', 'base-incoming' or 'current-incoming')
+ */
+function showThreeWayComparison(mode) {
+  if (!threeWayVersions) return;
+
+  const [originalKey, modifiedKey] = mode.split('-');
+  const { labels, language } = threeWayVersions;
+
+  showContents(threeWayVersions[originalKey], threeWayVersions[modifiedKey], {
+    language,
+    originalLabel: labels[originalKey],
+    modifiedLabel: labels[modifiedKey]
+  });
+}
+
+/**
+ * Load in-memory contents into the diff editor
+ */
+function showContents(originalContent, modifiedContent, options = {}) {
+  const {
+    language = 'plaintext',
+    originalLabel = 'Original',
+    modifiedLabel = 'Modified'
+  } = options;
+
+  // In-memory comparisons are not backed by files on disk
+  originalFilePath = null;
+  modifiedFilePath = null;
+
+  document.getElementById('diff-original-file').textContent = `Original: ${originalLabel}`;
+  document.getElementById('diff-modified-file').textContent = `Modified: ${modifiedLabel}`;
+  diffEditorModal.classList.remove('hidden');
+
+  if (!createDiffEditorInstance()) {
+    return;
+  }
+
+  const previousModel = diffEditor.getModel();
+
+  diffEditor.setModel({
+    original: monaco.editor.createModel(originalContent || '', language),
+    modified: monaco.editor.createModel(modifiedContent || '', language)
+  });
+
+  // Dispose models from a previous comparison (closing may have disposed them already)
+  if (previousModel) {
+    [previousModel.original, previousModel.modified].forEach(model => {
+      if (model && !model.isDisposed()) {
+        model.dispose();
+      }
+    });
+  }
+}
+
 // Listen for menu event
 window.api.onMenuOpenDiffEditor(() => {
   openDiffEditor();
@@ -317,5 +433,7 @@ window.diffEditor = {
   open: openDiffEditor,
   close: closeDiffEditor,
   compareActiveFileWith,
-  compareFiles
+  compareFiles,
+  compareContents,
+  compareThreeWay
 };
@@ -361,15 +361,6 @@ function initEditor() {
       window.dispatchEvent(new Event('editor-content-changed'));
       // Trigger auto-save
       triggerAutoSave();
-
-      // Notify LSP of document changes
-      if (window.lsp && window.lsp.isEnabled()) {
-        const tab = getActiveTab();
-        if (tab && tab.filePath) {
-          const content = editor.getValue();
-          window.lsp.didChange(tab.filePath, content);
-        }
-      }
     }, 200));
 
     // Keyboard shortcuts
@@ -407,6 +398,9 @@ function initEditor() {
 
     // Initialize auto-save
     loadAutoSaveSettings();
+
+    // Let modules that need Monaco hook in
+    window.dispatchEvent(new Event('monaco-loaded'));
   });
 }
 
@@ -603,11 +597,6 @@ window.api.onMenuGotoSymbol(() => {
     editor.getAction('editor.action.quickOutline').run();
   }
 });
-window.api.onMenuGotoSymbolWorkspace(() => {
-  if (editor) {
-    editor.getAction('editor.action.showAllSymbols').run();
-  }
-});
 window.api.onMenuGotoDefinition(() => {
   if (editor) {
     editor.getAction('editor.action.revealDefinition').run();
@@ -791,6 +780,62 @@ window.api.onMenuGitPull(() => {
   }
 });
 
+window.api.onMenuGitFetch(() => {
+  if (window.git && window.git.isEnabled()) {
+    window.git.fetch();
+  } else {
+    showNotification('Git not enabled for this workspace', 2000);
+  }
+});
+
+window.api.onMenuGitSync(() => {
+  if (window.git && window.git.isEnabled()) {
+    window.git.sync();
+  } else {
+    showNotification('Git not enabled for this workspace', 2000);
+  }
+});
+
+window.api.onMenuGitRemotes(() => {
+  if (window.git && window.git.isEnabled()) {
+    window.git.showRemotes();
+  } else {
+    showNotification('Git not enabled for this workspace', 2000);
+  }
+});
+
+window.api.onMenuGitRebase(() => {
+  if (window.git && window.git.isEnabled()) {
+    window.gitRebase.show();
+  } else {
+    showNotification('Git not enabled for this workspace', 2000);
+  }
+});
+
+window.api.onMenuGitHistory(() => {
+  if (window.git && window.git.isEnabled()) {
+    window.git.showHistory();
+  } else {
+    showNotification('Git not enabled for this workspace', 2000);
+  }
+});
+
+window.api.onMenuGitFileHistory(() => {
+  if (window.git && window.git.isEnabled()) {
+    window.git.showFileHistory();
+  } else {
+    showNotification('Git not enabled for this workspace', 2000);
+  }
+});
+
+window.api.onMenuGitToggleBlame(() => {
+  if (window.git && window.git.isEnabled()) {
+    window.git.toggleBlame();
+  } else {
+    showNotification('Git not enabled for this workspace', 2000);
+  }
+});
+
 // Initialize on load
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initEditor);
@@ -0,0 +1,462 @@
+/**
+ * Interactive Rebase Planner
+ * Lists the commits since the merge-base with a chosen branch, lets them be
+ * reordered and marked pick/reword/squash/fixup/drop, then runs the rebase
+ * with a generated todo list
+ */
+
+const REBASE_ACTIONS = [
+  { value: 'pick', label: 'Pick' },
+  { value: 'reword', label: 'Reword' },
+  { value: 'squash', label: 'Squash' },
+  { value: 'fixup', label: 'Fixup' },
+  { value: 'drop', label: 'Drop' }
+];
+
+let rebasePlan = []; // [{ commit, action, message }] in todo order (oldest first)
+let rebaseDragIndex = null;
+let rebaseRunning = false;
+
+/**
+ * Open the planner, or the stopped-rebase view when a rebase waits for the user
+ */
+async function showRebasePlanner() {
+  if (!window.git || !window.git.isEnabled()) {
+    showNotification('Git not enabled for this workspace', 2000);
+    return;
+  }
+
+  const modal = document.getElementById('git-rebase-modal');
+  if (!modal) return;
+
+  modal.classList.remove('hidden');
+  hideRebaseOutput();
+
+  const status = await window.api.gitRebaseStatus(window.git.getRoot());
+  setRebaseStopped(status.inProgress);
+
+  if (!status.inProgress) {
+    await loadRebaseBranches();
+    await loadRebaseCommits();
+  }
+}
+
+function closeRebasePlanner() {
+  const modal = document.getElementById('git-rebase-modal');
+  if (modal) {
+    modal.classList.add('hidden');
+  }
+  rebasePlan = [];
+  rebaseDragIndex = null;
+}
+
+// Fill the base branch picker, preferring the upstream, then main/master
+async function loadRebaseBranches() {
+  const select = document.getElementById('git-rebase-base');
+  if (!select) return;
+
+  const [branches, remotes, currentBranch] = await Promise.all([
+    window.api.getAllBranches(window.git.getRoot()),
+    window.api.gitRemoteList(window.git.getRoot()),
+    window.api.getCurrentBranch(window.git.getRoot())
+  ]);
+
+  const localBranches = branches
+    .filter(branch => !branch.remote && branch.name !== currentBranch)
+    .map(branch => branch.name);
+  const remoteBranches = (remotes.remotes || []).flatMap(remote => remote.branches);
+  const candidates = [...localBranches, ...remoteBranches];
+
+  const previous = select.value;
+  select.innerHTML = '';
+  candidates.forEach(name => {
+    select.appendChild(new Option(name, name));
+  });
+
+  const upstream = gitBranchStatus && gitBranchStatus.upstream;
+  const preferred = [previous, upstream, 'main', 'master', 'origin/main', 'origin/master']
+    .find(name => name && candidates.includes(name));
+  if (preferred) {
+    select.value = preferred;
+  }
+}
+
+// List the commits that would be rewritten against the selected base
+async function loadRebaseCommits() {
+  const list = document.getElementById('git-rebase-list');
+  const select = document.getElementById('git-rebase-base');
+  if (!list || !select) return;
+
+  rebasePlan = [];
+
+  if (!select.value) {
+    list.innerHTML = '<div class="git-branch-loading">No other branches to rebase against</div>';
+    updateRebaseSummary();
+    return;
+  }
+
+  list.innerHTML = '<div class="git-branch-loading">Loading commits...</div>';
+
+  const result = await window.api.gitRebaseCommits(window.git.getRoot(), select.value);
+  if (!result.success) {
+    list.innerHTML = '<div class="git-branch-loading">Failed to load commits</div>';
+    showRebaseOutput('Could not list commits', result.error);
+    updateRebaseSummary();
+    return;
+  }
+
+  rebasePlan = result.commits.map(commit => ({
+    commit,
+    action: 'pick',
+    message: commit.body ? `${commit.subject}\n\n${commit.body}` : commit.subject
+  }));
+
+  renderRebasePlan();
+}
+
+function renderRebasePlan() {
+  const list = document.getElementById('git-rebase-list');
+  if (!list) return;
+
+  list.innerHTML = '';
+
+  if (rebasePlan.length === 0) {
+    list.innerHTML = '<div class="git-branch-loading">No commits since the merge-base</div>';
+  }
+
+  rebasePlan.forEach((step, index) => {
+    list.appendChild(createRebaseStepItem(step, index));
+  });
+
+  updateRebaseSummary();
+}
+
+// Create a draggable row for one commit of the plan
+function createRebaseStepItem(step, index) {
+  const item = document.createElement('div');
+  item.className = `git-rebase-step ${step.action}`;
+  item.draggable = true;
+
+  const row = document.createElement('div');
+  row.className = 'git-rebase-row';
+
+  const handle = document.createElement('span');
+  handle.className = 'git-rebase-handle';
+  handle.textContent = '⋮⋮';
+  handle.title = 'Drag to reorder';
+
+  const action = document.createElement('select');
+  action.className = 'git-rebase-action';
+  REBASE_ACTIONS.forEach(({ value, label }) => {
+    action.appendChild(new Option(label, value));
+  });
+  action.value = step.action;
+  action.addEventListener('change', () => {
+    step.action = action.value;
+    renderRebasePlan();
+  });
+
+  const hash = document.createElement('span');
+  hash.className = 'git-rebase-hash';
+  hash.textContent = step.commit.shortHash;
+
+  const subject = document.createElement('span');
+  subject.className = 'git-rebase-subject';
+  subject.textContent = step.commit.subject;
+  subject.title = `${step.commit.subject}\n${step.commit.author}, ${getTimeAgo(step.commit.date)}`;
+
+  row.appendChild(handle);
+  row.appendChild(action);
+  row.appendChild(hash);
+  row.appendChild(subject);
+  item.appendChild(row);
+
+  // Rewording edits the full message in place
+  if (step.action === 'reword') {
+    const message = document.createElement('textarea');
+    message.className = 'git-rebase-message';
+    message.rows = 3;
+    message.value = step.message;
+    message.addEventListener('input', () => {
+      step.message = message.value;
+      updateRebaseSummary();
+    });
+    item.appendChild(message);
+  }
+
+  item.addEventListener('dragstart', (e) => {
+    rebaseDragIndex = index;
+    item.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+  });
+
+  item.addEventListener('dragend', () => {
+    rebaseDragIndex = null;
+    item.classList.remove('dragging');
+  });
+
+  item.addEventListener('dragover', (e) => {
+    if (rebaseDragIndex === null) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    item.classList.add('drag-over');
+  });
+
+  item.addEventListener('dragleave', () => {
+    item.classList.remove('drag-over');
+  });
+
+  item.addEventListener('drop', (e) => {
+    e.preventDefault();
+    if (rebaseDragIndex === null || rebaseDragIndex === index) return;
+
+    const [moved] = rebasePlan.splice(rebaseDragIndex, 1);
+    rebasePlan.splice(index, 0, moved);
+    rebaseDragIndex = null;
+    renderRebasePlan();
+  });
+
+  return item;
+}
+
+// Problems that would make git reject the todo list, or null
+function validateRebasePlan() {
+  const kept = rebasePlan.filter(step => step.action !== 'drop');
+
+  if (rebasePlan.length === 0) {
+    return 'No commits to rebase';
+  }
+  if (kept.length > 0 && (kept[0].action === 'squash' || kept[0].action === 'fixup')) {
+    return 'The first commit cannot be squashed or fixed up into a previous one';
+  }
+  if (rebasePlan.some(step => step.action === 'reword' && !step.message.trim())) {
+    return 'Reworded commits need a message';
+  }
+  return null;
+}
+
+function updateRebaseSummary() {
+  const summary = document.getElementById('git-rebase-summary');
+  const startBtn = document.getElementById('git-rebase-start');
+  const problem = validateRebasePlan();
+
+  if (summary) {
+    const counts = REBASE_ACTIONS
+      .map(({ value }) => [value, rebasePlan.filter(step => step.action === value).length])
+      .filter(([, count]) => count > 0)
+      .map(([value, count]) => `${count} ${value}`);
+
+    summary.textContent = problem || counts.join(', ');
+    summary.classList.toggle('error', !!problem && rebasePlan.length > 0);
+  }
+
+  if (startBtn) {
+    startBtn.disabled = !!problem || rebaseRunning;
+  }
+}
+
+async function startRebase() {
+  const select = document.getElementById('git-rebase-base');
+  const onto = document.getElementById('git-rebase-onto');
+  const noVerify = document.getElementById('git-rebase-no-verify');
+  if (!select || rebaseRunning || validateRebasePlan()) return;
+
+  const base = select.value;
+  const todo = rebasePlan.map(step => ({
+    action: step.action,
+    hash: step.commit.hash,
+    message: step.message
+  }));
+
+  rebaseRunning = true;
+  updateRebaseSummary();
+  hideRebaseOutput();
+
+  try {
+    showNotification(`Rebasing ${todo.length} commit${todo.length !== 1 ? 's' : ''}...`, 1500);
+    const result = await window.api.gitRebaseStart(window.git.getRoot(), {
+      base,
+      onto: !!(onto && onto.checked),
+      noVerify: !!(noVerify && noVerify.checked),
+      todo
+    });
+    await handleRebaseResult(result, 'Rebase complete');
+  } finally {
+    rebaseRunning = false;
+    updateRebaseSummary();
+  }
+}
+
+// Continue, skip or abort a stopped rebase
+async function runRebaseAction(action) {
+  if (rebaseRunning) return;
+
+  if (action === 'abort' && !confirm('Abort the rebase and restore the branch to its original state?')) {
+    return;
+  }
+
+  rebaseRunning = true;
+  hideRebaseOutput();
+
+  try {
+    const apiCall = {
+      continue: window.api.gitRebaseContinue,
+      skip: window.api.gitRebaseSkip,
+      abort: window.api.gitRebaseAbort
+    }[action];
+
+    const result = await apiCall(window.git.getRoot());
+    await handleRebaseResult(result, action === 'abort' ? 'Rebase aborted' : 'Rebase complete');
+  } finally {
+    rebaseRunning = false;
+  }
+}
+
+/**
+ * Finish up after a rebase command: refresh git state and open tabs, and hand
+ * conflicts over to the merge conflict editor when the rebase stopped
+ */
+async function handleRebaseResult(result, successMessage) {
+  await window.git.refresh();
+  await reloadOpenTabs();
+
+  if (result.success) {
+    setRebaseStopped(false);
+    closeRebasePlanner();
+    showNotification(`✓ ${successMessage}`, 2500);
+    return;
+  }
+
+  if (!result.stopped) {
+    setRebaseStopped(false);
+    showRebaseOutput('Rebase failed', result.output || result.error);
+    showNotification('✗ Rebase failed', 2000);
+    return;
+  }
+
+  setRebaseStopped(true);
+  showRebaseOutput('Rebase stopped', result.output || result.error);
+
+  const conflicted = window.git.getConflictedFiles();
+  if (conflicted.length > 0) {
+    closeRebasePlanner();
+    showNotification(`✗ Rebase stopped with conflicts in ${conflicted.length} file${conflicted.length !== 1 ? 's' : ''}. Resolve them, then continue from Git > Interactive Rebase...`, 5000);
+
+    for (const relativePath of conflicted) {
+      await openFileInEditor(`${window.git.getRoot()}/${relativePath}`);
+    }
+  } else {
+    showNotification('✗ Rebase stopped', 2000);
+  }
+}
+
+// Pick up rewritten file contents in open, unmodified tabs
+async function reloadOpenTabs() {
+  for (const tab of getAllTabs()) {
+    if (!tab.filePath || tab.modified || !tab.model) continue;
+
+    const result = await window.api.readFile(tab.filePath);
+    if (result && result.content !== tab.model.getValue()) {
+      await reloadTabFromDisk(tab);
+    }
+  }
+}
+
+// Switch the dialog between planning and a stopped rebase, and show it in the status bar
+function setRebaseStopped(stopped) {
+  const planner = document.getElementById('git-rebase-planner');
+  const stoppedPanel = document.getElementById('git-rebase-stopped');
+  const startBtn = document.getElementById('git-rebase-start');
+  const summary = document.getElementById('git-rebase-summary');
+  const statusItem = document.getElementById('git-status-rebase');
+
+  if (planner) planner.classList.toggle('hidden', stopped);
+  if (stoppedPanel) stoppedPanel.classList.toggle('hidden', !stopped);
+  if (startBtn) startBtn.style.display = stopped ? 'none' : '';
+  if (summary) summary.style.visibility = stopped ? 'hidden' : '';
+  if (statusItem) statusItem.style.display = stopped ? '' : 'none';
+}
+
+function showRebaseOutput(title, output) {
+  const panel = document.getElementById('git-rebase-output');
+  const titleEl = document.getElementById('git-rebase-output-title');
+  const text = document.getElementById('git-rebase-output-text');
+  if (!panel || !titleEl || !text) return;
+
+  titleEl.textContent = title;
+  text.textContent = output || '';
+  panel.classList.remove('hidden');
+}
+
+function hideRebaseOutput() {
+  const panel = document.getElementById('git-rebase-output');
+  if (panel) {
+    panel.classList.add('hidden');
+  }
+}
+
+// Setup rebase dialog event listeners
+document.addEventListener('DOMContentLoaded', () => {
+  const modal = document.getElementById('git-rebase-modal');
+  const closeBtn = document.getElementById('git-rebase-close');
+  const cancelBtn = document.getElementById('git-rebase-cancel');
+  const baseSelect = document.getElementById('git-rebase-base');
+  const startBtn = document.getElementById('git-rebase-start');
+  const continueBtn = document.getElementById('git-rebase-continue');
+  const skipBtn = document.getElementById('git-rebase-skip');
+  const abortBtn = document.getElementById('git-rebase-abort');
+  const statusItem = document.getElementById('git-status-rebase');
+
+  if (closeBtn) {
+    closeBtn.addEventListener('click', closeRebasePlanner);
+  }
+
+  if (cancelBtn) {
+    cancelBtn.addEventListener('click', closeRebasePlanner);
+  }
+
+  if (modal) {
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        closeRebasePlanner();
+      }
+    });
+
+    modal.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        closeRebasePlanner();
+      }
+    });
+  }
+
+  if (baseSelect) {
+    baseSelect.addEventListener('change', loadRebaseCommits);
+  }
+
+  if (startBtn) {
+    startBtn.addEventListener('click', startRebase);
+  }
+
+  if (continueBtn) {
+    continueBtn.addEventListener('click', () => runRebaseAction('continue'));
+  }
+
+  if (skipBtn) {
+    skipBtn.addEventListener('click', () => runRebaseAction('skip'));
+  }
+
+  if (abortBtn) {
+    abortBtn.addEventListener('click', () => runRebaseAction('abort'));
+  }
+
+  if (statusItem) {
+    statusItem.addEventListener('click', showRebasePlanner);
+  }
+});
+
+// Export functions
+window.gitRebase = {
+  show: showRebasePlanner,
+  close: closeRebasePlanner
+};
@@ -4,10 +4,17 @@
  */
 
 let gitEnabled = false;
-let currentGitRoot = null;
-let gitStatusCache = new Map(); // path -> status
+let currentGitRoot = null; // active repository; commit, branch and history operations target it
+let gitRepositories = []; // [{ path, name, kind, status }] discovered under the workspace
+let gitFileEntriesByPath = new Map(); // absolute path -> status entry, across all repositories
+let gitStatusCache = new Map(); // path (relative to the active repository) -> status
+let gitStatusEntries = new Map(); // path -> porcelain v2 entry (index/worktree states)
+let gitBranchStatus = null; // { head, oid, upstream, ahead, behind, detached }
 let fileDecorations = new Map(); // path -> monaco decorations
 let gitStatusInterval = null;
+let gitFetchInterval = null;
+let gitAutoFetchMinutes = 3; // 0 disables background fetch
+let gitSyncInProgress = false;
 
 /**
  * Initialize git integration for workspace
@@ -19,15 +26,20 @@ async function initGit(workspacePath) {
   }
 
   try {
-    // Check if workspace is a git repository
-    const isGitRepo = await window.api.isGitRepository(workspacePath);
-
-    if (isGitRepo) {
-      currentGitRoot = workspacePath;
+    // Find the workspace repository plus nested repositories, submodules and worktrees
+    const discovery = await window.api.gitDiscoverRepositories(workspacePath);
+    gitRepositories = discovery.repositories.map(repo => ({ ...repo, status: null }));
+
+    if (gitRepositories.length > 0) {
+      // Prefer the repository that contains the workspace root
+      const workspaceRepo = gitRepositories.find(repo =>
+        workspacePath === repo.path || workspacePath.startsWith(repo.path + '/'));
+      currentGitRoot = (workspaceRepo || gitRepositories[0]).path;
       gitEnabled = true;
 
       // Initial git status
       await refreshGitStatus();
+      renderRepositoryPickers();
 
       // Poll for changes every 5 seconds
       if (gitStatusInterval) {
@@ -35,6 +47,10 @@ async function initGit(workspacePath) {
       }
       gitStatusInterval = setInterval(() => refreshGitStatus(), 5000);
 
+      // Keep ahead/behind counts current
+      loadGitFetchSettings();
+      startGitAutoFetch();
+
       // Show git commit button
       const gitCommitBtn = document.getElementById('git-commit-btn');
       if (gitCommitBtn) {
@@ -44,6 +60,7 @@ async function initGit(workspacePath) {
       console.log('✅ Git integration enabled');
     } else {
       gitEnabled = false;
+      updateGitSyncStatus();
 
       // Hide git commit button
       const gitCommitBtn = document.getElementById('git-commit-btn');
@@ -72,31 +89,38 @@ async function refreshGitStatus() {
   if (!gitEnabled || !currentGitRoot) return;
 
   try {
-    const status = await window.api.getGitStatus(currentGitRoot);
+    // Refresh every repository so file tree badges and the repository picker stay current
+    await Promise.all(gitRepositories.map(async repo => {
+      repo.status = await window.api.getGitStatus(repo.path);
+    }));
+
+    // Nested repositories sort after their parents, so their entries win
+    gitFileEntriesByPath.clear();
+    gitRepositories.forEach(repo => {
+      repo.status.files.forEach(file => {
+        gitFileEntriesByPath.set(`${repo.path}/${file.path}`, file);
+      });
+    });
+
+    const activeRepo = getActiveRepository();
+    const status = activeRepo ? activeRepo.status : await window.api.getGitStatus(currentGitRoot);
 
     // Update cache
     gitStatusCache.clear();
+    gitStatusEntries.clear();
+    gitBranchStatus = status.branch;
 
-    // Parse git status output
-    if (status.modified) {
-      status.modified.forEach(file => gitStatusCache.set(file, 'modified'));
-    }
-    if (status.added) {
-      status.added.forEach(file => gitStatusCache.set(file, 'added'));
-    }
-    if (status.deleted) {
-      status.deleted.forEach(file => gitStatusCache.set(file, 'deleted'));
-    }
-    if (status.untracked) {
-      status.untracked.forEach(file => gitStatusCache.set(file, 'untracked'));
-    }
-    if (status.renamed) {
-      status.renamed.forEach(file => gitStatusCache.set(file.to, 'renamed'));
-    }
+    status.files.forEach(file => {
+      gitStatusCache.set(file.path, file.status);
+      gitStatusEntries.set(file.path, file);
+    });
 
     // Update file tree decorations
     updateFileTreeGitStatus();
 
+    // Update branch and ahead/behind counts in the status bar
+    updateGitSyncStatus();
+
     // Update editor decorations for open files
     updateEditorGitDecorations();
 
@@ -114,13 +138,95 @@ function getFileGitStatus(filePath) {
   // Skip invalid or non-file paths
   if (!filePath || !filePath.startsWith('/') || filePath === '/') return null;
 
-  // Skip files outside workspace
-  if (!filePath.startsWith(currentGitRoot)) return null;
+  const entry = gitFileEntriesByPath.get(filePath);
+  return entry ? entry.status : null;
+}
+
+// Repository Selection
+
+function getActiveRepository() {
+  return gitRepositories.find(repo => repo.path === currentGitRoot) || null;
+}
+
+// Innermost discovered repository containing a file
+function getRepositoryForFile(filePath) {
+  return gitRepositories
+    .filter(repo => filePath.startsWith(repo.path + '/'))
+    .sort((a, b) => b.path.length - a.path.length)[0] || null;
+}
+
+/**
+ * Make another discovered repository the target of commit, branch, stash,
+ * history and hunk operations
+ */
+async function setActiveRepository(repoPath) {
+  if (!gitEnabled || repoPath === currentGitRoot) return;
+  if (!gitRepositories.some(repo => repo.path === repoPath)) return;
+
+  currentGitRoot = repoPath;
+  closeGitHunkWidget();
+  closeGitHistory();
+
+  await refreshGitStatus();
+  renderRepositoryPickers();
+}
+
+// Label a repository with its kind and number of changed files
+function getRepositoryLabel(repo) {
+  const kind = repo.kind !== 'repository' ? ` [${repo.kind}]` : '';
+  const changes = repo.status ? repo.status.files.length : 0;
+  return `${repo.name}${kind}${changes > 0 ? ` (${changes})` : ''}`;
+}
+
+// Fill the repository pickers in the commit dialog and branch switcher (hidden for a single repository)
+function renderRepositoryPickers() {
+  ['git-commit-repo', 'git-branch-repo'].forEach(id => {
+    const select = document.getElementById(id);
+    if (!select) return;
+
+    select.style.display = gitRepositories.length > 1 ? '' : 'none';
+    select.innerHTML = '';
+    gitRepositories.forEach(repo => {
+      const option = new Option(getRepositoryLabel(repo), repo.path);
+      option.title = repo.path;
+      select.appendChild(option);
+    });
+    select.value = currentGitRoot || '';
+  });
+}
+
+const GIT_TREE_STATUS_CLASSES = ['git-modified', 'git-added', 'git-deleted', 'git-untracked', 'git-renamed', 'git-copied', 'git-conflicted'];
+
+// Status names for porcelain index/worktree state letters
+const GIT_STATE_NAMES = {
+  'M': 'modified',
+  'T': 'modified',
+  'A': 'added',
+  'D': 'deleted',
+  'R': 'renamed',
+  'C': 'copied'
+};
 
-  // Get relative path
-  const relativePath = filePath.substring(currentGitRoot.length + 1);
+// Describe staged and unstaged state of an entry, e.g. "Staged: modified, Unstaged: deleted"
+function describeGitStatusEntry(entry) {
+  if (!entry) return '';
+  if (entry.conflicted) return 'Merge conflict';
+  if (entry.kind === 'untracked') return 'Untracked';
 
-  return gitStatusCache.get(relativePath) || null;
+  const parts = [];
+  if (entry.staged) {
+    parts.push(`Staged: ${GIT_STATE_NAMES[entry.index] || 'modified'}`);
+  }
+  if (entry.unstaged) {
+    parts.push(`Unstaged: ${GIT_STATE_NAMES[entry.worktree] || 'modified'}`);
+  }
+  if (entry.origPath) {
+    parts.push(`from ${entry.origPath}`);
+  }
+  if (entry.submodule) {
+    parts.push('submodule');
+  }
+  return parts.join(', ');
 }
 
 /**
@@ -129,13 +235,22 @@ function getFileGitStatus(filePath) {
 function updateFileTreeGitStatus() {
   if (!gitEnabled) return;
 
-  gitStatusCache.forEach((status, relativePath) => {
-    const fullPath = `${currentGitRoot}/${relativePath}`;
+  // Clear badges from files that are no longer changed
+  document.querySelectorAll('.tree-item .git-status-indicator').forEach(indicator => {
+    const treeItem = indicator.closest('.tree-item');
+    if (!gitFileEntriesByPath.has(treeItem.dataset.path)) {
+      treeItem.classList.remove(...GIT_TREE_STATUS_CLASSES);
+      indicator.remove();
+    }
+  });
+
+  gitFileEntriesByPath.forEach((entry, fullPath) => {
+    const status = entry.status;
     const treeItem = document.querySelector(`.tree-item[data-path="${fullPath}"]`);
 
     if (treeItem) {
       // Remove existing git status classes
-      treeItem.classList.remove('git-modified', 'git-added', 'git-deleted', 'git-untracked', 'git-renamed');
+      treeItem.classList.remove(...GIT_TREE_STATUS_CLASSES);
 
       // Add new status class
       treeItem.classList.add(`git-${status}`);
@@ -154,9 +269,12 @@ function updateFileTreeGitStatus() {
         'added': 'A',
         'deleted': 'D',
         'untracked': 'U',
-        'renamed': 'R'
+        'renamed': 'R',
+        'copied': 'C',
+        'conflicted': '!'
       };
       indicator.textContent = statusText[status] || '';
+      indicator.title = describeGitStatusEntry(entry);
     }
   });
 }
@@ -167,11 +285,14 @@ function updateFileTreeGitStatus() {
 async function updateEditorGitDecorations() {
   if (!gitEnabled || !editor) return;
 
+  registerGitHunkGutter();
+
   const model = editor.getModel();
   if (!model) return;
 
-  const filePath = model.uri.path;
-  // Skip git decorations for non-file paths (e.g., untitled:/1)
+  const activeTab = getActiveTab();
+  const filePath = activeTab ? activeTab.filePath : null;
+  // Skip git decorations for non-file paths (e.g., untitled files)
   if (!filePath || !filePath.startsWith('/') || filePath === '/' || !currentGitRoot) return;
 
   // Only process files within the git workspace
@@ -193,17 +314,17 @@ async function updateEditorGitDecorations() {
       const { type, lineNumber, count } = change;
 
       let decorationClass = '';
-      let glyphMarginClass = '';
+      let gutterClass = '';
 
       if (type === 'added') {
         decorationClass = 'git-line-added';
-        glyphMarginClass = 'git-gutter-added';
+        gutterClass = 'git-gutter-added';
       } else if (type === 'modified') {
         decorationClass = 'git-line-modified';
-        glyphMarginClass = 'git-gutter-modified';
+        gutterClass = 'git-gutter-modified';
       } else if (type === 'deleted') {
         decorationClass = 'git-line-deleted';
-        glyphMarginClass = 'git-gutter-deleted';
+        gutterClass = 'git-gutter-deleted';
       }
 
       const range = {
@@ -218,8 +339,9 @@ async function updateEditorGitDecorations() {
         options: {
           isWholeLine: true,
           className: decorationClass,
-          glyphMarginClassName: glyphMarginClass,
-          glyphMarginHoverMessage: { value: `Git: ${type}` }
+          // The glyph margin belongs to breakpoints; git markers sit next to the line numbers
+          linesDecorationsClassName: gutterClass,
+          hoverMessage: { value: `Git: ${type} (click the marker beside the line number to stage, unstage or revert)` }
         }
       });
     });
@@ -290,8 +412,14 @@ async function gitPush() {
 
   try {
     window.showNotification('Pushing to remote...', 1000);
-    await window.api.gitPush(currentGitRoot);
-    window.showNotification('Pushed successfully');
+    const result = await window.api.gitPush(currentGitRoot);
+    await refreshGitStatus();
+
+    if (result.success) {
+      window.showNotification('Pushed successfully');
+    } else {
+      window.showNotification('Failed to push: ' + result.error, 3000);
+    }
   } catch (error) {
     console.error('Error pushing:', error);
     window.showNotification('Failed to push: ' + error.message, 3000);
@@ -304,19 +432,67 @@ async function gitPull() {
 
   try {
     window.showNotification('Pulling from remote...', 1000);
-    await window.api.gitPull(currentGitRoot);
+    const result = await window.api.gitPull(currentGitRoot);
     await refreshGitStatus();
-    window.showNotification('Pulled successfully');
+
+    if (result.success) {
+      window.showNotification('Pulled successfully');
+      return;
+    }
+
+    // A pull that stops on conflicts leaves unmerged files to resolve
+    const conflictCount = getConflictedFiles().length;
+    if (conflictCount > 0) {
+      window.showNotification(`✗ Pull stopped with merge conflicts in ${conflictCount} file${conflictCount !== 1 ? 's' : ''}`, 4000);
+      showCommitDialog();
+    } else {
+      window.showNotification('Failed to pull: ' + result.error, 3000);
+    }
   } catch (error) {
     console.error('Error pulling:', error);
     window.showNotification('Failed to pull: ' + error.message, 3000);
   }
 }
 
+// Relative paths of files with unresolved merge conflicts
+function getConflictedFiles() {
+  const conflicted = [];
+  gitStatusCache.forEach((status, relativePath) => {
+    if (status === 'conflicted') {
+      conflicted.push(relativePath);
+    }
+  });
+  return conflicted;
+}
+
+// Mark a conflicted file as resolved by staging it
+async function markConflictResolved(filePath) {
+  if (!gitEnabled || !currentGitRoot) return;
+
+  try {
+    const result = await window.api.gitAdd(currentGitRoot, filePath);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    await refreshGitStatus();
+
+    const remaining = getConflictedFiles().length;
+    window.showNotification(remaining > 0
+      ? `✓ Marked as resolved (${remaining} conflicted file${remaining !== 1 ? 's' : ''} left)`
+      : '✓ All conflicts resolved. Ready to commit', 3000);
+  } catch (error) {
+    console.error('Error marking conflict resolved:', error);
+    window.showNotification('✗ Failed to mark as resolved: ' + error.message, 3000);
+  }
+}
+
 // Track staged files for commit dialog
 let stagedFiles = new Set();
 let currentTab = 'unstaged';  // Track current tab
 let allFiles = [];  // Store all files
+let gitCommitInProgress = false;
+let messageBeforeAmend = null; // { summary, description } typed before "Amend" preloaded the last message
 
 // Show commit dialog with file list
 async function showCommitDialog() {
@@ -343,14 +519,19 @@ async function showCommitDialog() {
   const autoPush = document.getElementById('git-auto-push');
   if (autoPush) autoPush.checked = false;
 
+  // Reset commit options
+  resetCommitOptions();
+
   // Show modal
   modal.classList.remove('hidden');
+  renderRepositoryPickers();
 
   // Load current branch
   await loadCurrentBranch();
 
   // Load and display files
   await loadCommitDialogFiles();
+  loadFixupCommits();
 
   // Ensure unstaged tab is active
   switchTab('unstaged');
@@ -375,7 +556,10 @@ async function loadCurrentBranch() {
     }
 
     if (pushDest) {
-      pushDest.textContent = `Push to origin/${branch || 'main'}`;
+      const upstream = gitBranchStatus && gitBranchStatus.upstream;
+      pushDest.textContent = upstream
+        ? `Push to ${upstream}${gitBranchStatus.behind ? ` (${gitBranchStatus.behind} behind)` : ''}`
+        : `Push to origin/${branch || 'main'}`;
     }
   } catch (error) {
     console.error('Error loading branch:', error);
@@ -392,12 +576,7 @@ async function loadCommitDialogFiles() {
   try {
     // Get current git status
     await refreshGitStatus();
-
-    // Build file list
-    allFiles = [];
-    gitStatusCache.forEach((status, relativePath) => {
-      allFiles.push({ path: relativePath, status });
-    });
+    collectCommitDialogFiles();
 
     // Render files based on current tab
     renderFilesList();
@@ -409,15 +588,28 @@ async function loadCommitDialogFiles() {
   }
 }
 
+// Build the dialog file list from the index and worktree states
+function collectCommitDialogFiles() {
+  allFiles = Array.from(gitStatusEntries.values());
+  stagedFiles = new Set(allFiles.filter(f => f.staged).map(f => f.path));
+}
+
+// Status shown for a file on the given tab (index state when staged, worktree state otherwise)
+function getTabFileStatus(file, tab) {
+  if (file.conflicted || file.kind === 'untracked') return file.status;
+  const state = tab === 'staged' ? file.index : file.worktree;
+  return GIT_STATE_NAMES[state] || file.status;
+}
+
 // Render files list based on current tab
 function renderFilesList() {
   const filesList = document.getElementById('git-files-list');
   if (!filesList) return;
 
-  // Filter files based on tab
+  // A file that is both staged and modified appears on both tabs
   const filesToShow = currentTab === 'staged'
-    ? allFiles.filter(f => stagedFiles.has(f.path))
-    : allFiles.filter(f => !stagedFiles.has(f.path));
+    ? allFiles.filter(f => f.staged)
+    : allFiles.filter(f => f.unstaged);
 
   if (filesToShow.length === 0) {
     const message = currentTab === 'staged'
@@ -429,8 +621,18 @@ function renderFilesList() {
 
   // Render files
   filesList.innerHTML = '';
+
+  // Conflicted files must be resolved before they can be staged
+  const conflictCount = filesToShow.filter(f => f.status === 'conflicted').length;
+  if (conflictCount > 0) {
+    const banner = document.createElement('div');
+    banner.className = 'git-conflict-banner';
+    banner.textContent = `${conflictCount} file${conflictCount !== 1 ? 's have' : ' has'} merge conflicts. Click a file to resolve it.`;
+    filesList.appendChild(banner);
+  }
+
   filesToShow.forEach(file => {
-    const item = createFileItem(file);
+    const item = createFileItem({ ...file, status: getTabFileStatus(file, currentTab) });
     filesList.appendChild(item);
   });
 }
@@ -445,7 +647,7 @@ function updateTabCounts() {
   }
 
   if (unstagedCount) {
-    unstagedCount.textContent = `(${allFiles.length - stagedFiles.size})`;
+    unstagedCount.textContent = `(${allFiles.filter(f => f.unstaged).length})`;
   }
 }
 
@@ -465,9 +667,10 @@ function createFileItem(file) {
     'added': '<svg width="18" height="18" viewBox="0 0 24 24" fill="none"><path d="M12 5V19M5 12H19" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>',
     'deleted': '<svg width="18" height="18" viewBox="0 0 24 24" fill="none"><path d="M3 6H5H21M19 6V20C19 20.5304 18.7893 21.0391 18.4142 21.4142C18.0391 21.7893 17.5304 22 17 22H7C6.46957 22 5.96086 21.7893 5.58579 21.4142C5.21071 21.0391 5 20.5304 5 20V6M8 6V4C8 3.46957 8.21071 2.96086 8.58579 2.58579C8.96086 2.21071 9.46957 2 10 2H14C14.5304 2 15.0391 2.21071 15.4142 2.58579C15.7893 2.96086 16 3.46957 16 4V6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>',
     'untracked': '<svg width="18" height="18" viewBox="0 0 24 24" fill="none"><path d="M12 5V19M5 12H19" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>',
+    'conflicted': '<svg width="18" height="18" viewBox="0 0 24 24" fill="none"><path d="M12 9V13M12 17H12.01M10.29 3.86L1.82 18C1.64537 18.3024 1.55296 18.6453 1.55199 18.9945C1.55101 19.3437 1.6415 19.6871 1.81442 19.9905C1.98734 20.2939 2.23672 20.5467 2.53773 20.7238C2.83875 20.9009 3.18058 20.9961 3.53 21H20.47C20.8194 20.9961 21.1613 20.9009 21.4623 20.7238C21.7633 20.5467 22.0127 20.2939 22.1856 19.9905C22.3585 19.6871 22.449 19.3437 22.448 18.9945C22.447 18.6453 22.3546 18.3024 22.18 18L13.71 3.86C13.5317 3.56611 13.2807 3.32312 12.9812 3.15448C12.6817 2.98585 12.3437 2.89725 12 2.89725C11.6563 2.89725 11.3183 2.98585 11.0188 3.15448C10.7193 3.32312 10.4683 3.56611 10.29 3.86Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>',
     'renamed': '<svg width="18" height="18" viewBox="0 0 24 24" fill="none"><path d="M14 2H6C5.46957 2 4.96086 2.21071 4.58579 2.58579C4.21071 2.96086 4 3.46957 4 4V20C4 20.5304 4.21071 21.0391 4.58579 21.4142C4.96086 21.7893 5.46957 22 6 22H18C18.5304 22 19.0391 21.7893 19.4142 21.4142C19.7893 21.0391 20 20.5304 20 20V8L14 2Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/><path d="M14 2V8H20" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>'
   };
-  icon.innerHTML = iconSvg[file.status] || iconSvg.modified;
+  icon.innerHTML = iconSvg[file.status === 'copied' ? 'renamed' : file.status] || iconSvg.modified;
 
   // File info (name and path)
   const fileInfo = document.createElement('div');
@@ -482,16 +685,30 @@ function createFileItem(file) {
   const filePath = document.createElement('div');
   filePath.className = 'git-file-path';
   filePath.textContent = pathParts.slice(0, -1).join('/') || '/';
-  filePath.title = file.path;
+  filePath.title = file.origPath ? `${file.origPath} → ${file.path}` : file.path;
 
   fileInfo.appendChild(fileName);
   fileInfo.appendChild(filePath);
 
+  // Conflicted files open in the editor for resolution instead of being staged
+  if (file.status === 'conflicted') {
+    filePath.textContent = `Merge conflict • ${filePath.textContent}`;
+    item.classList.add('conflicted');
+    item.title = 'Open to resolve conflicts';
+    item.appendChild(icon);
+    item.appendChild(fileInfo);
+    item.addEventListener('click', () => {
+      closeCommitDialog();
+      openFileInEditor(`${currentGitRoot}/${file.path}`);
+    });
+    return item;
+  }
+
   // Checkbox
   const checkbox = document.createElement('input');
   checkbox.type = 'checkbox';
   checkbox.className = 'git-file-checkbox';
-  checkbox.checked = stagedFiles.has(file.path);
+  checkbox.checked = currentTab === 'staged';
   checkbox.addEventListener('change', (e) => {
     e.stopPropagation();
     handleFileCheckbox(file.path, e.target.checked);
@@ -521,16 +738,24 @@ async function handleFileCheckbox(filePath, isChecked) {
       if (!result.success) {
         throw new Error(result.error || 'Failed to stage file');
       }
-      stagedFiles.add(filePath);
     } else {
       // Unstage file - pass relative path directly
       const result = await window.api.gitReset(currentGitRoot, filePath);
       if (!result.success) {
         throw new Error(result.error || 'Failed to unstage file');
       }
-      stagedFiles.delete(filePath);
+
+      // A staged rename also removed the original path from the index
+      const entry = gitStatusEntries.get(filePath);
+      if (entry && entry.origPath) {
+        await window.api.gitReset(currentGitRoot, entry.origPath);
+      }
     }
 
+    // Staging can move a file between tabs or leave it on both
+    await refreshGitStatus();
+    collectCommitDialogFiles();
+
     // Re-render list and update counts
     renderFilesList();
     updateTabCounts();
@@ -552,14 +777,157 @@ function updateCommitButtons() {
 
   const hasMessage = summary && summary.value.trim().length > 0;
   const hasStaged = stagedFiles.size > 0;
-  const canCommit = hasMessage && hasStaged;
+  const options = getCommitOptions();
+
+  // Fixup messages are generated by git; amend may only change the message
+  let canCommit = hasMessage && hasStaged;
+  if (options.fixup) {
+    canCommit = hasStaged;
+  } else if (options.amend) {
+    canCommit = hasMessage;
+  }
 
   if (commitBtn) {
-    commitBtn.disabled = !canCommit;
+    commitBtn.disabled = !canCommit || gitCommitInProgress;
   }
 
   if (btnText) {
-    btnText.textContent = `Commit ${stagedFiles.size} File${stagedFiles.size !== 1 ? 's' : ''}`;
+    const files = `${stagedFiles.size} File${stagedFiles.size !== 1 ? 's' : ''}`;
+    if (options.fixup) {
+      btnText.textContent = `Fixup ${options.fixup.substring(0, 7)} with ${files}`;
+    } else if (options.amend) {
+      btnText.textContent = hasStaged ? `Amend Last Commit with ${files}` : 'Amend Last Commit';
+    } else {
+      btnText.textContent = `Commit ${files}`;
+    }
+  }
+}
+
+// Read the amend/sign-off/no-verify/fixup options from the dialog
+function getCommitOptions() {
+  const amend = document.getElementById('git-commit-amend');
+  const signoff = document.getElementById('git-commit-signoff');
+  const noVerify = document.getElementById('git-commit-no-verify');
+  const fixup = document.getElementById('git-commit-fixup');
+
+  return {
+    amend: !!(amend && amend.checked),
+    signoff: !!(signoff && signoff.checked),
+    noVerify: !!(noVerify && noVerify.checked),
+    fixup: (fixup && fixup.value) || null
+  };
+}
+
+function resetCommitOptions() {
+  ['git-commit-amend', 'git-commit-signoff', 'git-commit-no-verify'].forEach(id => {
+    const checkbox = document.getElementById(id);
+    if (checkbox) checkbox.checked = false;
+  });
+
+  const fixup = document.getElementById('git-commit-fixup');
+  if (fixup) fixup.value = '';
+
+  messageBeforeAmend = null;
+  setCommitMessageEnabled(true);
+  hideCommitOutput();
+}
+
+// Fixup commits take their message from the target commit
+function setCommitMessageEnabled(enabled) {
+  const summary = document.getElementById('git-commit-summary');
+  const description = document.getElementById('git-commit-description');
+  if (summary) summary.disabled = !enabled;
+  if (description) description.disabled = !enabled;
+}
+
+// Fill the "Fixup for…" picker with recent commits
+async function loadFixupCommits() {
+  const fixup = document.getElementById('git-commit-fixup');
+  if (!fixup) return;
+
+  fixup.innerHTML = '<option value="">Fixup for…</option>';
+
+  const commits = await window.api.gitLog(currentGitRoot, { maxCount: 20 });
+  commits.forEach(commit => {
+    const option = new Option(`${commit.shortHash} ${commit.subject}`, commit.hash);
+    option.title = `${commit.subject}\n${commit.author}, ${getTimeAgo(commit.date)}`;
+    fixup.appendChild(option);
+  });
+}
+
+// Preload the previous message when amending; restore the typed one when unchecked
+async function handleAmendToggle() {
+  const amend = document.getElementById('git-commit-amend');
+  const fixup = document.getElementById('git-commit-fixup');
+  const summary = document.getElementById('git-commit-summary');
+  const description = document.getElementById('git-commit-description');
+  if (!amend || !summary || !description) return;
+
+  if (amend.checked) {
+    // Rewriting a commit the upstream already has needs a force push
+    if (gitBranchStatus && gitBranchStatus.upstream && gitBranchStatus.ahead === 0 &&
+        !confirm(`The last commit is already on ${gitBranchStatus.upstream}. Amending it will require a force push. Continue?`)) {
+      amend.checked = false;
+      return;
+    }
+
+    const [lastCommit] = await window.api.gitLog(currentGitRoot, { maxCount: 1 });
+    if (!lastCommit) {
+      amend.checked = false;
+      window.showNotification('No commit to amend', 2000);
+      return;
+    }
+
+    if (fixup) fixup.value = '';
+    setCommitMessageEnabled(true);
+
+    messageBeforeAmend = { summary: summary.value, description: description.value };
+    summary.value = lastCommit.subject;
+    description.value = lastCommit.body;
+  } else if (messageBeforeAmend) {
+    summary.value = messageBeforeAmend.summary;
+    description.value = messageBeforeAmend.description;
+    messageBeforeAmend = null;
+  }
+
+  updateCommitButtons();
+}
+
+function handleFixupChange() {
+  const amend = document.getElementById('git-commit-amend');
+  const fixup = document.getElementById('git-commit-fixup');
+  if (!fixup) return;
+
+  if (fixup.value && amend && amend.checked) {
+    amend.checked = false;
+    handleAmendToggle();
+  }
+
+  setCommitMessageEnabled(!fixup.value);
+  updateCommitButtons();
+}
+
+// Show git's output for a failed commit; hook output is often several lines long
+function showCommitFailure(result) {
+  const panel = document.getElementById('git-commit-output');
+  const title = document.getElementById('git-commit-output-title');
+  const text = document.getElementById('git-commit-output-text');
+  if (!panel || !title || !text) return;
+
+  const hooks = result.hooks || [];
+  title.textContent = hooks.length > 0
+    ? `Commit failed - ${hooks.join(', ')} hook output`
+    : 'Commit failed';
+  text.textContent = result.output || result.error || 'Unknown error';
+
+  panel.classList.remove('hidden');
+  panel.scrollIntoView({ block: 'nearest' });
+}
+
+function hideCommitOutput() {
+  const panel = document.getElementById('git-commit-output');
+  if (panel) {
+    panel.classList.add('hidden');
   }
 }
 
@@ -578,15 +946,17 @@ async function commitFromDialog() {
   const description = document.getElementById('git-commit-description');
   const autoPush = document.getElementById('git-auto-push');
 
-  if (!summary) return;
+  if (!summary || gitCommitInProgress) return;
+
+  const options = getCommitOptions();
 
   const summaryText = summary.value.trim();
-  if (!summaryText) {
+  if (!summaryText && !options.fixup) {
     window.showNotification('Commit message required', 2000);
     return;
   }
 
-  if (stagedFiles.size === 0) {
+  if (stagedFiles.size === 0 && !options.amend) {
     window.showNotification('No files staged for commit', 2000);
     return;
   }
@@ -603,24 +973,33 @@ async function commitFromDialog() {
   // Log staged files for debugging
   console.log('Staged files:', Array.from(stagedFiles));
 
-  closeCommitDialog();
+  hideCommitOutput();
+  gitCommitInProgress = true;
+  updateCommitButtons();
 
   try {
     // Show committing message
     window.showNotification(`Committing ${fileCount} file${fileCount !== 1 ? 's' : ''}...`, 1500);
 
-    // Commit
-    const commitResult = await window.api.gitCommit(currentGitRoot, message);
+    // Commit; the dialog stays open on failure so the message is not lost
+    const commitResult = await window.api.gitCommit(currentGitRoot, message, options);
     if (!commitResult.success) {
       console.error('Commit failed:', commitResult.error);
-      throw new Error(commitResult.error || 'Commit failed');
+      showCommitFailure(commitResult);
+      window.showNotification('✗ Commit failed', 2000);
+      return;
     }
 
+    closeCommitDialog();
     await refreshGitStatus();
 
+    const committed = options.amend ? 'amended the last commit'
+      : options.fixup ? `created a fixup for ${options.fixup.substring(0, 7)}`
+      : `committed ${fileCount} file${fileCount !== 1 ? 's' : ''}`;
+
     // Show success message
     if (shouldPush) {
-      window.showNotification(`✓ Committed ${fileCount} file${fileCount !== 1 ? 's' : ''}. Pushing...`, 2000);
+      window.showNotification(`✓ Successfully ${committed}. Pushing...`, 2000);
 
       // Push
       const pushResult = await window.api.gitPush(currentGitRoot);
@@ -629,29 +1008,31 @@ async function commitFromDialog() {
         return;
       }
 
-      window.showNotification(`✓ Successfully committed and pushed ${fileCount} file${fileCount !== 1 ? 's' : ''}!`, 3000);
+      window.showNotification(`✓ Successfully ${committed} and pushed!`, 3000);
     } else {
-      window.showNotification(`✓ Successfully committed ${fileCount} file${fileCount !== 1 ? 's' : ''}!`, 3000);
+      window.showNotification(`✓ Successfully ${committed}!`, 3000);
     }
   } catch (error) {
     console.error('Error in commit/push:', error);
     window.showNotification('✗ Failed: ' + error.message, 4000);
+  } finally {
+    gitCommitInProgress = false;
+    updateCommitButtons();
   }
 }
 
 // Select all files in current tab
-function selectAllFiles() {
-  const filesToSelect = currentTab === 'staged'
-    ? allFiles.filter(f => stagedFiles.has(f.path))
-    : allFiles.filter(f => !stagedFiles.has(f.path));
+async function selectAllFiles() {
+  if (currentTab !== 'unstaged') return;
 
-  filesToSelect.forEach(file => {
-    if (currentTab === 'unstaged') {
-      const fullPath = `${currentGitRoot}/${file.path}`;
-      window.api.gitAdd(currentGitRoot, fullPath);
-      stagedFiles.add(file.path);
-    }
-  });
+  const filesToSelect = allFiles.filter(f => f.unstaged && !f.conflicted);
+
+  for (const file of filesToSelect) {
+    await window.api.gitAdd(currentGitRoot, file.path);
+  }
+
+  await refreshGitStatus();
+  collectCommitDialogFiles();
 
   renderFilesList();
   updateTabCounts();
@@ -746,6 +1127,33 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // Commit options
+  const amendCheckbox = document.getElementById('git-commit-amend');
+  const signoffCheckbox = document.getElementById('git-commit-signoff');
+  const noVerifyCheckbox = document.getElementById('git-commit-no-verify');
+  const fixupSelect = document.getElementById('git-commit-fixup');
+  const outputCloseBtn = document.getElementById('git-commit-output-close');
+
+  if (amendCheckbox) {
+    amendCheckbox.addEventListener('change', handleAmendToggle);
+  }
+
+  if (signoffCheckbox) {
+    signoffCheckbox.addEventListener('change', updateCommitButtons);
+  }
+
+  if (noVerifyCheckbox) {
+    noVerifyCheckbox.addEventListener('change', updateCommitButtons);
+  }
+
+  if (fixupSelect) {
+    fixupSelect.addEventListener('change', handleFixupChange);
+  }
+
+  if (outputCloseBtn) {
+    outputCloseBtn.addEventListener('click', hideCommitOutput);
+  }
+
   if (descriptionInput) {
     // Keyboard shortcuts for description
     descriptionInput.addEventListener('keydown', (e) => {
@@ -814,6 +1222,186 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     });
   }
+
+  // Stash event listeners
+  const stashBtn = document.getElementById('git-stash-btn');
+  const stashInput = document.getElementById('git-stash-message');
+
+  if (stashBtn) {
+    stashBtn.addEventListener('click', stashChanges);
+  }
+
+  if (stashInput) {
+    stashInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        stashChanges();
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        closeBranchSwitcher();
+      }
+    });
+  }
+
+  // Repository pickers
+  const commitRepoSelect = document.getElementById('git-commit-repo');
+  const branchRepoSelect = document.getElementById('git-branch-repo');
+
+  if (commitRepoSelect) {
+    commitRepoSelect.addEventListener('change', async () => {
+      await setActiveRepository(commitRepoSelect.value);
+      await loadCurrentBranch();
+      await loadCommitDialogFiles();
+      loadFixupCommits();
+      updateCommitButtons();
+    });
+  }
+
+  if (branchRepoSelect) {
+    branchRepoSelect.addEventListener('change', async () => {
+      await setActiveRepository(branchRepoSelect.value);
+      await Promise.all([loadBranches(), loadStashes(), loadWorktrees()]);
+    });
+  }
+
+  // Worktree event listeners
+  const worktreeAddBtn = document.getElementById('git-worktree-add-btn');
+  const worktreeBranchInput = document.getElementById('git-worktree-branch');
+
+  if (worktreeAddBtn) {
+    worktreeAddBtn.addEventListener('click', addWorktree);
+  }
+
+  if (worktreeBranchInput) {
+    worktreeBranchInput.addEventListener('input', () => {
+      const pathInput = document.getElementById('git-worktree-path');
+      const branchName = worktreeBranchInput.value.trim();
+      if (pathInput && currentGitRoot) {
+        pathInput.placeholder = branchName
+          ? getDefaultWorktreePath(branchName)
+          : 'Location (defaults to a folder next to the repository)';
+      }
+    });
+
+    worktreeBranchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        addWorktree();
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        closeBranchSwitcher();
+      }
+    });
+  }
+
+  // Status bar sync items
+  const statusBranch = document.getElementById('git-status-branch');
+  const statusSync = document.getElementById('git-status-sync');
+
+  if (statusBranch) {
+    statusBranch.addEventListener('click', showBranchSwitcher);
+  }
+
+  if (statusSync) {
+    statusSync.addEventListener('click', syncGit);
+  }
+
+  // Remotes dialog event listeners
+  const remotesModal = document.getElementById('git-remotes-modal');
+  const remotesCloseBtn = document.getElementById('git-remotes-close');
+  const addRemoteBtn = document.getElementById('git-add-remote-btn');
+  const remoteUrlInput = document.getElementById('git-remote-url');
+  const setUpstreamBtn = document.getElementById('git-set-upstream-btn');
+  const fetchIntervalSelect = document.getElementById('git-fetch-interval');
+  const fetchNowBtn = document.getElementById('git-fetch-now-btn');
+
+  if (remotesCloseBtn) {
+    remotesCloseBtn.addEventListener('click', closeRemotesDialog);
+  }
+
+  if (remotesModal) {
+    remotesModal.addEventListener('click', (e) => {
+      if (e.target === remotesModal) {
+        closeRemotesDialog();
+      }
+    });
+
+    remotesModal.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        closeRemotesDialog();
+      }
+    });
+  }
+
+  if (addRemoteBtn) {
+    addRemoteBtn.addEventListener('click', addRemote);
+  }
+
+  if (remoteUrlInput) {
+    remoteUrlInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        addRemote();
+      }
+    });
+  }
+
+  if (setUpstreamBtn) {
+    setUpstreamBtn.addEventListener('click', setUpstreamFromDialog);
+  }
+
+  if (fetchIntervalSelect) {
+    fetchIntervalSelect.addEventListener('change', () => {
+      gitAutoFetchMinutes = parseInt(fetchIntervalSelect.value, 10) || 0;
+      saveGitFetchSettings();
+      startGitAutoFetch();
+    });
+  }
+
+  if (fetchNowBtn) {
+    fetchNowBtn.addEventListener('click', async () => {
+      await fetchGit();
+      await loadRemotes();
+    });
+  }
+
+  // History panel event listeners
+  const historyModal = document.getElementById('git-history-modal');
+  const historyCloseBtn = document.getElementById('git-history-close');
+  const historyWorkspaceBtn = document.getElementById('git-history-scope-workspace');
+  const historyFileBtn = document.getElementById('git-history-scope-file');
+
+  if (historyCloseBtn) {
+    historyCloseBtn.addEventListener('click', closeGitHistory);
+  }
+
+  if (historyWorkspaceBtn) {
+    historyWorkspaceBtn.addEventListener('click', () => showGitHistory('workspace'));
+  }
+
+  if (historyFileBtn) {
+    historyFileBtn.addEventListener('click', () => showGitHistory('file'));
+  }
+
+  if (historyModal) {
+    historyModal.addEventListener('click', (e) => {
+      if (e.target === historyModal) {
+        closeGitHistory();
+      }
+    });
+
+    // Escape closes history unless a commit diff is open on top of it
+    document.addEventListener('keydown', (e) => {
+      const diffModal = document.getElementById('diff-editor-modal');
+      if (e.key === 'Escape' && !historyModal.classList.contains('hidden') &&
+          (!diffModal || diffModal.classList.contains('hidden'))) {
+        closeGitHistory();
+      }
+    });
+  }
 });
 
 // Listen for editor changes
@@ -831,31 +1419,389 @@ function cleanupGit() {
     clearInterval(gitStatusInterval);
     gitStatusInterval = null;
   }
+
+  // Stop git commands still running against the old workspace
+  gitRepositories.forEach(repo => {
+    window.api.gitCancel(repo.path);
+  });
+  stopGitAutoFetch();
+  closeRemotesDialog();
+
   gitEnabled = false;
   currentGitRoot = null;
+  gitRepositories = [];
+  gitFileEntriesByPath.clear();
   gitStatusCache.clear();
+  gitStatusEntries.clear();
+  gitBranchStatus = null;
   fileDecorations.clear();
+  closeGitHistory();
+  closeGitHunkWidget();
+  clearGitBlameDecorations();
+  gitBlameEnabled = false;
+  updateGitSyncStatus();
 }
 
-// Branch Switcher Functions
-async function showBranchSwitcher() {
-  if (!gitEnabled || !currentGitRoot) {
-    window.showNotification('Git not enabled for this workspace', 2000);
-    return;
+// Sync Status and Remotes
+
+// Load background fetch settings from localStorage
+function loadGitFetchSettings() {
+  try {
+    const settings = localStorage.getItem('gitFetchSettings');
+    if (settings) {
+      const parsed = JSON.parse(settings);
+      gitAutoFetchMinutes = parsed.intervalMinutes !== undefined ? parsed.intervalMinutes : 3;
+    }
+  } catch (err) {
+    console.error('Error loading git fetch settings:', err);
   }
+}
 
-  const modal = document.getElementById('git-branch-modal');
-  if (!modal) return;
+// Save background fetch settings to localStorage
+function saveGitFetchSettings() {
+  try {
+    localStorage.setItem('gitFetchSettings', JSON.stringify({
+      intervalMinutes: gitAutoFetchMinutes
+    }));
+  } catch (err) {
+    console.error('Error saving git fetch settings:', err);
+  }
+}
 
-  // Clear input
-  const branchInput = document.getElementById('git-new-branch-name');
-  if (branchInput) branchInput.value = '';
+function stopGitAutoFetch() {
+  if (gitFetchInterval) {
+    clearInterval(gitFetchInterval);
+    gitFetchInterval = null;
+  }
+}
+
+// (Re)start the periodic background fetch using the configured interval
+function startGitAutoFetch() {
+  stopGitAutoFetch();
+  if (!gitEnabled || gitAutoFetchMinutes <= 0) return;
+
+  gitFetchInterval = setInterval(() => fetchGit({ silent: true }), gitAutoFetchMinutes * 60 * 1000);
+}
+
+// Fetch all remotes; silent fetches only log failures (e.g. offline)
+async function fetchGit(options = {}) {
+  if (!gitEnabled || !currentGitRoot || gitSyncInProgress) return;
+
+  const { silent = false } = options;
+  const workspacePath = currentGitRoot;
+
+  if (!silent) {
+    window.showNotification('Fetching from remotes...', 1000);
+  }
+
+  const result = await window.api.gitFetch(workspacePath);
+  if (workspacePath !== currentGitRoot) return;
+
+  await refreshGitStatus();
+
+  if (result.success) {
+    if (!silent) window.showNotification('✓ Fetched from remotes', 2000);
+  } else if (silent) {
+    console.warn('Background fetch failed:', result.error);
+  } else {
+    window.showNotification('✗ Failed to fetch: ' + result.error, 3000);
+  }
+}
+
+/**
+ * Pull then push the current branch. Without an upstream the branch is
+ * published instead (git-push sets the upstream on first push).
+ */
+async function syncGit() {
+  if (!gitEnabled || !currentGitRoot || gitSyncInProgress) return;
+
+  gitSyncInProgress = true;
+  updateGitSyncStatus();
+
+  try {
+    const upstream = gitBranchStatus && gitBranchStatus.upstream;
+
+    if (upstream) {
+      window.showNotification(`Syncing with ${upstream}...`, 1000);
+
+      const pullResult = await window.api.gitPull(currentGitRoot);
+      if (!pullResult.success) {
+        await refreshGitStatus();
+
+        const conflictCount = getConflictedFiles().length;
+        if (conflictCount > 0) {
+          window.showNotification(`✗ Sync stopped with merge conflicts in ${conflictCount} file${conflictCount !== 1 ? 's' : ''}`, 4000);
+          showCommitDialog();
+        } else {
+          window.showNotification('✗ Failed to pull: ' + pullResult.error, 3000);
+        }
+        return;
+      }
+    } else {
+      window.showNotification('Publishing branch...', 1000);
+    }
+
+    const pushResult = await window.api.gitPush(currentGitRoot);
+    await refreshGitStatus();
+
+    if (pushResult.success) {
+      const target = (gitBranchStatus && gitBranchStatus.upstream) || upstream || 'remote';
+      window.showNotification(`✓ Synced with ${target}`, 2000);
+    } else {
+      window.showNotification('✗ Failed to push: ' + pushResult.error, 3000);
+    }
+  } catch (error) {
+    console.error('Error syncing:', error);
+    window.showNotification('✗ Failed to sync: ' + error.message, 3000);
+  } finally {
+    gitSyncInProgress = false;
+    updateGitSyncStatus();
+  }
+}
+
+// Show the branch name and ahead/behind counts in the status bar
+function updateGitSyncStatus() {
+  const branchItem = document.getElementById('git-status-branch');
+  const syncItem = document.getElementById('git-status-sync');
+  if (!branchItem || !syncItem) return;
+
+  if (!gitEnabled || !gitBranchStatus) {
+    branchItem.style.display = 'none';
+    syncItem.style.display = 'none';
+    return;
+  }
+
+  const { head, oid, upstream, ahead, behind, detached } = gitBranchStatus;
+  const branchLabel = detached ? (oid ? oid.substring(0, 7) : 'detached') : head;
+
+  // Name the repository when the workspace has several
+  const activeRepo = gitRepositories.length > 1 ? getActiveRepository() : null;
+  branchItem.textContent = activeRepo ? `⎇ ${activeRepo.name}: ${branchLabel}` : `⎇ ${branchLabel}`;
+  branchItem.title = detached ? 'Detached HEAD - click to switch branch' : `${head} - click to switch branch`;
+  branchItem.style.display = '';
+
+  // A detached HEAD has nothing to sync
+  if (detached) {
+    syncItem.style.display = 'none';
+    return;
+  }
+
+  if (gitSyncInProgress) {
+    syncItem.textContent = '⟳ Syncing...';
+    syncItem.title = 'Synchronizing changes';
+  } else if (upstream) {
+    syncItem.textContent = `↓${behind} ↑${ahead}`;
+    syncItem.title = `${behind} incoming, ${ahead} outgoing commit${ahead !== 1 ? 's' : ''} (${upstream}) - click to pull then push`;
+  } else {
+    syncItem.textContent = '☁ Publish';
+    syncItem.title = 'No upstream branch - click to publish';
+  }
+  syncItem.style.display = '';
+}
+
+// Remotes dialog
+async function showRemotesDialog() {
+  if (!gitEnabled || !currentGitRoot) return;
+
+  const modal = document.getElementById('git-remotes-modal');
+  if (!modal) return;
+
+  const intervalSelect = document.getElementById('git-fetch-interval');
+  if (intervalSelect) {
+    intervalSelect.value = String(gitAutoFetchMinutes);
+  }
+
+  modal.classList.remove('hidden');
+  await loadRemotes();
+
+  const nameInput = document.getElementById('git-remote-name');
+  if (nameInput) nameInput.focus();
+}
+
+function closeRemotesDialog() {
+  const modal = document.getElementById('git-remotes-modal');
+  if (modal) {
+    modal.classList.add('hidden');
+  }
+}
+
+// Fill the remotes list and the upstream picker
+async function loadRemotes() {
+  const list = document.getElementById('git-remote-list');
+  const upstreamSelect = document.getElementById('git-upstream-select');
+  const upstreamBranch = document.getElementById('git-upstream-branch');
+  if (!list) return;
+
+  list.innerHTML = '<div class="git-branch-loading">Loading remotes...</div>';
+
+  try {
+    await refreshGitStatus();
+    const result = await window.api.gitRemoteList(currentGitRoot);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    list.innerHTML = '';
+    if (result.remotes.length === 0) {
+      list.innerHTML = '<div class="git-branch-loading">No remotes configured</div>';
+    }
+    result.remotes.forEach(remote => {
+      list.appendChild(createRemoteItem(remote));
+    });
+
+    if (upstreamBranch) {
+      upstreamBranch.textContent = gitBranchStatus && !gitBranchStatus.detached
+        ? gitBranchStatus.head
+        : '(detached HEAD)';
+    }
+
+    if (upstreamSelect) {
+      const current = gitBranchStatus && gitBranchStatus.upstream;
+      const branches = result.remotes.flatMap(remote => remote.branches);
+
+      upstreamSelect.innerHTML = '';
+      upstreamSelect.appendChild(new Option('(none)', ''));
+      branches.forEach(ref => {
+        upstreamSelect.appendChild(new Option(ref, ref));
+      });
+
+      // An upstream whose remote branch is gone still shows as selected
+      if (current && !branches.includes(current)) {
+        upstreamSelect.appendChild(new Option(`${current} (gone)`, current));
+      }
+      upstreamSelect.value = current || '';
+      upstreamSelect.disabled = !gitBranchStatus || gitBranchStatus.detached;
+    }
+  } catch (error) {
+    console.error('Error loading remotes:', error);
+    list.innerHTML = '<div class="git-branch-loading">Failed to load remotes</div>';
+  }
+}
+
+// Create a remote list item
+function createRemoteItem(remote) {
+  const item = document.createElement('div');
+  item.className = 'git-branch-item git-remote-item';
+
+  const info = document.createElement('div');
+  info.className = 'git-stash-info';
+
+  const name = document.createElement('div');
+  name.className = 'git-branch-item-name';
+  name.textContent = remote.name;
+
+  const url = document.createElement('div');
+  url.className = 'git-stash-meta';
+  url.textContent = remote.fetchUrl || remote.pushUrl || '';
+  url.title = remote.pushUrl && remote.pushUrl !== remote.fetchUrl
+    ? `Fetch: ${remote.fetchUrl}\nPush: ${remote.pushUrl}`
+    : url.textContent;
+
+  info.appendChild(name);
+  info.appendChild(url);
+
+  const fetchBtn = document.createElement('button');
+  fetchBtn.className = 'git-stash-action';
+  fetchBtn.textContent = 'Fetch';
+  fetchBtn.addEventListener('click', async () => {
+    const result = await window.api.gitFetch(currentGitRoot, remote.name);
+    if (result.success) {
+      window.showNotification(`✓ Fetched ${remote.name}`, 2000);
+      await loadRemotes();
+    } else {
+      window.showNotification('✗ Failed to fetch: ' + result.error, 3000);
+    }
+  });
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'git-stash-action danger';
+  removeBtn.textContent = 'Remove';
+  removeBtn.addEventListener('click', () => removeRemote(remote.name));
+
+  item.appendChild(info);
+  item.appendChild(fetchBtn);
+  item.appendChild(removeBtn);
+
+  return item;
+}
+
+async function addRemote() {
+  const nameInput = document.getElementById('git-remote-name');
+  const urlInput = document.getElementById('git-remote-url');
+  if (!nameInput || !urlInput) return;
+
+  const name = nameInput.value.trim();
+  const url = urlInput.value.trim();
+  if (!name || !url) {
+    window.showNotification('Enter a remote name and URL', 2000);
+    return;
+  }
+
+  const result = await window.api.gitRemoteAdd(currentGitRoot, name, url);
+  if (!result.success) {
+    window.showNotification('✗ Failed to add remote: ' + result.error, 3000);
+    return;
+  }
+
+  nameInput.value = '';
+  urlInput.value = '';
+  window.showNotification(`✓ Added remote ${name}`, 2000);
+
+  // Fetch so its branches can be picked as upstream
+  await window.api.gitFetch(currentGitRoot, name);
+  await loadRemotes();
+}
+
+async function removeRemote(name) {
+  if (!confirm(`Remove remote "${name}"? Its remote-tracking branches will be deleted.`)) return;
+
+  const result = await window.api.gitRemoteRemove(currentGitRoot, name);
+  if (result.success) {
+    window.showNotification(`✓ Removed remote ${name}`, 2000);
+    await loadRemotes();
+  } else {
+    window.showNotification('✗ Failed to remove remote: ' + result.error, 3000);
+  }
+}
+
+// Set the upstream of the current branch from the picker
+async function setUpstreamFromDialog() {
+  const upstreamSelect = document.getElementById('git-upstream-select');
+  if (!upstreamSelect) return;
+
+  const upstream = upstreamSelect.value;
+  const result = await window.api.gitSetUpstream(currentGitRoot, upstream);
+
+  if (result.success) {
+    window.showNotification(upstream ? `✓ Upstream set to ${upstream}` : '✓ Upstream removed', 2000);
+    await loadRemotes();
+  } else {
+    window.showNotification('✗ Failed to set upstream: ' + result.error, 3000);
+  }
+}
+
+// Branch Switcher Functions
+async function showBranchSwitcher() {
+  if (!gitEnabled || !currentGitRoot) {
+    window.showNotification('Git not enabled for this workspace', 2000);
+    return;
+  }
+
+  const modal = document.getElementById('git-branch-modal');
+  if (!modal) return;
+
+  // Clear inputs
+  const branchInput = document.getElementById('git-new-branch-name');
+  if (branchInput) branchInput.value = '';
+  const stashInput = document.getElementById('git-stash-message');
+  if (stashInput) stashInput.value = '';
 
   // Show modal
   modal.classList.remove('hidden');
+  renderRepositoryPickers();
 
-  // Load branches
-  await loadBranches();
+  // Load branches, stashes and worktrees
+  await Promise.all([loadBranches(), loadStashes(), loadWorktrees()]);
 }
 
 function closeBranchSwitcher() {
@@ -939,6 +1885,10 @@ async function switchToBranch(branchName) {
       // Refresh git status and update UI
       await refreshGitStatus();
       await loadCurrentBranch();
+    } else if (result.dirtyWorkingTree) {
+      if (confirm(`Your local changes would be overwritten by switching to '${branchName}'.\n\nStash them and switch?`)) {
+        await stashAndSwitch(branchName);
+      }
     } else {
       window.showNotification(`✗ Failed to switch: ${result.error}`, 3000);
     }
@@ -986,20 +1936,965 @@ async function createNewBranch() {
   }
 }
 
+// Stash Functions
+async function loadStashes() {
+  const stashList = document.getElementById('git-stash-list');
+  if (!stashList) return;
+
+  stashList.innerHTML = '<div class="git-branch-loading">Loading stashes...</div>';
+
+  try {
+    const stashes = await window.api.gitStashList(currentGitRoot);
+
+    if (stashes.length === 0) {
+      stashList.innerHTML = '<div class="git-branch-loading">No stashes</div>';
+      return;
+    }
+
+    stashList.innerHTML = '';
+    stashes.forEach(stash => {
+      stashList.appendChild(createStashItem(stash));
+    });
+
+  } catch (error) {
+    console.error('Error loading stashes:', error);
+    stashList.innerHTML = '<div class="git-branch-loading">Error loading stashes</div>';
+  }
+}
+
+function createStashItem(stash) {
+  const container = document.createElement('div');
+  container.className = 'git-stash-entry';
+
+  const item = document.createElement('div');
+  item.className = 'git-branch-item git-stash-item';
+  item.title = 'Show stashed files';
+
+  const info = document.createElement('div');
+  info.className = 'git-stash-info';
+
+  const message = document.createElement('div');
+  message.className = 'git-branch-item-name';
+  message.textContent = stash.message;
+
+  const meta = document.createElement('div');
+  meta.className = 'git-stash-meta';
+  meta.textContent = [stash.ref, stash.branch ? `on ${stash.branch}` : null, getTimeAgo(stash.date)]
+    .filter(Boolean)
+    .join(' • ');
+
+  info.appendChild(message);
+  info.appendChild(meta);
+  item.appendChild(info);
+
+  // Apply / pop / drop actions
+  [['Apply', 'apply'], ['Pop', 'pop'], ['Drop', 'drop']].forEach(([label, action]) => {
+    const button = document.createElement('button');
+    button.className = action === 'drop' ? 'git-stash-action danger' : 'git-stash-action';
+    button.textContent = label;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      runStashAction(action, stash);
+    });
+    item.appendChild(button);
+  });
+
+  const files = document.createElement('div');
+  files.className = 'git-stash-files hidden';
+
+  item.addEventListener('click', () => toggleStashFiles(stash, files));
+
+  container.appendChild(item);
+  container.appendChild(files);
+  return container;
+}
+
+// Expand a stash to list its files; clicking a file opens its stashed changes
+async function toggleStashFiles(stash, filesEl) {
+  if (!filesEl.classList.contains('hidden')) {
+    filesEl.classList.add('hidden');
+    return;
+  }
+
+  filesEl.classList.remove('hidden');
+  filesEl.innerHTML = '<div class="git-branch-loading">Loading files...</div>';
+
+  const result = await window.api.gitStashShow(currentGitRoot, stash.ref);
+  if (!result.success) {
+    filesEl.innerHTML = '<div class="git-branch-loading">Error loading stash</div>';
+    return;
+  }
+
+  filesEl.innerHTML = '';
+  result.files.forEach(file => {
+    const fileItem = document.createElement('div');
+    fileItem.className = 'git-history-file';
+    fileItem.title = 'Open stashed changes in diff editor';
+
+    const status = document.createElement('span');
+    status.className = `git-history-file-status status-${file.status.toLowerCase()}`;
+    status.textContent = file.status;
+
+    const name = document.createElement('span');
+    name.className = 'git-history-file-name';
+    name.textContent = file.path;
+
+    fileItem.appendChild(status);
+    fileItem.appendChild(name);
+
+    // A stash commit's first parent is the commit it was created on
+    fileItem.addEventListener('click', () => openCommitFileDiff({
+      hash: stash.ref,
+      shortHash: stash.ref,
+      parents: [`${stash.ref}^1`]
+    }, file));
+
+    filesEl.appendChild(fileItem);
+  });
+}
+
+// Stash working tree changes from the branch switcher
+async function stashChanges() {
+  const messageInput = document.getElementById('git-stash-message');
+  const untrackedInput = document.getElementById('git-stash-untracked');
+
+  try {
+    const result = await window.api.gitStashPush(currentGitRoot, {
+      message: messageInput ? messageInput.value : '',
+      includeUntracked: untrackedInput ? untrackedInput.checked : false
+    });
+
+    if (result.success) {
+      if (messageInput) messageInput.value = '';
+      window.showNotification('✓ Changes stashed', 2000);
+      await refreshGitStatus();
+      await loadStashes();
+    } else {
+      window.showNotification(`✗ Failed to stash: ${result.error}`, 3000);
+    }
+  } catch (error) {
+    console.error('Error stashing changes:', error);
+    window.showNotification('✗ Failed to stash changes', 3000);
+  }
+}
+
+async function runStashAction(action, stash) {
+  if (action === 'drop' && !confirm(`Drop ${stash.ref} "${stash.message}"? This cannot be undone.`)) {
+    return;
+  }
+
+  const apiCalls = {
+    apply: window.api.gitStashApply,
+    pop: window.api.gitStashPop,
+    drop: window.api.gitStashDrop
+  };
+
+  try {
+    const result = await apiCalls[action](currentGitRoot, stash.ref);
+    await refreshGitStatus();
+
+    if (result.success) {
+      const messages = { apply: 'Stash applied', pop: 'Stash popped', drop: 'Stash dropped' };
+      window.showNotification(`✓ ${messages[action]}`, 2000);
+    } else if (getConflictedFiles().length > 0) {
+      // The stash is kept when applying it conflicts
+      closeBranchSwitcher();
+      window.showNotification('✗ Stash applied with merge conflicts. Resolve them and stage the files', 4000);
+      showCommitDialog();
+      return;
+    } else {
+      window.showNotification(`✗ Failed to ${action} stash: ${result.error}`, 4000);
+    }
+
+    await loadStashes();
+  } catch (error) {
+    console.error(`Error running stash ${action}:`, error);
+    window.showNotification(`✗ Failed to ${action} stash`, 3000);
+  }
+}
+
+// Stash local changes, then retry switching branches
+async function stashAndSwitch(branchName) {
+  try {
+    const stashResult = await window.api.gitStashPush(currentGitRoot, {
+      message: `Auto-stash before switching to ${branchName}`
+    });
+
+    if (!stashResult.success) {
+      window.showNotification(`✗ Failed to stash: ${stashResult.error}`, 3000);
+      return;
+    }
+
+    const result = await window.api.switchBranch(currentGitRoot, branchName);
+
+    if (result.success) {
+      window.showNotification(`✓ Stashed changes and switched to '${branchName}'`, 3000);
+    } else {
+      window.showNotification(`✗ Changes stashed, but switch failed: ${result.error}`, 4000);
+    }
+
+    await refreshGitStatus();
+    await loadCurrentBranch();
+  } catch (error) {
+    console.error('Error stashing and switching:', error);
+    window.showNotification('✗ Failed to stash and switch', 3000);
+  }
+}
+
+// Worktree Functions
+
+async function loadWorktrees() {
+  const worktreeList = document.getElementById('git-worktree-list');
+  if (!worktreeList) return;
+
+  worktreeList.innerHTML = '<div class="git-branch-loading">Loading worktrees...</div>';
+
+  const result = await window.api.gitWorktreeList(currentGitRoot);
+  if (!result.success) {
+    worktreeList.innerHTML = '<div class="git-branch-loading">Failed to load worktrees</div>';
+    return;
+  }
+
+  worktreeList.innerHTML = '';
+  result.worktrees.forEach(worktree => {
+    worktreeList.appendChild(createWorktreeItem(worktree));
+  });
+}
+
+// Create worktree list item element
+function createWorktreeItem(worktree) {
+  const isOpenHere = worktree.path === currentWorkspacePath || worktree.path === currentGitRoot;
+
+  const item = document.createElement('div');
+  item.className = `git-branch-item git-worktree-item${isOpenHere ? ' current' : ''}`;
+
+  const info = document.createElement('div');
+  info.className = 'git-stash-info';
+
+  const name = document.createElement('div');
+  name.className = 'git-branch-item-name';
+  name.textContent = worktree.bare ? '(bare)'
+    : worktree.branch || `detached at ${(worktree.head || '').substring(0, 7)}`;
+
+  const meta = document.createElement('div');
+  meta.className = 'git-stash-meta';
+  meta.textContent = [worktree.path, worktree.main ? 'main' : null, worktree.locked ? 'locked' : null]
+    .filter(Boolean)
+    .join(' • ');
+  meta.title = worktree.path;
+
+  info.appendChild(name);
+  info.appendChild(meta);
+  item.appendChild(info);
+
+  if (!worktree.bare && !isOpenHere) {
+    const openBtn = document.createElement('button');
+    openBtn.className = 'git-stash-action';
+    openBtn.textContent = 'Open';
+    openBtn.title = 'Open in new window';
+    openBtn.addEventListener('click', () => openWorktreeInNewWindow(worktree.path));
+    item.appendChild(openBtn);
+  }
+
+  if (!worktree.main && !isOpenHere) {
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'git-stash-action danger';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => removeWorktree(worktree));
+    item.appendChild(removeBtn);
+  }
+
+  return item;
+}
+
+// Default location for a new worktree: a folder next to the repository named after the branch
+function getDefaultWorktreePath(branchName) {
+  const parentDir = currentGitRoot.substring(0, currentGitRoot.lastIndexOf('/'));
+  const repoName = currentGitRoot.split('/').pop();
+  return `${parentDir}/${repoName}-${branchName.replace(/[^\w.-]+/g, '-')}`;
+}
+
+// Check out a branch (created from HEAD if new) in a new worktree
+async function addWorktree() {
+  const branchInput = document.getElementById('git-worktree-branch');
+  const pathInput = document.getElementById('git-worktree-path');
+  if (!branchInput || !pathInput) return;
+
+  const branchName = branchInput.value.trim();
+  if (!branchName) {
+    window.showNotification('Enter a branch for the worktree', 2000);
+    return;
+  }
+
+  // Relative locations are taken relative to the repository's parent folder
+  let worktreePath = pathInput.value.trim() || getDefaultWorktreePath(branchName);
+  if (!worktreePath.startsWith('/')) {
+    worktreePath = `${currentGitRoot.substring(0, currentGitRoot.lastIndexOf('/'))}/${worktreePath}`;
+  }
+
+  const result = await window.api.gitWorktreeAdd(currentGitRoot, worktreePath, branchName);
+  if (!result.success) {
+    window.showNotification(`✗ Failed to add worktree: ${result.error}`, 4000);
+    return;
+  }
+
+  branchInput.value = '';
+  pathInput.value = '';
+  window.showNotification(`✓ Created worktree for ${result.createdBranch ? 'new branch ' : ''}'${branchName}'`, 3000);
+  await Promise.all([loadWorktrees(), loadBranches()]);
+
+  if (confirm(`Open the new worktree in a new window?\n\n${worktreePath}`)) {
+    openWorktreeInNewWindow(worktreePath);
+  }
+}
+
+async function removeWorktree(worktree) {
+  const label = worktree.branch || worktree.path;
+  if (!confirm(`Remove the worktree for '${label}'?\n\n${worktree.path}`)) return;
+
+  let result = await window.api.gitWorktreeRemove(currentGitRoot, worktree.path, false);
+
+  // Worktrees with local changes (or locked ones) need --force
+  if (!result.success && /modified or untracked files|is locked|use --force/i.test(result.error) &&
+      confirm(`The worktree has local changes or is locked:\n\n${result.error}\n\nRemove it anyway? Its changes will be lost.`)) {
+    result = await window.api.gitWorktreeRemove(currentGitRoot, worktree.path, true);
+  }
+
+  if (result.success) {
+    window.showNotification(`✓ Removed worktree for '${label}'`, 2000);
+    await loadWorktrees();
+  } else {
+    window.showNotification(`✗ Failed to remove worktree: ${result.error}`, 4000);
+  }
+}
+
+async function openWorktreeInNewWindow(worktreePath) {
+  const result = await window.api.openFolderInNewWindow(worktreePath);
+  if (!result.success) {
+    window.showNotification(`✗ Failed to open worktree: ${result.error}`, 3000);
+  }
+}
+
+// Git History Panel
+const GIT_HISTORY_PAGE_SIZE = 100;
+let gitHistoryScope = 'workspace';  // 'workspace' or 'file'
+let gitHistoryFilePath = null;
+let gitHistoryCommits = [];
+let gitHistorySelectedHash = null;
+
+// Show commit history for the workspace or the active file
+async function showGitHistory(scope = 'workspace') {
+  if (!gitEnabled || !currentGitRoot) {
+    window.showNotification('Git not enabled for this workspace', 2000);
+    return;
+  }
+
+  if (scope === 'file') {
+    const activeTab = getActiveTab();
+    if (!activeTab || !activeTab.filePath || !activeTab.filePath.startsWith(currentGitRoot)) {
+      window.showNotification('No active file to show history for', 2000);
+      return;
+    }
+    gitHistoryFilePath = activeTab.filePath;
+  }
+
+  const modal = document.getElementById('git-history-modal');
+  if (!modal) return;
+
+  gitHistoryScope = scope;
+  gitHistorySelectedHash = null;
+  updateGitHistoryHeader();
+
+  const inspector = document.getElementById('git-history-inspector');
+  if (inspector) {
+    inspector.innerHTML = '<div class="git-branch-loading">Select a commit to inspect its changes</div>';
+  }
+
+  modal.classList.remove('hidden');
+
+  await loadGitHistory();
+}
+
+function closeGitHistory() {
+  const modal = document.getElementById('git-history-modal');
+  if (modal) {
+    modal.classList.add('hidden');
+  }
+}
+
+// Update title and scope toggle to match the current scope
+function updateGitHistoryHeader() {
+  const title = document.getElementById('git-history-title');
+  if (title) {
+    title.textContent = gitHistoryScope === 'file' && gitHistoryFilePath
+      ? `History: ${gitHistoryFilePath.split('/').pop()}`
+      : 'History';
+  }
+
+  const workspaceBtn = document.getElementById('git-history-scope-workspace');
+  const fileBtn = document.getElementById('git-history-scope-file');
+  if (workspaceBtn) workspaceBtn.classList.toggle('active', gitHistoryScope === 'workspace');
+  if (fileBtn) fileBtn.classList.toggle('active', gitHistoryScope === 'file');
+}
+
+// Load a page of commits (append for "Load more")
+async function loadGitHistory(append = false) {
+  const historyList = document.getElementById('git-history-list');
+  if (!historyList) return;
+
+  if (!append) {
+    gitHistoryCommits = [];
+    historyList.innerHTML = '<div class="git-branch-loading">Loading history...</div>';
+  }
+
+  try {
+    const commits = await window.api.gitLog(currentGitRoot, {
+      filePath: gitHistoryScope === 'file' ? gitHistoryFilePath : null,
+      maxCount: GIT_HISTORY_PAGE_SIZE,
+      skip: gitHistoryCommits.length
+    });
+
+    gitHistoryCommits = gitHistoryCommits.concat(commits);
+
+    if (gitHistoryCommits.length === 0) {
+      historyList.innerHTML = '<div class="git-branch-loading">No commits found</div>';
+      return;
+    }
+
+    // Render commits
+    historyList.innerHTML = '';
+    gitHistoryCommits.forEach(commit => {
+      historyList.appendChild(createHistoryCommitItem(commit));
+    });
+
+    // More commits may be available
+    if (commits.length === GIT_HISTORY_PAGE_SIZE) {
+      const loadMoreBtn = document.createElement('button');
+      loadMoreBtn.className = 'git-text-btn git-history-load-more';
+      loadMoreBtn.textContent = 'Load more';
+      loadMoreBtn.addEventListener('click', () => loadGitHistory(true));
+      historyList.appendChild(loadMoreBtn);
+    }
+
+  } catch (error) {
+    console.error('Error loading git history:', error);
+    historyList.innerHTML = '<div class="git-branch-loading">Error loading history</div>';
+  }
+}
+
+// Create commit list item element
+function createHistoryCommitItem(commit) {
+  const item = document.createElement('div');
+  item.className = 'git-history-item';
+  item.dataset.hash = commit.hash;
+  if (commit.hash === gitHistorySelectedHash) {
+    item.classList.add('selected');
+  }
+
+  const subject = document.createElement('div');
+  subject.className = 'git-history-subject';
+  subject.textContent = commit.subject;
+
+  // Branch and tag labels
+  commit.refs.forEach(ref => {
+    const label = document.createElement('span');
+    label.className = 'git-history-ref';
+    label.textContent = ref.replace(/^HEAD -> /, '').replace(/^tag: /, '');
+    subject.appendChild(label);
+  });
+
+  const meta = document.createElement('div');
+  meta.className = 'git-history-meta';
+  meta.textContent = `${commit.shortHash} • ${commit.author} • ${getTimeAgo(commit.date)}`;
+  meta.title = new Date(commit.date).toLocaleString();
+
+  item.appendChild(subject);
+  item.appendChild(meta);
+
+  item.addEventListener('click', () => inspectCommit(commit.hash));
+
+  return item;
+}
+
+// Show commit details and changed files in the inspector
+async function inspectCommit(hash) {
+  const inspector = document.getElementById('git-history-inspector');
+  if (!inspector) return;
+
+  gitHistorySelectedHash = hash;
+  document.querySelectorAll('.git-history-item').forEach(item => {
+    item.classList.toggle('selected', item.dataset.hash === hash);
+  });
+
+  inspector.innerHTML = '<div class="git-branch-loading">Loading commit...</div>';
+
+  try {
+    const result = await window.api.gitShow(currentGitRoot, hash);
+
+    // Another commit may have been selected while loading
+    if (gitHistorySelectedHash !== hash) return;
+
+    if (!result.success) {
+      inspector.innerHTML = `<div class="git-branch-loading">Error loading commit: ${escapeHtml(result.error)}</div>`;
+      return;
+    }
+
+    const { commit, files } = result;
+    const parentText = commit.parents.length > 0
+      ? commit.parents.map(parent => parent.substring(0, 7)).join(', ')
+      : 'none';
+
+    inspector.innerHTML = `
+      <div class="git-history-details">
+        <div class="git-history-details-subject">${escapeHtml(commit.subject)}</div>
+        ${commit.body ? `<pre class="git-history-details-body">${escapeHtml(commit.body)}</pre>` : ''}
+        <div class="git-history-details-meta">
+          <span>${escapeHtml(commit.author)} &lt;${escapeHtml(commit.email)}&gt;</span>
+          <span>${escapeHtml(new Date(commit.date).toLocaleString())}</span>
+          <span>Commit ${escapeHtml(commit.hash)}</span>
+          <span>Parents ${escapeHtml(parentText)}</span>
+        </div>
+      </div>
+      <div class="git-branch-section">
+        <h4>${files.length} CHANGED FILE${files.length === 1 ? '' : 'S'}</h4>
+        <div class="git-history-files"></div>
+      </div>
+    `;
+
+    const filesList = inspector.querySelector('.git-history-files');
+    const relativeFilePath = gitHistoryFilePath && gitHistoryScope === 'file'
+      ? gitHistoryFilePath.substring(currentGitRoot.length + 1)
+      : null;
+
+    files.forEach(file => {
+      const item = document.createElement('div');
+      item.className = 'git-history-file';
+      if (file.path === relativeFilePath) {
+        item.classList.add('current');
+      }
+      item.title = 'Open changes in diff editor';
+
+      const status = document.createElement('span');
+      status.className = `git-history-file-status status-${file.status.toLowerCase()}`;
+      status.textContent = file.status;
+
+      const name = document.createElement('span');
+      name.className = 'git-history-file-name';
+      name.textContent = file.oldPath ? `${file.oldPath} → ${file.path}` : file.path;
+
+      item.appendChild(status);
+      item.appendChild(name);
+      item.addEventListener('click', () => openCommitFileDiff(commit, file));
+      filesList.appendChild(item);
+    });
+
+  } catch (error) {
+    console.error('Error inspecting commit:', error);
+    inspector.innerHTML = '<div class="git-branch-loading">Error loading commit</div>';
+  }
+}
+
+// Open a file's changes in a commit in the diff editor
+async function openCommitFileDiff(commit, file) {
+  if (!window.diffEditor) return;
+
+  try {
+    const parent = commit.parents[0];
+    const originalPath = file.oldPath || file.path;
+
+    // Added files have no original, deleted files have no modified content
+    const originalContent = parent && file.status !== 'A'
+      ? await window.api.gitShowFile(currentGitRoot, parent, `${currentGitRoot}/${originalPath}`)
+      : '';
+    const modifiedContent = file.status !== 'D'
+      ? await window.api.gitShowFile(currentGitRoot, commit.hash, `${currentGitRoot}/${file.path}`)
+      : '';
+
+    // Abbreviate full hashes but keep symbolic revisions like stash@{0}^1
+    const parentLabel = parent && /^[0-9a-f]{40}$/.test(parent) ? parent.substring(0, 7) : parent;
+
+    window.diffEditor.compareContents(originalContent, modifiedContent, {
+      language: getLanguageFromFilePath(file.path),
+      originalLabel: parent ? `${originalPath} @ ${parentLabel}` : `${originalPath} (empty)`,
+      modifiedLabel: `${file.path} @ ${commit.shortHash}`
+    });
+  } catch (error) {
+    console.error('Error opening commit diff:', error);
+    window.showNotification('✗ Failed to open commit changes', 3000);
+  }
+}
+
+// Inline Blame Annotations
+let gitBlameEnabled = false;
+let gitBlameModel = null;
+let gitBlameDecorations = [];
+
+// Toggle blame annotations for the active file
+async function toggleGitBlame() {
+  gitBlameEnabled = !gitBlameEnabled;
+
+  if (gitBlameEnabled) {
+    await updateGitBlameDecorations();
+  } else {
+    clearGitBlameDecorations();
+  }
+}
+
+function clearGitBlameDecorations() {
+  if (gitBlameModel && !gitBlameModel.isDisposed()) {
+    gitBlameModel.deltaDecorations(gitBlameDecorations, []);
+  }
+  gitBlameModel = null;
+  gitBlameDecorations = [];
+}
+
+/**
+ * Annotate the first line of each blame block with author, date and summary
+ */
+async function updateGitBlameDecorations() {
+  clearGitBlameDecorations();
+  if (!gitBlameEnabled || !gitEnabled || !editor) return;
+
+  const activeTab = getActiveTab();
+  if (!activeTab || !activeTab.filePath || !activeTab.filePath.startsWith(currentGitRoot)) return;
+
+  const model = editor.getModel();
+  if (!model) return;
+
+  try {
+    const blame = await window.api.gitBlame(currentGitRoot, activeTab.filePath);
+
+    // The user may have switched tabs while blame was running
+    if (!blame.success || editor.getModel() !== model || !gitBlameEnabled) return;
+
+    const newDecorations = [];
+    let previousHash = null;
+
+    blame.lines.forEach(({ lineNumber, hash }) => {
+      // Only the first line of a block from the same commit gets an annotation
+      if (hash === previousHash || lineNumber > model.getLineCount()) {
+        previousHash = hash;
+        return;
+      }
+      previousHash = hash;
+
+      const commit = blame.commits[hash];
+      const text = commit.uncommitted
+        ? 'You • Uncommitted changes'
+        : `${commit.author}, ${getTimeAgo(commit.date)} • ${commit.summary}`;
+      const hover = commit.uncommitted
+        ? 'Not committed yet'
+        : `**${commit.summary}**\n\n${commit.author} <${commit.email}>, ${new Date(commit.date).toLocaleString()}\n\nCommit \`${commit.shortHash}\``;
+
+      const endColumn = model.getLineMaxColumn(lineNumber);
+      newDecorations.push({
+        range: new monaco.Range(lineNumber, endColumn, lineNumber, endColumn),
+        options: {
+          after: {
+            content: `    ${text}`,
+            inlineClassName: 'git-blame-annotation'
+          },
+          hoverMessage: { value: hover }
+        }
+      });
+    });
+
+    gitBlameModel = model;
+    gitBlameDecorations = model.deltaDecorations([], newDecorations);
+
+  } catch (error) {
+    console.error('Error updating blame annotations:', error);
+  }
+}
+
+
+// Hunk Staging
+let gitHunkWidget = null;
+let gitHunkGutterRegistered = false;
+
+// Open the hunk widget when a git gutter marker is clicked
+function registerGitHunkGutter() {
+  if (gitHunkGutterRegistered || typeof editor === 'undefined' || !editor) return;
+  gitHunkGutterRegistered = true;
+
+  editor.onMouseDown((e) => {
+    if (e.target.type !== monaco.editor.MouseTargetType.GUTTER_LINE_DECORATIONS) {
+      return;
+    }
+
+    const lineNumber = e.target.position && e.target.position.lineNumber;
+    if (!gitEnabled || !lineNumber) return;
+
+    // Folding controls share this strip, so only react to clicks on the marker itself
+    const hasGitMarker = !!e.target.element && /\bgit-gutter-/.test(e.target.element.className);
+
+    if (hasGitMarker) {
+      showGitHunkWidget(lineNumber);
+    }
+  });
+
+  editor.onKeyDown((e) => {
+    if (e.keyCode === monaco.KeyCode.Escape && gitHunkWidget) {
+      closeGitHunkWidget();
+    }
+  });
+}
+
+// Offset from index line numbers to working tree line numbers at indexLine
+function getGitIndexLineOffset(unstagedHunks, indexLine) {
+  return unstagedHunks
+    .filter(hunk => hunk.oldStart + hunk.oldLines <= indexLine)
+    .reduce((offset, hunk) => offset + hunk.newLines - hunk.oldLines, 0);
+}
+
+/**
+ * Show the unstaged and staged hunks at a line with stage/unstage/revert actions
+ */
+async function showGitHunkWidget(lineNumber) {
+  closeGitHunkWidget();
+
+  const activeTab = getActiveTab();
+  if (!activeTab || !activeTab.filePath || !currentGitRoot) return;
+
+  try {
+    const result = await window.api.getGitHunks(currentGitRoot, activeTab.filePath);
+    if (!result.success) {
+      window.showNotification(`✗ Failed to load changes: ${result.error}`, 3000);
+      return;
+    }
+
+    // The user may have switched tabs while the diff was loading
+    if (getActiveTab() !== activeTab) return;
+
+    const { unstaged, staged } = result;
+    const unstagedHunk = unstaged.hunks.find(hunk =>
+      lineNumber >= hunk.changeStart && lineNumber <= hunk.changeEnd);
+
+    // Staged hunks are numbered against the index, shift them onto the working tree
+    let stagedOffset = 0;
+    const stagedHunk = staged.hunks.find(hunk => {
+      stagedOffset = getGitIndexLineOffset(unstaged.hunks, hunk.changeStart);
+      return lineNumber >= hunk.changeStart + stagedOffset && lineNumber <= hunk.changeEnd + stagedOffset;
+    });
+
+    if (!unstagedHunk && !stagedHunk) {
+      window.showNotification('No stageable changes at this line (untracked files are staged as a whole)', 3000);
+      return;
+    }
+
+    const domNode = document.createElement('div');
+    domNode.className = 'git-hunk-widget';
+
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'git-hunk-close';
+    closeBtn.textContent = '×';
+    closeBtn.title = 'Close (Escape)';
+    closeBtn.addEventListener('click', closeGitHunkWidget);
+    domNode.appendChild(closeBtn);
+
+    if (unstagedHunk) {
+      domNode.appendChild(createGitHunkSection('Unstaged Change', unstaged.header, unstagedHunk, 0, [
+        { label: 'Stage', action: 'stage' },
+        { label: 'Stage Selected Lines', action: 'stage', useSelection: true },
+        { label: 'Revert', action: 'revert', danger: true }
+      ]));
+    }
+
+    if (stagedHunk) {
+      domNode.appendChild(createGitHunkSection('Staged Change', staged.header, stagedHunk, stagedOffset, [
+        { label: 'Unstage', action: 'unstage' },
+        { label: 'Unstage Selected Lines', action: 'unstage', useSelection: true }
+      ]));
+    }
+
+    gitHunkWidget = {
+      getId: () => 'git.hunk.widget',
+      getDomNode: () => domNode,
+      getPosition: () => ({
+        position: { lineNumber, column: 1 },
+        preference: [
+          monaco.editor.ContentWidgetPositionPreference.BELOW,
+          monaco.editor.ContentWidgetPositionPreference.ABOVE
+        ]
+      })
+    };
+
+    editor.addContentWidget(gitHunkWidget);
+
+  } catch (error) {
+    console.error('Error showing hunk:', error);
+    window.showNotification('✗ Failed to load changes', 3000);
+  }
+}
+
+function closeGitHunkWidget() {
+  if (gitHunkWidget && editor) {
+    editor.removeContentWidget(gitHunkWidget);
+  }
+  gitHunkWidget = null;
+}
+
+// Create hunk preview with action buttons
+function createGitHunkSection(title, header, hunk, lineOffset, actions) {
+  const section = document.createElement('div');
+  section.className = 'git-hunk-section';
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'git-hunk-toolbar';
+
+  const titleEl = document.createElement('span');
+  titleEl.className = 'git-hunk-title';
+  titleEl.textContent = title;
+  toolbar.appendChild(titleEl);
+
+  actions.forEach(({ label, action, useSelection, danger }) => {
+    const button = document.createElement('button');
+    button.className = danger ? 'git-hunk-btn danger' : 'git-hunk-btn';
+    button.textContent = label;
+    if (useSelection) {
+      button.title = 'Only the changes on the selected lines (or the cursor line)';
+    }
+    button.addEventListener('click', () => applyGitHunkAction(header, hunk, action, lineOffset, useSelection));
+    toolbar.appendChild(button);
+  });
+
+  const lines = document.createElement('div');
+  lines.className = 'git-hunk-lines';
+
+  hunk.lines.forEach(line => {
+    const lineEl = document.createElement('div');
+    const type = line.charAt(0);
+    lineEl.className = type === '+' ? 'git-hunk-line added'
+      : type === '-' ? 'git-hunk-line removed'
+      : 'git-hunk-line';
+    lineEl.textContent = line;
+    lines.appendChild(lineEl);
+  });
+
+  section.appendChild(toolbar);
+  section.appendChild(lines);
+  return section;
+}
+
+// Stage, unstage or revert a hunk, optionally limited to the editor selection
+async function applyGitHunkAction(header, hunk, action, lineOffset, useSelection) {
+  const activeTab = getActiveTab();
+  if (!activeTab || !activeTab.filePath) return;
+
+  let selection = null;
+  if (useSelection) {
+    const editorSelection = editor.getSelection();
+    selection = {
+      startLineNumber: editorSelection.startLineNumber - lineOffset,
+      endLineNumber: editorSelection.endLineNumber - lineOffset
+    };
+  }
+
+  if (action === 'revert') {
+    if (activeTab.modified) {
+      window.showNotification('Save the file before reverting changes', 3000);
+      return;
+    }
+    if (!confirm('Revert this change in the working tree? This cannot be undone.')) {
+      return;
+    }
+  }
+
+  try {
+    const result = await window.api.gitApplyHunk(currentGitRoot, header, hunk, action, selection);
+
+    if (result.success) {
+      closeGitHunkWidget();
+
+      // Reverting rewrote the file on disk
+      if (action === 'revert') {
+        await reloadTabFromDisk(activeTab);
+      }
+
+      await refreshGitStatus();
+
+      const messages = { stage: 'Changes staged', unstage: 'Changes unstaged', revert: 'Changes reverted' };
+      window.showNotification(`✓ ${messages[action]}`, 2000);
+    } else {
+      window.showNotification(`✗ Failed to ${action}: ${result.error}`, 4000);
+    }
+  } catch (error) {
+    console.error(`Error applying hunk (${action}):`, error);
+    window.showNotification(`✗ Failed to ${action} changes`, 3000);
+  }
+}
+
+// Replace a tab's content with the file on disk, keeping undo history
+async function reloadTabFromDisk(tab) {
+  const result = await window.api.readFile(tab.filePath);
+  if (!result || !tab.model) return;
+
+  tab.model.pushEditOperations([], [{
+    range: tab.model.getFullModelRange(),
+    text: result.content
+  }], () => null);
+
+  tab.modified = false;
+  updateTabModified(tab.id, false);
+  if (getActiveTab() === tab) {
+    updateFileStatus(false);
+  }
+}
+
+// Refresh editor annotations when switching tabs
+window.addEventListener('tab-changed', async () => {
+  closeGitHunkWidget();
+
+  // The active repository follows the file being edited unless a git dialog is using it
+  const activeTab = getActiveTab();
+  const dialogOpen = ['git-commit-modal', 'git-branch-modal', 'git-history-modal', 'git-remotes-modal', 'git-rebase-modal']
+    .some(id => {
+      const modal = document.getElementById(id);
+      return modal && !modal.classList.contains('hidden');
+    });
+  if (gitEnabled && activeTab && activeTab.filePath && !dialogOpen) {
+    const repo = getRepositoryForFile(activeTab.filePath);
+    if (repo && repo.path !== currentGitRoot) {
+      await setActiveRepository(repo.path);
+    }
+  }
+
+  if (gitEnabled) {
+    updateEditorGitDecorations();
+  }
+
+  if (gitBlameEnabled) {
+    updateGitBlameDecorations();
+  }
+});
+
 // Export functions
 window.git = {
   init: initGit,
   refresh: refreshGitStatus,
+  getRoot: () => currentGitRoot,
+  getRepositories: () => gitRepositories.map(({ path, name, kind }) => ({ path, name, kind })),
+  setActiveRepository,
   getFileStatus: getFileGitStatus,
   stageFile,
   unstageFile,
   commit: gitCommit,
   push: gitPush,
   pull: gitPull,
+  fetch: fetchGit,
+  sync: syncGit,
+  showRemotes: showRemotesDialog,
+  closeRemotes: closeRemotesDialog,
   showCommitDialog,
   closeCommitDialog,
   showBranchSwitcher,
   closeBranchSwitcher,
+  showHistory: () => showGitHistory('workspace'),
+  showFileHistory: () => showGitHistory('file'),
+  closeHistory: closeGitHistory,
+  toggleBlame: toggleGitBlame,
+  getConflictedFiles,
+  markResolved: markConflictResolved,
   cleanup: cleanupGit,
   isEnabled: () => gitEnabled
 };
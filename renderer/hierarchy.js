@@ -0,0 +1,225 @@
+/**
+ * Call Hierarchy / Type Hierarchy
+ * Sidebar tree of callers/callees or supertypes/subtypes, expanded lazily from the language server
+ */
+
+const HIERARCHY_MODES = {
+  call: {
+    title: 'Call Hierarchy',
+    prepare: (filePath, position) => window.lsp.prepareCallHierarchy(filePath, position),
+    provider: 'callHierarchyProvider',
+    directions: {
+      incoming: { label: 'Incoming Calls', fetch: item => window.lsp.getIncomingCalls(item), childItem: call => call.from },
+      outgoing: { label: 'Outgoing Calls', fetch: item => window.lsp.getOutgoingCalls(item), childItem: call => call.to }
+    }
+  },
+  type: {
+    title: 'Type Hierarchy',
+    prepare: (filePath, position) => window.lsp.prepareTypeHierarchy(filePath, position),
+    provider: 'typeHierarchyProvider',
+    directions: {
+      supertypes: { label: 'Supertypes', fetch: item => window.lsp.getSupertypes(item), childItem: type => type },
+      subtypes: { label: 'Subtypes', fetch: item => window.lsp.getSubtypes(item), childItem: type => type }
+    }
+  }
+};
+
+let hierarchyMode = null; // 'call' | 'type'
+let hierarchyDirection = null;
+let hierarchyRoots = [];
+
+/**
+ * Prepare the hierarchy for the symbol under the cursor and show it in the sidebar
+ */
+async function showHierarchy(mode) {
+  const tab = getActiveTab();
+  const config = HIERARCHY_MODES[mode];
+
+  if (!editor || !tab || !tab.filePath) return;
+
+  const server = window.lsp.getServerForFile(tab.filePath);
+  if (!server || !window.lsp.serverSupports(server, config.provider)) {
+    window.showNotification(`No language server for this file supports ${config.title.toLowerCase()}`, 2500);
+    return;
+  }
+
+  const position = editor.getPosition();
+  const items = await config.prepare(tab.filePath, {
+    line: position.lineNumber - 1,
+    character: position.column - 1
+  });
+
+  if (!items || items.length === 0) {
+    window.showNotification(`No ${config.title.toLowerCase()} at the cursor`, 2000);
+    return;
+  }
+
+  hierarchyMode = mode;
+  hierarchyDirection = Object.keys(config.directions)[0];
+  hierarchyRoots = items;
+
+  showHierarchyView();
+  renderHierarchy();
+}
+
+function showHierarchyView() {
+  const sidebar = document.getElementById('sidebar');
+  sidebar.classList.remove('hidden');
+
+  document.querySelectorAll('.activity-item').forEach(item => item.classList.remove('active'));
+  document.querySelectorAll('.sidebar-view').forEach(view => view.classList.remove('active'));
+  document.getElementById('hierarchy-view').classList.add('active');
+
+  if (editor) {
+    setTimeout(() => editor.layout(), 100);
+  }
+}
+
+function closeHierarchyView() {
+  document.getElementById('hierarchy-view').classList.remove('active');
+  hierarchyRoots = [];
+
+  // Back to the explorer
+  const explorerItem = document.querySelector('.activity-item');
+  if (explorerItem) explorerItem.classList.add('active');
+  document.getElementById('explorer-view').classList.add('active');
+}
+
+// Incoming <-> outgoing, supertypes <-> subtypes
+function toggleHierarchyDirection() {
+  if (!hierarchyMode) return;
+
+  const directions = Object.keys(HIERARCHY_MODES[hierarchyMode].directions);
+  hierarchyDirection = directions[(directions.indexOf(hierarchyDirection) + 1) % directions.length];
+  renderHierarchy();
+}
+
+function renderHierarchy() {
+  const config = HIERARCHY_MODES[hierarchyMode];
+  const directions = Object.keys(config.directions);
+  const direction = config.directions[hierarchyDirection];
+  const otherDirection = config.directions[directions.find(d => d !== hierarchyDirection)];
+
+  document.getElementById('hierarchy-title').textContent = `${config.title}: ${direction.label}`;
+  document.getElementById('hierarchy-direction-btn').title = `Show ${otherDirection.label}`;
+
+  const tree = document.getElementById('hierarchy-tree');
+  tree.innerHTML = '';
+  hierarchyRoots.forEach(item => {
+    tree.appendChild(createHierarchyNode(item, 0));
+  });
+
+  // The root is only interesting for what it expands to
+  const firstNode = tree.querySelector('.hierarchy-node');
+  if (firstNode) {
+    expandHierarchyNode(firstNode);
+  }
+}
+
+function createHierarchyNode(item, depth) {
+  const node = document.createElement('div');
+  node.className = 'hierarchy-node';
+  node.hierarchyItem = item;
+  node.hierarchyDepth = depth;
+
+  const filePath = monaco.Uri.parse(item.uri).fsPath;
+  const relativePath = currentWorkspacePath && filePath.startsWith(currentWorkspacePath + '/')
+    ? filePath.slice(currentWorkspacePath.length + 1)
+    : filePath;
+
+  const row = document.createElement('div');
+  row.className = 'hierarchy-row';
+  row.style.paddingLeft = `${8 + depth * 12}px`;
+  row.title = `${item.name} - ${relativePath}:${item.selectionRange.start.line + 1}`;
+
+  const twistie = document.createElement('span');
+  twistie.className = 'hierarchy-twistie';
+  twistie.textContent = '▸';
+  twistie.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleHierarchyNode(node);
+  });
+
+  const icon = document.createElement('span');
+  icon.className = 'hierarchy-icon';
+  icon.innerHTML = getSymbolIcon(item.kind);
+
+  const name = document.createElement('span');
+  name.className = 'hierarchy-name';
+  name.textContent = item.name;
+
+  const detail = document.createElement('span');
+  detail.className = 'hierarchy-detail';
+  detail.textContent = item.detail ? `${item.detail} · ${relativePath}` : relativePath;
+
+  row.append(twistie, icon, name, detail);
+  row.addEventListener('click', () => {
+    openFileAtLocation(filePath, item.selectionRange.start.line + 1, item.selectionRange.start.character + 1);
+  });
+  row.addEventListener('dblclick', () => toggleHierarchyNode(node));
+
+  const children = document.createElement('div');
+  children.className = 'hierarchy-children hidden';
+
+  node.append(row, children);
+  return node;
+}
+
+function toggleHierarchyNode(node) {
+  const children = node.querySelector(':scope > .hierarchy-children');
+  if (children.classList.contains('hidden')) {
+    expandHierarchyNode(node);
+  } else {
+    children.classList.add('hidden');
+    node.querySelector(':scope > .hierarchy-row .hierarchy-twistie').textContent = '▸';
+  }
+}
+
+/**
+ * Fetch a node's children the first time it is expanded
+ */
+async function expandHierarchyNode(node) {
+  const children = node.querySelector(':scope > .hierarchy-children');
+  const twistie = node.querySelector(':scope > .hierarchy-row .hierarchy-twistie');
+
+  children.classList.remove('hidden');
+  twistie.textContent = '▾';
+  if (node.hierarchyLoaded) return;
+
+  node.hierarchyLoaded = true;
+  children.innerHTML = '<div class="hierarchy-loading">Loading...</div>';
+
+  const direction = HIERARCHY_MODES[hierarchyMode].directions[hierarchyDirection];
+  const results = await direction.fetch(node.hierarchyItem);
+
+  children.innerHTML = '';
+  if (!results || results.length === 0) {
+    twistie.textContent = '';
+    twistie.classList.add('leaf');
+    return;
+  }
+
+  results.forEach(result => {
+    children.appendChild(createHierarchyNode(direction.childItem(result), node.hierarchyDepth + 1));
+  });
+}
+
+// Event listeners
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('hierarchy-direction-btn').addEventListener('click', toggleHierarchyDirection);
+  document.getElementById('hierarchy-close-btn').addEventListener('click', closeHierarchyView);
+});
+
+window.api.onMenuShowCallHierarchy(() => {
+  showHierarchy('call');
+});
+
+window.api.onMenuShowTypeHierarchy(() => {
+  showHierarchy('type');
+});
+
+// Export functions
+window.hierarchy = {
+  showCallHierarchy: () => showHierarchy('call'),
+  showTypeHierarchy: () => showHierarchy('type')
+};
@@ -4,6 +4,12 @@
  */
 
 let lspMonacoInitialized = false;
+const lspRegisteredProviders = new Set(); // "language:provider" pairs already registered
+
+const LSP_COMPLETION_TRIGGER_CHARACTERS = ['.', ':', '<', '('];
+
+// Fired by workspace/semanticTokens/refresh and workspace/inlayHint/refresh
+const lspRefreshEmitters = {}; // provider -> monaco.Emitter
 
 /**
  * Initialize LSP-Monaco integration
@@ -13,82 +19,266 @@ function initLSPMonaco() {
     return;
   }
 
-  console.log('🔧 Initializing LSP-Monaco integration...');
+  lspMonacoInitialized = true;
+  console.log('✅ LSP-Monaco integration initialized');
+}
 
-  // Register completion provider for Rust
-  monaco.languages.registerCompletionItemProvider('rust', {
-    triggerCharacters: ['.', ':', '<'],
-    async provideCompletionItems(model, position) {
-      const filePath = model.uri.path;
+/**
+ * Models are created without file URIs, so find the file through its tab
+ */
+function getModelFilePath(model) {
+  const tab = getAllTabs().find(t => t.model === model);
+  return tab ? tab.filePath : null;
+}
 
-      if (!window.lsp || !window.lsp.isEnabled()) {
-        return { suggestions: [] };
-      }
+/**
+ * Convert an LSP range to a Monaco range
+ */
+function toMonacoRange(range) {
+  return {
+    startLineNumber: range.start.line + 1,
+    startColumn: range.start.character + 1,
+    endLineNumber: range.end.line + 1,
+    endColumn: range.end.character + 1
+  };
+}
 
-      const completions = await window.lsp.getCompletions(filePath, {
-        line: position.lineNumber - 1,
-        character: position.column - 1
-      });
+/**
+ * Convert LSP Location/LocationLink results to Monaco locations
+ */
+function toMonacoLocations(locations) {
+  const list = Array.isArray(locations) ? locations : [locations];
+  return list.map(location => ({
+    uri: monaco.Uri.parse(location.uri || location.targetUri),
+    range: toMonacoRange(location.range || location.targetSelectionRange)
+  }));
+}
 
-      if (!completions) {
-        return { suggestions: [] };
+/**
+ * Apply LSP TextEdits to a string. All ranges refer to the original text, so
+ * edits are applied from the end; inserts at the same position keep their order.
+ */
+function applyTextEditsToString(text, edits) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  const toOffset = (position) => {
+    if (position.line >= lineStarts.length) return text.length;
+    return Math.min(lineStarts[position.line] + position.character, text.length);
+  };
+
+  const sorted = edits
+    .map((edit, index) => ({ start: toOffset(edit.range.start), end: toOffset(edit.range.end), text: edit.newText, index }))
+    .sort((a, b) => b.start - a.start || b.index - a.index);
+
+  let result = text;
+  for (const edit of sorted) {
+    result = result.substring(0, edit.start) + edit.text + result.substring(edit.end);
+  }
+  return result;
+}
+
+/**
+ * Apply the edits of one document: open files are edited in their model (so
+ * they can be undone and saved), other files are rewritten on disk
+ */
+async function applyTextDocumentEdit(filePath, edits) {
+  const tab = findTabByPath(filePath);
+
+  if (tab && tab.model) {
+    // The edits of one document all refer to its state before the edit, as in Monaco
+    tab.model.pushEditOperations([], edits.map(textEdit => ({
+      range: toMonacoRange(textEdit.range),
+      text: textEdit.newText
+    })), () => null);
+    return;
+  }
+
+  const file = await window.api.readFile(filePath);
+  if (!file) {
+    throw new Error(`Could not read ${filePath}`);
+  }
+  await window.api.saveFile(filePath, applyTextEditsToString(file.content, edits));
+}
+
+// Create missing parent folders of a file
+async function ensureParentFolders(filePath) {
+  const missing = [];
+  let folder = filePath.substring(0, filePath.lastIndexOf('/'));
+
+  while (folder && !(await window.api.pathExists(folder))) {
+    missing.unshift(folder);
+    folder = folder.substring(0, folder.lastIndexOf('/'));
+  }
+
+  for (const folderPath of missing) {
+    const result = await window.api.createFolder(folderPath);
+    if (!result.success) throw new Error(result.error);
+  }
+}
+
+async function applyCreateFile(filePath, options = {}) {
+  if (await window.api.pathExists(filePath)) {
+    if (options.ignoreIfExists && !options.overwrite) return;
+    if (!options.overwrite) throw new Error(`${filePath} already exists`);
+  }
+
+  await ensureParentFolders(filePath);
+  const result = await window.api.createFile(filePath, '');
+  if (!result.success) throw new Error(result.error);
+
+  // An open tab for an overwritten file would otherwise show stale content
+  const tab = findTabByPath(filePath);
+  if (tab && tab.model) {
+    tab.model.setValue('');
+  }
+}
+
+async function applyRenameFile(oldPath, newPath, options = {}) {
+  if (await window.api.pathExists(newPath)) {
+    if (options.ignoreIfExists && !options.overwrite) return;
+    if (!options.overwrite) throw new Error(`${newPath} already exists`);
+    await applyDeleteFile(newPath, { recursive: true });
+  }
+
+  await ensureParentFolders(newPath);
+  await window.lsp.closeDocumentsUnder(oldPath);
+
+  const result = await window.api.renamePath(oldPath, newPath);
+  if (!result.success) {
+    window.lsp.reopenDocumentsUnder(oldPath);
+    throw new Error(result.error);
+  }
+
+  updateOpenTabsAfterMove(oldPath, newPath);
+  window.lsp.reopenDocumentsUnder(newPath);
+}
+
+async function applyDeleteFile(targetPath, options = {}) {
+  if (!(await window.api.pathExists(targetPath))) {
+    if (options.ignoreIfNotExists) return;
+    throw new Error(`${targetPath} does not exist`);
+  }
+
+  const result = await window.api.deletePath(targetPath);
+  if (!result.success) throw new Error(result.error);
+
+  closeTabByPath(targetPath);
+  closeTabsInFolder(targetPath);
+}
+
+/**
+ * Apply a WorkspaceEdit (rename, code action, workspace/applyEdit), including
+ * file creates, renames and deletes. Returns an ApplyWorkspaceEditResult.
+ */
+async function applyWorkspaceEdit(edit) {
+  const toPath = (uri) => monaco.Uri.parse(uri).fsPath;
+  let operations = [];
+
+  if (edit.documentChanges) {
+    operations = edit.documentChanges;
+  } else if (edit.changes) {
+    operations = Object.entries(edit.changes).map(([uri, edits]) => ({ textDocument: { uri }, edits }));
+  }
+
+  let filesChanged = false;
+
+  // Operations run in order and stop at the first failure (failureHandling: abort)
+  for (let index = 0; index < operations.length; index++) {
+    const operation = operations[index];
+
+    try {
+      if (operation.kind === 'create') {
+        await applyCreateFile(toPath(operation.uri), operation.options);
+        filesChanged = true;
+      } else if (operation.kind === 'rename') {
+        await applyRenameFile(toPath(operation.oldUri), toPath(operation.newUri), operation.options);
+        filesChanged = true;
+      } else if (operation.kind === 'delete') {
+        await applyDeleteFile(toPath(operation.uri), operation.options);
+        filesChanged = true;
+      } else {
+        await applyTextDocumentEdit(toPath(operation.textDocument.uri), operation.edits);
       }
+    } catch (error) {
+      console.error('Error applying workspace edit:', error);
+      if (filesChanged) scheduleTreeRefresh();
+      return { applied: false, failureReason: error.message, failedChange: index };
+    }
+  }
 
-      const items = completions.items || completions;
-      const suggestions = items.map((item) => {
-        // Map LSP CompletionItemKind to Monaco CompletionItemKind
-        let kind = monaco.languages.CompletionItemKind.Text;
-        if (item.kind) {
-          const kindMap = {
-            1: monaco.languages.CompletionItemKind.Text,
-            2: monaco.languages.CompletionItemKind.Method,
-            3: monaco.languages.CompletionItemKind.Function,
-            4: monaco.languages.CompletionItemKind.Constructor,
-            5: monaco.languages.CompletionItemKind.Field,
-            6: monaco.languages.CompletionItemKind.Variable,
-            7: monaco.languages.CompletionItemKind.Class,
-            8: monaco.languages.CompletionItemKind.Interface,
-            9: monaco.languages.CompletionItemKind.Module,
-            10: monaco.languages.CompletionItemKind.Property,
-            12: monaco.languages.CompletionItemKind.Value,
-            13: monaco.languages.CompletionItemKind.Enum,
-            14: monaco.languages.CompletionItemKind.Keyword,
-            15: monaco.languages.CompletionItemKind.Snippet,
-            18: monaco.languages.CompletionItemKind.File,
-            21: monaco.languages.CompletionItemKind.Constant,
-            22: monaco.languages.CompletionItemKind.Struct,
-            23: monaco.languages.CompletionItemKind.Event,
-            25: monaco.languages.CompletionItemKind.TypeParameter
-          };
-          kind = kindMap[item.kind] || monaco.languages.CompletionItemKind.Text;
-        }
+  if (filesChanged) {
+    scheduleTreeRefresh();
+  }
 
-        return {
-          label: item.label,
-          kind,
-          documentation: item.documentation?.value || item.documentation,
-          detail: item.detail,
-          insertText: item.insertText || item.label,
-          range: {
-            startLineNumber: position.lineNumber,
-            startColumn: position.column,
-            endLineNumber: position.lineNumber,
-            endColumn: position.column
-          }
-        };
-      });
+  return { applied: true };
+}
 
-      return { suggestions };
+// Map LSP CompletionItemKind to Monaco CompletionItemKind
+function toMonacoCompletionKind(kind) {
+  const kinds = monaco.languages.CompletionItemKind;
+  const kindMap = {
+    1: kinds.Text,
+    2: kinds.Method,
+    3: kinds.Function,
+    4: kinds.Constructor,
+    5: kinds.Field,
+    6: kinds.Variable,
+    7: kinds.Class,
+    8: kinds.Interface,
+    9: kinds.Module,
+    10: kinds.Property,
+    11: kinds.Unit,
+    12: kinds.Value,
+    13: kinds.Enum,
+    14: kinds.Keyword,
+    15: kinds.Snippet,
+    16: kinds.Color,
+    17: kinds.File,
+    18: kinds.Reference,
+    19: kinds.Folder,
+    20: kinds.EnumMember,
+    21: kinds.Constant,
+    22: kinds.Struct,
+    23: kinds.Event,
+    24: kinds.Operator,
+    25: kinds.TypeParameter
+  };
+  return kindMap[kind] || kinds.Text;
+}
+
+/**
+ * Register LSP-backed providers for the features each running server advertises.
+ * The providers look up the server by file path, so one registration per
+ * language and feature serves every configured server for it.
+ */
+function registerLSPLanguages(servers) {
+  if (typeof monaco === 'undefined') return;
+
+  for (const server of servers) {
+    const language = server.config.monacoLanguage;
+    if (!language) continue;
+
+    for (const [provider, register] of Object.entries(LSP_PROVIDER_REGISTRATIONS)) {
+      const key = `${language}:${provider}`;
+      if (lspRegisteredProviders.has(key) || !window.lsp.serverSupports(server, provider)) continue;
+
+      register(language, server.capabilities[provider]);
+      lspRegisteredProviders.add(key);
     }
-  });
+  }
+}
 
-  // Register completion provider for Python
-  monaco.languages.registerCompletionItemProvider('python', {
-    triggerCharacters: ['.', '('],
+// Completion items
+function registerLSPCompletionProvider(language, options) {
+  monaco.languages.registerCompletionItemProvider(language, {
+    triggerCharacters: (options && options.triggerCharacters) || LSP_COMPLETION_TRIGGER_CHARACTERS,
     async provideCompletionItems(model, position) {
-      const filePath = model.uri.path;
+      const filePath = getModelFilePath(model);
 
-      if (!window.lsp || !window.lsp.isEnabled()) {
+      if (!filePath || !window.lsp || !window.lsp.isEnabled()) {
         return { suggestions: [] };
       }
 
@@ -101,54 +291,39 @@ function initLSPMonaco() {
         return { suggestions: [] };
       }
 
+      const word = model.getWordUntilPosition(position);
       const items = completions.items || completions;
-      const suggestions = items.map((item) => {
-        let kind = monaco.languages.CompletionItemKind.Text;
-        if (item.kind) {
-          const kindMap = {
-            1: monaco.languages.CompletionItemKind.Text,
-            2: monaco.languages.CompletionItemKind.Method,
-            3: monaco.languages.CompletionItemKind.Function,
-            4: monaco.languages.CompletionItemKind.Constructor,
-            5: monaco.languages.CompletionItemKind.Field,
-            6: monaco.languages.CompletionItemKind.Variable,
-            7: monaco.languages.CompletionItemKind.Class,
-            8: monaco.languages.CompletionItemKind.Interface,
-            9: monaco.languages.CompletionItemKind.Module,
-            10: monaco.languages.CompletionItemKind.Property,
-            12: monaco.languages.CompletionItemKind.Value,
-            13: monaco.languages.CompletionItemKind.Enum,
-            14: monaco.languages.CompletionItemKind.Keyword,
-            15: monaco.languages.CompletionItemKind.Snippet
-          };
-          kind = kindMap[item.kind] || monaco.languages.CompletionItemKind.Text;
+      const suggestions = items.map((item) => ({
+        label: item.label,
+        kind: toMonacoCompletionKind(item.kind),
+        documentation: item.documentation?.value || item.documentation,
+        detail: item.detail,
+        insertText: item.textEdit?.newText || item.insertText || item.label,
+        insertTextRules: item.insertTextFormat === 2
+          ? monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet
+          : undefined,
+        filterText: item.filterText,
+        sortText: item.sortText,
+        range: {
+          startLineNumber: position.lineNumber,
+          startColumn: word.startColumn,
+          endLineNumber: position.lineNumber,
+          endColumn: position.column
         }
-
-        return {
-          label: item.label,
-          kind,
-          documentation: item.documentation?.value || item.documentation,
-          detail: item.detail,
-          insertText: item.insertText || item.label,
-          range: {
-            startLineNumber: position.lineNumber,
-            startColumn: position.column,
-            endLineNumber: position.lineNumber,
-            endColumn: position.column
-          }
-        };
-      });
+      }));
 
       return { suggestions };
     }
   });
+}
 
-  // Register hover provider for Rust
-  monaco.languages.registerHoverProvider('rust', {
+// Hover
+function registerLSPHoverProvider(language) {
+  monaco.languages.registerHoverProvider(language, {
     async provideHover(model, position) {
-      const filePath = model.uri.path;
+      const filePath = getModelFilePath(model);
 
-      if (!window.lsp || !window.lsp.isEnabled()) {
+      if (!filePath || !window.lsp || !window.lsp.isEnabled()) {
         return null;
       }
 
@@ -165,10 +340,10 @@ function initLSPMonaco() {
       const values = contents.map(content => {
         if (typeof content === 'string') {
           return { value: content };
-        } else if (content.value) {
-          return { value: content.value };
         } else if (content.language && content.value) {
           return { value: '```' + content.language + '\n' + content.value + '\n```' };
+        } else if (content.value) {
+          return { value: content.value };
         }
         return { value: '' };
       }).filter(v => v.value);
@@ -179,230 +354,530 @@ function initLSPMonaco() {
 
       return {
         contents: values,
-        range: hover.range
+        range: hover.range ? toMonacoRange(hover.range) : undefined
       };
     }
   });
+}
 
-  // Register hover provider for Python
-  monaco.languages.registerHoverProvider('python', {
-    async provideHover(model, position) {
-      const filePath = model.uri.path;
+// Go to definition
+function registerLSPDefinitionProvider(language) {
+  monaco.languages.registerDefinitionProvider(language, {
+    async provideDefinition(model, position) {
+      const filePath = getModelFilePath(model);
 
-      if (!window.lsp || !window.lsp.isEnabled()) {
+      if (!filePath || !window.lsp || !window.lsp.isEnabled()) {
         return null;
       }
 
-      const hover = await window.lsp.getHover(filePath, {
+      const definitions = await window.lsp.getDefinition(filePath, {
         line: position.lineNumber - 1,
         character: position.column - 1
       });
 
-      if (!hover || !hover.contents) {
+      return definitions ? toMonacoLocations(definitions) : null;
+    }
+  });
+}
+
+// Find references
+function registerLSPReferenceProvider(language) {
+  monaco.languages.registerReferenceProvider(language, {
+    async provideReferences(model, position) {
+      const filePath = getModelFilePath(model);
+
+      if (!filePath || !window.lsp || !window.lsp.isEnabled()) {
         return null;
       }
 
-      const contents = Array.isArray(hover.contents) ? hover.contents : [hover.contents];
-      const values = contents.map(content => {
-        if (typeof content === 'string') {
-          return { value: content };
-        } else if (content.value) {
-          return { value: content.value };
-        } else if (content.language && content.value) {
-          return { value: '```' + content.language + '\n' + content.value + '\n```' };
-        }
-        return { value: '' };
-      }).filter(v => v.value);
+      const references = await window.lsp.getReferences(filePath, {
+        line: position.lineNumber - 1,
+        character: position.column - 1
+      });
 
-      if (values.length === 0) {
+      return references ? toMonacoLocations(references) : null;
+    }
+  });
+}
+
+// Document formatting
+function registerLSPFormattingProvider(language) {
+  monaco.languages.registerDocumentFormattingEditProvider(language, {
+    async provideDocumentFormattingEdits(model) {
+      const filePath = getModelFilePath(model);
+
+      if (!filePath || !window.lsp || !window.lsp.isEnabled()) {
+        return null;
+      }
+
+      const edits = await window.lsp.formatDocument(filePath);
+      if (!edits) {
+        return null;
+      }
+
+      return edits.map(edit => ({
+        range: toMonacoRange(edit.range),
+        text: edit.newText
+      }));
+    }
+  });
+}
+
+// Rename symbol (F2). The edit spans files Monaco has no models for, so it is
+// applied here and Monaco gets an empty edit back.
+function registerLSPRenameProvider(language) {
+  monaco.languages.registerRenameProvider(language, {
+    async provideRenameEdits(model, position, newName) {
+      const filePath = getModelFilePath(model);
+
+      if (!filePath || !window.lsp || !window.lsp.isEnabled()) {
         return null;
       }
 
+      let edit;
+      try {
+        edit = await window.lsp.rename(filePath, {
+          line: position.lineNumber - 1,
+          character: position.column - 1
+        }, newName);
+      } catch (error) {
+        return { edits: [], rejectReason: error.message };
+      }
+
+      if (!edit) {
+        return { edits: [], rejectReason: 'No result' };
+      }
+
+      const result = await applyWorkspaceEdit(edit);
+      if (!result.applied) {
+        return { edits: [], rejectReason: `Rename failed: ${result.failureReason}` };
+      }
+
+      return { edits: [] };
+    },
+
+    async resolveRenameLocation(model, position) {
+      const filePath = getModelFilePath(model);
+      const word = model.getWordAtPosition(position);
+      const wordLocation = word ? {
+        range: new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn),
+        text: word.word
+      } : null;
+
+      if (!filePath || !window.lsp || !window.lsp.canPrepareRename(filePath)) {
+        return wordLocation || { rejectReason: 'You cannot rename this element' };
+      }
+
+      let result;
+      try {
+        result = await window.lsp.prepareRename(filePath, {
+          line: position.lineNumber - 1,
+          character: position.column - 1
+        });
+      } catch (error) {
+        return { rejectReason: error.message };
+      }
+
+      // Range | { range, placeholder } | { defaultBehavior } | null
+      if (!result) {
+        return { rejectReason: 'You cannot rename this element' };
+      }
+      if (result.defaultBehavior) {
+        return wordLocation || { rejectReason: 'You cannot rename this element' };
+      }
+
+      const range = toMonacoRange(result.range || result);
       return {
-        contents: values,
-        range: hover.range
+        range,
+        text: result.placeholder !== undefined ? result.placeholder : model.getValueInRange(range)
       };
     }
   });
+}
 
-  // Register definition provider for Rust
-  monaco.languages.registerDefinitionProvider('rust', {
-    async provideDefinition(model, position) {
-      const filePath = model.uri.path;
+// Map Monaco marker severities to LSP DiagnosticSeverity
+function toLSPDiagnostic(marker) {
+  const severities = {
+    [monaco.MarkerSeverity.Error]: 1,
+    [monaco.MarkerSeverity.Warning]: 2,
+    [monaco.MarkerSeverity.Info]: 3,
+    [monaco.MarkerSeverity.Hint]: 4
+  };
+
+  return {
+    range: {
+      start: { line: marker.startLineNumber - 1, character: marker.startColumn - 1 },
+      end: { line: marker.endLineNumber - 1, character: marker.endColumn - 1 }
+    },
+    severity: severities[marker.severity],
+    code: typeof marker.code === 'object' && marker.code ? marker.code.value : marker.code,
+    source: marker.source,
+    message: marker.message
+  };
+}
 
-      if (!window.lsp || !window.lsp.isEnabled()) {
-        return null;
+/**
+ * Run a Command or CodeAction picked from the lightbulb menu
+ */
+async function runLSPCodeAction(filePath, action) {
+  try {
+    // A bare Command runs on the server
+    if (typeof action.command === 'string') {
+      await window.lsp.executeCommand(filePath, action);
+      return;
+    }
+
+    const codeAction = action.edit ? action : await window.lsp.resolveCodeAction(filePath, action);
+
+    if (codeAction.edit) {
+      const result = await applyWorkspaceEdit(codeAction.edit);
+      if (!result.applied) {
+        window.showNotification(`✗ ${codeAction.title} failed: ${result.failureReason}`, 4000);
+        return;
       }
+    }
 
-      const definitions = await window.lsp.getDefinition(filePath, {
-        line: position.lineNumber - 1,
-        character: position.column - 1
+    if (codeAction.command) {
+      await window.lsp.executeCommand(filePath, codeAction.command);
+    }
+  } catch (error) {
+    console.error('Error running code action:', error);
+    window.showNotification(`✗ ${action.title}: ${error.message}`, 4000);
+  }
+}
+
+let lspCodeActionCommandRegistered = false;
+
+// Quick fixes and refactorings (lightbulb)
+function registerLSPCodeActionProvider(language, options) {
+  if (!lspCodeActionCommandRegistered) {
+    monaco.editor.registerCommand('fastEditor.lsp.runCodeAction', (accessor, filePath, action) => {
+      runLSPCodeAction(filePath, action);
+    });
+    lspCodeActionCommandRegistered = true;
+  }
+
+  monaco.languages.registerCodeActionProvider(language, {
+    async provideCodeActions(model, range, context) {
+      const filePath = getModelFilePath(model);
+
+      if (!filePath || !window.lsp || !window.lsp.isEnabled()) {
+        return { actions: [], dispose() {} };
+      }
+
+      const actions = await window.lsp.getCodeActions(filePath, {
+        start: { line: range.startLineNumber - 1, character: range.startColumn - 1 },
+        end: { line: range.endLineNumber - 1, character: range.endColumn - 1 }
+      }, {
+        diagnostics: context.markers.map(toLSPDiagnostic),
+        only: context.only ? [context.only] : undefined,
+        triggerKind: context.trigger
       });
 
-      if (!definitions) {
-        return null;
+      if (!actions) {
+        return { actions: [], dispose() {} };
       }
 
-      const defs = Array.isArray(definitions) ? definitions : [definitions];
-      return defs.map(def => ({
-        uri: monaco.Uri.parse(def.uri),
-        range: {
-          startLineNumber: def.range.start.line + 1,
-          startColumn: def.range.start.character + 1,
-          endLineNumber: def.range.end.line + 1,
-          endColumn: def.range.end.character + 1
-        }
-      }));
+      return {
+        actions: actions.map(action => ({
+          title: action.title,
+          kind: typeof action.command === 'string' ? undefined : action.kind,
+          isPreferred: action.isPreferred,
+          disabled: action.disabled ? action.disabled.reason : undefined,
+          command: {
+            id: 'fastEditor.lsp.runCodeAction',
+            title: action.title,
+            arguments: [filePath, action]
+          }
+        })),
+        dispose() {}
+      };
     }
+  }, {
+    providedCodeActionKinds: options && options.codeActionKinds
   });
+}
 
-  // Register definition provider for Python
-  monaco.languages.registerDefinitionProvider('python', {
-    async provideDefinition(model, position) {
-      const filePath = model.uri.path;
+function getLSPRefreshEmitter(provider) {
+  if (!lspRefreshEmitters[provider]) {
+    lspRefreshEmitters[provider] = new monaco.Emitter();
+  }
+  return lspRefreshEmitters[provider];
+}
+
+// Ask Monaco to request semantic tokens or inlay hints again
+function refreshLSPProvider(provider) {
+  if (lspRefreshEmitters[provider]) {
+    lspRefreshEmitters[provider].fire();
+  }
+}
+
+function toLSPPosition(position) {
+  return { line: position.lineNumber - 1, character: position.column - 1 };
+}
+
+// LSP documentation is a string or MarkupContent
+function toMonacoDocumentation(documentation) {
+  if (!documentation) return undefined;
+  return typeof documentation === 'string' ? documentation : { value: documentation.value };
+}
 
-      if (!window.lsp || !window.lsp.isEnabled()) {
+// Semantic highlighting. The legend is the one of the first server registered for
+// the language; Monaco takes one legend per provider.
+function registerLSPSemanticTokensProvider(language, options) {
+  if (!options || !options.legend) return;
+
+  monaco.languages.registerDocumentSemanticTokensProvider(language, {
+    onDidChange: getLSPRefreshEmitter('semanticTokensProvider').event,
+
+    getLegend() {
+      return options.legend;
+    },
+
+    async provideDocumentSemanticTokens(model, lastResultId) {
+      const filePath = getModelFilePath(model);
+
+      if (!filePath || !window.lsp || !window.lsp.isEnabled()) {
         return null;
       }
 
-      const definitions = await window.lsp.getDefinition(filePath, {
-        line: position.lineNumber - 1,
-        character: position.column - 1
+      const result = await window.lsp.getSemanticTokens(filePath, lastResultId);
+      if (!result) {
+        return null;
+      }
+
+      // SemanticTokensDelta
+      if (result.edits) {
+        return {
+          resultId: result.resultId,
+          edits: result.edits.map(edit => ({
+            start: edit.start,
+            deleteCount: edit.deleteCount,
+            data: edit.data ? new Uint32Array(edit.data) : undefined
+          }))
+        };
+      }
+
+      return {
+        resultId: result.resultId,
+        data: new Uint32Array(result.data)
+      };
+    },
+
+    releaseDocumentSemanticTokens() {}
+  });
+}
+
+// Inline type and parameter hints
+function registerLSPInlayHintsProvider(language) {
+  monaco.languages.registerInlayHintsProvider(language, {
+    onDidChangeInlayHints: getLSPRefreshEmitter('inlayHintProvider').event,
+
+    async provideInlayHints(model, range) {
+      const filePath = getModelFilePath(model);
+
+      if (!filePath || !window.lsp || !window.lsp.isEnabled()) {
+        return { hints: [], dispose() {} };
+      }
+
+      const hints = await window.lsp.getInlayHints(filePath, {
+        start: { line: range.startLineNumber - 1, character: range.startColumn - 1 },
+        end: { line: range.endLineNumber - 1, character: range.endColumn - 1 }
       });
 
-      if (!definitions) {
-        return null;
+      if (!hints) {
+        return { hints: [], dispose() {} };
       }
 
-      const defs = Array.isArray(definitions) ? definitions : [definitions];
-      return defs.map(def => ({
-        uri: monaco.Uri.parse(def.uri),
-        range: {
-          startLineNumber: def.range.start.line + 1,
-          startColumn: def.range.start.character + 1,
-          endLineNumber: def.range.end.line + 1,
-          endColumn: def.range.end.character + 1
-        }
-      }));
+      return {
+        hints: hints.map(hint => ({
+          label: typeof hint.label === 'string'
+            ? hint.label
+            : hint.label.map(part => ({ label: part.value, tooltip: toMonacoDocumentation(part.tooltip) })),
+          position: { lineNumber: hint.position.line + 1, column: hint.position.character + 1 },
+          // InlayHintKind values match (1 type, 2 parameter)
+          kind: hint.kind,
+          tooltip: toMonacoDocumentation(hint.tooltip),
+          paddingLeft: hint.paddingLeft,
+          paddingRight: hint.paddingRight
+        })),
+        dispose() {}
+      };
     }
   });
+}
+
+// Parameter hints while typing a call
+function registerLSPSignatureHelpProvider(language, options) {
+  monaco.languages.registerSignatureHelpProvider(language, {
+    signatureHelpTriggerCharacters: (options && options.triggerCharacters) || ['(', ','],
+    signatureHelpRetriggerCharacters: (options && options.retriggerCharacters) || [],
 
-  // Register references provider for Rust
-  monaco.languages.registerReferenceProvider('rust', {
-    async provideReferences(model, position, context) {
-      const filePath = model.uri.path;
+    async provideSignatureHelp(model, position, token, context) {
+      const filePath = getModelFilePath(model);
 
-      if (!window.lsp || !window.lsp.isEnabled()) {
+      if (!filePath || !window.lsp || !window.lsp.isEnabled()) {
         return null;
       }
 
-      const references = await window.lsp.getReferences(filePath, {
-        line: position.lineNumber - 1,
-        character: position.column - 1
+      // SignatureHelpTriggerKind values match (1 invoked, 2 trigger character, 3 content change)
+      const help = await window.lsp.getSignatureHelp(filePath, toLSPPosition(position), {
+        triggerKind: context.triggerKind,
+        triggerCharacter: context.triggerCharacter,
+        isRetrigger: context.isRetrigger,
+        activeSignatureHelp: context.activeSignatureHelp
       });
 
-      if (!references) {
+      if (!help || !help.signatures || help.signatures.length === 0) {
         return null;
       }
 
-      return references.map(ref => ({
-        uri: monaco.Uri.parse(ref.uri),
-        range: {
-          startLineNumber: ref.range.start.line + 1,
-          startColumn: ref.range.start.character + 1,
-          endLineNumber: ref.range.end.line + 1,
-          endColumn: ref.range.end.character + 1
-        }
-      }));
+      return {
+        value: {
+          signatures: help.signatures.map(signature => ({
+            label: signature.label,
+            documentation: toMonacoDocumentation(signature.documentation),
+            parameters: (signature.parameters || []).map(parameter => ({
+              label: parameter.label,
+              documentation: toMonacoDocumentation(parameter.documentation)
+            })),
+            activeParameter: signature.activeParameter
+          })),
+          activeSignature: help.activeSignature || 0,
+          activeParameter: help.activeParameter || 0
+        },
+        dispose() {}
+      };
     }
   });
+}
+
+// Convert DocumentSymbol (hierarchical) or SymbolInformation (flat) results
+function toMonacoDocumentSymbol(symbol) {
+  const range = toMonacoRange(symbol.range || symbol.location.range);
+
+  return {
+    name: symbol.name,
+    detail: symbol.detail || '',
+    // LSP SymbolKind starts at 1, Monaco's at 0
+    kind: symbol.kind - 1,
+    tags: symbol.tags || [],
+    containerName: symbol.containerName,
+    range,
+    selectionRange: symbol.selectionRange ? toMonacoRange(symbol.selectionRange) : range,
+    children: (symbol.children || []).map(toMonacoDocumentSymbol)
+  };
+}
 
-  // Register references provider for Python
-  monaco.languages.registerReferenceProvider('python', {
-    async provideReferences(model, position, context) {
-      const filePath = model.uri.path;
+// Outline, breadcrumbs, sticky scroll and Go to Symbol in File
+function registerLSPDocumentSymbolProvider(language) {
+  monaco.languages.registerDocumentSymbolProvider(language, {
+    async provideDocumentSymbols(model) {
+      const filePath = getModelFilePath(model);
 
-      if (!window.lsp || !window.lsp.isEnabled()) {
+      if (!filePath || !window.lsp || !window.lsp.isEnabled()) {
         return null;
       }
 
-      const references = await window.lsp.getReferences(filePath, {
-        line: position.lineNumber - 1,
-        character: position.column - 1
-      });
+      const symbols = await window.lsp.getDocumentSymbols(filePath);
+      return symbols ? symbols.map(toMonacoDocumentSymbol) : null;
+    }
+  });
+}
+
+// Highlight other occurrences of the symbol under the cursor
+function registerLSPDocumentHighlightProvider(language) {
+  monaco.languages.registerDocumentHighlightProvider(language, {
+    async provideDocumentHighlights(model, position) {
+      const filePath = getModelFilePath(model);
 
-      if (!references) {
+      if (!filePath || !window.lsp || !window.lsp.isEnabled()) {
         return null;
       }
 
-      return references.map(ref => ({
-        uri: monaco.Uri.parse(ref.uri),
-        range: {
-          startLineNumber: ref.range.start.line + 1,
-          startColumn: ref.range.start.character + 1,
-          endLineNumber: ref.range.end.line + 1,
-          endColumn: ref.range.end.character + 1
-        }
+      const highlights = await window.lsp.getDocumentHighlights(filePath, toLSPPosition(position));
+      if (!highlights) {
+        return null;
+      }
+
+      // LSP DocumentHighlightKind starts at 1 (text, read, write), Monaco's at 0
+      return highlights.map(highlight => ({
+        range: toMonacoRange(highlight.range),
+        kind: (highlight.kind || 1) - 1
       }));
     }
   });
+}
 
-  // Register document formatting provider for Rust
-  monaco.languages.registerDocumentFormattingEditProvider('rust', {
-    async provideDocumentFormattingEdits(model) {
-      const filePath = model.uri.path;
+// Code folding
+function registerLSPFoldingRangeProvider(language) {
+  monaco.languages.registerFoldingRangeProvider(language, {
+    async provideFoldingRanges(model) {
+      const filePath = getModelFilePath(model);
 
-      if (!window.lsp || !window.lsp.isEnabled()) {
+      if (!filePath || !window.lsp || !window.lsp.isEnabled()) {
         return null;
       }
 
-      const edits = await window.lsp.formatDocument(filePath);
-      if (!edits) {
+      const ranges = await window.lsp.getFoldingRanges(filePath);
+      if (!ranges) {
         return null;
       }
 
-      return edits.map(edit => ({
-        range: {
-          startLineNumber: edit.range.start.line + 1,
-          startColumn: edit.range.start.character + 1,
-          endLineNumber: edit.range.end.line + 1,
-          endColumn: edit.range.end.character + 1
-        },
-        text: edit.newText
+      return ranges.map(range => ({
+        start: range.startLine + 1,
+        end: range.endLine + 1,
+        kind: range.kind ? new monaco.languages.FoldingRangeKind(range.kind) : undefined
       }));
     }
   });
+}
 
-  // Register document formatting provider for Python
-  monaco.languages.registerDocumentFormattingEditProvider('python', {
-    async provideDocumentFormattingEdits(model) {
-      const filePath = model.uri.path;
+// Expand/Shrink Selection
+function registerLSPSelectionRangeProvider(language) {
+  monaco.languages.registerSelectionRangeProvider(language, {
+    async provideSelectionRanges(model, positions) {
+      const filePath = getModelFilePath(model);
 
-      if (!window.lsp || !window.lsp.isEnabled()) {
+      if (!filePath || !window.lsp || !window.lsp.isEnabled()) {
         return null;
       }
 
-      const edits = await window.lsp.formatDocument(filePath);
-      if (!edits) {
+      const selectionRanges = await window.lsp.getSelectionRanges(filePath, positions.map(toLSPPosition));
+      if (!selectionRanges) {
         return null;
       }
 
-      return edits.map(edit => ({
-        range: {
-          startLineNumber: edit.range.start.line + 1,
-          startColumn: edit.range.start.character + 1,
-          endLineNumber: edit.range.end.line + 1,
-          endColumn: edit.range.end.character + 1
-        },
-        text: edit.newText
-      }));
+      // Each result is a linked list from the innermost range outwards
+      return selectionRanges.map(selectionRange => {
+        const ranges = [];
+        for (let current = selectionRange; current; current = current.parent) {
+          ranges.push({ range: toMonacoRange(current.range) });
+        }
+        return ranges;
+      });
     }
   });
-
-  lspMonacoInitialized = true;
-  console.log('✅ LSP-Monaco integration initialized');
 }
 
+// ServerCapabilities provider -> Monaco registration
+const LSP_PROVIDER_REGISTRATIONS = {
+  completionProvider: registerLSPCompletionProvider,
+  hoverProvider: registerLSPHoverProvider,
+  definitionProvider: registerLSPDefinitionProvider,
+  referencesProvider: registerLSPReferenceProvider,
+  documentFormattingProvider: registerLSPFormattingProvider,
+  renameProvider: registerLSPRenameProvider,
+  codeActionProvider: registerLSPCodeActionProvider,
+  semanticTokensProvider: registerLSPSemanticTokensProvider,
+  inlayHintProvider: registerLSPInlayHintsProvider,
+  signatureHelpProvider: registerLSPSignatureHelpProvider,
+  documentSymbolProvider: registerLSPDocumentSymbolProvider,
+  documentHighlightProvider: registerLSPDocumentHighlightProvider,
+  foldingRangeProvider: registerLSPFoldingRangeProvider,
+  selectionRangeProvider: registerLSPSelectionRangeProvider
+};
+
 // Initialize when Monaco is ready
 if (typeof monaco !== 'undefined') {
   initLSPMonaco();
@@ -412,5 +887,8 @@ if (typeof monaco !== 'undefined') {
 }
 
 window.lspMonaco = {
-  init: initLSPMonaco
+  init: initLSPMonaco,
+  registerLanguages: registerLSPLanguages,
+  applyWorkspaceEdit,
+  refresh: refreshLSPProvider
 };
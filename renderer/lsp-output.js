@@ -0,0 +1,210 @@
+/**
+ * Language Server Output
+ * Output channel for server log messages and stderr, and progress in the status bar
+ */
+
+const LSP_OUTPUT_MAX_LINES = 5000;
+
+let lspOutputLines = []; // { time, source, level, text }
+let lspProgress = new Map(); // "serverId:token" -> { serverId, serverName, title, message, percentage }
+
+/**
+ * Add a message to the output channel
+ */
+function appendLSPOutput(source, text, level = 'info') {
+  if (!text) return;
+
+  const line = { time: new Date(), source, level, text };
+  lspOutputLines.push(line);
+
+  if (lspOutputLines.length > LSP_OUTPUT_MAX_LINES) {
+    lspOutputLines = lspOutputLines.slice(-LSP_OUTPUT_MAX_LINES);
+  }
+
+  updateLSPOutputSources(source);
+
+  // Only touch the DOM while the panel is open
+  const panel = document.getElementById('lsp-output-panel');
+  if (panel && !panel.classList.contains('hidden') && matchesLSPOutputFilter(line)) {
+    const content = document.getElementById('lsp-output-content');
+    const atBottom = content.scrollTop + content.clientHeight >= content.scrollHeight - 4;
+
+    content.appendChild(createLSPOutputLine(line));
+    while (content.childElementCount > LSP_OUTPUT_MAX_LINES) {
+      content.firstChild.remove();
+    }
+
+    if (atBottom) {
+      content.scrollTop = content.scrollHeight;
+    }
+  }
+}
+
+function matchesLSPOutputFilter(line) {
+  const filter = document.getElementById('lsp-output-filter');
+  return !filter || !filter.value || filter.value === line.source;
+}
+
+function createLSPOutputLine(line) {
+  const element = document.createElement('div');
+  element.className = `lsp-output-line ${line.level}`;
+  element.textContent = `[${line.time.toLocaleTimeString()}] [${line.source}] ${line.text}`;
+  return element;
+}
+
+// Keep one filter option per server that has written output
+function updateLSPOutputSources(source) {
+  const filter = document.getElementById('lsp-output-filter');
+  if (!filter || Array.from(filter.options).some(option => option.value === source)) return;
+
+  const option = document.createElement('option');
+  option.value = source;
+  option.textContent = source;
+  filter.appendChild(option);
+}
+
+function renderLSPOutput() {
+  const content = document.getElementById('lsp-output-content');
+  if (!content) return;
+
+  content.innerHTML = '';
+  const fragment = document.createDocumentFragment();
+  lspOutputLines.filter(matchesLSPOutputFilter).forEach(line => {
+    fragment.appendChild(createLSPOutputLine(line));
+  });
+  content.appendChild(fragment);
+  content.scrollTop = content.scrollHeight;
+}
+
+function clearLSPOutput() {
+  lspOutputLines = [];
+  renderLSPOutput();
+}
+
+function showLSPOutput() {
+  const panel = document.getElementById('lsp-output-panel');
+  panel.classList.remove('hidden');
+  renderLSPOutput();
+}
+
+function closeLSPOutput() {
+  document.getElementById('lsp-output-panel').classList.add('hidden');
+
+  if (editor) {
+    editor.focus();
+  }
+}
+
+function toggleLSPOutput() {
+  const panel = document.getElementById('lsp-output-panel');
+  if (panel.classList.contains('hidden')) {
+    showLSPOutput();
+  } else {
+    closeLSPOutput();
+  }
+}
+
+/**
+ * Track $/progress (WorkDoneProgressBegin/Report/End) for the status bar
+ */
+function updateLSPProgress(serverId, serverName, token, value) {
+  if (!value || !value.kind) return;
+
+  const key = `${serverId}:${token}`;
+
+  if (value.kind === 'begin') {
+    lspProgress.set(key, {
+      serverId,
+      serverName,
+      title: value.title,
+      message: value.message,
+      percentage: value.percentage
+    });
+  } else if (value.kind === 'report') {
+    const progress = lspProgress.get(key);
+    if (!progress) return;
+    if (value.message !== undefined) progress.message = value.message;
+    if (value.percentage !== undefined) progress.percentage = value.percentage;
+  } else if (value.kind === 'end') {
+    lspProgress.delete(key);
+    if (value.message) {
+      appendLSPOutput(serverName, value.message, 'info');
+    }
+  }
+
+  updateLSPStatus();
+}
+
+// Drop progress of a server that stopped (it will never send "end")
+function clearLSPProgress(serverId) {
+  for (const [key, progress] of lspProgress.entries()) {
+    if (progress.serverId === serverId) {
+      lspProgress.delete(key);
+    }
+  }
+  updateLSPStatus();
+}
+
+const LSP_STATE_ICONS = { starting: '⟳', ready: '✓', crashed: '✗' };
+
+/**
+ * Status bar item: the latest progress, or the state of each server when idle
+ */
+function updateLSPStatus() {
+  const statusItem = document.getElementById('lsp-status');
+  if (!statusItem) return;
+
+  const states = window.lsp ? window.lsp.getServerStates() : [];
+  const progressItems = Array.from(lspProgress.values());
+
+  if (progressItems.length > 0) {
+    const progress = progressItems[progressItems.length - 1];
+    const percentage = progress.percentage !== undefined ? ` ${Math.round(progress.percentage)}%` : '';
+    const message = progress.message ? `: ${progress.message}` : '';
+    statusItem.textContent = `⟳ ${progress.title || progress.serverName}${message}${percentage}`;
+    statusItem.title = progressItems.map(item => `${item.serverName}: ${item.title || ''} ${item.message || ''}`.trim()).join('\n');
+    statusItem.style.display = 'inline';
+  } else if (states.length > 0) {
+    statusItem.textContent = `{ } ${states.map(state => `${state.name} ${LSP_STATE_ICONS[state.state]}`).join('  ')}`;
+    statusItem.title = states.map(state => `${state.name}: ${state.state}${state.detail ? ` - ${state.detail}` : ''}`).join('\n') +
+      (states.some(state => state.state === 'crashed') ? '\nClick to restart' : '\nClick to show output');
+    statusItem.style.display = 'inline';
+  } else {
+    statusItem.style.display = 'none';
+  }
+}
+
+function onLSPStatusClick() {
+  const crashed = window.lsp.getServerStates().filter(state => state.state === 'crashed');
+  if (crashed.length > 0 && confirm(`${crashed.map(state => state.name).join(', ')} crashed. Restart now?`)) {
+    window.lsp.restart();
+    return;
+  }
+  toggleLSPOutput();
+}
+
+// Event listeners
+document.addEventListener('DOMContentLoaded', () => {
+  const statusItem = document.getElementById('lsp-status');
+  if (statusItem) {
+    statusItem.addEventListener('click', onLSPStatusClick);
+  }
+
+  document.getElementById('lsp-output-filter').addEventListener('change', renderLSPOutput);
+  document.getElementById('lsp-output-clear').addEventListener('click', clearLSPOutput);
+  document.getElementById('lsp-output-close').addEventListener('click', closeLSPOutput);
+});
+
+window.api.onMenuToggleLSPOutput(() => {
+  toggleLSPOutput();
+});
+
+// Export functions
+window.lspOutput = {
+  append: appendLSPOutput,
+  show: showLSPOutput,
+  toggle: toggleLSPOutput,
+  updateProgress: updateLSPProgress,
+  clearProgress: clearLSPProgress,
+  updateStatus: updateLSPStatus
+};
@@ -0,0 +1,47 @@
+/**
+ * LSP Positions
+ * Column conversion between Monaco's UTF-16 columns and UTF-8 LSP positions
+ */
+
+// UTF-16 column (Monaco) -> UTF-8 byte offset within a line
+function toUTF8Character(text, character) {
+  let bytes = 0;
+  let i = 0;
+  while (i < character && i < text.length) {
+    const code = text.charCodeAt(i);
+    if (code < 0x80) {
+      bytes += 1;
+    } else if (code < 0x800) {
+      bytes += 2;
+    } else if (code >= 0xd800 && code <= 0xdbff && i + 1 < text.length) {
+      bytes += 4; // surrogate pair
+      i++;
+    } else {
+      bytes += 3;
+    }
+    i++;
+  }
+  // Positions past the end of the line stay past the end
+  return bytes + Math.max(0, character - i);
+}
+
+// UTF-8 byte offset within a line -> UTF-16 column (Monaco)
+function fromUTF8Character(text, character) {
+  let bytes = 0;
+  let i = 0;
+  while (bytes < character && i < text.length) {
+    const code = text.charCodeAt(i);
+    if (code < 0x80) {
+      bytes += 1;
+    } else if (code < 0x800) {
+      bytes += 2;
+    } else if (code >= 0xd800 && code <= 0xdbff && i + 1 < text.length) {
+      bytes += 4;
+      i++;
+    } else {
+      bytes += 3;
+    }
+    i++;
+  }
+  return i + Math.max(0, character - bytes);
+}
@@ -1,38 +1,140 @@
 /**
  * LSP (Language Server Protocol) Integration
- * Provides language intelligence for Rust and Python
+ * Provides language intelligence through the language servers configured in the
+ * built-in, user and workspace registries (see get-lsp-server-configs in main.js)
  */
 
 let lspEnabled = false;
 let languageServers = new Map(); // language -> server connection
+let lspServersById = new Map(); // server id -> server connection (including ones still initializing)
 let documentVersions = new Map(); // file path -> version number
+let documentListeners = new Map(); // file path -> model content listener
+let pendingDocumentChanges = new Map(); // file path -> { changes, timer } not yet sent
 let lspWorkspacePath = null;
+let lspServerConfigs = {}; // server id -> merged config from the registries
+let lspSettingsFiles = { user: null, workspace: null };
+let lspServerStates = new Map(); // language -> { name, state: starting|ready|crashed, detail, restarts, restartTimer, startedAt }
 
-// LSP server configurations
-const LSP_CONFIGS = {
-  rust: {
-    name: 'rust-analyzer',
-    command: 'rust-analyzer',
-    fileExtensions: ['.rs'],
-    languageId: 'rust',
-    initializationOptions: {
-      cargo: {
-        loadOutDirsFromCheck: true
-      },
-      procMacro: {
-        enable: true
+/**
+ * Convert a file glob (*, **, ?, {a,b}) to a regular expression
+ */
+function globToRegExp(glob) {
+  let pattern = '';
+  let inGroup = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // "**/" matches zero or more directories
+        if (glob[i + 2] === '/') {
+          pattern += '(?:.*/)?';
+          i += 2;
+        } else {
+          pattern += '.*';
+          i++;
+        }
+      } else {
+        pattern += '[^/]*';
       }
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      pattern += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      pattern += ')';
+    } else if (char === ',' && inGroup) {
+      pattern += '|';
+    } else {
+      pattern += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
     }
-  },
-  python: {
-    name: 'pyright',
-    command: 'pyright-langserver',
-    args: ['--stdio'],
-    fileExtensions: ['.py'],
-    languageId: 'python',
-    initializationOptions: {}
   }
-};
+
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Check a file against a server's globs. Globs are matched against the path relative
+ * to the workspace, or against the file name when they contain no slash.
+ */
+function matchesServerGlobs(config, filePath) {
+  if (!config.matchers) {
+    config.matchers = config.globs.map(glob => ({ regex: globToRegExp(glob), baseName: !glob.includes('/') }));
+  }
+
+  const relativePath = lspWorkspacePath && filePath.startsWith(lspWorkspacePath + '/')
+    ? filePath.substring(lspWorkspacePath.length + 1)
+    : filePath;
+  const fileName = filePath.split('/').pop();
+
+  return config.matchers.some(({ regex, baseName }) => regex.test(baseName ? fileName : relativePath));
+}
+
+// What starting a server does: the command line it runs or the endpoint it connects to
+function describeServerConnection(config) {
+  const transport = config.transport || { type: 'stdio' };
+
+  switch (transport.type) {
+    case 'tcp':
+      return `connect to ${transport.host}:${transport.port}`;
+    case 'websocket':
+      return `connect to ${transport.url}`;
+    case 'socket':
+    case 'pipe':
+      return `${[config.command, ...config.args].join(' ')} --${transport.type}=...`;
+    default:
+      return [config.command, ...config.args].join(' ');
+  }
+}
+
+/**
+ * Workspace registries can run arbitrary commands, so ask once before starting
+ * servers whose command line was set by the workspace (and again if it changes)
+ */
+function confirmWorkspaceServers(workspacePath, servers) {
+  const workspaceServers = Object.entries(servers).filter(([, config]) => config.fromWorkspace);
+  if (workspaceServers.length === 0) return servers;
+
+  const commandLines = workspaceServers.map(([id, config]) => `${id}: ${describeServerConnection(config)}`);
+  const signature = commandLines.join('\n');
+
+  let trusted = {};
+  try {
+    trusted = JSON.parse(localStorage.getItem('lspTrustedWorkspaces') || '{}');
+  } catch (error) {
+    console.error('Failed to load trusted language server commands:', error);
+  }
+
+  if (trusted[workspacePath] === signature) return servers;
+
+  const allowed = confirm(`This workspace configures these language servers:\n\n${signature}\n\nAllow them to start?`);
+  if (allowed) {
+    trusted[workspacePath] = signature;
+    localStorage.setItem('lspTrustedWorkspaces', JSON.stringify(trusted));
+    return servers;
+  }
+
+  const filtered = { ...servers };
+  workspaceServers.forEach(([id]) => delete filtered[id]);
+  return filtered;
+}
+
+/**
+ * Load the merged language server registry for a workspace
+ */
+async function loadServerConfigs(workspacePath) {
+  const result = await window.api.getLSPServerConfigs(workspacePath);
+  lspSettingsFiles = result.files || { user: null, workspace: null };
+
+  if (result.errors && result.errors.length > 0) {
+    result.errors.forEach(error => console.error('Language server settings:', error));
+    window.showNotification(`✗ Language server settings: ${result.errors[0]}`, 5000);
+  }
+
+  return confirmWorkspaceServers(workspacePath, result.servers || {});
+}
 
 /**
  * Initialize LSP integration for workspace
@@ -46,9 +148,12 @@ async function initLSP(workspacePath) {
   lspWorkspacePath = workspacePath;
   console.log('🔧 Initializing LSP for workspace:', workspacePath);
 
+  lspServerConfigs = await loadServerConfigs(workspacePath);
+
   // Check which language servers are available
-  for (const [language, config] of Object.entries(LSP_CONFIGS)) {
-    const isAvailable = await window.api.checkLSPServer(config.command);
+  for (const [language, config] of Object.entries(lspServerConfigs)) {
+    // Servers reached over tcp/websocket have no local command to look for
+    const isAvailable = !config.command || await window.api.checkLSPServer(config.command, workspacePath);
     if (isAvailable) {
       await startLanguageServer(language, config);
     } else {
@@ -56,7 +161,8 @@ async function initLSP(workspacePath) {
     }
   }
 
-  lspEnabled = languageServers.size > 0;
+  activateServers();
+
   if (lspEnabled) {
     console.log('✅ LSP integration enabled with servers:', Array.from(languageServers.keys()));
   } else {
@@ -65,99 +171,825 @@ async function initLSP(workspacePath) {
 }
 
 /**
- * Start a language server
+ * Hook running servers up to the editor: providers for what they advertise
+ * and didOpen for tabs they have not seen yet
+ */
+function activateServers() {
+  lspEnabled = languageServers.size > 0;
+
+  if (lspEnabled) {
+    if (window.lspMonaco) {
+      window.lspMonaco.registerLanguages(Array.from(languageServers.values()));
+    }
+    openExistingDocuments();
+  }
+
+  window.lspOutput.updateStatus();
+}
+
+function setServerState(language, name, state, detail = '') {
+  const entry = lspServerStates.get(language) || { restarts: 0, restartTimer: null, startedAt: null };
+  Object.assign(entry, { name, state, detail });
+  lspServerStates.set(language, entry);
+  window.lspOutput.updateStatus();
+}
+
+/**
+ * A server process exited without being asked to: forget its documents and
+ * restart it with exponential backoff
+ */
+function handleServerExit(serverId, code, signal) {
+  const server = lspServersById.get(serverId);
+  if (!server || server.stopping) return;
+
+  const { language, config } = server;
+  const reason = signal ? `signal ${signal}` : `code ${code}`;
+  console.error(`${config.name} exited unexpectedly (${reason})`);
+  window.lspOutput.append(config.name, `Server exited unexpectedly (${reason})`, 'error');
+
+  lspServersById.delete(serverId);
+  if (languageServers.get(language) === server) {
+    languageServers.delete(language);
+  }
+  window.lspOutput.clearProgress(serverId);
+  window.problems.clearServerProblems(`lsp:${serverId}`);
+
+  // The restarted server gets didOpen for these again
+  Array.from(documentVersions.keys())
+    .filter(filePath => matchesServerGlobs(config, filePath))
+    .forEach(filePath => {
+      untrackDocumentChanges(filePath);
+      documentVersions.delete(filePath);
+    });
+
+  lspEnabled = languageServers.size > 0;
+
+  const state = lspServerStates.get(language);
+  if (state && state.startedAt && Date.now() - state.startedAt > LSP_STABLE_RUN_TIME) {
+    state.restarts = 0;
+  }
+
+  if (!state || state.restarts >= LSP_MAX_RESTARTS) {
+    setServerState(language, config.name, 'crashed', `Exited with ${reason}`);
+    window.showNotification(`✗ ${config.name} keeps crashing. Use View > Restart Language Server to try again.`, 5000);
+    return;
+  }
+
+  const delay = LSP_RESTART_BASE_DELAY * Math.pow(2, state.restarts);
+  state.restarts++;
+  setServerState(language, config.name, 'crashed', `Exited with ${reason}, restarting in ${delay / 1000}s`);
+
+  clearTimeout(state.restartTimer);
+  state.restartTimer = setTimeout(async () => {
+    state.restartTimer = null;
+    if (lspServerConfigs[language] !== config) return; // workspace closed or settings reloaded
+
+    await startLanguageServer(language, config);
+    activateServers();
+  }, delay);
+}
+
+/**
+ * Restart a language server (or all of them), e.g. from the menu after repeated crashes
+ */
+async function restartLanguageServers(languages) {
+  for (const language of languages) {
+    const config = lspServerConfigs[language];
+    if (!config) continue;
+
+    const state = lspServerStates.get(language);
+    if (state) {
+      clearTimeout(state.restartTimer);
+      state.restartTimer = null;
+      state.restarts = 0;
+    }
+
+    const server = languageServers.get(language);
+    if (server) {
+      languageServers.delete(language);
+      Array.from(documentVersions.keys())
+        .filter(filePath => matchesServerGlobs(config, filePath))
+        .forEach(filePath => {
+          untrackDocumentChanges(filePath);
+          documentVersions.delete(filePath);
+        });
+      await stopLanguageServer(language, server);
+    }
+
+    await startLanguageServer(language, config);
+  }
+
+  activateServers();
+}
+
+/**
+ * Restart the server for the active file, or every configured server if it has none
+ */
+async function restartLanguageServerCommand() {
+  if (!lspWorkspacePath || Object.keys(lspServerConfigs).length === 0) {
+    window.showNotification('No language servers are configured for this workspace', 2500);
+    return;
+  }
+
+  const tab = getActiveTab();
+  const language = tab && tab.filePath
+    ? Object.keys(lspServerConfigs).find(id => matchesServerGlobs(lspServerConfigs[id], tab.filePath))
+    : null;
+  const languages = language ? [language] : Object.keys(lspServerConfigs);
+
+  await restartLanguageServers(languages);
+
+  const running = languages.filter(id => languageServers.has(id));
+  if (running.length === languages.length) {
+    window.showNotification(`✓ Restarted ${languages.map(id => lspServerConfigs[id].name).join(', ')}`, 2000);
+  } else {
+    window.showNotification('✗ Some language servers failed to start - see the language server output', 4000);
+  }
+}
+
+/**
+ * Send didOpen for tabs that were already open when the servers started
+ */
+function openExistingDocuments() {
+  getAllTabs().forEach(tab => {
+    if (tab.filePath && tab.model && !documentVersions.has(tab.filePath)) {
+      didOpenDocument(tab.filePath, tab.model.getLanguageId(), tab.model.getValue());
+    }
+  });
+}
+
+/**
+ * Restart all servers with the current registry (after a settings file is saved)
+ */
+async function reloadLSP() {
+  const workspacePath = lspWorkspacePath;
+  if (!workspacePath) return;
+
+  await cleanupLSP();
+  await initLSP(workspacePath);
+  window.showNotification(`✓ Language servers reloaded (${languageServers.size} running)`, 2000);
+}
+
+function isLSPSettingsFile(filePath) {
+  return !!filePath && (filePath === lspSettingsFiles.user || filePath === lspSettingsFiles.workspace);
+}
+
+/**
+ * Open the user or workspace registry file in the editor
+ */
+async function openLSPSettings(scope) {
+  const workspacePath = lspWorkspacePath || currentWorkspacePath;
+  const result = await window.api.ensureLSPServersFile(scope, workspacePath);
+  if (!result.success) {
+    window.showNotification(`✗ ${result.error}`, 3000);
+    return;
+  }
+
+  if (scope === 'user') lspSettingsFiles.user = result.filePath;
+  else lspSettingsFiles.workspace = result.filePath;
+
+  await openFileInEditor(result.filePath);
+}
+
+// What this client implements; servers use it to decide which features to offer
+const LSP_CLIENT_CAPABILITIES = {
+  general: {
+    // Monaco columns are UTF-16 code units; UTF-8 servers get positions converted
+    positionEncodings: ['utf-16', 'utf-8']
+  },
+  window: {
+    workDoneProgress: true,
+    showMessage: {}
+  },
+  textDocument: {
+    synchronization: {
+      dynamicRegistration: false,
+      willSave: false,
+      willSaveWaitUntil: false,
+      didSave: true
+    },
+    completion: {
+      dynamicRegistration: false,
+      completionItem: {
+        snippetSupport: true,
+        documentationFormat: ['markdown', 'plaintext'],
+        insertReplaceSupport: false
+      },
+      contextSupport: true
+    },
+    hover: {
+      dynamicRegistration: false,
+      contentFormat: ['markdown', 'plaintext']
+    },
+    definition: {
+      dynamicRegistration: false,
+      linkSupport: true
+    },
+    references: {
+      dynamicRegistration: false
+    },
+    formatting: {
+      dynamicRegistration: false
+    },
+    rename: {
+      dynamicRegistration: false,
+      prepareSupport: true
+    },
+    semanticTokens: {
+      dynamicRegistration: false,
+      requests: {
+        full: { delta: true },
+        range: false
+      },
+      tokenTypes: [
+        'namespace', 'type', 'class', 'enum', 'interface', 'struct', 'typeParameter', 'parameter',
+        'variable', 'property', 'enumMember', 'event', 'function', 'method', 'macro', 'keyword',
+        'modifier', 'comment', 'string', 'number', 'regexp', 'operator', 'decorator'
+      ],
+      tokenModifiers: [
+        'declaration', 'definition', 'readonly', 'static', 'deprecated', 'abstract', 'async',
+        'modification', 'documentation', 'defaultLibrary'
+      ],
+      formats: ['relative'],
+      overlappingTokenSupport: false,
+      multilineTokenSupport: false
+    },
+    inlayHint: {
+      dynamicRegistration: false
+    },
+    signatureHelp: {
+      dynamicRegistration: false,
+      signatureInformation: {
+        documentationFormat: ['markdown', 'plaintext'],
+        parameterInformation: {
+          labelOffsetSupport: true
+        },
+        activeParameterSupport: true
+      },
+      contextSupport: true
+    },
+    documentSymbol: {
+      dynamicRegistration: false,
+      hierarchicalDocumentSymbolSupport: true
+    },
+    documentHighlight: {
+      dynamicRegistration: false
+    },
+    callHierarchy: {
+      dynamicRegistration: false
+    },
+    typeHierarchy: {
+      dynamicRegistration: false
+    },
+    foldingRange: {
+      dynamicRegistration: false,
+      lineFoldingOnly: true
+    },
+    selectionRange: {
+      dynamicRegistration: false
+    },
+    codeAction: {
+      dynamicRegistration: false,
+      codeActionLiteralSupport: {
+        codeActionKind: {
+          valueSet: ['', 'quickfix', 'refactor', 'refactor.extract', 'refactor.inline', 'refactor.rewrite', 'source', 'source.organizeImports', 'source.fixAll']
+        }
+      },
+      isPreferredSupport: true,
+      disabledSupport: true,
+      dataSupport: true,
+      resolveSupport: {
+        properties: ['edit']
+      }
+    }
+  },
+  workspace: {
+    workspaceFolders: true,
+    configuration: true,
+    applyEdit: true,
+    workspaceEdit: {
+      documentChanges: true,
+      resourceOperations: ['create', 'rename', 'delete'],
+      failureHandling: 'abort'
+    },
+    executeCommand: {
+      dynamicRegistration: false
+    },
+    symbol: {
+      dynamicRegistration: false,
+      resolveSupport: {
+        properties: ['location.range']
+      }
+    },
+    semanticTokens: {
+      refreshSupport: true
+    },
+    inlayHint: {
+      refreshSupport: true
+    },
+    didChangeConfiguration: {
+      dynamicRegistration: false
+    }
+  }
+};
+
+// TextDocumentSyncKind
+const LSP_SYNC_NONE = 0;
+const LSP_SYNC_FULL = 1;
+const LSP_SYNC_INCREMENTAL = 2;
+
+const LSP_SHUTDOWN_TIMEOUT = 5000;
+
+// Crashed servers are restarted after 1s, 2s, 4s... up to LSP_MAX_RESTARTS times in a row
+const LSP_RESTART_BASE_DELAY = 1000;
+const LSP_MAX_RESTARTS = 5;
+// A server that ran this long before crashing starts the backoff over
+const LSP_STABLE_RUN_TIME = 3 * 60 * 1000;
+
+// Edits are batched into one didChange per burst of typing (and flushed before requests)
+const LSP_CHANGE_FLUSH_DELAY = 50;
+
+/**
+ * Normalize ServerCapabilities.textDocumentSync, which is either a
+ * TextDocumentSyncKind number or a TextDocumentSyncOptions object
+ */
+function getTextDocumentSync(capabilities) {
+  const sync = capabilities.textDocumentSync;
+
+  if (sync === undefined || sync === null) {
+    return { openClose: false, change: LSP_SYNC_NONE, save: false, includeText: false };
+  }
+
+  if (typeof sync === 'number') {
+    return { openClose: sync !== LSP_SYNC_NONE, change: sync, save: sync !== LSP_SYNC_NONE, includeText: false };
+  }
+
+  return {
+    openClose: !!sync.openClose,
+    change: sync.change || LSP_SYNC_NONE,
+    save: !!sync.save,
+    includeText: !!(sync.save && sync.save.includeText)
+  };
+}
+
+/**
+ * Check whether a server advertised a provider (e.g. 'hoverProvider')
+ */
+function serverSupports(server, provider) {
+  const value = server.capabilities[provider];
+  return value !== undefined && value !== null && value !== false;
+}
+
+// PositionEncodingKind
+const LSP_POSITION_ENCODING_UTF16 = 'utf-16';
+const LSP_POSITION_ENCODING_UTF8 = 'utf-8';
+
+function usesUTF8Positions(server) {
+  return !!server && server.positionEncoding === LSP_POSITION_ENCODING_UTF8;
+}
+
+/**
+ * Line lookup for a document: the open model, or the file on disk
+ */
+async function getDocumentLines(uri) {
+  const filePath = monaco.Uri.parse(uri).fsPath;
+  const tab = findTabByPath(filePath);
+
+  if (tab && tab.model && !tab.model.isDisposed()) {
+    const model = tab.model;
+    return line => (line < model.getLineCount() ? model.getLineContent(line + 1) : '');
+  }
+
+  try {
+    const result = await window.api.readFile(filePath);
+    if (!result) return null;
+    const lines = result.content.split(/\r?\n/);
+    return line => lines[line] || '';
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Copy an LSP value, passing every Position ({ line, character }) to visit along
+ * with the uri of the document it belongs to
+ */
+function mapPositions(value, uri, visit) {
+  if (Array.isArray(value)) {
+    return value.map(item => mapPositions(item, uri, visit));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (typeof value.line === 'number' && typeof value.character === 'number') {
+    return visit(uri, value);
+  }
+
+  const ownUri = value.uri || value.targetUri || (value.textDocument && value.textDocument.uri) || uri;
+  const result = {};
+
+  for (const [key, child] of Object.entries(value)) {
+    if (key === 'data' || key === 'arguments') {
+      // Opaque to the client; the server gets them back unchanged
+      result[key] = child;
+    } else if (key === 'changes' && child && !Array.isArray(child) && typeof child === 'object') {
+      // WorkspaceEdit.changes is keyed by document uri
+      result[key] = {};
+      for (const [changeUri, edits] of Object.entries(child)) {
+        result[key][changeUri] = mapPositions(edits, changeUri, visit);
+      }
+    } else {
+      // A LocationLink's origin range lies in the requesting document, not the target
+      result[key] = mapPositions(child, key === 'originSelectionRange' ? uri : ownUri, visit);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert every position in an LSP value with convert(lineText, character),
+ * loading each referenced document once
+ */
+async function convertPositions(value, uri, convert) {
+  if (value === null || value === undefined) return value;
+
+  const documents = new Map();
+  mapPositions(value, uri, (positionUri, position) => {
+    if (positionUri) documents.set(positionUri, null);
+    return position;
+  });
+
+  await Promise.all(Array.from(documents.keys()).map(async (documentUri) => {
+    documents.set(documentUri, await getDocumentLines(documentUri));
+  }));
+
+  return mapPositions(value, uri, (positionUri, position) => {
+    const lines = positionUri && documents.get(positionUri);
+    if (!lines) return position;
+    return { line: position.line, character: convert(lines(position.line), position.character) };
+  });
+}
+
+/**
+ * Send a request to a server, translating positions both ways when it counts
+ * UTF-8 bytes. filePath is the document the request is about, if any.
+ */
+async function sendServerRequest(server, method, params, filePath = null) {
+  if (!usesUTF8Positions(server)) {
+    return window.api.sendLSPRequest(server.id, method, params);
+  }
+
+  const uri = filePath ? `file://${filePath}` : null;
+  const result = await window.api.sendLSPRequest(server.id, method, await convertPositions(params, uri, toUTF8Character));
+  return convertPositions(result, uri, fromUTF8Character);
+}
+
+/**
+ * Semantic tokens are relative (line, start) deltas with lengths; rebase them
+ * from UTF-8 byte offsets to UTF-16 columns
+ */
+async function convertSemanticTokensFromUTF8(filePath, tokens) {
+  if (!tokens || !tokens.data) return tokens;
+
+  const lines = await getDocumentLines(`file://${filePath}`);
+  if (!lines) return tokens;
+
+  const data = tokens.data.slice();
+  let line = 0;
+  let start = 0;
+  let convertedStart = 0;
+
+  for (let i = 0; i < data.length; i += 5) {
+    const previousLine = line;
+    line += data[i];
+    start = data[i] === 0 ? start + data[i + 1] : data[i + 1];
+
+    const text = lines(line);
+    const tokenStart = fromUTF8Character(text, start);
+    const tokenEnd = fromUTF8Character(text, start + data[i + 2]);
+
+    data[i + 1] = line === previousLine && i > 0 ? tokenStart - convertedStart : tokenStart;
+    data[i + 2] = tokenEnd - tokenStart;
+    convertedStart = tokenStart;
+  }
+
+  return { ...tokens, data };
+}
+
+/**
+ * Start a language server and run the initialize handshake
+ */
+async function startLanguageServer(language, config) {
+  let serverId = null;
+
+  try {
+    console.log(`Starting ${config.name}...`);
+    setServerState(language, config.name, 'starting');
+
+    serverId = await window.api.startLSPServer(
+      language,
+      config.command,
+      config.args || [],
+      lspWorkspacePath,
+      config.transport
+    );
+
+    if (!serverId) {
+      console.error(`Failed to start ${config.name}`);
+      setServerState(language, config.name, 'crashed', 'Failed to start');
+      return;
+    }
+
+    // Servers send requests (configuration, progress) while initializing, so track them by id right away
+    const server = {
+      id: serverId,
+      language,
+      config,
+      capabilities: {},
+      sync: getTextDocumentSync({}),
+      registrations: new Map() // registration id -> dynamically registered capability
+    };
+    lspServersById.set(serverId, server);
+
+    const rootUri = `file://${lspWorkspacePath}`;
+    const initParams = {
+      processId: null,
+      clientInfo: {
+        name: 'Fast Editor',
+        version: '1.0.0'
+      },
+      locale: navigator.language,
+      rootPath: lspWorkspacePath,
+      rootUri,
+      capabilities: LSP_CLIENT_CAPABILITIES,
+      initializationOptions: config.initializationOptions,
+      trace: 'off',
+      workspaceFolders: [
+        {
+          uri: rootUri,
+          name: lspWorkspacePath.split('/').pop()
+        }
+      ]
+    };
+
+    const initResult = await window.api.sendLSPRequest(serverId, 'initialize', initParams);
+    const capabilities = (initResult && initResult.capabilities) || {};
+
+    // Nothing may be sent before initialized, so register the server only afterwards
+    await window.api.sendLSPNotification(serverId, 'initialized', {});
+
+    // Push the configured settings for servers that read them from the client
+    if (Object.keys(config.settings || {}).length > 0) {
+      await window.api.sendLSPNotification(serverId, 'workspace/didChangeConfiguration', {
+        settings: config.settings
+      });
+    }
+
+    // Keep capabilities registered dynamically during initialization
+    server.capabilities = { ...capabilities, ...server.capabilities };
+    server.sync = getTextDocumentSync(server.capabilities);
+    server.serverInfo = initResult && initResult.serverInfo;
+    server.positionEncoding = capabilities.positionEncoding || LSP_POSITION_ENCODING_UTF16;
+    if (server.positionEncoding !== LSP_POSITION_ENCODING_UTF16 && server.positionEncoding !== LSP_POSITION_ENCODING_UTF8) {
+      console.warn(`${config.name} chose unsupported position encoding ${server.positionEncoding}; assuming utf-16`);
+      server.positionEncoding = LSP_POSITION_ENCODING_UTF16;
+    }
+    languageServers.set(language, server);
+
+    lspServerStates.get(language).startedAt = Date.now();
+    setServerState(language, config.name, 'ready');
+    console.log(`✅ ${config.name} started successfully`);
+  } catch (error) {
+    console.error(`Error starting ${config.name}:`, error);
+    setServerState(language, config.name, 'crashed', error.message);
+
+    // A server that failed to initialize is of no use; don't leave the process running
+    if (serverId) {
+      const server = lspServersById.get(serverId);
+      if (server) server.stopping = true;
+      lspServersById.delete(serverId);
+      await window.api.stopLSPServer(serverId);
+    }
+  }
+}
+
+/**
+ * Shut a server down: shutdown request, exit notification, then stop the process
+ */
+async function stopLanguageServer(language, server) {
+  // Its exit is expected, so it must not trigger a restart
+  server.stopping = true;
+
+  try {
+    await window.api.sendLSPRequest(server.id, 'shutdown', null, LSP_SHUTDOWN_TIMEOUT);
+    await window.api.sendLSPNotification(server.id, 'exit', null);
+  } catch (error) {
+    console.error(`Error shutting down ${language} server:`, error);
+  }
+
+  // Gives the server a moment to exit by itself before it is killed
+  await window.api.stopLSPServer(server.id);
+  lspServersById.delete(server.id);
+  window.lspOutput.clearProgress(server.id);
+  window.problems.clearServerProblems(`lsp:${server.id}`);
+}
+
+// LSP method -> ServerCapabilities provider, for client/registerCapability
+const LSP_REGISTRATION_PROVIDERS = {
+  'textDocument/completion': 'completionProvider',
+  'textDocument/hover': 'hoverProvider',
+  'textDocument/definition': 'definitionProvider',
+  'textDocument/references': 'referencesProvider',
+  'textDocument/formatting': 'documentFormattingProvider',
+  'textDocument/rename': 'renameProvider',
+  'textDocument/codeAction': 'codeActionProvider',
+  'workspace/executeCommand': 'executeCommandProvider',
+  'workspace/symbol': 'workspaceSymbolProvider',
+  'textDocument/semanticTokens': 'semanticTokensProvider',
+  'textDocument/inlayHint': 'inlayHintProvider',
+  'textDocument/signatureHelp': 'signatureHelpProvider',
+  'textDocument/documentSymbol': 'documentSymbolProvider',
+  'textDocument/documentHighlight': 'documentHighlightProvider',
+  'textDocument/foldingRange': 'foldingRangeProvider',
+  'textDocument/selectionRange': 'selectionRangeProvider',
+  'textDocument/prepareCallHierarchy': 'callHierarchyProvider',
+  'textDocument/prepareTypeHierarchy': 'typeHierarchyProvider'
+};
+
+// MessageType
+const LSP_MESSAGE_LEVELS = { 1: 'error', 2: 'warning', 3: 'info', 4: 'log' };
+
+/**
+ * Answer a request sent by a server
+ */
+async function handleServerRequest(serverId, id, method, params) {
+  const server = lspServersById.get(serverId);
+
+  try {
+    if (!server) {
+      throw new Error(`Unknown language server ${serverId}`);
+    }
+
+    if (usesUTF8Positions(server)) {
+      params = await convertPositions(params, null, fromUTF8Character);
+    }
+
+    let result = null;
+    switch (method) {
+      case 'workspace/configuration':
+        result = params.items.map(item => getServerSettings(server, item.section));
+        break;
+      case 'workspace/workspaceFolders':
+        result = [{ uri: `file://${lspWorkspacePath}`, name: lspWorkspacePath.split('/').pop() }];
+        break;
+      case 'window/workDoneProgress/create':
+        // The progress itself arrives through $/progress notifications
+        break;
+      case 'client/registerCapability':
+        registerServerCapabilities(server, params.registrations);
+        break;
+      case 'client/unregisterCapability':
+        // The protocol spells the field "unregisterations"
+        unregisterServerCapabilities(server, params.unregisterations || params.unregistrations || []);
+        break;
+      case 'workspace/applyEdit':
+        result = await window.lspMonaco.applyWorkspaceEdit(params.edit);
+        if (!result.applied) {
+          window.showNotification(`✗ ${server.config.name}: ${params.label || 'edit'} failed: ${result.failureReason}`, 4000);
+        }
+        break;
+      case 'workspace/semanticTokens/refresh':
+        window.lspMonaco.refresh('semanticTokensProvider');
+        break;
+      case 'workspace/inlayHint/refresh':
+        window.lspMonaco.refresh('inlayHintProvider');
+        break;
+      case 'window/showMessageRequest':
+        // Actions can't be offered, so show the message and answer that none was picked
+        showServerMessage(server, params);
+        break;
+      default:
+        await window.api.sendLSPResponse(serverId, id, null, { code: -32601, message: `Unhandled method ${method}` });
+        return;
+    }
+
+    await window.api.sendLSPResponse(serverId, id, result);
+  } catch (error) {
+    console.error(`Error handling ${method} from ${serverId}:`, error);
+    await window.api.sendLSPResponse(serverId, id, null, { code: -32603, message: error.message });
+  }
+}
+
+/**
+ * Handle a notification sent by a server
+ */
+function handleServerNotification(serverId, method, params) {
+  const server = lspServersById.get(serverId);
+  const serverName = server ? server.config.name : serverId;
+
+  switch (method) {
+    case 'window/showMessage':
+      showServerMessage(server, params);
+      break;
+    case 'window/logMessage':
+      window.lspOutput.append(serverName, params.message, LSP_MESSAGE_LEVELS[params.type] || 'info');
+      break;
+    case '$/logTrace':
+      window.lspOutput.append(serverName, params.message, 'log');
+      break;
+    case '$/progress':
+      window.lspOutput.updateProgress(serverId, serverName, params.token, params.value);
+      break;
+  }
+}
+
+/**
+ * textDocument/publishDiagnostics: hand them to the Problems panel, which also sets the markers
+ */
+async function handleServerDiagnostics(serverId, params) {
+  const server = lspServersById.get(serverId);
+  if (!server || server.stopping || !params || !params.uri) return;
+
+  if (usesUTF8Positions(server)) {
+    params = await convertPositions(params, params.uri, fromUTF8Character);
+  }
+
+  const filePath = monaco.Uri.parse(params.uri).fsPath;
+  window.problems.setServerProblems(`lsp:${serverId}`, server.config.name, filePath, params.diagnostics || []);
+}
+
+/**
+ * Look up a section ("python.analysis") in a server's configured settings
  */
-async function startLanguageServer(language, config) {
-  try {
-    console.log(`Starting ${config.name}...`);
+function getServerSettings(server, section) {
+  const settings = server.config.settings || {};
+  if (!section) return settings;
 
-    const serverId = await window.api.startLSPServer(
-      language,
-      config.command,
-      config.args || [],
-      lspWorkspacePath
-    );
+  // Settings may be stored flat ("python.analysis": {...}) or nested
+  if (Object.prototype.hasOwnProperty.call(settings, section)) {
+    return settings[section];
+  }
 
-    if (!serverId) {
-      console.error(`Failed to start ${config.name}`);
-      return;
+  let value = settings;
+  for (const key of section.split('.')) {
+    if (!value || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+      return null;
     }
+    value = value[key];
+  }
+  return value;
+}
 
-    // Initialize the server
-    const initParams = {
-      processId: null,
-      clientInfo: {
-        name: 'Fast Editor',
-        version: '1.0.0'
-      },
-      rootUri: `file://${lspWorkspacePath}`,
-      capabilities: {
-        textDocument: {
-          synchronization: {
-            didOpen: true,
-            didChange: true,
-            didSave: true,
-            didClose: true
-          },
-          completion: {
-            completionItem: {
-              snippetSupport: true,
-              documentationFormat: ['markdown', 'plaintext']
-            }
-          },
-          hover: {
-            contentFormat: ['markdown', 'plaintext']
-          },
-          definition: {
-            linkSupport: true
-          },
-          references: {},
-          documentSymbol: {},
-          codeAction: {},
-          formatting: {}
-        },
-        workspace: {
-          workspaceFolders: true,
-          configuration: true
-        }
-      },
-      initializationOptions: config.initializationOptions,
-      workspaceFolders: [
-        {
-          uri: `file://${lspWorkspacePath}`,
-          name: lspWorkspacePath.split('/').pop()
-        }
-      ]
-    };
+function registerServerCapabilities(server, registrations) {
+  for (const registration of registrations) {
+    server.registrations.set(registration.id, registration);
 
-    const initResult = await window.api.sendLSPRequest(serverId, 'initialize', initParams);
+    const provider = LSP_REGISTRATION_PROVIDERS[registration.method];
+    if (provider) {
+      server.capabilities[provider] = registration.registerOptions || true;
+    }
+  }
 
-    if (initResult) {
-      // Send initialized notification
-      await window.api.sendLSPNotification(serverId, 'initialized', {});
+  // Servers that are already running get the new providers right away
+  if (languageServers.get(server.language) === server && window.lspMonaco) {
+    window.lspMonaco.registerLanguages([server]);
+  }
+}
 
-      languageServers.set(language, {
-        id: serverId,
-        config,
-        capabilities: initResult.capabilities
-      });
+function unregisterServerCapabilities(server, unregistrations) {
+  for (const unregistration of unregistrations) {
+    server.registrations.delete(unregistration.id);
 
-      console.log(`✅ ${config.name} started successfully`);
+    const provider = LSP_REGISTRATION_PROVIDERS[unregistration.method];
+    if (provider) {
+      delete server.capabilities[provider];
     }
-  } catch (error) {
-    console.error(`Error starting ${config.name}:`, error);
   }
 }
 
+/**
+ * Show window/showMessage as a notification (and log it to the output channel)
+ */
+function showServerMessage(server, params) {
+  const serverName = server ? server.config.name : 'Language server';
+  const level = LSP_MESSAGE_LEVELS[params.type] || 'info';
+
+  window.lspOutput.append(serverName, params.message, level);
+
+  if (level === 'log') return;
+  const icon = level === 'error' ? '✗' : level === 'warning' ? '⚠' : 'ℹ';
+  window.showNotification(`${icon} ${serverName}: ${params.message}`, level === 'error' ? 5000 : 3000);
+}
+
 /**
  * Get language server for file
  */
 function getServerForFile(filePath) {
   if (!filePath) return null;
 
-  for (const [language, server] of languageServers.entries()) {
-    const config = server.config;
-    if (config.fileExtensions.some(ext => filePath.endsWith(ext))) {
+  for (const server of languageServers.values()) {
+    if (matchesServerGlobs(server.config, filePath)) {
       return server;
     }
   }
@@ -170,15 +1002,17 @@ function getServerForFile(filePath) {
  */
 async function didOpenDocument(filePath, languageId, content) {
   const server = getServerForFile(filePath);
-  if (!server) return;
+  if (!server || !server.sync.openClose) return;
 
   const version = 1;
   documentVersions.set(filePath, version);
+  trackDocumentChanges(filePath);
 
+  // The registry's languageId is the server's name for the language, not Monaco's
   await window.api.sendLSPNotification(server.id, 'textDocument/didOpen', {
     textDocument: {
       uri: `file://${filePath}`,
-      languageId,
+      languageId: server.config.languageId || languageId,
       version,
       text: content
     }
@@ -186,14 +1020,85 @@ async function didOpenDocument(filePath, languageId, content) {
 }
 
 /**
- * Notify LSP that a document changed
+ * Listen to every edit of an open document's model, whether or not it is in the editor
+ */
+function trackDocumentChanges(filePath) {
+  const tab = findTabByPath(filePath);
+  if (!tab || !tab.model || documentListeners.has(filePath)) return;
+
+  const listener = tab.model.onDidChangeContent((event) => {
+    didChangeDocument(filePath, event.changes);
+  });
+  documentListeners.set(filePath, listener);
+}
+
+function untrackDocumentChanges(filePath) {
+  const listener = documentListeners.get(filePath);
+  if (listener) {
+    listener.dispose();
+    documentListeners.delete(filePath);
+  }
+
+  const pending = pendingDocumentChanges.get(filePath);
+  if (pending) {
+    clearTimeout(pending.timer);
+    pendingDocumentChanges.delete(filePath);
+  }
+}
+
+/**
+ * Queue Monaco content changes for a document. Monaco lists the changes of one
+ * edit from the end of the document backwards, so applying them in order (as
+ * LSP does with contentChanges) gives the same result.
  */
-async function didChangeDocument(filePath, content) {
+function didChangeDocument(filePath, changes) {
+  if (!documentVersions.has(filePath)) return;
+
+  let pending = pendingDocumentChanges.get(filePath);
+  if (!pending) {
+    pending = { changes: [], timer: null };
+    pendingDocumentChanges.set(filePath, pending);
+  }
+
+  pending.changes.push(...changes);
+  clearTimeout(pending.timer);
+  pending.timer = setTimeout(() => flushDocumentChanges(filePath), LSP_CHANGE_FLUSH_DELAY);
+}
+
+/**
+ * Send queued changes for a document as a single didChange
+ */
+async function flushDocumentChanges(filePath) {
+  const pending = pendingDocumentChanges.get(filePath);
+  if (!pending) return;
+
+  clearTimeout(pending.timer);
+  pendingDocumentChanges.delete(filePath);
+
   const server = getServerForFile(filePath);
-  if (!server) return;
+  if (!server || server.sync.change === LSP_SYNC_NONE || !documentVersions.has(filePath)) return;
+
+  // Byte offsets of the replaced ranges would need the text from before the
+  // edit, so UTF-8 servers get the whole document (valid under incremental sync too)
+  let contentChanges;
+  if (server.sync.change === LSP_SYNC_INCREMENTAL && !usesUTF8Positions(server)) {
+    contentChanges = pending.changes.map(change => ({
+      range: {
+        start: { line: change.range.startLineNumber - 1, character: change.range.startColumn - 1 },
+        end: { line: change.range.endLineNumber - 1, character: change.range.endColumn - 1 }
+      },
+      rangeLength: change.rangeLength,
+      text: change.text
+    }));
+  } else {
+    // Full sync: the server wants the whole document every time
+    const tab = findTabByPath(filePath);
+    if (!tab || !tab.model) return;
+    contentChanges = [{ text: tab.model.getValue() }];
+  }
 
-  let version = documentVersions.get(filePath) || 1;
-  version++;
+  // Only a change that is actually sent gets a new version
+  const version = documentVersions.get(filePath) + 1;
   documentVersions.set(filePath, version);
 
   await window.api.sendLSPNotification(server.id, 'textDocument/didChange', {
@@ -201,11 +1106,7 @@ async function didChangeDocument(filePath, content) {
       uri: `file://${filePath}`,
       version
     },
-    contentChanges: [
-      {
-        text: content
-      }
-    ]
+    contentChanges
   });
 }
 
@@ -214,14 +1115,20 @@ async function didChangeDocument(filePath, content) {
  */
 async function didSaveDocument(filePath, content) {
   const server = getServerForFile(filePath);
-  if (!server) return;
+  if (!server || !server.sync.save) return;
 
-  await window.api.sendLSPNotification(server.id, 'textDocument/didSave', {
+  await flushDocumentChanges(filePath);
+
+  const params = {
     textDocument: {
       uri: `file://${filePath}`
-    },
-    text: content
-  });
+    }
+  };
+  if (server.sync.includeText) {
+    params.text = content;
+  }
+
+  await window.api.sendLSPNotification(server.id, 'textDocument/didSave', params);
 }
 
 /**
@@ -229,8 +1136,10 @@ async function didSaveDocument(filePath, content) {
  */
 async function didCloseDocument(filePath) {
   const server = getServerForFile(filePath);
-  if (!server) return;
+  if (!server || !documentVersions.has(filePath)) return;
 
+  await flushDocumentChanges(filePath);
+  untrackDocumentChanges(filePath);
   documentVersions.delete(filePath);
 
   await window.api.sendLSPNotification(server.id, 'textDocument/didClose', {
@@ -245,15 +1154,17 @@ async function didCloseDocument(filePath) {
  */
 async function getCompletions(filePath, position) {
   const server = getServerForFile(filePath);
-  if (!server) return null;
+  if (!server || !serverSupports(server, 'completionProvider')) return null;
+
+  await flushDocumentChanges(filePath);
 
   try {
-    const result = await window.api.sendLSPRequest(server.id, 'textDocument/completion', {
+    const result = await sendServerRequest(server, 'textDocument/completion', {
       textDocument: {
         uri: `file://${filePath}`
       },
       position
-    });
+    }, filePath);
 
     return result;
   } catch (error) {
@@ -267,15 +1178,17 @@ async function getCompletions(filePath, position) {
  */
 async function getHover(filePath, position) {
   const server = getServerForFile(filePath);
-  if (!server) return null;
+  if (!server || !serverSupports(server, 'hoverProvider')) return null;
+
+  await flushDocumentChanges(filePath);
 
   try {
-    const result = await window.api.sendLSPRequest(server.id, 'textDocument/hover', {
+    const result = await sendServerRequest(server, 'textDocument/hover', {
       textDocument: {
         uri: `file://${filePath}`
       },
       position
-    });
+    }, filePath);
 
     return result;
   } catch (error) {
@@ -289,15 +1202,17 @@ async function getHover(filePath, position) {
  */
 async function getDefinition(filePath, position) {
   const server = getServerForFile(filePath);
-  if (!server) return null;
+  if (!server || !serverSupports(server, 'definitionProvider')) return null;
+
+  await flushDocumentChanges(filePath);
 
   try {
-    const result = await window.api.sendLSPRequest(server.id, 'textDocument/definition', {
+    const result = await sendServerRequest(server, 'textDocument/definition', {
       textDocument: {
         uri: `file://${filePath}`
       },
       position
-    });
+    }, filePath);
 
     return result;
   } catch (error) {
@@ -311,10 +1226,12 @@ async function getDefinition(filePath, position) {
  */
 async function getReferences(filePath, position) {
   const server = getServerForFile(filePath);
-  if (!server) return null;
+  if (!server || !serverSupports(server, 'referencesProvider')) return null;
+
+  await flushDocumentChanges(filePath);
 
   try {
-    const result = await window.api.sendLSPRequest(server.id, 'textDocument/references', {
+    const result = await sendServerRequest(server, 'textDocument/references', {
       textDocument: {
         uri: `file://${filePath}`
       },
@@ -322,7 +1239,7 @@ async function getReferences(filePath, position) {
       context: {
         includeDeclaration: true
       }
-    });
+    }, filePath);
 
     return result;
   } catch (error) {
@@ -336,10 +1253,12 @@ async function getReferences(filePath, position) {
  */
 async function formatDocument(filePath) {
   const server = getServerForFile(filePath);
-  if (!server) return null;
+  if (!server || !serverSupports(server, 'documentFormattingProvider')) return null;
+
+  await flushDocumentChanges(filePath);
 
   try {
-    const result = await window.api.sendLSPRequest(server.id, 'textDocument/formatting', {
+    const result = await sendServerRequest(server, 'textDocument/formatting', {
       textDocument: {
         uri: `file://${filePath}`
       },
@@ -347,7 +1266,7 @@ async function formatDocument(filePath) {
         tabSize: 4,
         insertSpaces: true
       }
-    });
+    }, filePath);
 
     return result;
   } catch (error) {
@@ -357,34 +1276,359 @@ async function formatDocument(filePath) {
 }
 
 /**
- * Cleanup on workspace change
+ * Send a request about a document if its server advertised the provider
  */
-async function cleanupLSP() {
-  for (const [language, server] of languageServers.entries()) {
+async function requestForDocument(filePath, provider, method, params) {
+  const server = getServerForFile(filePath);
+  if (!server || !serverSupports(server, provider)) return null;
+
+  await flushDocumentChanges(filePath);
+
+  try {
+    const result = await sendServerRequest(server, method, {
+      textDocument: {
+        uri: `file://${filePath}`
+      },
+      ...params
+    }, filePath);
+
+    return result;
+  } catch (error) {
+    console.error(`Error in ${method}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Request semantic tokens, as a delta against previousResultId when the server supports it
+ */
+async function getSemanticTokens(filePath, previousResultId) {
+  const server = getServerForFile(filePath);
+  const provider = server && server.capabilities.semanticTokensProvider;
+  if (!provider || !provider.full) return null;
+
+  if (usesUTF8Positions(server)) {
+    // Deltas patch the server's (byte based) data, which we never keep, so always ask for all tokens
+    const tokens = await requestForDocument(filePath, 'semanticTokensProvider', 'textDocument/semanticTokens/full', {});
+    return convertSemanticTokensFromUTF8(filePath, tokens);
+  }
+
+  if (previousResultId && provider.full.delta) {
+    return requestForDocument(filePath, 'semanticTokensProvider', 'textDocument/semanticTokens/full/delta', {
+      previousResultId
+    });
+  }
+
+  return requestForDocument(filePath, 'semanticTokensProvider', 'textDocument/semanticTokens/full', {});
+}
+
+/**
+ * Request inlay hints (types, parameter names) for a range
+ */
+async function getInlayHints(filePath, range) {
+  return requestForDocument(filePath, 'inlayHintProvider', 'textDocument/inlayHint', { range });
+}
+
+/**
+ * Request signature help at position
+ */
+async function getSignatureHelp(filePath, position, context) {
+  return requestForDocument(filePath, 'signatureHelpProvider', 'textDocument/signatureHelp', { position, context });
+}
+
+/**
+ * Request the document outline (DocumentSymbol[] or SymbolInformation[])
+ */
+async function getDocumentSymbols(filePath) {
+  return requestForDocument(filePath, 'documentSymbolProvider', 'textDocument/documentSymbol', {});
+}
+
+/**
+ * Request occurrences of the symbol at position
+ */
+async function getDocumentHighlights(filePath, position) {
+  return requestForDocument(filePath, 'documentHighlightProvider', 'textDocument/documentHighlight', { position });
+}
+
+/**
+ * Request folding ranges
+ */
+async function getFoldingRanges(filePath) {
+  return requestForDocument(filePath, 'foldingRangeProvider', 'textDocument/foldingRange', {});
+}
+
+/**
+ * Request smart selection ranges for positions
+ */
+async function getSelectionRanges(filePath, positions) {
+  return requestForDocument(filePath, 'selectionRangeProvider', 'textDocument/selectionRange', { positions });
+}
+
+/**
+ * Request the call hierarchy items (usually one) for the symbol at position
+ */
+async function prepareCallHierarchy(filePath, position) {
+  return requestForDocument(filePath, 'callHierarchyProvider', 'textDocument/prepareCallHierarchy', { position });
+}
+
+/**
+ * Request the type hierarchy items for the symbol at position
+ */
+async function prepareTypeHierarchy(filePath, position) {
+  return requestForDocument(filePath, 'typeHierarchyProvider', 'textDocument/prepareTypeHierarchy', { position });
+}
+
+/**
+ * Follow-up requests for a hierarchy item go to the server of the file it lives in
+ */
+async function requestForHierarchyItem(item, provider, method) {
+  const filePath = monaco.Uri.parse(item.uri).fsPath;
+  const server = getServerForFile(filePath);
+  if (!server || !serverSupports(server, provider)) return null;
+
+  try {
+    return await sendServerRequest(server, method, { item }, filePath);
+  } catch (error) {
+    console.error(`Error in ${method}:`, error);
+    return null;
+  }
+}
+
+async function getIncomingCalls(item) {
+  return requestForHierarchyItem(item, 'callHierarchyProvider', 'callHierarchy/incomingCalls');
+}
+
+async function getOutgoingCalls(item) {
+  return requestForHierarchyItem(item, 'callHierarchyProvider', 'callHierarchy/outgoingCalls');
+}
+
+async function getSupertypes(item) {
+  return requestForHierarchyItem(item, 'typeHierarchyProvider', 'typeHierarchy/supertypes');
+}
+
+async function getSubtypes(item) {
+  return requestForHierarchyItem(item, 'typeHierarchyProvider', 'typeHierarchy/subtypes');
+}
+
+/**
+ * Check whether the server for a file can answer prepareRename
+ */
+function canPrepareRename(filePath) {
+  const server = getServerForFile(filePath);
+  const provider = server && server.capabilities.renameProvider;
+  return !!(provider && provider.prepareProvider);
+}
+
+/**
+ * Request the range (and placeholder) of the symbol to rename.
+ * Errors are thrown so the editor can show the server's reason.
+ */
+async function prepareRename(filePath, position) {
+  const server = getServerForFile(filePath);
+  if (!server || !canPrepareRename(filePath)) return null;
+
+  await flushDocumentChanges(filePath);
+
+  return sendServerRequest(server, 'textDocument/prepareRename', {
+    textDocument: {
+      uri: `file://${filePath}`
+    },
+    position
+  }, filePath);
+}
+
+/**
+ * Request the WorkspaceEdit for renaming the symbol at position.
+ * Errors are thrown so the editor can show the server's reason.
+ */
+async function renameSymbol(filePath, position, newName) {
+  const server = getServerForFile(filePath);
+  if (!server || !serverSupports(server, 'renameProvider')) return null;
+
+  await flushDocumentChanges(filePath);
+
+  return sendServerRequest(server, 'textDocument/rename', {
+    textDocument: {
+      uri: `file://${filePath}`
+    },
+    position,
+    newName
+  }, filePath);
+}
+
+/**
+ * Request code actions (quick fixes, refactorings) for a range
+ */
+async function getCodeActions(filePath, range, context) {
+  const server = getServerForFile(filePath);
+  if (!server || !serverSupports(server, 'codeActionProvider')) return null;
+
+  await flushDocumentChanges(filePath);
+
+  try {
+    const result = await sendServerRequest(server, 'textDocument/codeAction', {
+      textDocument: {
+        uri: `file://${filePath}`
+      },
+      range,
+      context
+    }, filePath);
+
+    return result;
+  } catch (error) {
+    console.error('Error getting code actions:', error);
+    return null;
+  }
+}
+
+/**
+ * Fill in the edit of a code action that was returned without one
+ */
+async function resolveCodeAction(filePath, codeAction) {
+  const server = getServerForFile(filePath);
+  const provider = server && server.capabilities.codeActionProvider;
+  if (!provider || !provider.resolveProvider) return codeAction;
+
+  try {
+    return await sendServerRequest(server, 'codeAction/resolve', codeAction, filePath);
+  } catch (error) {
+    console.error('Error resolving code action:', error);
+    return codeAction;
+  }
+}
+
+/**
+ * Run a server command (from a code action); the server may answer with workspace/applyEdit
+ */
+async function executeCommand(filePath, command) {
+  const server = getServerForFile(filePath);
+  if (!server || !serverSupports(server, 'executeCommandProvider')) {
+    throw new Error(`The language server cannot run "${command.title || command.command}"`);
+  }
+
+  return window.api.sendLSPRequest(server.id, 'workspace/executeCommand', {
+    command: command.command,
+    arguments: command.arguments
+  });
+}
+
+/**
+ * Search symbols across the workspace on every server that supports it.
+ * Returns [{ server, symbol }] with SymbolInformation or WorkspaceSymbol items.
+ */
+async function getWorkspaceSymbols(query) {
+  const servers = Array.from(languageServers.values())
+    .filter(server => serverSupports(server, 'workspaceSymbolProvider'));
+
+  const results = await Promise.all(servers.map(async (server) => {
     try {
-      await window.api.sendLSPRequest(server.id, 'shutdown', {});
-      await window.api.sendLSPNotification(server.id, 'exit', {});
-      await window.api.stopLSPServer(server.id);
+      const symbols = await sendServerRequest(server, 'workspace/symbol', { query });
+      return (symbols || []).map(symbol => ({ server, symbol }));
     } catch (error) {
-      console.error(`Error stopping ${language} server:`, error);
+      console.error(`Error searching workspace symbols in ${server.config.name}:`, error);
+      return [];
     }
+  }));
+
+  return results.flat();
+}
+
+/**
+ * Fill in the range of a WorkspaceSymbol that was returned with only a uri
+ */
+async function resolveWorkspaceSymbol(server, symbol) {
+  const provider = server.capabilities.workspaceSymbolProvider;
+  if (!provider || !provider.resolveProvider || !lspServersById.has(server.id)) return symbol;
+
+  try {
+    return await sendServerRequest(server, 'workspaceSymbol/resolve', symbol);
+  } catch (error) {
+    console.error('Error resolving workspace symbol:', error);
+    return symbol;
   }
+}
+
+/**
+ * Keep the server in sync when open files are renamed or moved: close the
+ * documents under their old paths before the move and reopen them after it
+ */
+async function closeDocumentsUnder(targetPath) {
+  const affected = Array.from(documentVersions.keys())
+    .filter(filePath => filePath === targetPath || filePath.startsWith(targetPath + '/'));
+
+  for (const filePath of affected) {
+    await didCloseDocument(filePath);
+  }
+}
+
+function reopenDocumentsUnder(targetPath) {
+  getAllTabs().forEach(tab => {
+    if (tab.filePath && tab.model && (tab.filePath === targetPath || tab.filePath.startsWith(targetPath + '/'))) {
+      didOpenDocument(tab.filePath, tab.model.getLanguageId(), tab.model.getValue());
+    }
+  });
+}
+
+/**
+ * Cleanup on workspace change
+ */
+async function cleanupLSP() {
+  lspServerStates.forEach(state => clearTimeout(state.restartTimer));
+  lspServerStates.clear();
 
+  await Promise.all(Array.from(languageServers.entries()).map(([language, server]) => stopLanguageServer(language, server)));
+
+  Array.from(documentListeners.keys()).forEach(untrackDocumentChanges);
   languageServers.clear();
+  lspServersById.clear();
   documentVersions.clear();
+  lspServerConfigs = {};
   lspEnabled = false;
   lspWorkspacePath = null;
+  window.lspOutput.updateStatus();
 }
 
+// Server-to-client messages
+window.api.onLSPServerExit(handleServerExit);
+window.api.onLSPServerRequest(handleServerRequest);
+window.api.onLSPNotification(handleServerNotification);
+window.api.onLSPDiagnostics(handleServerDiagnostics);
+
+window.api.onLSPStderr((serverId, text) => {
+  const server = lspServersById.get(serverId);
+  window.lspOutput.append(server ? server.config.name : serverId, text.replace(/\n$/, ''), 'log');
+});
+
+// Menu handlers
+window.api.onMenuRestartLanguageServer(() => {
+  restartLanguageServerCommand();
+});
+
+window.api.onMenuConfigureLanguageServers(() => {
+  openLSPSettings('user');
+});
+
+window.api.onMenuConfigureWorkspaceLanguageServers(() => {
+  if (!currentWorkspacePath) {
+    window.showNotification('Open a folder to configure workspace language servers', 2500);
+    return;
+  }
+  openLSPSettings('workspace');
+});
+
 // Export functions
 window.lsp = {
   init: initLSP,
   cleanup: cleanupLSP,
+  reload: reloadLSP,
   isEnabled: () => lspEnabled,
+  isSettingsFile: isLSPSettingsFile,
+  openSettings: openLSPSettings,
 
   // Document lifecycle
   didOpen: didOpenDocument,
   didChange: didChangeDocument,
+  flushChanges: flushDocumentChanges,
   didSave: didSaveDocument,
   didClose: didCloseDocument,
 
@@ -394,7 +1638,34 @@ window.lsp = {
   getDefinition,
   getReferences,
   formatDocument,
+  getSemanticTokens,
+  getInlayHints,
+  getSignatureHelp,
+  getDocumentSymbols,
+  getDocumentHighlights,
+  getFoldingRanges,
+  getSelectionRanges,
+  prepareCallHierarchy,
+  getIncomingCalls,
+  getOutgoingCalls,
+  prepareTypeHierarchy,
+  getSupertypes,
+  getSubtypes,
+  canPrepareRename,
+  prepareRename,
+  rename: renameSymbol,
+  getCodeActions,
+  resolveCodeAction,
+  executeCommand,
+  getWorkspaceSymbols,
+  resolveWorkspaceSymbol,
+  closeDocumentsUnder,
+  reopenDocumentsUnder,
 
   // Utilities
-  getServerForFile
+  getServerForFile,
+  serverSupports,
+  getServers: () => Array.from(languageServers.values()),
+  getServerStates: () => Array.from(lspServerStates.values()),
+  restart: restartLanguageServerCommand
 };
@@ -0,0 +1,232 @@
+/**
+ * Merge Conflict Resolution
+ * Decorates conflict markers, offers Accept Current/Incoming/Both actions
+ * and a three-way compare view built on the diff editor
+ */
+
+let mergeConflictsRegistered = false;
+let conflictDecorations = new Map(); // model id -> decoration ids
+let modelsWithConflicts = new Set(); // model ids that had markers at the last update
+
+/**
+ * Find conflict blocks in a model. Each block holds the line numbers of its
+ * markers; baseMarker is only present for diff3-style conflicts.
+ */
+function parseConflictBlocks(model) {
+  const blocks = [];
+  const lineCount = model.getLineCount();
+  let block = null;
+
+  for (let lineNumber = 1; lineNumber <= lineCount; lineNumber++) {
+    const line = model.getLineContent(lineNumber);
+
+    if (line.startsWith('<<<<<<<')) {
+      block = {
+        start: lineNumber,
+        baseMarker: null,
+        separator: null,
+        end: null,
+        currentLabel: line.substring(7).trim() || 'Current',
+        incomingLabel: 'Incoming'
+      };
+    } else if (!block) {
+      continue;
+    } else if (line.startsWith('|||||||') && !block.separator) {
+      block.baseMarker = lineNumber;
+    } else if (line.startsWith('=======') && !block.separator) {
+      block.separator = lineNumber;
+    } else if (line.startsWith('>>>>>>>') && block.separator) {
+      block.end = lineNumber;
+      block.incomingLabel = line.substring(7).trim() || 'Incoming';
+      blocks.push(block);
+      block = null;
+    }
+  }
+
+  return blocks;
+}
+
+// Get the lines strictly between two marker lines
+function getLinesBetween(model, fromLine, toLine) {
+  const lines = [];
+  for (let lineNumber = fromLine + 1; lineNumber < toLine; lineNumber++) {
+    lines.push(model.getLineContent(lineNumber));
+  }
+  return lines;
+}
+
+/**
+ * Replace a conflict block with the chosen side ('current', 'incoming' or 'both')
+ */
+function acceptConflict(model, startLine, choice) {
+  const block = parseConflictBlocks(model).find(b => b.start === startLine);
+  if (!block) return;
+
+  const current = getLinesBetween(model, block.start, block.baseMarker || block.separator);
+  const incoming = getLinesBetween(model, block.separator, block.end);
+
+  const lines = choice === 'current' ? current
+    : choice === 'incoming' ? incoming
+    : current.concat(incoming);
+
+  // Replace through the line break after the closing marker so no blank line is left behind
+  const eol = model.getEOL();
+  const isLastLine = block.end === model.getLineCount();
+  const range = isLastLine
+    ? new monaco.Range(block.start, 1, block.end, model.getLineMaxColumn(block.end))
+    : new monaco.Range(block.start, 1, block.end + 1, 1);
+  const text = lines.length === 0 ? '' : lines.join(eol) + (isLastLine ? '' : eol);
+
+  model.pushEditOperations([], [{ range, text }], () => null);
+}
+
+/**
+ * Highlight current/incoming sections and their markers
+ */
+function updateConflictDecorations(model) {
+  const blocks = parseConflictBlocks(model);
+  const newDecorations = [];
+
+  const addRange = (fromLine, toLine, className) => {
+    if (toLine < fromLine) return;
+    newDecorations.push({
+      range: new monaco.Range(fromLine, 1, toLine, 1),
+      options: {
+        isWholeLine: true,
+        className,
+        overviewRuler: {
+          color: className.includes('incoming') ? 'rgba(64, 166, 255, 0.8)' : 'rgba(64, 200, 174, 0.8)',
+          position: monaco.editor.OverviewRulerLane.Full
+        }
+      }
+    });
+  };
+
+  blocks.forEach(block => {
+    const currentEnd = (block.baseMarker || block.separator) - 1;
+
+    addRange(block.start, block.start, 'merge-conflict-current-header');
+    addRange(block.start + 1, currentEnd, 'merge-conflict-current');
+    if (block.baseMarker) {
+      addRange(block.baseMarker, block.separator - 1, 'merge-conflict-base');
+    }
+    addRange(block.separator + 1, block.end - 1, 'merge-conflict-incoming');
+    addRange(block.end, block.end, 'merge-conflict-incoming-header');
+  });
+
+  const oldDecorations = conflictDecorations.get(model.id) || [];
+  conflictDecorations.set(model.id, model.deltaDecorations(oldDecorations, newDecorations));
+
+  return blocks.length;
+}
+
+/**
+ * Open the base/current/incoming versions of a conflicted file side by side
+ */
+async function compareConflictVersions(filePath) {
+  if (!window.git || !window.git.isEnabled() || !window.diffEditor) return;
+
+  const workspacePath = window.git.getRoot();
+  const result = await window.api.getGitConflictVersions(workspacePath, filePath);
+
+  if (!result.success || (result.current === null && result.incoming === null)) {
+    showNotification('No merge stages found for this file', 2500);
+    return;
+  }
+
+  const model = getAllTabs().find(tab => tab.filePath === filePath)?.model;
+  const block = model ? parseConflictBlocks(model)[0] : null;
+
+  window.diffEditor.compareThreeWay(result, {
+    language: getLanguageFromFilePath(filePath),
+    labels: {
+      base: 'Base (common ancestor)',
+      current: `Current (${block ? block.currentLabel : 'ours'})`,
+      incoming: `Incoming (${block ? block.incomingLabel : 'theirs'})`
+    }
+  });
+}
+
+/**
+ * Register CodeLens actions for conflict blocks in any language
+ */
+function registerMergeConflictProviders() {
+  if (mergeConflictsRegistered || typeof monaco === 'undefined') return;
+  mergeConflictsRegistered = true;
+
+  monaco.editor.registerCommand('fastEditor.mergeConflict.accept', (accessor, uri, startLine, choice) => {
+    const model = monaco.editor.getModel(monaco.Uri.parse(uri));
+    if (model) {
+      acceptConflict(model, startLine, choice);
+    }
+  });
+
+  monaco.editor.registerCommand('fastEditor.mergeConflict.compare', (accessor, filePath) => {
+    compareConflictVersions(filePath);
+  });
+
+  monaco.languages.registerCodeLensProvider('*', {
+    provideCodeLenses: (model) => {
+      const lenses = [];
+      const tab = getAllTabs().find(t => t.model === model);
+
+      parseConflictBlocks(model).forEach(block => {
+        const range = new monaco.Range(block.start, 1, block.start, 1);
+        const uri = model.uri.toString();
+
+        lenses.push(
+          { range, command: { id: 'fastEditor.mergeConflict.accept', title: 'Accept Current Change', arguments: [uri, block.start, 'current'] } },
+          { range, command: { id: 'fastEditor.mergeConflict.accept', title: 'Accept Incoming Change', arguments: [uri, block.start, 'incoming'] } },
+          { range, command: { id: 'fastEditor.mergeConflict.accept', title: 'Accept Both Changes', arguments: [uri, block.start, 'both'] } }
+        );
+
+        if (tab && tab.filePath) {
+          lenses.push({ range, command: { id: 'fastEditor.mergeConflict.compare', title: 'Compare Changes', arguments: [tab.filePath] } });
+        }
+      });
+
+      return { lenses, dispose: () => {} };
+    },
+    resolveCodeLens: (model, codeLens) => codeLens
+  });
+}
+
+/**
+ * Refresh conflict decorations for the active tab and mark the file
+ * resolved once its last conflict block is gone
+ */
+async function checkActiveConflicts() {
+  if (typeof editor === 'undefined' || !editor) return;
+  registerMergeConflictProviders();
+
+  const tab = getActiveTab();
+  const model = editor.getModel();
+  if (!tab || !model || tab.model !== model) return;
+
+  const conflictCount = updateConflictDecorations(model);
+
+  if (conflictCount > 0) {
+    modelsWithConflicts.add(model.id);
+    return;
+  }
+
+  if (!modelsWithConflicts.has(model.id)) return;
+  modelsWithConflicts.delete(model.id);
+
+  // Only files git reports as unmerged get staged automatically
+  if (!tab.filePath || !window.git || window.git.getFileStatus(tab.filePath) !== 'conflicted') return;
+
+  await saveActiveTab();
+  await window.git.markResolved(tab.filePath);
+}
+
+window.addEventListener('tab-changed', checkActiveConflicts);
+window.addEventListener('editor-content-changed', checkActiveConflicts);
+
+// Export functions
+window.mergeConflicts = {
+  parseBlocks: parseConflictBlocks,
+  accept: acceptConflict,
+  compare: compareConflictVersions,
+  refresh: checkActiveConflicts
+};
@@ -0,0 +1,359 @@
+/**
+ * Problems Panel
+ * Diagnostics from language servers, task problem matchers and Monaco's workers for every file, grouped by file
+ */
+
+// Monaco marker severities (LSP uses 1 = error ... 4 = hint)
+const PROBLEM_SEVERITY_NAMES = { 8: 'error', 4: 'warning', 2: 'info', 1: 'hint' };
+const LSP_TO_MARKER_SEVERITY = { 1: 8, 2: 4, 3: 2, 4: 1 };
+const PROBLEM_SEVERITY_ICONS = { error: '✗', warning: '⚠', info: 'ℹ', hint: '💡' };
+
+// Owner of the markers Monaco's own workers (TypeScript, CSS, JSON, HTML) produce
+const MONACO_PROBLEMS_OWNER = 'monaco';
+// Language server markers are owned by "lsp:<serverId>", task markers by "task:<label>"
+const LSP_PROBLEMS_OWNER_PREFIX = 'lsp:';
+const TASK_PROBLEMS_OWNER_PREFIX = 'task:';
+
+let problemsByFile = new Map(); // filePath -> Map(owner -> [problem])
+let monacoProblemFiles = new Map(); // model uri -> filePath, to drop problems once the model is gone
+let collapsedProblemFiles = new Set();
+let problemsRenderTimer = null;
+let problemsInitialized = false;
+
+function initProblems() {
+  if (problemsInitialized || typeof monaco === 'undefined') return;
+  problemsInitialized = true;
+
+  monaco.editor.onDidChangeMarkers(updateMonacoProblems);
+
+  // Tabs get fresh models, so put server diagnostics back on them when shown
+  if (editor) {
+    editor.onDidChangeModel(() => {
+      const tab = getActiveTab();
+      if (tab && tab.filePath) {
+        applyServerMarkers(tab.filePath);
+      }
+    });
+  }
+}
+
+/**
+ * Replace the diagnostics one language server (or task) published for a file
+ */
+function setServerProblems(owner, sourceName, filePath, diagnostics) {
+  const problems = diagnostics.map(diagnostic => ({
+    filePath,
+    severity: LSP_TO_MARKER_SEVERITY[diagnostic.severity] || 8,
+    message: diagnostic.message,
+    source: diagnostic.source || sourceName,
+    code: typeof diagnostic.code === 'object' && diagnostic.code ? diagnostic.code.value : diagnostic.code,
+    startLineNumber: diagnostic.range.start.line + 1,
+    startColumn: diagnostic.range.start.character + 1,
+    endLineNumber: diagnostic.range.end.line + 1,
+    endColumn: diagnostic.range.end.character + 1
+  }));
+
+  setFileProblems(filePath, owner, problems);
+  applyServerMarkers(filePath, owner);
+}
+
+/**
+ * Forget everything a language server published (it stopped or crashed)
+ */
+function clearServerProblems(owner) {
+  for (const filePath of Array.from(problemsByFile.keys())) {
+    if (problemsByFile.get(filePath).has(owner)) {
+      setFileProblems(filePath, owner, []);
+      applyServerMarkers(filePath, owner);
+    }
+  }
+}
+
+function setFileProblems(filePath, owner, problems) {
+  let owners = problemsByFile.get(filePath);
+
+  if (problems.length > 0) {
+    if (!owners) {
+      owners = new Map();
+      problemsByFile.set(filePath, owners);
+    }
+    owners.set(owner, problems);
+  } else if (owners) {
+    owners.delete(owner);
+    if (owners.size === 0) {
+      problemsByFile.delete(filePath);
+    }
+  }
+
+  scheduleProblemsRender();
+}
+
+/**
+ * Show server diagnostics as markers in the file's model, if it is open
+ */
+function applyServerMarkers(filePath, onlyOwner = null) {
+  const tab = findTabByPath(filePath);
+  if (!tab || !tab.model || typeof monaco === 'undefined') return;
+
+  const owners = problemsByFile.get(filePath);
+  const serverOwners = onlyOwner ? [onlyOwner] : Array.from(owners ? owners.keys() : []);
+
+  serverOwners
+    .filter(owner => owner !== MONACO_PROBLEMS_OWNER)
+    .forEach(owner => {
+      const problems = (owners && owners.get(owner)) || [];
+      monaco.editor.setModelMarkers(tab.model, owner, problems.map(problem => ({
+        severity: problem.severity,
+        message: problem.message,
+        source: problem.source,
+        code: problem.code !== undefined ? String(problem.code) : undefined,
+        startLineNumber: problem.startLineNumber,
+        startColumn: problem.startColumn,
+        endLineNumber: problem.endLineNumber,
+        endColumn: problem.endColumn
+      })));
+    });
+}
+
+/**
+ * Pick up markers from Monaco's workers (TypeScript diagnostics etc.) for open tabs
+ */
+function updateMonacoProblems(uris) {
+  const tabs = getAllTabs();
+
+  uris.forEach(uri => {
+    const key = uri.toString();
+    const tab = tabs.find(t => t.model && t.model.uri.toString() === key);
+    const filePath = tab ? tab.filePath : monacoProblemFiles.get(key);
+    if (!filePath) return;
+
+    const markers = tab && !tab.model.isDisposed()
+      ? monaco.editor.getModelMarkers({ resource: uri }).filter(marker =>
+        !marker.owner.startsWith(LSP_PROBLEMS_OWNER_PREFIX) && !marker.owner.startsWith(TASK_PROBLEMS_OWNER_PREFIX))
+      : [];
+
+    if (markers.length > 0) {
+      monacoProblemFiles.set(key, filePath);
+    } else {
+      monacoProblemFiles.delete(key);
+    }
+
+    setFileProblems(filePath, MONACO_PROBLEMS_OWNER, markers.map(marker => ({
+      filePath,
+      severity: marker.severity,
+      message: marker.message,
+      source: marker.source || marker.owner,
+      code: typeof marker.code === 'object' && marker.code ? marker.code.value : marker.code,
+      startLineNumber: marker.startLineNumber,
+      startColumn: marker.startColumn,
+      endLineNumber: marker.endLineNumber,
+      endColumn: marker.endColumn
+    })));
+  });
+}
+
+function getProblemCounts() {
+  const counts = { error: 0, warning: 0, info: 0, hint: 0 };
+  problemsByFile.forEach(owners => {
+    owners.forEach(problems => {
+      problems.forEach(problem => {
+        counts[PROBLEM_SEVERITY_NAMES[problem.severity]]++;
+      });
+    });
+  });
+  return counts;
+}
+
+function matchesProblemsFilter(problem) {
+  const severity = document.getElementById('problems-severity').value;
+  const text = document.getElementById('problems-filter').value.trim().toLowerCase();
+
+  // "info" also covers hints
+  const severityName = PROBLEM_SEVERITY_NAMES[problem.severity] === 'hint' ? 'info' : PROBLEM_SEVERITY_NAMES[problem.severity];
+  if (severity && severityName !== severity) {
+    return false;
+  }
+
+  if (!text) return true;
+  return [problem.message, problem.source, problem.code, problem.filePath]
+    .some(value => value !== undefined && value !== null && String(value).toLowerCase().includes(text));
+}
+
+function scheduleProblemsRender() {
+  if (problemsRenderTimer) return;
+
+  // Servers publish in bursts while indexing; batch the redraws
+  problemsRenderTimer = setTimeout(() => {
+    problemsRenderTimer = null;
+    updateProblemsStatus();
+
+    const panel = document.getElementById('problems-panel');
+    if (panel && !panel.classList.contains('hidden')) {
+      renderProblems();
+    }
+  }, 100);
+}
+
+function renderProblems() {
+  const content = document.getElementById('problems-content');
+  if (!content) return;
+
+  const fragment = document.createDocumentFragment();
+  const filePaths = Array.from(problemsByFile.keys()).sort();
+
+  filePaths.forEach(filePath => {
+    const problems = [];
+    problemsByFile.get(filePath).forEach(ownerProblems => problems.push(...ownerProblems));
+
+    const visible = problems
+      .filter(matchesProblemsFilter)
+      .sort((a, b) => b.severity - a.severity || a.startLineNumber - b.startLineNumber || a.startColumn - b.startColumn);
+    if (visible.length === 0) return;
+
+    fragment.appendChild(createProblemFileRow(filePath, visible.length));
+
+    if (!collapsedProblemFiles.has(filePath)) {
+      visible.forEach(problem => fragment.appendChild(createProblemRow(problem)));
+    }
+  });
+
+  content.innerHTML = '';
+  if (fragment.childNodes.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'problems-empty';
+    empty.textContent = problemsByFile.size > 0
+      ? 'No problems match the current filter.'
+      : 'No problems have been detected in the workspace.';
+    content.appendChild(empty);
+  } else {
+    content.appendChild(fragment);
+  }
+}
+
+function createProblemFileRow(filePath, count) {
+  const row = document.createElement('div');
+  row.className = 'problems-file';
+
+  const relativePath = currentWorkspacePath && filePath.startsWith(currentWorkspacePath + '/')
+    ? filePath.slice(currentWorkspacePath.length + 1)
+    : filePath;
+  const slash = relativePath.lastIndexOf('/');
+
+  const chevron = document.createElement('span');
+  chevron.className = 'problems-chevron';
+  chevron.textContent = collapsedProblemFiles.has(filePath) ? '▸' : '▾';
+
+  const name = document.createElement('span');
+  name.className = 'problems-file-name';
+  name.textContent = relativePath.slice(slash + 1);
+
+  const folder = document.createElement('span');
+  folder.className = 'problems-file-folder';
+  folder.textContent = slash >= 0 ? relativePath.slice(0, slash) : '';
+
+  const badge = document.createElement('span');
+  badge.className = 'problems-count';
+  badge.textContent = count;
+
+  row.append(chevron, name, folder, badge);
+  row.title = filePath;
+  row.addEventListener('click', () => {
+    if (collapsedProblemFiles.has(filePath)) {
+      collapsedProblemFiles.delete(filePath);
+    } else {
+      collapsedProblemFiles.add(filePath);
+    }
+    renderProblems();
+  });
+
+  return row;
+}
+
+function createProblemRow(problem) {
+  const severityName = PROBLEM_SEVERITY_NAMES[problem.severity];
+
+  const row = document.createElement('div');
+  row.className = 'problem-item';
+
+  const icon = document.createElement('span');
+  icon.className = `problem-icon ${severityName}`;
+  icon.textContent = PROBLEM_SEVERITY_ICONS[severityName];
+
+  const message = document.createElement('span');
+  message.className = 'problem-message';
+  message.textContent = problem.message;
+
+  const source = document.createElement('span');
+  source.className = 'problem-source';
+  const code = problem.code !== undefined && problem.code !== null ? `(${problem.code})` : '';
+  source.textContent = `${problem.source || ''}${code} [Ln ${problem.startLineNumber}, Col ${problem.startColumn}]`;
+
+  row.append(icon, message, source);
+  row.title = problem.message;
+  row.addEventListener('click', () => {
+    openFileAtLocation(problem.filePath, problem.startLineNumber, problem.startColumn);
+  });
+
+  return row;
+}
+
+function updateProblemsStatus() {
+  const statusItem = document.getElementById('problems-status');
+  if (!statusItem) return;
+
+  const counts = getProblemCounts();
+  statusItem.textContent = `✗ ${counts.error}  ⚠ ${counts.warning}`;
+  statusItem.title = `${counts.error} errors, ${counts.warning} warnings, ${counts.info + counts.hint} infos - click to show problems`;
+}
+
+function showProblems() {
+  initProblems();
+  document.getElementById('problems-panel').classList.remove('hidden');
+  renderProblems();
+}
+
+function closeProblems() {
+  document.getElementById('problems-panel').classList.add('hidden');
+
+  if (editor) {
+    editor.focus();
+  }
+}
+
+function toggleProblems() {
+  const panel = document.getElementById('problems-panel');
+  if (panel.classList.contains('hidden')) {
+    showProblems();
+  } else {
+    closeProblems();
+  }
+}
+
+// Initialize when Monaco is ready
+if (typeof monaco !== 'undefined') {
+  initProblems();
+} else {
+  window.addEventListener('monaco-loaded', initProblems);
+}
+
+// Event listeners
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('problems-status').addEventListener('click', toggleProblems);
+  document.getElementById('problems-severity').addEventListener('change', renderProblems);
+  document.getElementById('problems-filter').addEventListener('input', renderProblems);
+  document.getElementById('problems-close').addEventListener('click', closeProblems);
+  updateProblemsStatus();
+});
+
+window.api.onMenuToggleProblems(() => {
+  toggleProblems();
+});
+
+// Export functions
+window.problems = {
+  setServerProblems,
+  clearServerProblems,
+  getCounts: getProblemCounts,
+  show: showProblems,
+  toggle: toggleProblems
+};
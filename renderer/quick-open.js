@@ -3,6 +3,16 @@ let allFiles = [];
 let filteredFiles = [];
 let selectedIndex = 0;
 
+// "#query" searches symbols across the workspace instead of file names
+const WORKSPACE_SYMBOL_PREFIX = '#';
+let symbolSearchTimer = null;
+let symbolSearchRequest = 0;
+let typeScriptSymbolCache = new Map(); // model uri -> { versionId, symbols }
+
+// "task query" picks a task to run (Terminal > Run Task...)
+const TASK_PREFIX = 'task ';
+let quickOpenTasks = null; // tasks offered in task mode, or null for all of them
+
 // Initialize quick open
 function initQuickOpen() {
   const overlay = document.getElementById('quick-open-overlay');
@@ -18,6 +28,21 @@ function initQuickOpen() {
 
   // Input event - search files
   input.addEventListener('input', (e) => {
+    if (e.target.value.startsWith(TASK_PREFIX)) {
+      filterTasks(e.target.value.slice(TASK_PREFIX.length).trim().toLowerCase());
+      renderResults();
+      return;
+    }
+
+    if (e.target.value.startsWith(WORKSPACE_SYMBOL_PREFIX)) {
+      scheduleSymbolSearch(e.target.value.slice(WORKSPACE_SYMBOL_PREFIX.length).trim());
+      return;
+    }
+
+    // Back to file names: drop any symbol search still in flight
+    clearTimeout(symbolSearchTimer);
+    symbolSearchRequest++;
+
     const query = e.target.value.toLowerCase();
     filterFiles(query);
     renderResults();
@@ -66,10 +91,14 @@ function initQuickOpen() {
   window.api.onMenuGotoFile(() => {
     showQuickOpen();
   });
+
+  window.api.onMenuGotoSymbolWorkspace(() => {
+    showQuickOpen(WORKSPACE_SYMBOL_PREFIX);
+  });
 }
 
-// Show quick open
-async function showQuickOpen() {
+// Show quick open, optionally prefilled (e.g. "#" for workspace symbols, "task " with the tasks to offer)
+async function showQuickOpen(initialQuery = '', tasks = null) {
   if (!currentWorkspacePath) {
     alert('Please open a folder first');
     return;
@@ -82,9 +111,13 @@ async function showQuickOpen() {
   await collectAllFiles();
 
   // Reset state
-  input.value = '';
+  input.value = initialQuery;
   selectedIndex = 0;
-  filteredFiles = [...allFiles];
+  quickOpenTasks = tasks;
+  filteredFiles = initialQuery.startsWith(WORKSPACE_SYMBOL_PREFIX) ? [] : [...allFiles];
+  if (initialQuery.startsWith(TASK_PREFIX)) {
+    filterTasks(initialQuery.slice(TASK_PREFIX.length).trim().toLowerCase());
+  }
 
   // Show overlay
   overlay.classList.remove('hidden');
@@ -92,6 +125,10 @@ async function showQuickOpen() {
 
   // Render initial results
   renderResults();
+
+  if (initialQuery.startsWith(WORKSPACE_SYMBOL_PREFIX)) {
+    scheduleSymbolSearch(initialQuery.slice(WORKSPACE_SYMBOL_PREFIX.length).trim());
+  }
 }
 
 // Hide quick open
@@ -101,6 +138,9 @@ function hideQuickOpen() {
   allFiles = [];
   filteredFiles = [];
   selectedIndex = 0;
+  quickOpenTasks = null;
+  clearTimeout(symbolSearchTimer);
+  symbolSearchRequest++;
 }
 
 // Collect all files recursively from workspace
@@ -158,6 +198,27 @@ function filterFiles(query) {
   selectedIndex = 0;
 }
 
+// Tasks matching the query (by label), as quick open entries
+function filterTasks(query) {
+  const tasks = quickOpenTasks || (window.tasks ? window.tasks.getTasks() : []);
+  const entries = tasks.map(task => ({
+    name: task.label,
+    path: '',
+    relativePath: task.label,
+    detail: task.detail || task.command,
+    icon: TASK_ICON,
+    task
+  }));
+
+  filteredFiles = !query ? entries : entries
+    .map(entry => ({ ...entry, score: fuzzyMatch(query, entry.name.toLowerCase()) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 50);
+
+  selectedIndex = 0;
+}
+
 // Simple fuzzy matching algorithm
 function fuzzyMatch(query, text) {
   let score = 0;
@@ -205,10 +266,10 @@ function highlightMatches(text, query) {
 
   for (let i = 0; i < text.length; i++) {
     if (queryIndex < lowerQuery.length && lowerText[i] === lowerQuery[queryIndex]) {
-      result += `<span class="quick-open-match">${text[i]}</span>`;
+      result += `<span class="quick-open-match">${escapeHtml(text[i])}</span>`;
       queryIndex++;
     } else {
-      result += text[i];
+      result += escapeHtml(text[i]);
     }
   }
 
@@ -219,19 +280,23 @@ function highlightMatches(text, query) {
 function renderResults() {
   const resultsEl = document.getElementById('quick-open-results');
   const input = document.getElementById('quick-open-input');
-  const query = input.value.toLowerCase();
+  const isSymbolSearch = input.value.startsWith(WORKSPACE_SYMBOL_PREFIX);
+  const isTaskSearch = input.value.startsWith(TASK_PREFIX);
+  const query = (isSymbolSearch ? input.value.slice(WORKSPACE_SYMBOL_PREFIX.length).trim()
+    : isTaskSearch ? input.value.slice(TASK_PREFIX.length).trim()
+    : input.value).toLowerCase();
 
   if (filteredFiles.length === 0) {
-    resultsEl.innerHTML = '<div class="quick-open-empty">No files found</div>';
+    resultsEl.innerHTML = `<div class="quick-open-empty">No ${isSymbolSearch ? 'symbols' : isTaskSearch ? 'tasks' : 'files'} found</div>`;
     return;
   }
 
   resultsEl.innerHTML = filteredFiles.map((file, index) => {
     const isSelected = index === selectedIndex;
-    const icon = getFileIcon(file.name);
+    const icon = file.icon || getFileIcon(file.name);
     const highlightedName = highlightMatches(file.name, query);
     const pathParts = file.relativePath.split('/');
-    const dirPath = pathParts.slice(0, -1).join('/');
+    const dirPath = escapeHtml(file.detail !== undefined ? file.detail : pathParts.slice(0, -1).join('/'));
 
     return `
       <div class="quick-open-item ${isSelected ? 'selected' : ''}" data-index="${index}">
@@ -256,6 +321,16 @@ async function openSelectedFile() {
 
   hideQuickOpen();
 
+  if (file.task) {
+    window.tasks.run(file.task);
+    return;
+  }
+
+  if (file.symbol) {
+    await openWorkspaceSymbol(file);
+    return;
+  }
+
   // Hide welcome screen if visible
   if (typeof hideWelcomeScreen === 'function') {
     hideWelcomeScreen();
@@ -265,6 +340,178 @@ async function openSelectedFile() {
   await openFileInEditor(file.path);
 }
 
+// LSP SymbolKind -> icon letter and color
+const SYMBOL_KIND_ICONS = {
+  1: ['F', '#C5C5C5'], 2: ['M', '#C5C5C5'], 3: ['N', '#C5C5C5'], 4: ['P', '#C5C5C5'],
+  5: ['C', '#EE9D28'], 6: ['m', '#B180D7'], 7: ['p', '#75BEFF'], 8: ['f', '#75BEFF'],
+  9: ['c', '#B180D7'], 10: ['E', '#EE9D28'], 11: ['I', '#75BEFF'], 12: ['ƒ', '#B180D7'],
+  13: ['v', '#75BEFF'], 14: ['K', '#75BEFF'], 15: ['S', '#C5C5C5'], 16: ['#', '#C5C5C5'],
+  17: ['b', '#C5C5C5'], 18: ['A', '#C5C5C5'], 19: ['O', '#C5C5C5'], 20: ['k', '#C5C5C5'],
+  21: ['∅', '#C5C5C5'], 22: ['e', '#75BEFF'], 23: ['S', '#EE9D28'], 24: ['⚡', '#EE9D28'],
+  25: ['±', '#C5C5C5'], 26: ['T', '#EE9D28']
+};
+
+// TypeScript ScriptElementKind -> LSP SymbolKind, for the TS worker fallback
+const TYPESCRIPT_SYMBOL_KINDS = {
+  'module': 2, 'class': 5, 'method': 6, 'property': 7, 'getter': 7, 'setter': 7,
+  'constructor': 9, 'enum': 10, 'interface': 11, 'type': 11, 'function': 12, 'local function': 12,
+  'var': 13, 'let': 13, 'local var': 13, 'const': 14, 'enum member': 22, 'type parameter': 26
+};
+
+const TASK_ICON = '<svg width="16" height="16" viewBox="0 0 16 16" fill="none"><path d="M4 3L12 8L4 13V3Z" fill="#89D185"/></svg>';
+
+function getSymbolIcon(kind) {
+  const [letter, color] = SYMBOL_KIND_ICONS[kind] || ['?', '#C5C5C5'];
+  return `<svg width="16" height="16" viewBox="0 0 16 16" fill="none"><text fill="${color}" x="50%" y="50%" text-anchor="middle" dominant-baseline="central" font-family="Consolas, monospace" font-size="11" font-weight="600">${escapeHtml(letter)}</text></svg>`;
+}
+
+function createSymbolEntry(name, kind, containerName, filePath, line, column) {
+  const relativePath = filePath.startsWith(currentWorkspacePath + '/')
+    ? filePath.substring(currentWorkspacePath.length + 1)
+    : filePath;
+
+  return {
+    name,
+    path: filePath,
+    relativePath,
+    detail: containerName ? `${containerName} · ${relativePath}` : relativePath,
+    icon: getSymbolIcon(kind),
+    symbol: { line, column }
+  };
+}
+
+// Servers answer while indexing, so wait for a pause in typing
+function scheduleSymbolSearch(query) {
+  clearTimeout(symbolSearchTimer);
+  symbolSearchTimer = setTimeout(() => searchWorkspaceSymbols(query), 150);
+}
+
+// Ask every language server (plus the TS worker for open JS/TS files) and rank the merged results
+async function searchWorkspaceSymbols(query) {
+  const requestId = ++symbolSearchRequest;
+
+  const [serverSymbols, typeScriptSymbols] = await Promise.all([
+    getServerWorkspaceSymbols(query),
+    getTypeScriptWorkspaceSymbols()
+  ]);
+
+  // A newer search started (or quick open closed) meanwhile
+  if (requestId !== symbolSearchRequest) return;
+
+  const lowerQuery = query.toLowerCase();
+  filteredFiles = serverSymbols.concat(typeScriptSymbols)
+    .map(entry => ({ ...entry, score: lowerQuery ? fuzzyMatch(lowerQuery, entry.name.toLowerCase()) : 1 }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 50); // Limit to 50 results for performance
+
+  selectedIndex = 0;
+  renderResults();
+}
+
+async function getServerWorkspaceSymbols(query) {
+  if (!window.lsp || !window.lsp.isEnabled()) return [];
+
+  const results = await window.lsp.getWorkspaceSymbols(query);
+  return results
+    .filter(({ symbol }) => symbol.location && symbol.location.uri)
+    .map(({ server, symbol }) => {
+      const start = symbol.location.range ? symbol.location.range.start : null;
+      const entry = createSymbolEntry(
+        symbol.name,
+        symbol.kind,
+        symbol.containerName,
+        monaco.Uri.parse(symbol.location.uri).fsPath,
+        start ? start.line + 1 : null,
+        start ? start.character + 1 : null
+      );
+
+      // WorkspaceSymbols without a range are resolved when picked
+      entry.symbol.server = server;
+      entry.symbol.lspSymbol = symbol;
+      return entry;
+    });
+}
+
+/**
+ * Fallback index for JS/TS files no language server handles: the navigation
+ * tree of each open model, cached until the model changes
+ */
+async function getTypeScriptWorkspaceSymbols() {
+  if (typeof monaco === 'undefined' || !monaco.languages.typescript) return [];
+
+  const tabs = getAllTabs().filter(tab =>
+    tab.filePath && tab.model && !tab.model.isDisposed() &&
+    ['javascript', 'typescript'].includes(tab.model.getLanguageId()) &&
+    !(window.lsp && window.lsp.getServerForFile(tab.filePath))
+  );
+
+  // Forget models of closed tabs
+  const openUris = new Set(tabs.map(tab => tab.model.uri.toString()));
+  Array.from(typeScriptSymbolCache.keys())
+    .filter(uri => !openUris.has(uri))
+    .forEach(uri => typeScriptSymbolCache.delete(uri));
+
+  const symbols = await Promise.all(tabs.map(getTypeScriptModelSymbols));
+  return symbols.flat();
+}
+
+async function getTypeScriptModelSymbols(tab) {
+  const model = tab.model;
+  const uri = model.uri.toString();
+  const versionId = model.getVersionId();
+
+  const cached = typeScriptSymbolCache.get(uri);
+  if (cached && cached.versionId === versionId) {
+    return cached.symbols;
+  }
+
+  try {
+    const getWorker = model.getLanguageId() === 'typescript'
+      ? monaco.languages.typescript.getTypeScriptWorker
+      : monaco.languages.typescript.getJavaScriptWorker;
+    const worker = await (await getWorker())(model.uri);
+    const tree = await worker.getNavigationTree(uri);
+    if (model.isDisposed()) return [];
+
+    const symbols = [];
+    collectNavigationTreeSymbols(tree ? tree.childItems : [], null, model, tab.filePath, symbols);
+    typeScriptSymbolCache.set(uri, { versionId, symbols });
+    return symbols;
+  } catch (error) {
+    console.error('Error indexing TypeScript symbols:', error);
+    return [];
+  }
+}
+
+function collectNavigationTreeSymbols(items, containerName, model, filePath, symbols) {
+  (items || []).forEach(item => {
+    const kind = TYPESCRIPT_SYMBOL_KINDS[item.kind];
+
+    // Skip imports and anonymous functions/callbacks
+    if (kind && !item.text.startsWith('<')) {
+      const span = item.nameSpan || item.spans[0];
+      const position = model.getPositionAt(span.start);
+      symbols.push(createSymbolEntry(item.text, kind, containerName, filePath, position.lineNumber, position.column));
+    }
+
+    collectNavigationTreeSymbols(item.childItems, item.text, model, filePath, symbols);
+  });
+}
+
+async function openWorkspaceSymbol(entry) {
+  let { line, column, server, lspSymbol } = entry.symbol;
+
+  if (line === null && server) {
+    const resolved = await window.lsp.resolveWorkspaceSymbol(server, lspSymbol);
+    const range = resolved && resolved.location && resolved.location.range;
+    line = range ? range.start.line + 1 : 1;
+    column = range ? range.start.character + 1 : 1;
+  }
+
+  await openFileAtLocation(entry.path, line, column);
+}
+
 // Initialize on load
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initQuickOpen);
@@ -14,7 +14,13 @@ async function initSidebar() {
 
   // Skip loading workspace state for new windows
   if (isNewWindow) {
-    console.log('Opening new window with empty slate');
+    // Windows opened for a specific folder (e.g. a git worktree) open it directly
+    const workspace = urlParams.get('workspace');
+    if (workspace) {
+      await openWorkspace(workspace);
+    } else {
+      console.log('Opening new window with empty slate');
+    }
     return;
   }
 
@@ -62,6 +68,21 @@ async function openWorkspace(workspacePath) {
     await window.lsp.init(workspacePath);
   }
 
+  // Initialize debugging (launch configurations and breakpoints)
+  if (window.debug && window.debug.init) {
+    await window.debug.init(workspacePath);
+  }
+
+  // Detect tasks (package.json, Makefile, Cargo.toml, pyproject.toml, tasks.json)
+  if (window.tasks && window.tasks.init) {
+    await window.tasks.init(workspacePath);
+  }
+
+  // Find the workspace's tests (Jest, Vitest, Mocha, pytest, cargo test)
+  if (window.tests && window.tests.init) {
+    await window.tests.init(workspacePath);
+  }
+
   // Save workspace state
   await saveWorkspaceState();
 }
@@ -998,7 +1019,7 @@ function updateOpenTabsAfterMove(oldPath, newPath) {
     if (tab.filePath === oldPath) {
       // Exact match - single file moved
       tab.filePath = newPath;
-      tab.name = newPath.split('/').pop();
+      tab.fileName = newPath.split('/').pop();
       updateTabDisplay(tab);
     } else if (tab.filePath.startsWith(oldPath + '/')) {
       // File inside moved folder
@@ -1017,7 +1038,7 @@ function updateTabDisplay(tab) {
   if (tabElement) {
     const nameSpan = tabElement.querySelector('.tab-name');
     if (nameSpan) {
-      nameSpan.textContent = tab.name;
+      nameSpan.textContent = tab.fileName;
     }
   }
 }
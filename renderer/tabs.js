@@ -278,6 +278,26 @@ function saveActiveTab() {
       window.lsp.didSave(tab.filePath, content);
     }
 
+    // Saving a language server registry file restarts the servers with it
+    if (window.lsp && window.lsp.isSettingsFile(tab.filePath)) {
+      window.lsp.reload();
+    }
+
+    // Saving launch.json reloads the debug configurations
+    if (window.debug && tab.filePath) {
+      window.debug.didSave(tab.filePath);
+    }
+
+    // Saving tasks.json reloads the tasks
+    if (window.tasks && tab.filePath) {
+      window.tasks.didSave(tab.filePath);
+    }
+
+    // Saving a test file finds its tests again
+    if (window.tests && tab.filePath) {
+      window.tests.didSave(tab.filePath);
+    }
+
     return true;
   });
 }
@@ -0,0 +1,504 @@
+/**
+ * Tasks
+ * Runs detected and custom tasks in terminals and turns their output into problems
+ */
+
+// Problems a task's matchers find are published in batches while it runs
+const TASK_PUBLISH_DELAY = 250;
+// A line that never ends (progress bars) is cut off rather than buffered forever
+const TASK_MAX_LINE_LENGTH = 64 * 1024;
+
+// Colors, cursor movement and window titles are stripped before matching
+const ANSI_ESCAPE_PATTERN = /\x1b\[[0-9;?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[()][0-9A-Za-z]|\x1b[=>78]/g;
+
+const TASK_SEVERITIES = { error: 1, fatal: 1, warning: 2, info: 3, note: 3, help: 4 };
+
+/**
+ * Problem matchers: match(line, state) returns { file, line, column, severity, message, code }
+ * or null. state is kept for the whole run so multi-line formats can remember earlier lines.
+ */
+const TASK_PROBLEM_MATCHERS = {
+  // "src/a.ts(3,7): error TS2322: ..." and the --pretty form "src/a.ts:3:7 - error TS2322: ..."
+  tsc: {
+    source: 'ts',
+    // Watch mode prints this before every compilation; the previous results are stale
+    resetPattern: /Starting (?:incremental )?compilation/,
+    match(line) {
+      const match = /^\s*(.+?)(?:\((\d+),(\d+)\):|:(\d+):(\d+) -) (error|warning|info|message) (TS\d+): (.*)$/.exec(line);
+      if (!match) return null;
+      return {
+        file: match[1],
+        line: match[2] || match[4],
+        column: match[3] || match[5],
+        severity: match[6],
+        code: match[7],
+        message: match[8]
+      };
+    }
+  },
+
+  // The default "stylish" format (a file name line, then indented "3:7  error  message  rule")
+  // and the "compact" format ("file: line 3, col 7, Error - message (rule)")
+  eslint: {
+    source: 'eslint',
+    match(line, state) {
+      const compact = /^(.+?): line (\d+), col (\d+), (Error|Warning) - (.+?)(?: \(([\w/@-]+)\))?$/.exec(line);
+      if (compact) {
+        return { file: compact[1], line: compact[2], column: compact[3], severity: compact[4], message: compact[5], code: compact[6] };
+      }
+
+      if (/^(?:\/|[A-Za-z]:\\)\S/.test(line)) {
+        state.file = line.trim();
+        return null;
+      }
+
+      const stylish = /^\s+(\d+):(\d+)\s+(error|warning)\s+(.+?)(?:\s{2,}([\w/@-]+))?\s*$/.exec(line);
+      if (stylish && state.file) {
+        return { file: state.file, line: stylish[1], column: stylish[2], severity: stylish[3], message: stylish[4], code: stylish[5] };
+      }
+
+      if (!line.trim()) state.file = null;
+      return null;
+    }
+  },
+
+  // gcc and clang: "src/main.c:3:7: error: message [-Wflag]"
+  gcc: {
+    source: 'gcc',
+    match(line) {
+      const match = /^(.+?):(\d+):(?:(\d+):)?\s+(?:fatal )?(error|warning|note):\s+(.*?)(?:\s+\[(-W[^\]]+)\])?$/.exec(line);
+      if (!match) return null;
+      return { file: match[1], line: match[2], column: match[3], severity: match[4], message: match[5], code: match[6] };
+    }
+  },
+
+  // rustc and cargo: "error[E0308]: message" followed by " --> src/main.rs:4:18"
+  rustc: {
+    source: 'rustc',
+    match(line, state) {
+      const header = /^(error|warning)(?:\[(\w+)\])?: (.*)$/.exec(line);
+      if (header) {
+        state.pending = { severity: header[1], code: header[2], message: header[3] };
+        return null;
+      }
+
+      const location = /^\s*--> (.+?):(\d+):(\d+)$/.exec(line);
+      if (location && state.pending) {
+        const problem = { ...state.pending, file: location[1], line: location[2], column: location[3] };
+        state.pending = null;
+        return problem;
+      }
+
+      return null;
+    }
+  }
+};
+
+let taskWorkspacePath = null;
+let workspaceTasks = [];
+let tasksFile = null;
+let runningTasks = new Map(); // label -> { task, owner, cwd, terminalId, matchers, lineBuffer, problems, ... }
+let taskTerminals = new Map(); // label -> terminal of its last run, replaced when it runs again
+let lastTask = null;
+
+async function initTasks(workspacePath) {
+  taskWorkspacePath = workspacePath;
+  lastTask = null;
+  await loadTasks();
+}
+
+async function loadTasks() {
+  if (!taskWorkspacePath) return;
+
+  const result = await window.api.getTasks(taskWorkspacePath);
+  workspaceTasks = result.tasks || [];
+  tasksFile = result.filePath || null;
+
+  if (result.errors && result.errors.length > 0) {
+    result.errors.forEach(error => console.error('Tasks:', error));
+    window.showNotification(`✗ Tasks: ${result.errors[0]}`, 5000);
+  }
+}
+
+function getTasks() {
+  return workspaceTasks;
+}
+
+function isTasksFile(filePath) {
+  return !!filePath && filePath === tasksFile;
+}
+
+/**
+ * Open the workspace tasks.json in the editor, creating it from a template if needed
+ */
+async function openTasksFile() {
+  const workspacePath = taskWorkspacePath || currentWorkspacePath;
+  const result = await window.api.ensureTasksFile(workspacePath);
+  if (!result.success) {
+    window.showNotification(`✗ ${result.error}`, 3000);
+    return;
+  }
+
+  tasksFile = result.filePath;
+  await openFileInEditor(result.filePath);
+}
+
+// ${workspaceFolder}, ${file}, ... as in VS Code; anything else is left for the shell
+function getTaskVariables() {
+  const variables = {
+    workspaceFolder: taskWorkspacePath,
+    workspaceFolderBasename: taskWorkspacePath.split('/').pop()
+  };
+
+  const tab = getActiveTab();
+  if (tab && tab.filePath) {
+    const filePath = tab.filePath;
+    const fileName = filePath.split('/').pop();
+    const dot = fileName.lastIndexOf('.');
+
+    Object.assign(variables, {
+      file: filePath,
+      relativeFile: filePath.startsWith(taskWorkspacePath + '/') ? filePath.slice(taskWorkspacePath.length + 1) : filePath,
+      fileBasename: fileName,
+      fileBasenameNoExtension: dot > 0 ? fileName.slice(0, dot) : fileName,
+      fileExtname: dot > 0 ? fileName.slice(dot) : '',
+      fileDirname: filePath.slice(0, filePath.lastIndexOf('/'))
+    });
+  }
+
+  return variables;
+}
+
+function resolveTaskVariables(value, variables) {
+  return value.replace(/\$\{(\w+)\}/g, (match, name) => (variables[name] !== undefined ? variables[name] : match));
+}
+
+// "error", "Warning", "W", ...; anything unknown counts as an error
+function getTaskSeverity(text) {
+  const name = String(text || 'error').toLowerCase();
+  const severity = Object.keys(TASK_SEVERITIES).find(key => name === key || name === key[0]);
+  return severity ? TASK_SEVERITIES[severity] : 1;
+}
+
+// Compiler output names files relative to the directory the task ran in
+function resolveTaskPath(cwd, filePath) {
+  if (filePath.startsWith('/') || /^[A-Za-z]:[\\/]/.test(filePath)) return filePath;
+
+  const parts = [];
+  `${cwd}/${filePath}`.split('/').forEach(part => {
+    if (part === '..') {
+      parts.pop();
+    } else if (part !== '.' && (part || parts.length === 0)) {
+      parts.push(part);
+    }
+  });
+  return parts.join('/');
+}
+
+// A custom matcher from tasks.json: a regexp and the groups holding each field
+function createPatternMatcher(definition) {
+  const regexp = new RegExp(definition.regexp);
+  const groups = { file: 1, line: 2, column: 3, severity: 4, message: 5, ...definition };
+
+  return {
+    source: definition.source || 'task',
+    match(line) {
+      const match = regexp.exec(line);
+      if (!match) return null;
+      return {
+        file: match[groups.file],
+        line: match[groups.line],
+        column: match[groups.column],
+        severity: match[groups.severity],
+        message: match[groups.message] || line.trim(),
+        code: groups.code !== undefined ? match[groups.code] : undefined
+      };
+    }
+  };
+}
+
+function getTaskMatchers(task, term) {
+  return (task.problemMatcher || []).map(entry => {
+    if (typeof entry !== 'string') return createPatternMatcher(entry);
+    if (TASK_PROBLEM_MATCHERS[entry]) return TASK_PROBLEM_MATCHERS[entry];
+
+    term.write(`\x1b[33mUnknown problem matcher "${entry}"\x1b[0m\r\n`);
+    return null;
+  }).filter(Boolean);
+}
+
+/**
+ * Running tasks
+ */
+async function runTask(task) {
+  if (!taskWorkspacePath) {
+    window.showNotification('Open a folder to run tasks', 2500);
+    return;
+  }
+
+  const running = runningTasks.get(task.label);
+  if (running) {
+    if (!confirm(`The task "${task.label}" is already running. Terminate it and run it again?`)) {
+      if (terminals.has(running.terminalId)) switchToTerminal(running.terminalId);
+      return;
+    }
+    finishTask(running);
+  }
+
+  // Each task keeps a single terminal; the previous run's output goes away
+  const previousTerminal = taskTerminals.get(task.label);
+  if (previousTerminal && terminals.has(previousTerminal)) {
+    await closeTerminal(previousTerminal);
+  }
+
+  const variables = getTaskVariables();
+  const command = resolveTaskVariables(task.command, variables);
+  const cwd = task.cwd ? resolveTaskPath(taskWorkspacePath, resolveTaskVariables(task.cwd, variables)) : taskWorkspacePath;
+  const env = task.env
+    ? Object.fromEntries(Object.entries(task.env).map(([name, value]) => [name, resolveTaskVariables(value, variables)]))
+    : undefined;
+
+  const run = {
+    task,
+    owner: `task:${task.label}`,
+    cwd,
+    terminalId: null,
+    matchers: [],
+    matcherStates: [],
+    lineBuffer: '',
+    problems: new Map(), // filePath -> [diagnostic]
+    publishedFiles: new Set(),
+    publishTimer: null,
+    finished: false
+  };
+
+  window.problems.clearServerProblems(run.owner);
+  runningTasks.set(task.label, run);
+  lastTask = task;
+
+  const terminalId = await createNewTerminal({
+    name: task.label,
+    command,
+    cwd,
+    env,
+    onData: data => handleTaskOutput(run, data),
+    onExit: (exitCode, signal) => handleTaskExit(run, exitCode, signal),
+    onClose: () => finishTask(run)
+  });
+
+  if (!terminalId) {
+    finishTask(run);
+    window.showNotification(`✗ Failed to run task "${task.label}"`, 3000);
+    return;
+  }
+
+  run.terminalId = terminalId;
+  taskTerminals.set(task.label, terminalId);
+
+  const term = terminals.get(terminalId).term;
+  term.write(`\x1b[36m> Executing task: ${command}\x1b[0m\r\n\r\n`);
+  run.matchers = getTaskMatchers(task, term);
+  run.matcherStates = run.matchers.map(() => ({}));
+}
+
+function handleTaskOutput(run, data) {
+  if (run.finished || run.matchers.length === 0) return;
+
+  const lines = (run.lineBuffer + data).split('\n');
+  run.lineBuffer = lines.pop().slice(-TASK_MAX_LINE_LENGTH);
+
+  // "\r" without "\n" redraws the line, so only the last part counts
+  lines.forEach(line => matchTaskLine(run, line.replace(/\r+$/, '').split('\r').pop().replace(ANSI_ESCAPE_PATTERN, '')));
+}
+
+function matchTaskLine(run, line) {
+  run.matchers.forEach((matcher, index) => {
+    if (matcher.resetPattern && matcher.resetPattern.test(line)) {
+      run.problems.clear();
+      scheduleTaskProblems(run);
+      return;
+    }
+
+    const problem = matcher.match(line, run.matcherStates[index]);
+    if (!problem || !problem.file) return;
+
+    const lineNumber = Math.max(parseInt(problem.line, 10) || 1, 1) - 1;
+    const character = Math.max(parseInt(problem.column, 10) || 1, 1) - 1;
+    const filePath = resolveTaskPath(run.cwd, problem.file.trim());
+    const diagnostics = run.problems.get(filePath) || [];
+
+    diagnostics.push({
+      severity: getTaskSeverity(problem.severity),
+      message: problem.message,
+      source: matcher.source,
+      code: problem.code,
+      // An empty range is widened to the word at the position
+      range: {
+        start: { line: lineNumber, character },
+        end: { line: lineNumber, character }
+      }
+    });
+    run.problems.set(filePath, diagnostics);
+    scheduleTaskProblems(run);
+  });
+}
+
+function scheduleTaskProblems(run) {
+  if (run.publishTimer) return;
+  run.publishTimer = setTimeout(() => publishTaskProblems(run), TASK_PUBLISH_DELAY);
+}
+
+function publishTaskProblems(run) {
+  clearTimeout(run.publishTimer);
+  run.publishTimer = null;
+
+  run.publishedFiles.forEach(filePath => {
+    if (!run.problems.has(filePath)) {
+      window.problems.setServerProblems(run.owner, run.task.label, filePath, []);
+    }
+  });
+  run.problems.forEach((diagnostics, filePath) => {
+    window.problems.setServerProblems(run.owner, run.task.label, filePath, diagnostics);
+  });
+  run.publishedFiles = new Set(run.problems.keys());
+}
+
+function handleTaskExit(run, exitCode, signal) {
+  if (run.finished) return;
+
+  if (run.lineBuffer) {
+    matchTaskLine(run, run.lineBuffer.replace(ANSI_ESCAPE_PATTERN, ''));
+    run.lineBuffer = '';
+  }
+  finishTask(run);
+
+  let errors = 0;
+  run.problems.forEach(diagnostics => {
+    errors += diagnostics.filter(diagnostic => diagnostic.severity === 1).length;
+  });
+
+  if (exitCode === null) {
+    window.showNotification(`✗ Failed to start task "${run.task.label}"`, 3000);
+    return;
+  }
+
+  const succeeded = exitCode === 0 && !signal && errors === 0;
+  const result = signal ? `was terminated (signal ${signal})`
+    : exitCode !== 0 ? `failed with exit code ${exitCode}`
+    : 'finished';
+  const found = errors > 0 ? ` · ${errors} error${errors === 1 ? '' : 's'} in Problems` : '';
+
+  const info = terminals.get(run.terminalId);
+  if (info) {
+    info.term.write(`\r\n\x1b[${succeeded ? 32 : 31}m* Task ${result}\x1b[0m\r\n`);
+  }
+  window.showNotification(`${succeeded ? '✓' : '✗'} Task "${run.task.label}" ${result}${found}`, succeeded ? 2000 : 4000);
+}
+
+// The run is over (exited, or its terminal was closed); its problems stay until it runs again
+function finishTask(run) {
+  if (run.finished) return;
+  run.finished = true;
+
+  publishTaskProblems(run);
+  if (runningTasks.get(run.task.label) === run) {
+    runningTasks.delete(run.task.label);
+  }
+}
+
+function terminateTask(run) {
+  const info = terminals.get(run.terminalId);
+  if (info && info.backendId) {
+    // Kill the process but keep the terminal so its output can still be read
+    window.api.terminalKill(info.backendId);
+  } else if (info) {
+    closeTerminal(run.terminalId);
+  }
+}
+
+// Terminate the task shown in the terminal panel, or the only one running
+function terminateActiveTask() {
+  const runs = Array.from(runningTasks.values());
+  const run = runs.find(r => r.terminalId === activeTerminalId) || (runs.length === 1 ? runs[0] : null);
+
+  if (runs.length === 0) {
+    window.showNotification('No task is running', 2000);
+  } else if (!run) {
+    window.showNotification('Several tasks are running; switch to the terminal of the one to terminate', 3000);
+  } else {
+    terminateTask(run);
+  }
+}
+
+/**
+ * Picking a task
+ */
+async function showTaskPicker(tasks = null) {
+  if (!currentWorkspacePath) {
+    window.showNotification('Open a folder to run tasks', 2500);
+    return;
+  }
+
+  await loadTasks();
+  showQuickOpen(TASK_PREFIX, tasks);
+}
+
+// Run the default (or only) task of the build or test group, otherwise let the user pick
+async function runTaskGroup(group) {
+  await loadTasks();
+
+  const candidates = workspaceTasks.filter(task => task.group === group);
+  const task = candidates.find(candidate => candidate.isDefault) || (candidates.length === 1 ? candidates[0] : null);
+  if (task) {
+    await runTask(task);
+    return;
+  }
+
+  if (candidates.length === 0) {
+    window.showNotification(`No ${group} task found; pick a task to run`, 3000);
+  }
+  showTaskPicker(candidates.length > 0 ? candidates : null);
+}
+
+function rerunLastTask() {
+  if (!lastTask) {
+    window.showNotification('No task has run yet', 2000);
+    return;
+  }
+  runTask(lastTask);
+}
+
+function didSaveTaskFile(filePath) {
+  if (isTasksFile(filePath)) {
+    loadTasks().then(() => {
+      window.showNotification(`✓ Tasks reloaded (${workspaceTasks.length})`, 2000);
+    });
+  }
+}
+
+// Menu event listeners
+window.api.onMenuRunTask(() => showTaskPicker());
+window.api.onMenuRunBuildTask(() => runTaskGroup('build'));
+window.api.onMenuRunTestTask(() => runTaskGroup('test'));
+window.api.onMenuRerunTask(() => rerunLastTask());
+window.api.onMenuTerminateTask(() => terminateActiveTask());
+window.api.onMenuConfigureTasks(() => {
+  if (!currentWorkspacePath) {
+    window.showNotification('Open a folder to configure tasks', 2500);
+    return;
+  }
+  openTasksFile();
+});
+
+// Export functions
+window.tasks = {
+  init: initTasks,
+  didSave: didSaveTaskFile,
+  getTasks,
+  run: runTask,
+  runGroup: runTaskGroup,
+  rerun: rerunLastTask,
+  terminate: terminateActiveTask,
+  configure: openTasksFile,
+  showPicker: showTaskPicker
+};
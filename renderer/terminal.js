@@ -1,5 +1,5 @@
 // Terminal State - Multiple terminal support
-let terminals = new Map(); // Map of terminalId -> { term, fitAddon, backendId, name }
+let terminals = new Map(); // Map of terminalId -> { term, fitAddon, backendId, name, onData, onExit, onClose }
 let activeTerminalId = null;
 let terminalCounter = 0;
 
@@ -16,8 +16,9 @@ async function initTerminalPanel() {
   }
 }
 
-// Create a new terminal instance
-async function createNewTerminal() {
+// Create a new terminal instance. Tasks pass options to run a command instead of a shell:
+// { name, command, cwd, env, onData(data), onExit(exitCode, signal), onClose() }
+async function createNewTerminal(options = {}) {
   try {
     // Check if xterm is loaded
     if (!window.Terminal) {
@@ -27,7 +28,10 @@ async function createNewTerminal() {
 
     terminalCounter++;
     const terminalId = `term-${Date.now()}-${terminalCounter}`;
-    const terminalName = `Terminal ${terminalCounter}`;
+    const terminalName = options.name || `Terminal ${terminalCounter}`;
+
+    // Task terminals open the panel without the default shell terminal
+    document.getElementById('terminal-container').classList.remove('hidden');
 
     // Create terminal instance
     const term = new window.Terminal({
@@ -85,14 +89,19 @@ async function createNewTerminal() {
     term.open(terminalElement);
 
     // Show loading message while backend terminal is being created
-    term.write('\r\n\x1b[36m⚡ Starting terminal...\x1b[0m\r\n');
+    if (!options.command) {
+      term.write('\r\n\x1b[36m⚡ Starting terminal...\x1b[0m\r\n');
+    }
 
     // Store terminal info early (without backendId yet)
     terminals.set(terminalId, {
       term,
       fitAddon,
       backendId: null, // Will be set once backend is ready
-      name: terminalName
+      name: terminalName,
+      onData: options.onData,
+      onExit: options.onExit,
+      onClose: options.onClose
     });
 
     // Render tabs immediately (responsive UI)
@@ -110,10 +119,14 @@ async function createNewTerminal() {
     }, 10);
 
     // Create backend terminal asynchronously (non-blocking)
-    window.api.createTerminal().then(backendId => {
+    const backendOptions = options.command
+      ? { command: options.command, cwd: options.cwd, env: options.env, cols: term.cols, rows: term.rows }
+      : undefined;
+    window.api.createTerminal(backendOptions).then(backendId => {
       if (!backendId) {
         term.write('\r\n\x1b[31mError: Failed to create terminal\x1b[0m\r\n');
         console.error('Failed to create terminal - backendId is null');
+        if (options.onExit) options.onExit(null);
         return;
       }
 
@@ -126,10 +139,15 @@ async function createNewTerminal() {
       }
 
       // Clear loading message
-      term.write('\r\x1b[K'); // Clear current line
+      if (!options.command) {
+        term.write('\r\x1b[K'); // Clear current line
+      }
 
       // Set up event listeners now that backend is ready
       setupTerminalListeners(terminalId, term, backendId);
+
+      // The terminal may have been fitted before the backend existed
+      window.api.terminalResize(backendId, term.cols, term.rows);
     }).catch(error => {
       console.error('Error creating backend terminal:', error);
       term.write('\r\n\x1b[31mError: ' + error.message + '\x1b[0m\r\n');
@@ -196,6 +214,10 @@ async function closeTerminal(terminalId) {
   const terminalInfo = terminals.get(terminalId);
   if (!terminalInfo) return;
 
+  if (terminalInfo.onClose) {
+    terminalInfo.onClose();
+  }
+
   // Kill backend process
   if (terminalInfo.backendId) {
     await window.api.terminalKill(terminalInfo.backendId);
@@ -266,7 +288,7 @@ function renderTerminalTabs() {
     }
 
     tab.innerHTML = `
-      <span class="terminal-tab-name">${info.name}</span>
+      <span class="terminal-tab-name">${escapeHtml(info.name)}</span>
       <button class="terminal-tab-close" data-terminal-id="${id}">
         <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
           <path fill-rule="evenodd" clip-rule="evenodd" d="M7.99998 8.70708L11.6464 12.3535L12.3535 11.6464L8.70708 7.99998L12.3535 4.35353L11.6464 3.64642L7.99998 7.29287L4.35353 3.64642L3.64642 4.35353L7.29287 7.99998L3.64642 11.6464L4.35353 12.3535L7.99998 8.70708Z" fill="currentColor"/>
@@ -299,16 +321,22 @@ window.api.onTerminalData((backendId, data) => {
   terminals.forEach((info) => {
     if (info.backendId === backendId && info.term) {
       info.term.write(data);
+      if (info.onData) {
+        info.onData(data);
+      }
     }
   });
 });
 
 // Handle terminal exit from backend
-window.api.onTerminalExit((backendId) => {
+window.api.onTerminalExit((backendId, exitCode, signal) => {
   // Find which terminal exited
   terminals.forEach((info, id) => {
     if (info.backendId === backendId) {
-      if (info.term) {
+      if (info.onExit) {
+        // Task terminals report the result themselves
+        info.onExit(exitCode, signal);
+      } else if (info.term) {
         info.term.write('\r\n\x1b[31mTerminal process exited\x1b[0m\r\n');
       }
       // Optionally auto-close the terminal
@@ -0,0 +1,233 @@
+/**
+ * Testing View
+ * Sidebar tree of discovered tests with their results, plus the test results panel
+ */
+
+const TEST_OUTPUT_MAX_LENGTH = 2 * 1024 * 1024;
+
+const TEST_STATUS_ICONS = {
+  passed: '✓',
+  failed: '✗',
+  skipped: '○',
+  running: '◌'
+};
+
+let collapsedTestItems = new Set(); // ids of files and suites the user closed
+let testViewRenderTimer = null;
+
+function showTestView() {
+  const sidebar = document.getElementById('sidebar');
+  sidebar.classList.remove('hidden');
+
+  document.querySelectorAll('.activity-item').forEach(item => item.classList.remove('active'));
+  document.querySelectorAll('.sidebar-view').forEach(view => view.classList.remove('active'));
+  document.getElementById('test-activity-item').classList.add('active');
+  document.getElementById('test-view').classList.add('active');
+
+  renderTestView();
+
+  if (editor) {
+    setTimeout(() => editor.layout(), 100);
+  }
+}
+
+function scheduleTestViewRender() {
+  if (testViewRenderTimer) return;
+
+  testViewRenderTimer = setTimeout(() => {
+    testViewRenderTimer = null;
+    renderTestView();
+  }, 50);
+}
+
+function renderTestView() {
+  const running = window.tests.isRunning();
+  document.getElementById('test-cancel-btn').classList.toggle('hidden', !running);
+  document.getElementById('test-run-all-btn').disabled = running;
+  document.getElementById('test-rerun-failed-btn').disabled = running;
+
+  renderTestSummary(running);
+  renderTestTree();
+}
+
+function renderTestSummary(running) {
+  const summary = window.tests.getSummary();
+  const element = document.getElementById('test-summary');
+
+  if (running) {
+    element.textContent = 'Running tests...';
+  } else if (summary.passed + summary.failed + summary.skipped > 0) {
+    const parts = [`${summary.passed} passed`, `${summary.failed} failed`];
+    if (summary.skipped) parts.push(`${summary.skipped} skipped`);
+    element.textContent = `${parts.join(', ')} of ${summary.total}`;
+  } else {
+    element.textContent = summary.total > 0 ? `${summary.total} tests` : '';
+  }
+  element.classList.toggle('failed', !running && summary.failed > 0);
+}
+
+function renderTestTree() {
+  const tree = document.getElementById('test-tree');
+  const files = window.tests.getFiles();
+  tree.innerHTML = '';
+
+  if (files.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'test-empty';
+    empty.textContent = !currentWorkspacePath
+      ? 'Open a folder to find its tests'
+      : window.tests.isDiscovering()
+        ? 'Looking for tests...'
+        : 'No tests found. Jest, Vitest, Mocha, pytest and cargo tests are supported.';
+    tree.appendChild(empty);
+    return;
+  }
+
+  files.forEach(file => appendTestRow(tree, file, 0));
+}
+
+function appendTestRow(container, item, depth) {
+  const status = window.tests.getStatus(item);
+  const result = window.tests.getResult(item);
+  const collapsed = collapsedTestItems.has(item.id);
+
+  const row = document.createElement('div');
+  row.className = 'test-row';
+  row.style.paddingLeft = `${8 + depth * 12}px`;
+
+  const twistie = document.createElement('span');
+  twistie.className = 'test-twistie';
+  twistie.textContent = item.children.length > 0 ? (collapsed ? '▸' : '▾') : '';
+
+  const icon = document.createElement('span');
+  icon.className = `test-status-icon ${status || 'none'}`;
+  icon.textContent = TEST_STATUS_ICONS[status] || '·';
+
+  const label = document.createElement('span');
+  label.className = 'test-row-label';
+  label.textContent = item.label;
+
+  const detail = document.createElement('span');
+  detail.className = 'test-row-detail';
+  if (item.kind === 'file') {
+    detail.textContent = item.framework;
+  } else if (result && status === 'failed') {
+    detail.textContent = result.summary;
+  } else if (result && status === 'passed' && result.duration) {
+    detail.textContent = `${result.duration} ms`;
+  }
+
+  const actions = document.createElement('span');
+  actions.className = 'test-row-actions';
+  actions.appendChild(createTestRowAction('▶', item.kind === 'test' ? 'Run Test' : 'Run Tests', () => window.tests.run(item)));
+  if (window.tests.canDebug(item)) {
+    actions.appendChild(createTestRowAction('⚙', 'Debug Test', () => window.tests.debug(item)));
+  }
+
+  row.append(twistie, icon, label, detail, actions);
+  row.title = result && result.message ? result.message : item.label;
+  row.addEventListener('click', () => {
+    openFileAtLocation(item.filePath, item.line || 1, 1);
+  });
+  twistie.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (collapsed) {
+      collapsedTestItems.delete(item.id);
+    } else {
+      collapsedTestItems.add(item.id);
+    }
+    renderTestTree();
+  });
+
+  container.appendChild(row);
+
+  if (!collapsed) {
+    item.children.forEach(child => appendTestRow(container, child, depth + 1));
+  }
+}
+
+function createTestRowAction(text, title, onClick) {
+  const button = document.createElement('button');
+  button.className = 'test-row-action';
+  button.textContent = text;
+  button.title = title;
+  button.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+/**
+ * Test results panel: output of the test commands of the last run
+ */
+function appendTestOutputText(text) {
+  const content = document.getElementById('test-output-content');
+  if (!content || !text) return;
+
+  const atBottom = content.scrollTop + content.clientHeight >= content.scrollHeight - 4;
+
+  content.textContent += text;
+  if (content.textContent.length > TEST_OUTPUT_MAX_LENGTH) {
+    content.textContent = content.textContent.slice(-TEST_OUTPUT_MAX_LENGTH);
+  }
+
+  if (atBottom) {
+    content.scrollTop = content.scrollHeight;
+  }
+}
+
+function clearTestOutput() {
+  document.getElementById('test-output-content').textContent = '';
+}
+
+function showTestOutput() {
+  document.getElementById('test-output-panel').classList.remove('hidden');
+}
+
+function closeTestOutput() {
+  document.getElementById('test-output-panel').classList.add('hidden');
+
+  if (editor) {
+    editor.focus();
+  }
+}
+
+function toggleTestOutput() {
+  const panel = document.getElementById('test-output-panel');
+  if (panel.classList.contains('hidden')) {
+    showTestOutput();
+  } else {
+    closeTestOutput();
+  }
+}
+
+// Event listeners
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('test-run-all-btn').addEventListener('click', () => window.tests.runAll());
+  document.getElementById('test-rerun-failed-btn').addEventListener('click', () => window.tests.rerunFailed());
+  document.getElementById('test-cancel-btn').addEventListener('click', () => window.tests.cancel());
+  document.getElementById('test-refresh-btn').addEventListener('click', () => {
+    if (!currentWorkspacePath) {
+      window.showNotification('Open a folder to find its tests', 2500);
+      return;
+    }
+    window.tests.refresh();
+  });
+  document.getElementById('test-show-output-btn').addEventListener('click', toggleTestOutput);
+
+  document.getElementById('test-output-clear').addEventListener('click', clearTestOutput);
+  document.getElementById('test-output-close').addEventListener('click', closeTestOutput);
+
+  renderTestView();
+});
+
+// Export functions
+window.testView = {
+  show: showTestView,
+  update: scheduleTestViewRender,
+  append: appendTestOutputText,
+  clearOutput: clearTestOutput,
+  showOutput: showTestOutput,
+  toggleOutput: toggleTestOutput
+};
@@ -0,0 +1,598 @@
+/**
+ * Tests
+ * Discovers Jest, Vitest, Mocha, pytest and cargo tests, runs them and shows the results
+ * in the Testing view, as CodeLens actions and as inline decorations on test lines
+ */
+
+// Shown after a failing line; the whole message is in its hover
+const TEST_FAILURE_PREVIEW_LENGTH = 120;
+
+let testWorkspacePath = null;
+let testFiles = []; // file items from discover-tests, each with suites and tests as children
+let testItems = new Map(); // id -> item (files, suites and tests), with parentId
+let testResults = new Map(); // test id -> { status: passed|failed|skipped, message, summary, duration, failureLine }
+let runningTestIds = new Set();
+let activeTestRun = null; // { runId, cancelled }
+let testRunCounter = 0;
+let testDiscoveryPending = false;
+let testDecorations = new Map(); // filePath -> { model, ids }
+let testCodeLensEmitter = null;
+let testEditorInitialized = false;
+
+/**
+ * Discovery
+ */
+async function initTests(workspacePath) {
+  if (activeTestRun) {
+    await cancelTestRun();
+  }
+
+  testWorkspacePath = workspacePath;
+  testResults.clear();
+  runningTestIds.clear();
+  await discoverTests();
+}
+
+async function discoverTests() {
+  if (!testWorkspacePath) return;
+
+  testDiscoveryPending = true;
+  updateTestView();
+
+  const result = await window.api.discoverTests(testWorkspacePath);
+  testDiscoveryPending = false;
+
+  if (!result.success) {
+    window.showNotification(`✗ Test discovery failed: ${result.error}`, 4000);
+  }
+  (result.errors || []).forEach(error => console.error('Tests:', error));
+
+  testFiles = result.files || [];
+  indexTestItems();
+  refreshTestEditors();
+}
+
+function indexTestItems() {
+  testItems.clear();
+
+  const add = (item, parentId) => {
+    item.parentId = parentId;
+    testItems.set(item.id, item);
+    item.children.forEach(child => add(child, item.id));
+  };
+  testFiles.forEach(file => add(file, null));
+
+  // Results of tests that no longer exist are dropped
+  Array.from(testResults.keys()).forEach(id => {
+    if (!testItems.has(id)) testResults.delete(id);
+  });
+}
+
+// Saving a test file finds its tests again
+async function didSaveTestFile(filePath) {
+  if (!testWorkspacePath || !filePath.startsWith(testWorkspacePath + '/')) return;
+
+  const result = await window.api.discoverTestFile(testWorkspacePath, filePath);
+  if (!result.success) return;
+
+  const index = testFiles.findIndex(file => file.filePath === filePath);
+  if (!result.file && index === -1) return;
+
+  if (!result.file) {
+    testFiles.splice(index, 1);
+  } else if (index === -1) {
+    testFiles.push(result.file);
+    testFiles.sort((a, b) => a.label.localeCompare(b.label));
+  } else {
+    testFiles[index] = result.file;
+  }
+
+  indexTestItems();
+  refreshTestEditors();
+}
+
+function getTestFiles() {
+  return testFiles;
+}
+
+function getTestItem(id) {
+  return testItems.get(id) || null;
+}
+
+/**
+ * Status of an item; files and suites take the worst status of their tests
+ */
+function getTestStatus(item) {
+  if (item.kind === 'test') {
+    if (runningTestIds.has(item.id)) return 'running';
+    const result = testResults.get(item.id);
+    return result ? result.status : null;
+  }
+
+  const statuses = item.children.map(getTestStatus);
+  if (statuses.includes('running')) return 'running';
+  if (statuses.includes('failed')) return 'failed';
+  if (statuses.includes('passed')) return 'passed';
+  if (statuses.length > 0 && statuses.every(status => status === 'skipped')) return 'skipped';
+  return null;
+}
+
+function getTestResult(item) {
+  return testResults.get(item.id) || null;
+}
+
+function getTestSummary() {
+  const summary = { passed: 0, failed: 0, skipped: 0, total: 0 };
+  testItems.forEach(item => {
+    if (item.kind !== 'test') return;
+    summary.total++;
+    const result = testResults.get(item.id);
+    if (result) summary[result.status]++;
+  });
+  return summary;
+}
+
+function collectTests(item, tests = []) {
+  if (item.kind === 'test') {
+    tests.push(item);
+  } else {
+    item.children.forEach(child => collectTests(child, tests));
+  }
+  return tests;
+}
+
+/**
+ * Runs: one request per framework invocation, run one after another
+ */
+function createTestRequest(item) {
+  if (item.kind === 'file') {
+    return { framework: item.framework, files: [item.filePath] };
+  }
+  return { framework: item.framework, files: [item.filePath], name: item.runName, kind: item.kind };
+}
+
+// Tests a request covers, to mark them running and to match the results against
+function getRequestTests(request) {
+  const tests = [];
+  testFiles.forEach(file => {
+    if (file.framework !== request.framework) return;
+    if (request.files.length > 0 && !request.files.includes(file.filePath)) return;
+
+    collectTests(file).forEach(test => {
+      if (!request.name) {
+        tests.push(test);
+      } else if (request.kind === 'test' ? test.runName === request.name : isInTestSuite(test, request.name)) {
+        tests.push(test);
+      }
+    });
+  });
+  return tests;
+}
+
+function isInTestSuite(test, suiteName) {
+  const separator = test.framework === 'pytest' || test.framework === 'cargo' ? '::' : ' ';
+  return test.runName.startsWith(suiteName + separator);
+}
+
+async function runTestItem(item) {
+  if (!item) return;
+  await executeTestRun([createTestRequest(item)]);
+}
+
+async function runAllTests() {
+  const frameworks = Array.from(new Set(testFiles.map(file => file.framework)));
+  if (frameworks.length === 0) {
+    window.showNotification(testWorkspacePath ? 'No tests found in this workspace' : 'Open a folder to run tests', 2500);
+    return;
+  }
+  await executeTestRun(frameworks.map(framework => ({ framework, files: [] })));
+}
+
+async function runTestsInActiveFile() {
+  const tab = getActiveTab();
+  const file = tab && tab.filePath ? testItems.get(tab.filePath) : null;
+  if (!file) {
+    window.showNotification('No tests found in this file', 2000);
+    return;
+  }
+  await runTestItem(file);
+}
+
+async function rerunFailedTests() {
+  const failed = Array.from(testItems.values()).filter(item => item.kind === 'test' && getTestStatus(item) === 'failed');
+  if (failed.length === 0) {
+    window.showNotification('No failed tests', 2000);
+    return;
+  }
+  await executeTestRun(failed.map(createTestRequest));
+}
+
+async function executeTestRun(requests) {
+  if (activeTestRun) {
+    window.showNotification('A test run is already in progress', 2000);
+    return;
+  }
+  if (!testWorkspacePath) {
+    window.showNotification('Open a folder to run tests', 2500);
+    return;
+  }
+
+  const run = { runId: null, cancelled: false };
+  activeTestRun = run;
+
+  const scopes = requests.map(getRequestTests);
+  scopes.forEach(tests => tests.forEach(test => runningTestIds.add(test.id)));
+
+  if (window.testView) {
+    window.testView.clearOutput();
+    window.testView.showOutput();
+  }
+  refreshTestEditors();
+
+  const counts = { passed: 0, failed: 0, skipped: 0 };
+  let errors = 0;
+
+  for (let i = 0; i < requests.length && !run.cancelled; i++) {
+    run.runId = ++testRunCounter;
+
+    let result;
+    try {
+      result = await window.api.runTests(run.runId, testWorkspacePath, requests[i]);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (!result.success) {
+      errors++;
+      appendTestOutput(`\n✗ ${result.error}\n`);
+    } else if (!run.cancelled) {
+      const applied = applyTestResults(scopes[i], result.results);
+      Object.keys(counts).forEach(status => { counts[status] += applied[status]; });
+
+      if (result.results.length === 0 && result.exitCode !== 0) {
+        errors++;
+      }
+    }
+
+    scopes[i].forEach(test => runningTestIds.delete(test.id));
+    refreshTestEditors();
+  }
+
+  runningTestIds.clear();
+  activeTestRun = null;
+  refreshTestEditors();
+
+  if (run.cancelled) {
+    appendTestOutput('\nTest run cancelled\n');
+    window.showNotification('Test run cancelled', 2000);
+  } else if (counts.failed > 0) {
+    window.showNotification(`✗ ${counts.failed} of ${formatTestCount(counts.passed + counts.failed)} failed`, 4000);
+  } else if (counts.passed > 0) {
+    window.showNotification(`✓ ${formatTestCount(counts.passed)} passed${counts.skipped ? `, ${counts.skipped} skipped` : ''}`, 3000);
+  } else if (errors > 0) {
+    window.showNotification('✗ The tests could not be run (see Test Results)', 4000);
+  } else {
+    window.showNotification('No tests were run', 2500);
+  }
+}
+
+function formatTestCount(count) {
+  return `${count} ${count === 1 ? 'test' : 'tests'}`;
+}
+
+async function cancelTestRun() {
+  if (!activeTestRun) return;
+
+  activeTestRun.cancelled = true;
+  await window.api.cancelTestRun(activeTestRun.runId);
+}
+
+function isTestRunActive() {
+  return activeTestRun !== null;
+}
+
+/**
+ * Match reported results to the discovered tests a request covered. Names with
+ * placeholders (test.each tables, template literals) match every case they expand to,
+ * and a test with several results (parametrized cases) fails if any of them failed.
+ */
+function applyTestResults(tests, results) {
+  const counts = { passed: 0, failed: 0, skipped: 0 };
+  const combined = new Map(); // test id -> result
+
+  results.forEach(result => {
+    const matches = tests.filter(test => {
+      if (result.file && result.file !== test.filePath) return false;
+      return result.name === null || getTestNameMatcher(test)(result.name);
+    });
+
+    matches.forEach(test => {
+      const previous = combined.get(test.id);
+      if (!previous) {
+        combined.set(test.id, { ...result });
+      } else {
+        if (result.status === 'failed' || previous.status === 'skipped') previous.status = result.status;
+        previous.message = [previous.message, result.message].filter(Boolean).join('\n\n');
+        previous.duration += result.duration;
+      }
+    });
+  });
+
+  combined.forEach((result, id) => {
+    const test = testItems.get(id);
+    testResults.set(id, {
+      status: result.status,
+      message: result.message,
+      summary: result.status === 'failed' ? getTestFailureSummary(result.message) : null,
+      duration: result.duration,
+      failureLine: result.status === 'failed' ? findTestFailureLine(test, result.message) : null
+    });
+    counts[result.status]++;
+  });
+
+  return counts;
+}
+
+function getTestNameMatcher(test) {
+  if (!test.nameMatcher) {
+    const pattern = escapeRegExp(test.runName)
+      .replace(/%[sdifjoOp#]/g, '.*')
+      .replace(/\\\$\\\{.*?\\\}|\\\$\w+/g, '.*');
+    const regex = pattern === escapeRegExp(test.runName) ? null : new RegExp(`^${pattern}$`);
+    test.nameMatcher = regex ? name => regex.test(name) : name => name === test.runName;
+  }
+  return test.nameMatcher;
+}
+
+// The first line of a failure message worth showing; Rust's "thread '...' panicked at" line only says where
+function getTestFailureSummary(message) {
+  const lines = (message || '').split('\n').map(line => line.trim()).filter(Boolean);
+  return lines.find(line => !/^thread '.*' panicked at /.test(line)) || lines[0] || 'Test failed';
+}
+
+// The first "file:line" of the test's own file in a failure message (the assertion, in most stack traces)
+function findTestFailureLine(test, message) {
+  const relativePath = test.filePath.slice(testWorkspacePath.length + 1);
+
+  for (const match of (message || '').matchAll(/([^\s()'"[\]]+?):(\d+)(?::\d+)?/g)) {
+    const location = match[1].replace(/^file:\/\//, '').replace(/^\.\//, '');
+    if (location === test.filePath || location === relativePath || test.filePath.endsWith('/' + location)) {
+      return parseInt(match[2], 10);
+    }
+  }
+  return test.line;
+}
+
+/**
+ * Debugging a test: pytest through debugpy, cargo tests through lldb-dap with the test binary
+ */
+function canDebugTest(item) {
+  return item.kind !== 'file' && (item.framework === 'pytest' || item.framework === 'cargo');
+}
+
+async function debugTestItem(item) {
+  if (!item || !canDebugTest(item)) return;
+
+  const name = `Debug Test: ${item.label}`;
+  let configuration;
+
+  if (item.framework === 'pytest') {
+    const relativePath = item.filePath.slice(testWorkspacePath.length + 1);
+    configuration = {
+      name,
+      type: 'python',
+      request: 'launch',
+      module: 'pytest',
+      args: [`${relativePath}::${item.runName}`],
+      cwd: testWorkspacePath,
+      console: 'internalConsole',
+      justMyCode: false
+    };
+  } else {
+    const file = testItems.get(item.filePath);
+    window.showNotification('Building tests...', 2000);
+
+    const result = await window.api.getTestExecutable(testWorkspacePath, file.target);
+    if (!result.success) {
+      window.showNotification(`✗ ${result.error}`, 4000);
+      return;
+    }
+
+    configuration = {
+      name,
+      type: 'lldb',
+      request: 'launch',
+      program: result.executable,
+      args: item.kind === 'test' ? [item.runName, '--exact', '--nocapture'] : [`${item.runName}::`, '--nocapture'],
+      cwd: testWorkspacePath
+    };
+  }
+
+  await window.debug.launch(configuration);
+}
+
+/**
+ * Output of the running test command
+ */
+function appendTestOutput(text) {
+  if (window.testView) {
+    window.testView.append(text.replace(ANSI_ESCAPE_PATTERN, ''));
+  }
+}
+
+/**
+ * Editor: Run/Debug CodeLens above tests and result decorations on their lines
+ */
+function initTestEditor() {
+  if (testEditorInitialized || typeof monaco === 'undefined' || !editor) return;
+  testEditorInitialized = true;
+
+  testCodeLensEmitter = new monaco.Emitter();
+
+  monaco.editor.registerCommand('fastEditor.test.run', (accessor, id) => {
+    runTestItem(testItems.get(id));
+  });
+
+  monaco.editor.registerCommand('fastEditor.test.debug', (accessor, id) => {
+    debugTestItem(testItems.get(id));
+  });
+
+  monaco.languages.registerCodeLensProvider('*', {
+    onDidChange: testCodeLensEmitter.event,
+    provideCodeLenses: (model) => {
+      const lenses = [];
+      const tab = getAllTabs().find(t => t.model === model);
+      const file = tab && tab.filePath ? testItems.get(tab.filePath) : null;
+
+      if (file) {
+        const addLenses = (item) => {
+          if (item.line > model.getLineCount()) return;
+
+          const range = new monaco.Range(item.line, 1, item.line, 1);
+          const title = item.kind === 'test' ? 'Run Test' : 'Run Tests';
+          lenses.push({ range, command: { id: 'fastEditor.test.run', title, arguments: [item.id] } });
+          if (canDebugTest(item)) {
+            lenses.push({ range, command: { id: 'fastEditor.test.debug', title: 'Debug Test', arguments: [item.id] } });
+          }
+          item.children.forEach(addLenses);
+        };
+        file.children.forEach(addLenses);
+      }
+
+      return { lenses, dispose: () => {} };
+    },
+    resolveCodeLens: (model, codeLens) => codeLens
+  });
+
+  // Tabs get fresh models, so put the results back on them when shown
+  editor.onDidChangeModel(() => {
+    const tab = getActiveTab();
+    if (tab && tab.filePath) {
+      applyTestDecorations(tab.filePath);
+    }
+  });
+}
+
+function refreshTestEditors() {
+  getAllTabs().forEach(tab => {
+    if (tab.filePath) applyTestDecorations(tab.filePath);
+  });
+
+  if (testCodeLensEmitter) {
+    testCodeLensEmitter.fire();
+  }
+  updateTestView();
+}
+
+/**
+ * ✓/✗ after each test's name, and the failure message after the line it failed on
+ */
+function applyTestDecorations(filePath) {
+  const tab = findTabByPath(filePath);
+  if (!tab || !tab.model || tab.model.isDisposed() || typeof monaco === 'undefined') return;
+
+  const model = tab.model;
+  const previous = testDecorations.get(filePath);
+  const oldIds = previous && previous.model === model ? previous.ids : [];
+  const file = testItems.get(filePath);
+  const decorations = [];
+
+  const lineEnd = (line) => {
+    const column = model.getLineMaxColumn(line);
+    return new monaco.Range(line, column, line, column);
+  };
+
+  const addDecorations = (item) => {
+    item.children.forEach(addDecorations);
+    if (item.kind !== 'test' || item.line > model.getLineCount()) return;
+
+    const status = getTestStatus(item);
+    const result = testResults.get(item.id);
+    if (!status) return;
+
+    const text = status === 'running' ? '◌ running'
+      : status === 'passed' ? `✓ passed${result.duration ? ` (${result.duration} ms)` : ''}`
+      : status === 'skipped' ? '○ skipped'
+      : '✗ failed';
+
+    decorations.push({
+      range: lineEnd(item.line),
+      options: {
+        after: { content: `    ${text}`, inlineClassName: `test-result-annotation ${status}` }
+      }
+    });
+
+    if (status === 'failed' && result.failureLine && result.failureLine <= model.getLineCount()) {
+      const preview = result.summary.length > TEST_FAILURE_PREVIEW_LENGTH
+        ? `${result.summary.slice(0, TEST_FAILURE_PREVIEW_LENGTH)}…`
+        : result.summary;
+
+      decorations.push({
+        range: new monaco.Range(result.failureLine, 1, result.failureLine, model.getLineMaxColumn(result.failureLine)),
+        options: {
+          isWholeLine: true,
+          className: 'test-failure-line',
+          hoverMessage: { value: `**${item.label}** failed\n\n\`\`\`\n${result.message || 'Test failed'}\n\`\`\`` }
+        }
+      });
+      decorations.push({
+        range: lineEnd(result.failureLine),
+        options: {
+          after: { content: `    ${preview}`, inlineClassName: 'test-failure-annotation' }
+        }
+      });
+    }
+  };
+
+  if (file) {
+    file.children.forEach(addDecorations);
+  }
+
+  testDecorations.set(filePath, { model, ids: model.deltaDecorations(oldIds, decorations) });
+}
+
+function updateTestView() {
+  if (window.testView) {
+    window.testView.update();
+  }
+}
+
+// Initialize when Monaco is ready
+if (typeof monaco !== 'undefined' && typeof editor !== 'undefined' && editor) {
+  initTestEditor();
+} else {
+  window.addEventListener('monaco-loaded', initTestEditor);
+}
+
+window.api.onTestOutput((runId, text) => {
+  if (activeTestRun && activeTestRun.runId === runId) {
+    appendTestOutput(text);
+  }
+});
+
+// Menu event listeners
+window.api.onMenuTestRunAll(() => runAllTests());
+window.api.onMenuTestRunFile(() => runTestsInActiveFile());
+window.api.onMenuTestRerunFailed(() => rerunFailedTests());
+window.api.onMenuTestCancel(() => cancelTestRun());
+
+// Export functions
+window.tests = {
+  init: initTests,
+  didSave: didSaveTestFile,
+  refresh: discoverTests,
+  getFiles: getTestFiles,
+  getItem: getTestItem,
+  getStatus: getTestStatus,
+  getResult: getTestResult,
+  getSummary: getTestSummary,
+  isDiscovering: () => testDiscoveryPending,
+  isRunning: isTestRunActive,
+  run: runTestItem,
+  runAll: runAllTests,
+  runFile: runTestsInActiveFile,
+  rerunFailed: rerunFailedTests,
+  cancel: cancelTestRun,
+  canDebug: canDebugTest,
+  debug: debugTestItem
+};
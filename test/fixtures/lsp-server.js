@@ -0,0 +1,40 @@
+/**
+ * Stub language server for the transport tests. Speaks LSP over stdio, or
+ * connects back with --socket=PORT / --pipe=PATH like real servers do.
+ * Answers initialize and shutdown, echoes other requests and exits on exit.
+ */
+
+const net = require('net');
+const { readLSPMessages, encodeLSPMessage } = require('../../lib/lsp-framing');
+
+const socketArg = process.argv.find(arg => arg.startsWith('--socket='));
+const pipeArg = process.argv.find(arg => arg.startsWith('--pipe='));
+
+function serve(input, output, onExit) {
+  const state = { messageBuffer: Buffer.alloc(0) };
+
+  input.on('data', (data) => {
+    readLSPMessages(state, data).forEach((message) => {
+      if (message.method === 'initialize') {
+        output.write(encodeLSPMessage({
+          jsonrpc: '2.0',
+          id: message.id,
+          result: { capabilities: { positionEncoding: 'utf-16' }, serverInfo: { name: 'stub', args: process.argv.slice(2) } }
+        }));
+      } else if (message.method === 'exit') {
+        onExit();
+      } else if (message.id !== undefined) {
+        output.write(encodeLSPMessage({ jsonrpc: '2.0', id: message.id, result: message.method === 'shutdown' ? null : message.params }));
+      }
+    });
+  });
+}
+
+if (socketArg || pipeArg) {
+  const socket = socketArg
+    ? net.connect({ host: '127.0.0.1', port: Number(socketArg.slice('--socket='.length)) })
+    : net.connect(pipeArg.slice('--pipe='.length));
+  serve(socket, socket, () => socket.end(() => process.exit(0)));
+} else {
+  serve(process.stdin, process.stdout, () => process.exit(0));
+}
@@ -0,0 +1,193 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseGitStatusV2 } = require('../lib/git-status');
+
+const HEAD_OID = '1f2d6af0c3b5e0e4a1c2d3e4f5a6b7c8d9e0f1a2';
+const INDEX_OID = 'e69de29bb2d1d6434b8b29ae775ad8c2e48c5391';
+const ZERO_OID = '0000000000000000000000000000000000000000';
+
+// Join records the way `git status --porcelain=v2 -z --branch` terminates them
+const status = (...records) => records.map(record => `${record}\0`).join('');
+
+const parseFile = (...records) => {
+  const { files } = parseGitStatusV2(status(...records));
+  assert.equal(files.length, 1);
+  return files[0];
+};
+
+describe('parseGitStatusV2 branch headers', () => {
+  test('reads the branch, upstream and ahead/behind counts', () => {
+    const { branch, files } = parseGitStatusV2(status(
+      `# branch.oid ${HEAD_OID}`,
+      '# branch.head main',
+      '# branch.upstream origin/main',
+      '# branch.ab +2 -1'
+    ));
+
+    assert.deepEqual(branch, {
+      head: 'main',
+      oid: HEAD_OID,
+      upstream: 'origin/main',
+      ahead: 2,
+      behind: 1,
+      detached: false
+    });
+    assert.deepEqual(files, []);
+  });
+
+  test('reports a detached HEAD without an upstream', () => {
+    const { branch } = parseGitStatusV2(status(
+      `# branch.oid ${HEAD_OID}`,
+      '# branch.head (detached)'
+    ));
+
+    assert.deepEqual(branch, {
+      head: null,
+      oid: HEAD_OID,
+      upstream: null,
+      ahead: 0,
+      behind: 0,
+      detached: true
+    });
+  });
+
+  test('has no oid before the first commit', () => {
+    const { branch } = parseGitStatusV2(status('# branch.oid (initial)', '# branch.head main'));
+
+    assert.equal(branch.oid, null);
+    assert.equal(branch.head, 'main');
+  });
+
+  test('ignores headers other than branch info', () => {
+    const { branch } = parseGitStatusV2(status('# stash 3', '# branch.head main'));
+
+    assert.equal(branch.head, 'main');
+  });
+});
+
+describe('parseGitStatusV2 entries', () => {
+  test('splits an MM entry into staged and unstaged changes', () => {
+    const file = parseFile(`1 MM N... 100644 100644 100644 ${HEAD_OID} ${INDEX_OID} src/main file.js`);
+
+    assert.deepEqual(file, {
+      path: 'src/main file.js',
+      origPath: null,
+      kind: 'changed',
+      index: 'M',
+      worktree: 'M',
+      staged: true,
+      unstaged: true,
+      conflicted: false,
+      submodule: null,
+      status: 'modified'
+    });
+  });
+
+  test('reports an AD entry as added in the index and deleted in the worktree', () => {
+    const file = parseFile(`1 AD N... 000000 100644 000000 ${ZERO_OID} ${INDEX_OID} added.txt`);
+
+    assert.equal(file.index, 'A');
+    assert.equal(file.worktree, 'D');
+    assert.equal(file.staged, true);
+    assert.equal(file.unstaged, true);
+    assert.equal(file.status, 'added');
+  });
+
+  test('reports a worktree-only deletion', () => {
+    const file = parseFile(`1 .D N... 100644 100644 000000 ${HEAD_OID} ${HEAD_OID} gone.txt`);
+
+    assert.equal(file.staged, false);
+    assert.equal(file.unstaged, true);
+    assert.equal(file.status, 'deleted');
+  });
+
+  test('reads the origin path of an RM rename from the next field', () => {
+    const { files } = parseGitStatusV2(status(
+      `2 RM N... 100644 100644 100644 ${HEAD_OID} ${INDEX_OID} R87 lib/new name.js`,
+      'lib/old name.js',
+      '? notes.txt'
+    ));
+
+    assert.equal(files.length, 2);
+    assert.deepEqual(files[0], {
+      path: 'lib/new name.js',
+      origPath: 'lib/old name.js',
+      kind: 'renamed',
+      index: 'R',
+      worktree: 'M',
+      staged: true,
+      unstaged: true,
+      conflicted: false,
+      submodule: null,
+      score: 87,
+      status: 'renamed'
+    });
+    assert.equal(files[1].path, 'notes.txt');
+  });
+
+  test('reports a copy record', () => {
+    const file = parseFile(
+      `2 C. N... 100644 100644 100644 ${HEAD_OID} ${HEAD_OID} C100 copy.txt`,
+      'original.txt'
+    );
+
+    assert.equal(file.kind, 'copied');
+    assert.equal(file.origPath, 'original.txt');
+    assert.equal(file.score, 100);
+    assert.equal(file.unstaged, false);
+    assert.equal(file.status, 'copied');
+  });
+
+  test('reports unmerged entries as conflicted and unstaged', () => {
+    const file = parseFile(
+      `u UU N... 100644 100644 100644 100644 ${HEAD_OID} ${INDEX_OID} ${ZERO_OID.replace(/0/g, 'a')} conflict.txt`
+    );
+
+    assert.equal(file.path, 'conflict.txt');
+    assert.equal(file.kind, 'unmerged');
+    assert.equal(file.conflicted, true);
+    assert.equal(file.staged, false);
+    assert.equal(file.unstaged, true);
+    assert.equal(file.status, 'conflicted');
+  });
+
+  test('reports a deleted-by-them conflict as conflicted', () => {
+    const file = parseFile(
+      `u UD N... 100644 100644 000000 100644 ${HEAD_OID} ${INDEX_OID} ${ZERO_OID} theirs-deleted.txt`
+    );
+
+    assert.equal(file.index, 'U');
+    assert.equal(file.worktree, 'D');
+    assert.equal(file.status, 'conflicted');
+  });
+
+  test('reads submodule states', () => {
+    const { files } = parseGitStatusV2(status(
+      `1 .M SCMU 160000 160000 160000 ${HEAD_OID} ${HEAD_OID} vendor/lib`,
+      `1 M. SC.. 160000 160000 160000 ${HEAD_OID} ${INDEX_OID} vendor/other`
+    ));
+
+    assert.deepEqual(files[0].submodule, { commitChanged: true, trackedChanges: true, untrackedChanges: true });
+    assert.equal(files[0].staged, false);
+    assert.equal(files[0].unstaged, true);
+    assert.deepEqual(files[1].submodule, { commitChanged: true, trackedChanges: false, untrackedChanges: false });
+    assert.equal(files[1].staged, true);
+    assert.equal(files[1].unstaged, false);
+  });
+
+  test('reports untracked files and directories without the trailing slash', () => {
+    const { files } = parseGitStatusV2(status('? new file.txt', '? build/'));
+
+    assert.deepEqual(files.map(file => [file.path, file.kind, file.staged, file.unstaged, file.status]), [
+      ['new file.txt', 'untracked', false, true, 'untracked'],
+      ['build', 'untracked', false, true, 'untracked']
+    ]);
+  });
+
+  test('skips ignored entries', () => {
+    const { files } = parseGitStatusV2(status('! node_modules/', '? todo.txt'));
+
+    assert.deepEqual(files.map(file => file.path), ['todo.txt']);
+  });
+});
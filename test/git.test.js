@@ -0,0 +1,542 @@
+const { test, describe, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { runGit, cancelGitOperations } = require('../lib/git-process');
+const { loadMainProcess } = require('./helpers/main-process');
+const { git, createTempRepo, writeFile, commitFiles, removeTempRepo } = require('./helpers/git-repo');
+
+describe('runGit', () => {
+  let repoPath;
+
+  before(() => {
+    repoPath = createTempRepo();
+    // Slow command without output, for timeout and cancellation
+    git(repoPath, ['config', 'alias.wait', '!sleep 1']);
+  });
+
+  after(() => removeTempRepo(repoPath));
+
+  test('resolves with stdout and stderr', async () => {
+    const { stdout, stderr } = await runGit(repoPath, ['rev-parse', '--is-inside-work-tree']);
+    assert.equal(stdout, 'true\n');
+    assert.equal(stderr, '');
+  });
+
+  test('rejects with the git output and exit code', async () => {
+    await assert.rejects(runGit(repoPath, ['rev-parse', '--verify', '--quiet', 'missing']), (error) => {
+      assert.deepEqual(error.args, ['rev-parse', '--verify', '--quiet', 'missing']);
+      assert.equal(error.exitCode, 1);
+      assert.equal(error.stdout, '');
+      assert.equal(error.stderr, '');
+      assert.equal(error.timedOut, false);
+      assert.equal(error.cancelled, false);
+      assert.equal(error.message, 'git rev-parse exited with code 1');
+      return true;
+    });
+  });
+
+  test('uses stderr as the error message', async () => {
+    await assert.rejects(runGit(repoPath, ['checkout', 'missing-branch']), (error) => {
+      assert.equal(error.exitCode, 1);
+      assert.match(error.stderr, /missing-branch/);
+      assert.equal(error.message, error.stderr.trim());
+      return true;
+    });
+  });
+
+  test('writes input to stdin byte for byte', async () => {
+    const input = 'line one\n  indented ünïcode\n\n';
+    const { stdout } = await runGit(repoPath, ['hash-object', '--stdin'], { input });
+    assert.equal(stdout.trim(), git(repoPath, ['hash-object', '--stdin'], input).trim());
+  });
+
+  test('kills the command after the timeout', async () => {
+    await assert.rejects(runGit(repoPath, ['wait'], { timeout: 100 }), (error) => {
+      assert.equal(error.timedOut, true);
+      assert.equal(error.cancelled, false);
+      assert.equal(error.message, 'git wait timed out after 0.1s');
+      return true;
+    });
+  });
+
+  test('a timeout of 0 disables the time limit', async () => {
+    await runGit(repoPath, ['wait'], { timeout: 0 });
+  });
+
+  test('cancels through an AbortSignal', async () => {
+    const controller = new AbortController();
+    const promise = runGit(repoPath, ['wait'], { signal: controller.signal });
+    setTimeout(() => controller.abort(), 50);
+
+    await assert.rejects(promise, (error) => {
+      assert.equal(error.cancelled, true);
+      assert.equal(error.timedOut, false);
+      assert.equal(error.message, 'Git command cancelled');
+      return true;
+    });
+  });
+
+  test('rejects at once when the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(runGit(repoPath, ['status'], { signal: controller.signal }), (error) => {
+      assert.equal(error.cancelled, true);
+      assert.equal(error.exitCode, null);
+      return true;
+    });
+  });
+
+  test('cancelGitOperations cancels only commands of that workspace', async () => {
+    const promise = runGit(repoPath, ['wait']);
+    assert.equal(cancelGitOperations(path.join(repoPath, 'other')), 0);
+    assert.equal(cancelGitOperations(repoPath), 1);
+
+    await assert.rejects(promise, (error) => error.cancelled === true);
+    assert.equal(cancelGitOperations(repoPath), 0);
+  });
+
+  test('rejects when the output exceeds maxBuffer', async () => {
+    await assert.rejects(runGit(repoPath, ['help', '-a'], { maxBuffer: 16 }), /output exceeded 16 bytes/);
+  });
+});
+
+describe('git handlers', () => {
+  let main;
+  let repoPath;
+
+  before(() => {
+    main = loadMainProcess();
+  });
+
+  after(() => removeTempRepo(main.userDataPath));
+
+  beforeEach(() => {
+    repoPath = createTempRepo();
+    commitFiles(repoPath, { 'file.txt': 'one\ntwo\nthree\n' }, 'Initial commit');
+  });
+
+  afterEach(() => removeTempRepo(repoPath));
+
+  const stagedFiles = () => git(repoPath, ['diff', '--cached', '--name-only']).split('\n').filter(Boolean);
+
+  test('git-add stages absolute and relative paths', async () => {
+    const absolutePath = writeFile(repoPath, 'file.txt', 'changed\n');
+    writeFile(repoPath, 'dir with space/new file.txt', 'new\n');
+
+    assert.deepEqual(await main.invoke('git-add', repoPath, absolutePath), { success: true });
+    assert.deepEqual(await main.invoke('git-add', repoPath, 'dir with space/new file.txt'), { success: true });
+    assert.deepEqual(stagedFiles(), ['dir with space/new file.txt', 'file.txt']);
+  });
+
+  test('git-add reports git errors', async () => {
+    const result = await main.invoke('git-add', repoPath, 'missing.txt');
+    assert.equal(result.success, false);
+    assert.match(result.error, /missing\.txt/);
+  });
+
+  test('git-reset unstages a file and keeps its changes', async () => {
+    const filePath = writeFile(repoPath, 'file.txt', 'changed\n');
+    git(repoPath, ['add', 'file.txt']);
+
+    assert.deepEqual(await main.invoke('git-reset', repoPath, filePath), { success: true });
+    assert.deepEqual(stagedFiles(), []);
+    assert.equal(fs.readFileSync(filePath, 'utf-8'), 'changed\n');
+  });
+
+  test('git-commit passes the message through stdin unchanged', async () => {
+    const message = 'Subject with "quotes" and $HOME\n\n- body line `ls`\n';
+    writeFile(repoPath, 'file.txt', 'changed\n');
+    git(repoPath, ['add', 'file.txt']);
+
+    assert.deepEqual(await main.invoke('git-commit', repoPath, message), { success: true });
+    assert.equal(git(repoPath, ['log', '-1', '--pretty=%B']), `${message}\n`);
+  });
+
+  test('git-commit amends, signs off and creates fixups', async () => {
+    writeFile(repoPath, 'file.txt', 'changed\n');
+    git(repoPath, ['add', 'file.txt']);
+    assert.equal((await main.invoke('git-commit', repoPath, 'Amended', { amend: true, signoff: true })).success, true);
+
+    assert.equal(git(repoPath, ['rev-list', '--count', 'HEAD']).trim(), '1');
+    assert.equal(git(repoPath, ['log', '-1', '--pretty=%B']).trim(), 'Amended\n\nSigned-off-by: Test User <test@example.com>');
+
+    const target = git(repoPath, ['rev-parse', 'HEAD']).trim();
+    writeFile(repoPath, 'file.txt', 'fixed\n');
+    git(repoPath, ['add', 'file.txt']);
+    assert.equal((await main.invoke('git-commit', repoPath, '', { fixup: target })).success, true);
+    assert.equal(git(repoPath, ['log', '-1', '--pretty=%s']).trim(), 'fixup! Amended');
+  });
+
+  test('git-commit rejects an invalid fixup commit without running git', async () => {
+    const result = await main.invoke('git-commit', repoPath, '', { fixup: '--amend' });
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Invalid commit: --amend');
+    assert.deepEqual(result.hooks, []);
+  });
+
+  test('git-commit returns the hook output and the installed hooks', async () => {
+    const hookPath = writeFile(repoPath, '.git/hooks/pre-commit', '#!/bin/sh\necho "lint failed" >&2\nexit 1\n');
+    fs.chmodSync(hookPath, 0o755);
+    writeFile(repoPath, 'file.txt', 'changed\n');
+    git(repoPath, ['add', 'file.txt']);
+
+    const result = await main.invoke('git-commit', repoPath, 'Blocked');
+    assert.equal(result.success, false);
+    assert.match(result.output, /lint failed/);
+    assert.deepEqual(result.hooks, ['pre-commit']);
+
+    assert.deepEqual(await main.invoke('git-commit', repoPath, 'Skipped hooks', { noVerify: true }), { success: true });
+  });
+
+  test('git-cancel stops a commit waiting on a slow hook', async () => {
+    const hookPath = writeFile(repoPath, '.git/hooks/pre-commit', '#!/bin/sh\nsleep 1\n');
+    fs.chmodSync(hookPath, 0o755);
+    writeFile(repoPath, 'file.txt', 'changed\n');
+    git(repoPath, ['add', 'file.txt']);
+
+    const commit = main.invoke('git-commit', repoPath, 'Slow hook');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.deepEqual(await main.invoke('git-cancel', repoPath), { success: true, cancelled: 1 });
+
+    const result = await commit;
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Git command cancelled');
+    assert.equal(git(repoPath, ['rev-list', '--count', 'HEAD']).trim(), '1');
+  });
+
+  test('create-branch creates a branch with or without switching to it', async () => {
+    assert.deepEqual(await main.invoke('create-branch', repoPath, 'feature/a', false), { success: true });
+    assert.equal(git(repoPath, ['branch', '--show-current']).trim(), 'main');
+
+    assert.deepEqual(await main.invoke('create-branch', repoPath, 'feature/b', true), { success: true });
+    assert.equal(git(repoPath, ['branch', '--show-current']).trim(), 'feature/b');
+  });
+
+  test('create-branch rejects names that look like options', async () => {
+    const result = await main.invoke('create-branch', repoPath, '--force', false);
+    assert.deepEqual(result, { success: false, error: 'Invalid branch name: --force' });
+  });
+
+  test('switch-branch checks out a branch', async () => {
+    git(repoPath, ['branch', 'other']);
+
+    assert.deepEqual(await main.invoke('switch-branch', repoPath, 'other'), { success: true });
+    assert.equal(git(repoPath, ['branch', '--show-current']).trim(), 'other');
+  });
+
+  test('switch-branch flags local changes that checkout would overwrite', async () => {
+    git(repoPath, ['checkout', '-q', '-b', 'other']);
+    commitFiles(repoPath, { 'file.txt': 'other\n' }, 'Other change');
+    git(repoPath, ['checkout', '-q', 'main']);
+    writeFile(repoPath, 'file.txt', 'local\n');
+
+    const result = await main.invoke('switch-branch', repoPath, 'other');
+    assert.equal(result.success, false);
+    assert.equal(result.dirtyWorkingTree, true);
+    assert.equal(git(repoPath, ['branch', '--show-current']).trim(), 'main');
+  });
+
+  test('get-git-diff reports added, modified and deleted lines', async () => {
+    const filePath = writeFile(repoPath, 'file.txt', 'one\nTWO\nthree\nfour\n');
+
+    const { changes } = await main.invoke('get-git-diff', repoPath, filePath);
+    assert.deepEqual(changes.filter(change => change.type === 'added').map(change => change.lineNumber), [2, 4]);
+    assert.deepEqual(changes.filter(change => change.type === 'deleted').map(change => change.lineNumber), [2]);
+    assert.ok(changes.some(change => change.type === 'modified'));
+  });
+
+  test('get-git-diff returns no changes for clean and untracked files', async () => {
+    assert.deepEqual(await main.invoke('get-git-diff', repoPath, path.join(repoPath, 'file.txt')), { changes: [] });
+
+    const untracked = writeFile(repoPath, 'untracked.txt', 'new\n');
+    assert.deepEqual(await main.invoke('get-git-diff', repoPath, untracked), { changes: [] });
+  });
+});
+
+describe('git hunk handlers', () => {
+  let main;
+  let repoPath;
+  let filePath;
+
+  before(() => {
+    main = loadMainProcess();
+  });
+
+  after(() => removeTempRepo(main.userDataPath));
+
+  beforeEach(() => {
+    repoPath = createTempRepo();
+    filePath = path.join(repoPath, 'file.txt');
+  });
+
+  afterEach(() => removeTempRepo(repoPath));
+
+  const indexContent = () => git(repoPath, ['show', ':file.txt']);
+  const worktreeContent = () => fs.readFileSync(filePath, 'utf-8');
+  const lines = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => `line ${from + i}`);
+  const selection = (startLineNumber, endLineNumber = startLineNumber) => ({ startLineNumber, endLineNumber });
+
+  // Apply the only hunk of the unstaged (or staged) diff
+  async function applyHunk(action, selected = null) {
+    const hunks = await main.invoke('get-git-hunks', repoPath, filePath);
+    assert.equal(hunks.success, true);
+    const diff = action === 'unstage' ? hunks.staged : hunks.unstaged;
+    assert.equal(diff.hunks.length, 1);
+    return main.invoke('git-apply-hunk', repoPath, diff.header, diff.hunks[0], action, selected);
+  }
+
+  test('get-git-hunks parses hunk ranges and the changed lines', async () => {
+    commitFiles(repoPath, { 'file.txt': lines(1, 20).join('\n') + '\n' }, 'Twenty lines');
+    writeFile(repoPath, 'file.txt', [...lines(1, 2), 'changed 3', ...lines(4, 16), 'added', ...lines(17, 20)].join('\n') + '\n');
+    git(repoPath, ['add', 'file.txt']);
+    writeFile(repoPath, 'file.txt', [...lines(1, 2), 'changed 3', ...lines(4, 16), 'added', ...lines(18, 20)].join('\n') + '\n');
+
+    const { unstaged, staged } = await main.invoke('get-git-hunks', repoPath, filePath);
+
+    assert.deepEqual(staged.header.slice(-2), ['--- a/file.txt', '+++ b/file.txt']);
+    assert.deepEqual(staged.hunks.map(hunk => [hunk.oldStart, hunk.oldLines, hunk.newStart, hunk.newLines]), [[1, 6, 1, 6], [14, 6, 14, 7]]);
+    assert.deepEqual(staged.hunks.map(hunk => [hunk.changeStart, hunk.changeEnd]), [[3, 3], [17, 17]]);
+    assert.deepEqual(staged.hunks[0].lines, [' line 1', ' line 2', '-line 3', '+changed 3', ' line 4', ' line 5', ' line 6']);
+
+    // A pure deletion sits at the line that follows it
+    assert.equal(unstaged.hunks.length, 1);
+    assert.deepEqual([unstaged.hunks[0].changeStart, unstaged.hunks[0].changeEnd], [18, 18]);
+  });
+
+  test('stages, unstages and reverts a whole hunk', async () => {
+    commitFiles(repoPath, { 'file.txt': 'one\ntwo\nthree\n' }, 'Base');
+    writeFile(repoPath, 'file.txt', 'one\nTWO\nthree\n');
+
+    assert.deepEqual(await applyHunk('stage'), { success: true });
+    assert.equal(indexContent(), 'one\nTWO\nthree\n');
+
+    assert.deepEqual(await applyHunk('unstage'), { success: true });
+    assert.equal(indexContent(), 'one\ntwo\nthree\n');
+
+    assert.deepEqual(await applyHunk('revert'), { success: true });
+    assert.equal(worktreeContent(), 'one\ntwo\nthree\n');
+  });
+
+  test('stages, unstages and reverts only the selected lines of a hunk', async () => {
+    commitFiles(repoPath, { 'file.txt': lines(1, 6).join('\n') + '\n' }, 'Base');
+    const changed = ['line 1', 'LINE 2', 'line 3', 'line 4', 'LINE 5', 'line 6'].join('\n') + '\n';
+    writeFile(repoPath, 'file.txt', changed);
+
+    assert.deepEqual(await applyHunk('stage', selection(2)), { success: true });
+    assert.equal(indexContent(), ['line 1', 'LINE 2', ...lines(3, 6)].join('\n') + '\n');
+    assert.equal(worktreeContent(), changed);
+
+    git(repoPath, ['add', 'file.txt']);
+    assert.deepEqual(await applyHunk('unstage', selection(5)), { success: true });
+    assert.equal(indexContent(), ['line 1', 'LINE 2', ...lines(3, 6)].join('\n') + '\n');
+
+    assert.deepEqual(await applyHunk('revert', selection(5)), { success: true });
+    assert.equal(worktreeContent(), ['line 1', 'LINE 2', ...lines(3, 6)].join('\n') + '\n');
+  });
+
+  test('stages part of a hunk of pure additions', async () => {
+    commitFiles(repoPath, { 'file.txt': 'first\nlast\n' }, 'Base');
+    writeFile(repoPath, 'file.txt', 'first\nadded 1\nadded 2\nadded 3\nlast\n');
+
+    assert.deepEqual(await applyHunk('stage', selection(3, 4)), { success: true });
+    assert.equal(indexContent(), 'first\nadded 2\nadded 3\nlast\n');
+
+    assert.deepEqual(await applyHunk('revert', selection(2)), { success: true });
+    assert.equal(worktreeContent(), 'first\nadded 2\nadded 3\nlast\n');
+  });
+
+  test('stages and reverts single deletions of a hunk of pure deletions', async () => {
+    commitFiles(repoPath, { 'file.txt': lines(1, 6).join('\n') + '\n' }, 'Base');
+    writeFile(repoPath, 'file.txt', ['line 1', 'line 3', 'line 4', 'line 6'].join('\n') + '\n');
+
+    // line 2 was deleted before new line 2, line 5 before new line 4
+    assert.deepEqual(await applyHunk('stage', selection(4)), { success: true });
+    assert.equal(indexContent(), ['line 1', 'line 2', 'line 3', 'line 4', 'line 6'].join('\n') + '\n');
+
+    assert.deepEqual(await applyHunk('stage'), { success: true });
+    assert.equal(indexContent(), ['line 1', 'line 3', 'line 4', 'line 6'].join('\n') + '\n');
+
+    git(repoPath, ['commit', '-q', '-m', 'Deletions']);
+    // A run of deleted lines sits at one new line and is reverted as a whole
+    writeFile(repoPath, 'file.txt', 'line 1\nline 6\n');
+    assert.deepEqual(await applyHunk('revert', selection(2)), { success: true });
+    assert.equal(worktreeContent(), 'line 1\nline 3\nline 4\nline 6\n');
+  });
+
+  describe('without a newline at the end of the file', () => {
+    beforeEach(() => {
+      commitFiles(repoPath, { 'file.txt': 'x\ny' }, 'No trailing newline');
+      writeFile(repoPath, 'file.txt', 'x\nY\nz');
+    });
+
+    test('stages a line added after the old last line', async () => {
+      assert.deepEqual(await applyHunk('stage', selection(3)), { success: true });
+      assert.equal(indexContent(), 'x\ny\nz');
+    });
+
+    test('stages a change of the old last line without the lines after it', async () => {
+      assert.deepEqual(await applyHunk('stage', selection(2)), { success: true });
+      assert.equal(indexContent(), 'x\nY\n');
+    });
+
+    test('stages the whole hunk', async () => {
+      assert.deepEqual(await applyHunk('stage'), { success: true });
+      assert.equal(indexContent(), 'x\nY\nz');
+    });
+
+    test('unstages the added last line only', async () => {
+      git(repoPath, ['add', 'file.txt']);
+      assert.deepEqual(await applyHunk('unstage', selection(3)), { success: true });
+      assert.equal(indexContent(), 'x\nY\n');
+    });
+
+    test('unstages the change of the old last line only', async () => {
+      git(repoPath, ['add', 'file.txt']);
+      assert.deepEqual(await applyHunk('unstage', selection(2)), { success: true });
+      assert.equal(indexContent(), 'x\ny\nz');
+    });
+
+    test('reverts the added last line only', async () => {
+      assert.deepEqual(await applyHunk('revert', selection(3)), { success: true });
+      assert.equal(worktreeContent(), 'x\nY\n');
+      assert.equal(indexContent(), 'x\ny');
+    });
+
+    test('reverts the change of the old last line only', async () => {
+      assert.deepEqual(await applyHunk('revert', selection(2)), { success: true });
+      assert.equal(worktreeContent(), 'x\ny\nz');
+    });
+  });
+
+  test('reports a selection without changes and unknown actions', async () => {
+    commitFiles(repoPath, { 'file.txt': lines(1, 6).join('\n') + '\n' }, 'Base');
+    writeFile(repoPath, 'file.txt', ['LINE 1', ...lines(2, 6)].join('\n') + '\n');
+
+    assert.deepEqual(await applyHunk('stage', selection(4, 6)), { success: false, error: 'No changes in selection' });
+
+    const result = await applyHunk('discard');
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Unknown hunk action: discard');
+    assert.equal(indexContent(), lines(1, 6).join('\n') + '\n');
+  });
+});
+
+describe('git rebase handlers', () => {
+  let main;
+  let repoPath;
+  let commits;
+
+  before(() => {
+    main = loadMainProcess();
+  });
+
+  after(() => removeTempRepo(main.userDataPath));
+
+  // main: base; feature: A and B change the same line, C adds another file
+  beforeEach(() => {
+    repoPath = createTempRepo();
+    commitFiles(repoPath, { 'file.txt': 'base\n' }, 'Base');
+    git(repoPath, ['checkout', '-q', '-b', 'feature']);
+    commits = {
+      a: commitFiles(repoPath, { 'file.txt': 'a\n' }, 'Commit A'),
+      b: commitFiles(repoPath, { 'file.txt': 'b\n' }, 'Commit B'),
+      c: commitFiles(repoPath, { 'other.txt': 'c\n' }, 'Commit C')
+    };
+  });
+
+  afterEach(() => removeTempRepo(repoPath));
+
+  const rebaseFilesDir = () => path.join(repoPath, '.git', 'fast-editor-rebase');
+  const subjects = () => git(repoPath, ['log', '--reverse', '--pretty=%s', 'main..HEAD']).trim().split('\n');
+
+  test('rewords commits and removes its files when the rebase completes', async () => {
+    const result = await main.invoke('git-rebase-start', repoPath, {
+      base: 'main',
+      todo: [
+        { action: 'pick', hash: commits.a },
+        { action: 'fixup', hash: commits.b },
+        { action: 'reword', hash: commits.c, message: 'Reworded C\n\nWith a body' }
+      ]
+    });
+
+    assert.deepEqual(result, { success: true });
+    assert.deepEqual(subjects(), ['Commit A', 'Reworded C']);
+    assert.equal(git(repoPath, ['show', 'HEAD~1:file.txt']), 'b\n');
+    assert.equal(fs.existsSync(rebaseFilesDir()), false);
+  });
+
+  test('keeps the reword messages while stopped and removes them after continuing', async () => {
+    const result = await main.invoke('git-rebase-start', repoPath, {
+      base: 'main',
+      todo: [
+        { action: 'pick', hash: commits.b },
+        { action: 'drop', hash: commits.a },
+        { action: 'reword', hash: commits.c, message: 'Reworded C' }
+      ]
+    });
+
+    assert.equal(result.success, false);
+    assert.equal(result.stopped, true);
+    assert.ok(fs.existsSync(path.join(rebaseFilesDir(), 'message-2')));
+
+    writeFile(repoPath, 'file.txt', 'b\n');
+    git(repoPath, ['add', 'file.txt']);
+
+    assert.deepEqual(await main.invoke('git-rebase-continue', repoPath), { success: true });
+    assert.deepEqual(subjects(), ['Commit B', 'Reworded C']);
+    assert.equal(fs.existsSync(rebaseFilesDir()), false);
+  });
+
+  test('removes its files when a stopped rebase is aborted', async () => {
+    const head = git(repoPath, ['rev-parse', 'HEAD']).trim();
+    const result = await main.invoke('git-rebase-start', repoPath, {
+      base: 'main',
+      todo: [
+        { action: 'pick', hash: commits.b },
+        { action: 'reword', hash: commits.c, message: 'Reworded C' }
+      ]
+    });
+    assert.equal(result.stopped, true);
+
+    const startAgain = await main.invoke('git-rebase-start', repoPath, {
+      base: 'main',
+      todo: [{ action: 'pick', hash: commits.c }]
+    });
+    assert.equal(startAgain.error, 'A rebase is already in progress');
+    assert.ok(fs.existsSync(path.join(rebaseFilesDir(), 'message-1')));
+
+    assert.deepEqual(await main.invoke('git-rebase-abort', repoPath), { success: true });
+    assert.equal(git(repoPath, ['rev-parse', 'HEAD']).trim(), head);
+    assert.equal(fs.existsSync(rebaseFilesDir()), false);
+  });
+
+  test('runs the commit hooks on reworded commits unless noVerify is set', async () => {
+    const hookPath = writeFile(repoPath, '.git/hooks/commit-msg', '#!/bin/sh\necho "bad message" >&2\nexit 1\n');
+    fs.chmodSync(hookPath, 0o755);
+    const todo = [
+      { action: 'pick', hash: commits.a },
+      { action: 'pick', hash: commits.b },
+      { action: 'reword', hash: commits.c, message: 'Reworded C' }
+    ];
+
+    const blocked = await main.invoke('git-rebase-start', repoPath, { base: 'main', todo });
+    assert.equal(blocked.success, false);
+    assert.equal(blocked.stopped, true);
+    assert.match(blocked.output, /bad message/);
+    assert.equal((await main.invoke('git-rebase-abort', repoPath)).success, true);
+
+    assert.deepEqual(await main.invoke('git-rebase-start', repoPath, { base: 'main', noVerify: true, todo }), { success: true });
+    assert.deepEqual(subjects(), ['Commit A', 'Commit B', 'Reworded C']);
+  });
+
+  test('git-rebase-status removes files left by a rebase finished elsewhere', async () => {
+    fs.mkdirSync(rebaseFilesDir());
+    writeFile(repoPath, '.git/fast-editor-rebase/message-0', 'Old message');
+
+    assert.deepEqual(await main.invoke('git-rebase-status', repoPath), { success: true, inProgress: false });
+    assert.equal(fs.existsSync(rebaseFilesDir()), false);
+  });
+});
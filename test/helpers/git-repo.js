@@ -0,0 +1,63 @@
+/**
+ * Temporary git repositories for tests
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the user's git configuration and an enclosing repository (tests run from a hook
+// get GIT_DIR) out of the temporary repositories; runGit passes process.env on to git
+for (const name of Object.keys(process.env)) {
+  if (/^GIT_(CONFIG_|DIR$|WORK_TREE$|INDEX_FILE$|OBJECT_DIRECTORY$|COMMON_DIR$)/.test(name)) {
+    delete process.env[name];
+  }
+}
+process.env.GIT_CONFIG_NOSYSTEM = '1';
+process.env.GIT_CONFIG_GLOBAL = os.devNull;
+
+function git(repoPath, args, input) {
+  return execFileSync('git', args, { cwd: repoPath, input, encoding: 'utf-8' });
+}
+
+// Create an empty repository with a local identity and commit signing off
+function createTempRepo() {
+  const repoPath = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'fast-editor-git-')));
+
+  git(repoPath, ['init', '-q', '-b', 'main']);
+  git(repoPath, ['config', 'user.name', 'Test User']);
+  git(repoPath, ['config', 'user.email', 'test@example.com']);
+  git(repoPath, ['config', 'commit.gpgsign', 'false']);
+
+  return repoPath;
+}
+
+function writeFile(repoPath, relativePath, content) {
+  const filePath = path.join(repoPath, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+// Write the files and commit them; returns the new commit hash
+function commitFiles(repoPath, files, message = 'Update files') {
+  for (const [relativePath, content] of Object.entries(files)) {
+    writeFile(repoPath, relativePath, content);
+    git(repoPath, ['add', '--', relativePath]);
+  }
+  git(repoPath, ['commit', '-q', '-m', message]);
+  return git(repoPath, ['rev-parse', 'HEAD']).trim();
+}
+
+function removeTempRepo(repoPath) {
+  fs.rmSync(repoPath, { recursive: true, force: true });
+}
+
+module.exports = {
+  git,
+  createTempRepo,
+  writeFile,
+  commitFiles,
+  removeTempRepo
+};
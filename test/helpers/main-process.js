@@ -0,0 +1,85 @@
+/**
+ * Main process test harness
+ * Loads main.js with stand-ins for electron and node-pty and collects its IPC handlers
+ */
+
+const EventEmitter = require('events');
+const Module = require('module');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MAIN_PATH = path.join(__dirname, '..', '..', 'main.js');
+
+function createElectronStub(userDataPath, handlers) {
+  const noop = () => {};
+
+  return {
+    app: {
+      getPath: () => userDataPath,
+      // Never ready, so no window is created
+      whenReady: () => new Promise(() => {}),
+      on: noop,
+      quit: noop,
+      commandLine: { appendSwitch: noop }
+    },
+    BrowserWindow: { getAllWindows: () => [] },
+    ipcMain: {
+      handle: (channel, handler) => handlers.set(channel, handler),
+      on: noop
+    },
+    dialog: {},
+    Menu: { buildFromTemplate: () => ({}), setApplicationMenu: noop }
+  };
+}
+
+// Window that invokes the handlers; everything sent to it is emitted as an event
+function createWebContentsStub() {
+  const webContents = new EventEmitter();
+  webContents.send = (channel, ...args) => webContents.emit(channel, ...args);
+  webContents.isDestroyed = () => false;
+  return webContents;
+}
+
+/**
+ * Require main.js once and return { invoke(channel, ...args), webContents, userDataPath }.
+ * invoke calls the registered ipcMain.handle handler as if webContents had sent it.
+ */
+function loadMainProcess() {
+  const handlers = new Map();
+  const webContents = createWebContentsStub();
+  const userDataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'fast-editor-userdata-'));
+  const stubs = {
+    electron: createElectronStub(userDataPath, handlers),
+    'node-pty': { spawn: () => { throw new Error('node-pty is not available in tests'); } }
+  };
+
+  const originalLoad = Module._load;
+  Module._load = function (request, parent, isMain) {
+    if (Object.prototype.hasOwnProperty.call(stubs, request)) {
+      return stubs[request];
+    }
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  try {
+    delete require.cache[MAIN_PATH];
+    require(MAIN_PATH);
+  } finally {
+    Module._load = originalLoad;
+  }
+
+  return {
+    userDataPath,
+    webContents,
+    invoke: (channel, ...args) => {
+      const handler = handlers.get(channel);
+      if (!handler) {
+        throw new Error(`No handler registered for ${channel}`);
+      }
+      return handler({ sender: webContents }, ...args);
+    }
+  };
+}
+
+module.exports = { loadMainProcess };
@@ -0,0 +1,16 @@
+/**
+ * Platform override for tests
+ */
+
+// Run fn as if on another platform; quoting and command names depend on process.platform
+async function withPlatform(platform, fn) {
+  const descriptor = Object.getOwnPropertyDescriptor(process, 'platform');
+  Object.defineProperty(process, 'platform', { ...descriptor, value: platform });
+  try {
+    return await fn();
+  } finally {
+    Object.defineProperty(process, 'platform', descriptor);
+  }
+}
+
+module.exports = { withPlatform };
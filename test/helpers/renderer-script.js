@@ -0,0 +1,19 @@
+/**
+ * Renderer script loader
+ * Runs a classic renderer script in its own context and returns its globals
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const RENDERER_PATH = path.join(__dirname, '..', '..', 'renderer');
+
+function loadRendererScript(fileName, globals = {}) {
+  const context = vm.createContext({ console, ...globals });
+  const filePath = path.join(RENDERER_PATH, fileName);
+  vm.runInContext(fs.readFileSync(filePath, 'utf-8'), context, { filename: filePath });
+  return context;
+}
+
+module.exports = { loadRendererScript };
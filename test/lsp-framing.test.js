@@ -0,0 +1,127 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { readLSPMessages, parseLSPHeaders, getLSPContentEncoding, encodeLSPMessage } = require('../lib/lsp-framing');
+const { loadRendererScript } = require('./helpers/renderer-script');
+
+describe('readLSPMessages', () => {
+  let serverData;
+
+  beforeEach(() => {
+    serverData = { messageBuffer: Buffer.alloc(0) };
+  });
+
+  const read = (chunk) => readLSPMessages(serverData, Buffer.from(chunk));
+
+  test('reads a message from a single chunk', () => {
+    const message = { jsonrpc: '2.0', id: 1, result: null };
+    assert.deepEqual(read(encodeLSPMessage(message)), [message]);
+    assert.equal(serverData.messageBuffer.length, 0);
+  });
+
+  test('waits for a header split across chunks', () => {
+    const framed = encodeLSPMessage({ jsonrpc: '2.0', method: 'initialized' });
+
+    assert.deepEqual(read(framed.slice(0, 10)), []);
+    assert.deepEqual(read(framed.slice(10, 20)), []);
+    assert.deepEqual(read(framed.slice(20)), [{ jsonrpc: '2.0', method: 'initialized' }]);
+  });
+
+  test('counts Content-Length in bytes and joins a multibyte character split across chunks', () => {
+    const message = { jsonrpc: '2.0', method: 'window/logMessage', params: { message: 'héllo 😀 世界' } };
+    const bytes = Buffer.from(encodeLSPMessage(message));
+    const emojiStart = bytes.indexOf(Buffer.from('😀'));
+
+    // Split inside the four bytes of the emoji
+    assert.deepEqual(readLSPMessages(serverData, bytes.subarray(0, emojiStart + 2)), []);
+    assert.deepEqual(readLSPMessages(serverData, bytes.subarray(emojiStart + 2)), [message]);
+  });
+
+  test('reads two messages from one chunk and keeps the start of a third', () => {
+    const first = { jsonrpc: '2.0', id: 1, result: 'ä' };
+    const second = { jsonrpc: '2.0', id: 2, result: [1, 2] };
+    const third = encodeLSPMessage({ jsonrpc: '2.0', id: 3, result: true });
+
+    assert.deepEqual(read(encodeLSPMessage(first) + encodeLSPMessage(second) + third.slice(0, 25)), [first, second]);
+    assert.equal(serverData.messageBuffer.toString(), third.slice(0, 25));
+    assert.deepEqual(read(third.slice(25)), [{ jsonrpc: '2.0', id: 3, result: true }]);
+  });
+
+  test('drops an invalid header block and resyncs on the next message', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const message = { jsonrpc: '2.0', id: 7, result: 'ok' };
+
+    assert.deepEqual(read('Starting server...\r\nready\r\n\r\n' + encodeLSPMessage(message)), [message]);
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+
+  test('skips content that is not JSON', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const message = { jsonrpc: '2.0', id: 8, result: 1 };
+
+    assert.deepEqual(read('Content-Length: 5\r\n\r\nnot j' + encodeLSPMessage(message)), [message]);
+  });
+
+  test('accepts other headers in any case and order', () => {
+    const content = JSON.stringify({ jsonrpc: '2.0', id: 9, result: 'é' });
+    const framed = `content-type: application/vscode-jsonrpc; charset=utf8\r\nCONTENT-LENGTH: ${Buffer.byteLength(content)}\r\n\r\n${content}`;
+
+    assert.deepEqual(read(framed), [{ jsonrpc: '2.0', id: 9, result: 'é' }]);
+  });
+});
+
+describe('LSP headers', () => {
+  test('parseLSPHeaders lowercases names and trims values', () => {
+    assert.deepEqual(parseLSPHeaders('Content-Length:  12 \r\nContent-Type: a; charset=utf-8\r\nbroken'), {
+      'content-length': '12',
+      'content-type': 'a; charset=utf-8'
+    });
+  });
+
+  test('getLSPContentEncoding reads utf-8 and utf8, and falls back to UTF-8 for others', (t) => {
+    t.mock.method(console, 'warn', () => {});
+
+    assert.equal(getLSPContentEncoding(undefined), 'utf8');
+    assert.equal(getLSPContentEncoding('application/vscode-jsonrpc; charset="UTF-8"'), 'utf8');
+    assert.equal(getLSPContentEncoding('application/vscode-jsonrpc; charset=utf8'), 'utf8');
+    assert.equal(console.warn.mock.callCount(), 0);
+
+    assert.equal(getLSPContentEncoding('application/vscode-jsonrpc; charset=latin1'), 'utf8');
+    assert.equal(console.warn.mock.callCount(), 1);
+  });
+});
+
+describe('UTF-16 and UTF-8 columns', () => {
+  const { toUTF8Character, fromUTF8Character } = loadRendererScript('lsp-positions.js');
+
+  // a: 1 byte, é: 2 bytes, 世: 3 bytes, 😀: a surrogate pair of 4 bytes
+  const line = 'aé世😀b';
+
+  test('toUTF8Character counts the bytes before a UTF-16 column', () => {
+    assert.deepEqual([0, 1, 2, 3, 5, 6].map(column => toUTF8Character(line, column)), [0, 1, 3, 6, 10, 11]);
+  });
+
+  test('fromUTF8Character maps byte offsets back to UTF-16 columns', () => {
+    assert.deepEqual([0, 1, 3, 6, 10, 11].map(offset => fromUTF8Character(line, offset)), [0, 1, 2, 3, 5, 6]);
+  });
+
+  test('round-trips every column that is not inside a surrogate pair', () => {
+    const text = '😀😀 x 🎉é';
+    for (let column = 0; column <= text.length; column++) {
+      const code = text.charCodeAt(column - 1);
+      if (code >= 0xd800 && code <= 0xdbff) continue;
+      assert.equal(fromUTF8Character(text, toUTF8Character(text, column)), column);
+    }
+  });
+
+  test('keeps positions past the end of the line past the end', () => {
+    assert.equal(toUTF8Character(line, line.length + 2), 13);
+    assert.equal(fromUTF8Character(line, 13), line.length + 2);
+  });
+
+  test('counts a lone high surrogate at the end of a line as three bytes', () => {
+    const text = 'a\ud83d';
+    assert.equal(toUTF8Character(text, 2), 4);
+    assert.equal(fromUTF8Character(text, 4), 2);
+  });
+});
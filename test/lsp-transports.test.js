@@ -0,0 +1,369 @@
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { once } = EventEmitter;
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+
+const { readLSPMessages, encodeLSPMessage } = require('../lib/lsp-framing');
+const { loadMainProcess } = require('./helpers/main-process');
+
+const STUB_SERVER = path.join(__dirname, 'fixtures', 'lsp-server.js');
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC11B65';
+const REQUEST_TIMEOUT = 2000;
+
+let main;
+
+before(() => {
+  // Server start and exit logging
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  main = loadMainProcess();
+});
+
+after(() => {
+  mock.restoreAll();
+  fs.rmSync(main.userDataPath, { recursive: true, force: true });
+});
+
+// Resolves with the arguments of the next event sent to the window on channel for serverId
+function nextEvent(channel, serverId) {
+  return new Promise((resolve) => {
+    const listener = (id, ...args) => {
+      if (id !== serverId) return;
+      main.webContents.removeListener(channel, listener);
+      resolve(args);
+    };
+    main.webContents.on(channel, listener);
+  });
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+// Plain LSP server on a TCP port: answers initialize, echoes other requests
+function createTCPServer() {
+  const server = net.createServer((socket) => {
+    const state = { messageBuffer: Buffer.alloc(0) };
+    server.emit('client', socket);
+
+    socket.on('data', (data) => {
+      readLSPMessages(state, data).forEach((message) => {
+        const result = message.method === 'initialize' ? { capabilities: {} } : message.params;
+        socket.write(encodeLSPMessage({ jsonrpc: '2.0', id: message.id, result }));
+      });
+    });
+  });
+  return server;
+}
+
+describe('stdio, socket and pipe transports', () => {
+  for (const type of ['stdio', 'socket', 'pipe']) {
+    test(`${type}: initializes the stub server and reports its exit`, async () => {
+      const serverId = await main.invoke('start-lsp-server', 'stub', process.execPath, [STUB_SERVER], __dirname, { type });
+      assert.ok(serverId, 'server should start');
+
+      const result = await main.invoke('send-lsp-request', serverId, 'initialize', { processId: null }, REQUEST_TIMEOUT);
+      assert.deepEqual(result.capabilities, { positionEncoding: 'utf-16' });
+
+      // The listener address is appended the way servers expect it
+      const flags = result.serverInfo.args.filter(arg => arg.startsWith('--'));
+      if (type === 'stdio') {
+        assert.deepEqual(flags, []);
+      } else {
+        assert.equal(flags.length, 1);
+        assert.match(flags[0], type === 'socket' ? /^--socket=\d+$/ : /^--pipe=.+/);
+      }
+
+      const echoed = await main.invoke('send-lsp-request', serverId, 'custom/echo', { text: 'ünïcødé 😀' }, REQUEST_TIMEOUT);
+      assert.deepEqual(echoed, { text: 'ünïcødé 😀' });
+
+      const exited = nextEvent('lsp-server-exit', serverId);
+      await main.invoke('send-lsp-request', serverId, 'shutdown', null, REQUEST_TIMEOUT);
+      await main.invoke('send-lsp-notification', serverId, 'exit');
+      await exited;
+
+      await assert.rejects(main.invoke('send-lsp-request', serverId, 'shutdown', null), /not found/);
+    });
+  }
+
+  test('socket: fails when the server exits without connecting', async () => {
+    const serverId = await main.invoke('start-lsp-server', 'stub', process.execPath, ['-e', 'process.exit(3)'], __dirname, { type: 'socket' });
+    assert.equal(serverId, null);
+  });
+});
+
+describe('tcp transport', () => {
+  let server;
+  let port;
+
+  before(async () => {
+    server = createTCPServer();
+    port = await listen(server);
+  });
+
+  after(() => server.close());
+
+  test('initializes over the connection and treats its close as an exit', async () => {
+    const connected = once(server, 'client');
+    const serverId = await main.invoke('start-lsp-server', 'stub', null, [], null, { type: 'tcp', port });
+    const [socket] = await connected;
+
+    const result = await main.invoke('send-lsp-request', serverId, 'initialize', { processId: null }, REQUEST_TIMEOUT);
+    assert.deepEqual(result, { capabilities: {} });
+
+    // A request still waiting when the connection drops is rejected
+    const exited = nextEvent('lsp-server-exit', serverId);
+    const pending = main.invoke('send-lsp-request', serverId, 'custom/slow', null, REQUEST_TIMEOUT);
+    socket.destroy();
+
+    assert.deepEqual(await exited, [null, null]);
+    await assert.rejects(pending, /exited/);
+  });
+
+  test('returns no server when nothing listens on the port', async () => {
+    const closed = net.createServer();
+    const closedPort = await listen(closed);
+    await new Promise(resolve => closed.close(resolve));
+
+    assert.equal(await main.invoke('start-lsp-server', 'stub', null, [], null, { type: 'tcp', port: closedPort }), null);
+  });
+});
+
+/**
+ * WebSocket server side for the RFC 6455 client: frames from the client are
+ * decoded (and must be masked), frames to the client are written unmasked
+ */
+function encodeServerFrame(opcode, payload, fin = true) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = (fin ? 0x80 : 0) | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+function createWebSocketPeer(socket) {
+  const peer = new EventEmitter();
+  let buffer = Buffer.alloc(0);
+
+  socket.on('data', (data) => {
+    buffer = Buffer.concat([buffer, data]);
+
+    while (buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const lengthForm = buffer[1] & 0x7f;
+      let length = lengthForm;
+      let offset = 2;
+      if (lengthForm === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (lengthForm === 127) {
+        if (buffer.length < 10) return;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      const masked = (buffer[1] & 0x80) !== 0;
+      const maskKey = masked ? buffer.subarray(offset, offset + 4) : null;
+      if (masked) offset += 4;
+      if (buffer.length < offset + length) return;
+
+      const payload = Buffer.from(buffer.subarray(offset, offset + length));
+      if (maskKey) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= maskKey[i % 4];
+      }
+      buffer = buffer.subarray(offset + length);
+
+      peer.emit('frame', { fin, opcode, masked, lengthForm, payload });
+    }
+  });
+
+  peer.nextFrame = () => once(peer, 'frame').then(([frame]) => frame);
+  peer.write = (opcode, payload, fin) => socket.write(encodeServerFrame(opcode, Buffer.from(payload), fin));
+  peer.socket = socket;
+  return peer;
+}
+
+function createWebSocketServer({ badAccept = false } = {}) {
+  const server = http.createServer((request, response) => {
+    response.writeHead(426);
+    response.end();
+  });
+
+  server.on('upgrade', (request, socket) => {
+    const accept = crypto.createHash('sha1')
+      .update(request.headers['sec-websocket-key'] + (badAccept ? 'x' : WEBSOCKET_GUID))
+      .digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+    server.emit('peer', createWebSocketPeer(socket), request);
+  });
+
+  return server;
+}
+
+describe('websocket transport', () => {
+  let server;
+  let port;
+
+  before(async () => {
+    server = createWebSocketServer();
+    port = await listen(server);
+  });
+
+  after(() => server.close());
+
+  async function connect() {
+    const connected = once(server, 'peer');
+    const serverId = await main.invoke('start-lsp-server', 'stub', null, [], null, { type: 'websocket', url: `ws://127.0.0.1:${port}/lsp?token=1` });
+    const [peer, request] = await connected;
+    assert.ok(serverId);
+    assert.equal(request.url, '/lsp?token=1');
+    return { serverId, peer };
+  }
+
+  // Send a request from the editor and read the frame that carries it
+  async function sendRequest(serverId, peer, method, params) {
+    const frame = peer.nextFrame();
+    const response = main.invoke('send-lsp-request', serverId, method, params, REQUEST_TIMEOUT);
+    return { frame: await frame, response };
+  }
+
+  test('initializes with one JSON message per masked text frame', async () => {
+    const { serverId, peer } = await connect();
+
+    const { frame, response } = await sendRequest(serverId, peer, 'initialize', { processId: null });
+    assert.equal(frame.opcode, 0x1);
+    assert.equal(frame.masked, true);
+    const request = JSON.parse(frame.payload.toString());
+    assert.equal(request.method, 'initialize');
+
+    peer.write(0x1, JSON.stringify({ jsonrpc: '2.0', id: request.id, result: { capabilities: { hoverProvider: true } } }));
+    assert.deepEqual(await response, { capabilities: { hoverProvider: true } });
+
+    peer.socket.destroy();
+    await nextEvent('lsp-server-exit', serverId);
+  });
+
+  test('uses the 16-bit and 64-bit length forms in both directions', async () => {
+    const { serverId, peer } = await connect();
+
+    for (const [size, lengthForm] of [[300, 126], [70000, 127]]) {
+      const text = 'é'.repeat(size);
+      const { frame, response } = await sendRequest(serverId, peer, 'custom/echo', { text });
+      assert.equal(frame.lengthForm, lengthForm);
+      assert.equal(frame.masked, true);
+
+      const request = JSON.parse(frame.payload.toString());
+      assert.equal(request.params.text, text);
+      peer.write(0x1, JSON.stringify({ jsonrpc: '2.0', id: request.id, result: request.params }));
+      assert.deepEqual(await response, { text });
+    }
+
+    peer.socket.destroy();
+    await nextEvent('lsp-server-exit', serverId);
+  });
+
+  test('joins fragments, answers a ping between them and reads Content-Length framed text', async () => {
+    const { serverId, peer } = await connect();
+
+    const notification = nextEvent('lsp-notification', serverId);
+    const message = JSON.stringify({ jsonrpc: '2.0', method: 'window/logMessage', params: { type: 3, message: 'fragmented 😀' } });
+    const bytes = Buffer.from(message);
+    const split = bytes.indexOf(Buffer.from('😀')) + 1; // inside the emoji
+
+    const pong = peer.nextFrame();
+    peer.write(0x1, bytes.subarray(0, split), false);
+    peer.write(0x9, 'are you there');
+    assert.deepEqual(await pong, { fin: true, opcode: 0xA, masked: true, lengthForm: 13, payload: Buffer.from('are you there') });
+
+    peer.write(0x0, bytes.subarray(split, split + 3), false);
+    peer.write(0x0, bytes.subarray(split + 3), true);
+    assert.deepEqual(await notification, ['window/logMessage', { type: 3, message: 'fragmented 😀' }]);
+
+    // Bridges that forward the stdio stream keep the Content-Length header
+    const diagnostics = nextEvent('lsp-diagnostics', serverId);
+    peer.write(0x1, encodeLSPMessage({ jsonrpc: '2.0', method: 'textDocument/publishDiagnostics', params: { uri: 'file:///a', diagnostics: [] } }));
+    assert.deepEqual(await diagnostics, [{ uri: 'file:///a', diagnostics: [] }]);
+
+    peer.socket.destroy();
+    await nextEvent('lsp-server-exit', serverId);
+  });
+
+  test('echoes a close frame and reports its code as the exit code', async () => {
+    const { serverId, peer } = await connect();
+
+    const echo = peer.nextFrame();
+    const exited = nextEvent('lsp-server-exit', serverId);
+    const code = Buffer.alloc(2);
+    code.writeUInt16BE(1001);
+    peer.write(0x8, Buffer.concat([code, Buffer.from('going away')]));
+
+    const frame = await echo;
+    assert.equal(frame.opcode, 0x8);
+    assert.equal(frame.masked, true);
+    assert.equal(frame.payload.readUInt16BE(0), 1001);
+    assert.deepEqual(await exited, [1001, null]);
+  });
+
+  test('stopping the server sends a normal close', async () => {
+    const { serverId, peer } = await connect();
+
+    // The stub never closes by itself, so the grace period ends with a close frame
+    const close = peer.nextFrame();
+    await main.invoke('stop-lsp-server', serverId);
+
+    const frame = await close;
+    assert.equal(frame.opcode, 0x8);
+    assert.equal(frame.masked, true);
+    assert.equal(frame.payload.readUInt16BE(0), 1000);
+  });
+
+  test('rejects a handshake with the wrong accept key', async () => {
+    const badServer = createWebSocketServer({ badAccept: true });
+    const badPort = await listen(badServer);
+
+    try {
+      const serverId = await main.invoke('start-lsp-server', 'stub', null, [], null, { type: 'websocket', url: `ws://127.0.0.1:${badPort}/` });
+      assert.equal(serverId, null);
+    } finally {
+      badServer.close();
+    }
+  });
+
+  test('rejects a server that refuses the upgrade', async () => {
+    const plain = http.createServer((request, response) => {
+      response.writeHead(404);
+      response.end();
+    });
+    const plainPort = await listen(plain);
+
+    try {
+      assert.equal(await main.invoke('start-lsp-server', 'stub', null, [], null, { type: 'websocket', url: `ws://127.0.0.1:${plainPort}/` }), null);
+    } finally {
+      plain.close();
+    }
+  });
+});
@@ -0,0 +1,388 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const {
+  quoteTaskArg,
+  normalizeTask,
+  detectPackageScripts,
+  detectMakeTargets,
+  detectCargoCommands,
+  detectPythonTasks
+} = require('../lib/tasks');
+const { loadRendererScript } = require('./helpers/renderer-script');
+const { withPlatform } = require('./helpers/platform');
+
+describe('quoteTaskArg', () => {
+  test('leaves plain words, paths and options unquoted', () => {
+    for (const arg of ['build', 'test:unit', 'src/main.c', '--max-warnings=0', '@scope/pkg', '50%']) {
+      assert.equal(quoteTaskArg(arg), arg);
+    }
+  });
+
+  test('single-quotes spaces, $ and double quotes for sh', async () => {
+    await withPlatform('linux', () => {
+      assert.equal(quoteTaskArg('two words'), "'two words'");
+      assert.equal(quoteTaskArg('$HOME'), "'$HOME'");
+      assert.equal(quoteTaskArg('say "hi"'), '\'say "hi"\'');
+      assert.equal(quoteTaskArg("it's"), "'it'\\''s'");
+      assert.equal(quoteTaskArg(''), "''");
+    });
+  });
+
+  test('single-quotes spaces, $ and double quotes for PowerShell', async () => {
+    await withPlatform('win32', () => {
+      assert.equal(quoteTaskArg('two words'), "'two words'");
+      assert.equal(quoteTaskArg('$env:PATH'), "'$env:PATH'");
+      assert.equal(quoteTaskArg('say "hi"'), '\'say "hi"\'');
+      assert.equal(quoteTaskArg("it's"), "'it''s'");
+    });
+  });
+
+  test('quotes the args of custom tasks', async () => {
+    await withPlatform('linux', () => {
+      const task = normalizeTask({ label: 'greet', command: 'echo', args: ['hello world', '$USER', 'plain'] });
+      assert.equal(task.command, "echo 'hello world' '$USER' plain");
+    });
+  });
+});
+
+describe('task detectors', () => {
+  let workspacePath;
+
+  beforeEach(() => {
+    workspacePath = fs.mkdtempSync(path.join(os.tmpdir(), 'fast-editor-tasks-'));
+  });
+
+  afterEach(() => fs.rmSync(workspacePath, { recursive: true, force: true }));
+
+  const writeFile = (name, content) => fs.writeFileSync(path.join(workspacePath, name), content);
+
+  describe('detectPackageScripts', () => {
+    const packageJson = JSON.stringify({
+      scripts: {
+        build: 'tsc -p .',
+        lint: 'eslint .',
+        'test:unit': 'node --test',
+        start: 'node index.js'
+      }
+    });
+
+    const detectRunner = async (lockfiles) => {
+      writeFile('package.json', packageJson);
+      lockfiles.forEach(name => writeFile(name, ''));
+      const tasks = await detectPackageScripts(workspacePath);
+      return tasks[0].source;
+    };
+
+    test('runs scripts with npm without a lockfile', async () => {
+      assert.equal(await detectRunner([]), 'npm');
+      assert.equal(await detectRunner(['package-lock.json']), 'npm');
+    });
+
+    test('picks the package manager from its lockfile', async () => {
+      assert.equal(await detectRunner(['yarn.lock']), 'yarn');
+    });
+
+    test('recognizes pnpm lockfiles', async () => {
+      assert.equal(await detectRunner(['pnpm-lock.yaml']), 'pnpm');
+    });
+
+    test('recognizes both bun lockfile formats', async () => {
+      assert.equal(await detectRunner(['bun.lockb']), 'bun');
+      fs.rmSync(path.join(workspacePath, 'bun.lockb'));
+      assert.equal(await detectRunner(['bun.lock']), 'bun');
+    });
+
+    test('prefers pnpm over yarn when both lockfiles are present', async () => {
+      assert.equal(await detectRunner(['yarn.lock', 'pnpm-lock.yaml']), 'pnpm');
+    });
+
+    test('describes each script with its group and problem matchers', async () => {
+      writeFile('package.json', packageJson);
+      writeFile('yarn.lock', '');
+
+      assert.deepEqual(await detectPackageScripts(workspacePath), [
+        { label: 'yarn: build', source: 'yarn', command: 'yarn run build', group: 'build', problemMatcher: ['tsc'], detail: 'tsc -p .' },
+        { label: 'yarn: lint', source: 'yarn', command: 'yarn run lint', group: undefined, problemMatcher: ['eslint'], detail: 'eslint .' },
+        { label: 'yarn: test:unit', source: 'yarn', command: 'yarn run test:unit', group: undefined, problemMatcher: [], detail: 'node --test' },
+        { label: 'yarn: start', source: 'yarn', command: 'yarn run start', group: undefined, problemMatcher: [], detail: 'node index.js' }
+      ]);
+    });
+
+    test('finds nothing without package.json or scripts', async () => {
+      assert.deepEqual(await detectPackageScripts(workspacePath), []);
+      writeFile('package.json', JSON.stringify({ name: 'no-scripts' }));
+      assert.deepEqual(await detectPackageScripts(workspacePath), []);
+    });
+  });
+
+  describe('detectMakeTargets', () => {
+    const targetsOf = async (content, fileName = 'Makefile') => {
+      writeFile(fileName, content);
+      return (await detectMakeTargets(workspacePath)).map(task => task.label);
+    };
+
+    test('lists explicit targets and skips pattern rules, special targets and variables', async () => {
+      const makefile = [
+        'CC := gcc',
+        'CFLAGS ?= -O2 -Wall',
+        'LDLIBS += -lm',
+        'PREFIX = /usr/local',
+        'export PATH := $(PWD)/bin:$(PATH)',
+        '',
+        '.PHONY: all clean test',
+        '',
+        'all: app',
+        '',
+        'app: main.o util.o',
+        '\t$(CC) -o $@ $^ $(LDLIBS)',
+        '',
+        '%.o: %.c',
+        '\t$(CC) $(CFLAGS) -c $< -o $@',
+        '',
+        'build/%.o: src/%.c',
+        '\t$(CC) -c $< -o $@',
+        '',
+        '$(BUILD_DIR)/app: app',
+        '\tcp app $@',
+        '',
+        'test check: app',
+        '\t./app --self-test',
+        '',
+        'install:: app',
+        '\tinstall -m 755 app $(PREFIX)/bin',
+        '',
+        'clean:',
+        '\trm -f app *.o'
+      ].join('\n');
+
+      assert.deepEqual(await targetsOf(makefile), [
+        'make: all',
+        'make: app',
+        'make: test',
+        'make: check',
+        'make: install',
+        'make: clean'
+      ]);
+    });
+
+    test('reads CRLF makefiles and lowercase file names', async () => {
+      assert.deepEqual(await targetsOf('build:\r\n\tgo build\r\nrelease: build\r\n', 'makefile'), ['make: build', 'make: release']);
+    });
+
+    test('puts targets into groups and matches their output as gcc', async () => {
+      writeFile('GNUmakefile', 'all:\n\ttrue\ntest:\n\ttrue\n');
+
+      assert.deepEqual(await detectMakeTargets(workspacePath), [
+        { label: 'make: all', source: 'make', command: 'make all', group: 'build', problemMatcher: ['gcc'], detail: 'GNUmakefile' },
+        { label: 'make: test', source: 'make', command: 'make test', group: 'test', problemMatcher: ['gcc'], detail: 'GNUmakefile' }
+      ]);
+    });
+
+    test('finds nothing without a makefile', async () => {
+      assert.deepEqual(await detectMakeTargets(workspacePath), []);
+    });
+  });
+
+  describe('detectCargoCommands', () => {
+    test('offers the common cargo commands for a Cargo.toml', async () => {
+      writeFile('Cargo.toml', '[package]\nname = "app"\n');
+
+      const tasks = await detectCargoCommands(workspacePath);
+      assert.deepEqual(tasks.map(task => [task.command, task.group]), [
+        ['cargo build', 'build'],
+        ['cargo check', 'test'],
+        ['cargo test', 'test'],
+        ['cargo run', undefined],
+        ['cargo clippy', undefined]
+      ]);
+      assert.ok(tasks.every(task => task.problemMatcher.length === 1 && task.problemMatcher[0] === 'rustc'));
+    });
+
+    test('finds nothing without Cargo.toml', async () => {
+      assert.deepEqual(await detectCargoCommands(workspacePath), []);
+    });
+  });
+
+  describe('detectPythonTasks', () => {
+    const commandsOf = async (content) => {
+      writeFile('pyproject.toml', content);
+      const tasks = await withPlatform('linux', () => detectPythonTasks(workspacePath));
+      return tasks.map(task => [task.label, task.command]);
+    };
+
+    test('lists poe, pdm and hatch scripts', async () => {
+      const pyproject = [
+        '[tool.poe.tasks]',
+        'fmt = "black ."',
+        '_private = "echo hidden"',
+        '',
+        '[tool.poe.tasks.lint]',
+        'cmd = "ruff check ."',
+        '',
+        '[tool.pdm.scripts]',
+        'serve = "python -m http.server"',
+        '"dev server" = "flask run"',
+        '',
+        '[tool.hatch.envs.default.scripts]',
+        'cov = "pytest --cov"'
+      ].join('\n');
+
+      assert.deepEqual(await commandsOf(pyproject), [
+        ['poe: fmt', 'poe fmt'],
+        ['poe: lint', 'poe lint'],
+        ['pdm: serve', 'pdm run serve'],
+        ['pdm: dev server', "pdm run 'dev server'"],
+        ['hatch: cov', 'hatch run cov']
+      ]);
+    });
+
+    test('runs console scripts through poetry in poetry projects', async () => {
+      assert.deepEqual(await commandsOf('[project.scripts]\nmytool = "pkg.cli:main"\n'), [
+        ['python: mytool', 'mytool']
+      ]);
+      assert.deepEqual(await commandsOf('[tool.poetry]\nname = "app"\n\n[tool.poetry.scripts]\nmytool = "pkg.cli:main"\n'), [
+        ['python: mytool', 'poetry run mytool']
+      ]);
+    });
+
+    test('adds pytest for pytest options or a tests directory', async () => {
+      assert.deepEqual(await commandsOf('[tool.pytest.ini_options]\naddopts = "-q"\n'), [
+        ['python: pytest', 'python3 -m pytest']
+      ]);
+
+      fs.mkdirSync(path.join(workspacePath, 'tests'));
+      writeFile('pyproject.toml', '[project]\nname = "app"\n');
+      const tasks = await withPlatform('win32', () => detectPythonTasks(workspacePath));
+      assert.deepEqual(tasks.map(task => [task.command, task.group]), [['python -m pytest', 'test']]);
+    });
+
+    test('skips arrays of tables', async () => {
+      assert.deepEqual(await commandsOf('[[tool.poe.tasks]]\nfmt = "black ."\n'), []);
+    });
+  });
+});
+
+describe('TASK_PROBLEM_MATCHERS', () => {
+  const api = new Proxy({}, { get: () => () => {} });
+  const context = loadRendererScript('tasks.js', { window: { api } });
+  const matchers = vm.runInContext('TASK_PROBLEM_MATCHERS', context);
+
+  // Feed the lines to one matcher with a fresh state and collect the problems it reports
+  const match = (name, lines) => {
+    const state = {};
+    return lines
+      .map(line => matchers[name].match(line, state))
+      .filter(Boolean)
+      .map(problem => ({ ...problem }));
+  };
+
+  test('tsc reads the plain format', () => {
+    assert.deepEqual(match('tsc', ["src/app.ts(3,7): error TS2322: Type 'string' is not assignable to type 'number'."]), [{
+      file: 'src/app.ts',
+      line: '3',
+      column: '7',
+      severity: 'error',
+      code: 'TS2322',
+      message: "Type 'string' is not assignable to type 'number'."
+    }]);
+  });
+
+  test('tsc reads the --pretty format', () => {
+    assert.deepEqual(match('tsc', [
+      "src/app.ts:12:5 - error TS2304: Cannot find name 'foo'.",
+      '',
+      "12     foo();",
+      '       ~~~',
+      '',
+      'Found 1 error in src/app.ts:12'
+    ]), [{
+      file: 'src/app.ts',
+      line: '12',
+      column: '5',
+      severity: 'error',
+      code: 'TS2304',
+      message: "Cannot find name 'foo'."
+    }]);
+    assert.ok(matchers.tsc.resetPattern.test('[10:42:01 AM] File change detected. Starting incremental compilation...'));
+  });
+
+  test('eslint reads the stylish format', () => {
+    assert.deepEqual(match('eslint', [
+      '',
+      '/home/dev/project/src/index.js',
+      "  3:7   error    'unused' is assigned a value but never used  no-unused-vars",
+      '  10:1  warning  Unexpected console statement                no-console',
+      '',
+      '✖ 2 problems (1 error, 1 warning)'
+    ]), [
+      {
+        file: '/home/dev/project/src/index.js',
+        line: '3',
+        column: '7',
+        severity: 'error',
+        message: "'unused' is assigned a value but never used",
+        code: 'no-unused-vars'
+      },
+      {
+        file: '/home/dev/project/src/index.js',
+        line: '10',
+        column: '1',
+        severity: 'warning',
+        message: 'Unexpected console statement',
+        code: 'no-console'
+      }
+    ]);
+  });
+
+  test('eslint reads the compact format', () => {
+    assert.deepEqual(match('eslint', [
+      "/home/dev/project/src/index.js: line 3, col 7, Error - 'unused' is assigned a value but never used. (no-unused-vars)",
+      '',
+      '1 problem'
+    ]), [{
+      file: '/home/dev/project/src/index.js',
+      line: '3',
+      column: '7',
+      severity: 'Error',
+      message: "'unused' is assigned a value but never used.",
+      code: 'no-unused-vars'
+    }]);
+  });
+
+  test('gcc reads diagnostics with and without a column', () => {
+    assert.deepEqual(match('gcc', [
+      "src/main.c: In function 'main':",
+      "src/main.c:3:7: error: 'x' undeclared (first use in this function)",
+      '    3 |   int y = x;',
+      "src/util.c:10:5: warning: unused variable 'tmp' [-Wunused-variable]",
+      "src/old.c:42: warning: implicit declaration of function 'gets'"
+    ]), [
+      { file: 'src/main.c', line: '3', column: '7', severity: 'error', message: "'x' undeclared (first use in this function)", code: undefined },
+      { file: 'src/util.c', line: '10', column: '5', severity: 'warning', message: "unused variable 'tmp'", code: '-Wunused-variable' },
+      { file: 'src/old.c', line: '42', column: undefined, severity: 'warning', message: "implicit declaration of function 'gets'", code: undefined }
+    ]);
+  });
+
+  test('rustc pairs a header with the following --> location', () => {
+    assert.deepEqual(match('rustc', [
+      '   Compiling app v0.1.0 (/home/dev/app)',
+      'error[E0308]: mismatched types',
+      ' --> src/main.rs:4:18',
+      '  |',
+      '4 |     let x: i32 = "five";',
+      '  |            ---   ^^^^^^ expected `i32`, found `&str`',
+      '',
+      'warning: unused variable: `y`',
+      '  --> src/lib.rs:12:9',
+      'error: could not compile `app` (bin "app") due to 1 previous error'
+    ]), [
+      { severity: 'error', code: 'E0308', message: 'mismatched types', file: 'src/main.rs', line: '4', column: '18' },
+      { severity: 'warning', code: undefined, message: 'unused variable: `y`', file: 'src/lib.rs', line: '12', column: '9' }
+    ]);
+  });
+});
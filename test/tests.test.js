@@ -0,0 +1,424 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  detectTestFrameworks,
+  buildTestCommand,
+  parseJestResults,
+  parseTapResults,
+  parseJUnitResults,
+  parseCargoResults
+} = require('../lib/tests');
+const { withPlatform } = require('./helpers/platform');
+
+const REPORTS_PATH = path.join(__dirname, 'fixtures', 'reports');
+
+// Reporter output captured from real runs (paths rewritten to /home/dev/project)
+const readReport = name => fs.readFileSync(path.join(REPORTS_PATH, name), 'utf-8');
+
+describe('test workspaces', () => {
+  let workspacePath;
+
+  beforeEach(() => {
+    workspacePath = fs.mkdtempSync(path.join(os.tmpdir(), 'fast-editor-tests-'));
+  });
+
+  afterEach(() => fs.rmSync(workspacePath, { recursive: true, force: true }));
+
+  const writeFile = (relativePath, content = '') => {
+    const filePath = path.join(workspacePath, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+  const writePackage = data => writeFile('package.json', JSON.stringify(data));
+
+  describe('detectTestFrameworks', () => {
+    test('finds nothing in an empty folder', () => {
+      assert.deepEqual(detectTestFrameworks(workspacePath), { js: null, cargo: false });
+    });
+
+    test('recognizes the JavaScript framework from the dependencies', () => {
+      writePackage({ devDependencies: { jest: '^29.7.0' } });
+      assert.equal(detectTestFrameworks(workspacePath).js, 'jest');
+
+      writePackage({ dependencies: { mocha: '^10.0.0' } });
+      assert.equal(detectTestFrameworks(workspacePath).js, 'mocha');
+    });
+
+    test('prefers vitest when jest is also installed', () => {
+      writePackage({ devDependencies: { jest: '^29.7.0', vitest: '^2.1.0' } });
+      assert.equal(detectTestFrameworks(workspacePath).js, 'vitest');
+    });
+
+    test('recognizes configuration without a dependency', () => {
+      writePackage({ name: 'app', jest: { testEnvironment: 'node' } });
+      assert.equal(detectTestFrameworks(workspacePath).js, 'jest');
+
+      writePackage({ name: 'app' });
+      writeFile('.mocharc.yml', 'spec: test/**/*.js\n');
+      assert.equal(detectTestFrameworks(workspacePath).js, 'mocha');
+
+      writeFile('jest.config.ts', 'export default {};\n');
+      assert.equal(detectTestFrameworks(workspacePath).js, 'jest');
+
+      writeFile('vitest.config.mts', 'export default {};\n');
+      assert.equal(detectTestFrameworks(workspacePath).js, 'vitest');
+    });
+
+    test('ignores config files without a package.json', () => {
+      writeFile('jest.config.js', 'module.exports = {};\n');
+      assert.equal(detectTestFrameworks(workspacePath).js, null);
+    });
+
+    test('recognizes cargo workspaces', () => {
+      writeFile('Cargo.toml', '[package]\nname = "app"\n');
+      assert.deepEqual(detectTestFrameworks(workspacePath), { js: null, cargo: true });
+    });
+
+    test('survives an unreadable package.json', (t) => {
+      t.mock.method(console, 'error', () => {});
+      writeFile('package.json', '{ "devDependencies": ');
+      writeFile('Cargo.toml');
+
+      assert.deepEqual(detectTestFrameworks(workspacePath), { js: null, cargo: true });
+      assert.equal(console.error.mock.callCount(), 1);
+    });
+  });
+
+  describe('buildTestCommand', () => {
+    const reportFile = path.join(os.tmpdir(), 'report.json');
+    const build = (request) => withPlatform('linux', () => buildTestCommand(workspacePath, request, reportFile));
+
+    test('runs jest through npx with a JSON report', async () => {
+      const file = writeFile('src/math.test.js');
+
+      assert.deepEqual(await build({ framework: 'jest', files: [file], name: 'math add carries' }), {
+        command: 'npx',
+        args: [
+          '--no-install', 'jest', '--json', `--outputFile=${reportFile}`, '--testLocationInResults', '--ci',
+          'src/math.test.js', '-t', '^math add carries$'
+        ],
+        report: 'json',
+        namePattern: '^math add carries$'
+      });
+    });
+
+    test('prefers the workspace binary and runs every test without files', async () => {
+      const jestPath = writeFile('node_modules/.bin/jest');
+
+      const { command, args, namePattern } = await build({ framework: 'jest' });
+      assert.equal(command, jestPath);
+      assert.deepEqual(args, ['--json', `--outputFile=${reportFile}`, '--testLocationInResults', '--ci']);
+      assert.equal(namePattern, null);
+    });
+
+    test('uses the .cmd shim of the workspace binary on Windows', async () => {
+      const shimPath = writeFile('node_modules/.bin/vitest.cmd');
+
+      const { command } = await withPlatform('win32', () => buildTestCommand(workspacePath, { framework: 'vitest' }, reportFile));
+      assert.equal(command, shimPath);
+    });
+
+    test('matches a vitest suite after the file suite name', async () => {
+      const file = writeFile('src/parser.test.ts');
+
+      const { args, namePattern } = await build({ framework: 'vitest', files: [file], name: 'parser numbers', kind: 'suite' });
+      assert.deepEqual(args, ['--no-install', 'vitest', 'run', '--reporter=json', `--outputFile=${reportFile}`, 'src/parser.test.ts', '-t', namePattern]);
+      assert.equal(namePattern, '(?:^| )parser numbers ');
+      assert.match('src/parser.test.ts parser numbers reads floats', new RegExp(namePattern));
+      assert.doesNotMatch('parser numbersome test', new RegExp(namePattern));
+    });
+
+    test('escapes test names and matches each-table placeholders', async () => {
+      const file = writeFile('test/math.test.js');
+
+      const { args, namePattern } = await build({ framework: 'mocha', files: [file], name: 'divides (x|y) by %i and $divisor' });
+      assert.deepEqual(args, ['--no-install', 'mocha', '--reporter', 'tap', 'test/math.test.js', '--grep', namePattern]);
+      assert.equal(namePattern, '^divides \\(x\\|y\\) by .* and .*$');
+      assert.match('divides (x|y) by 2 and 4', new RegExp(namePattern));
+      assert.doesNotMatch('divides x by 2 and 4', new RegExp(namePattern));
+    });
+
+    test('runs pytest node ids with a JUnit report', async () => {
+      const file = writeFile('tests/test_math.py');
+
+      assert.deepEqual(await build({ framework: 'pytest', files: [file], name: 'TestStrings::test_upper' }), {
+        command: 'python3',
+        args: ['-m', 'pytest', `--junitxml=${reportFile}`, '-o', 'junit_family=xunit1', 'tests/test_math.py::TestStrings::test_upper'],
+        report: 'junit'
+      });
+    });
+
+    test('runs one cargo test by its exact path', async () => {
+      const file = writeFile('src/lib.rs');
+
+      assert.deepEqual(await build({ framework: 'cargo', files: [file], name: 'tests::nested::panics' }), {
+        command: 'cargo',
+        args: ['test', '--no-fail-fast', '--', 'tests::nested::panics', '--exact'],
+        report: 'cargo',
+        targetFile: null
+      });
+    });
+
+    test('runs a cargo module or integration test file by its path prefix', async () => {
+      const moduleFile = writeFile('src/parser/mod.rs');
+      const suite = await build({ framework: 'cargo', files: [moduleFile], name: 'parser::tests', kind: 'suite' });
+      assert.deepEqual(suite.args, ['test', '--no-fail-fast', '--', 'parser::tests::']);
+
+      const wholeModule = await build({ framework: 'cargo', files: [moduleFile] });
+      assert.deepEqual(wholeModule.args, ['test', '--no-fail-fast', '--', 'parser::']);
+
+      const integrationFile = writeFile('tests/api.rs');
+      const integration = await build({ framework: 'cargo', files: [integrationFile] });
+      assert.deepEqual(integration.args, ['test', '--no-fail-fast', '--test', 'api', '--']);
+      assert.equal(integration.targetFile, integrationFile);
+    });
+
+    test('rejects unknown frameworks', async () => {
+      await assert.rejects(build({ framework: 'ava' }), /Unknown test framework "ava"/);
+    });
+  });
+});
+
+describe('parseJestResults', () => {
+  test('reads a jest --json report', () => {
+    const file = '/home/dev/project/src/math.test.js';
+
+    assert.deepEqual(parseJestResults(JSON.parse(readReport('jest.json'))), [
+      { file, name: 'math add adds numbers', status: 'passed', message: '', duration: 3 },
+      {
+        file,
+        name: 'math add carries',
+        status: 'failed',
+        message: 'Error: expect(received).toBe(expected) // Object.is equality\n\nExpected: 4\nReceived: 5\n' +
+          '    at Object.toBe (/home/dev/project/src/math.test.js:9:21)',
+        duration: 2
+      },
+      { file, name: 'math divides', status: 'skipped', message: '', duration: 0 },
+      { file, name: 'rounds', status: 'skipped', message: '', duration: 0 },
+      {
+        file: '/home/dev/project/src/broken.test.js',
+        name: null,
+        status: 'failed',
+        message: "  ● Test suite failed to run\n\n    Cannot find module './missing' from 'src/broken.test.js'\n",
+        duration: 0
+      }
+    ]);
+  });
+
+  test('reads a vitest JSON report', () => {
+    const file = '/home/dev/project/src/parser.test.ts';
+
+    assert.deepEqual(parseJestResults(JSON.parse(readReport('vitest.json'))), [
+      { file, name: 'parser numbers reads integers', status: 'passed', message: '', duration: 1.2041 },
+      {
+        file,
+        name: 'parser numbers reads floats',
+        status: 'failed',
+        message: 'AssertionError: expected 1 to be 1.5 // Object.is equality\n    at /home/dev/project/src/parser.test.ts:10:27',
+        duration: 3.5
+      },
+      { file, name: 'parser reads strings', status: 'skipped', message: '', duration: 0 }
+    ]);
+  });
+
+  test('reads a report without results', () => {
+    assert.deepEqual(parseJestResults({ numTotalTests: 0, testResults: [] }), []);
+    assert.deepEqual(parseJestResults({}), []);
+  });
+});
+
+describe('parseTapResults', () => {
+  test('reads mocha TAP with failure details and pending tests', () => {
+    assert.deepEqual(parseTapResults(readReport('mocha.tap')), [
+      { file: null, name: 'math adds numbers', status: 'passed', message: '', duration: 0 },
+      {
+        file: null,
+        name: 'math subtracts numbers',
+        status: 'failed',
+        message: 'expected 1 to equal 2\nAssertionError [ERR_ASSERTION]: expected 1 to equal 2\n' +
+          '    at Context.<anonymous> (test/math.test.js:12:12)\n' +
+          '    at process.processImmediate (node:internal/timers:478:21)',
+        duration: 0
+      },
+      { file: null, name: 'math divides later', status: 'skipped', message: '', duration: 0 },
+      {
+        file: null,
+        name: '"before each" hook for "parses dates"',
+        status: 'failed',
+        message: 'connect ECONNREFUSED 127.0.0.1:5432\nError: connect ECONNREFUSED 127.0.0.1:5432\n' +
+          '    at TCPConnectWrap.afterConnect [as oncomplete] (node:net:1555:16)',
+        duration: 0
+      },
+      { file: null, name: 'strings trims whitespace', status: 'passed', message: '', duration: 0 }
+    ]);
+  });
+
+  test('reads TAP 13 YAML blocks and SKIP and TODO directives', () => {
+    assert.deepEqual(parseTapResults(readReport('tap13.tap')), [
+      { file: null, name: 'parses headers', status: 'passed', message: '', duration: 0 },
+      {
+        file: null,
+        name: 'rejects bad input',
+        status: 'failed',
+        message: 'expected [Function] to throw an error\nAssertionError: expected [Function] to throw an error\n' +
+          '    at Context.<anonymous> (test/parse.test.js:20:40)',
+        duration: 0
+      },
+      { file: null, name: 'streams large files', status: 'skipped', message: '', duration: 0 },
+      { file: null, name: 'reads from stdin', status: 'skipped', message: '', duration: 0 }
+    ]);
+  });
+
+  test('reads CRLF output and lowercase directives', () => {
+    const output = 'ok 1 first\r\nnot ok 2 second # todo later\r\nnot ok 3 third\r\n  boom\r\n';
+
+    assert.deepEqual(parseTapResults(output).map(result => [result.name, result.status, result.message]), [
+      ['first', 'passed', ''],
+      ['second', 'skipped', ''],
+      ['third', 'failed', 'boom']
+    ]);
+  });
+});
+
+describe('parseJUnitResults', () => {
+  const workspacePath = path.join(os.tmpdir(), 'project');
+  const mathFile = path.join(workspacePath, 'tests', 'test_math.py');
+
+  test('reads a pytest xunit1 report', () => {
+    assert.deepEqual(parseJUnitResults(readReport('pytest.xml'), workspacePath), [
+      { file: mathFile, name: 'test_add', status: 'passed', message: '', duration: 3 },
+      {
+        file: mathFile,
+        name: 'test_divide',
+        status: 'failed',
+        message: 'assert (1 / 2) == 1\ndef test_divide():\n>       assert 1 / 2 == 1\nE       assert (1 / 2) == 1\n\n' +
+          'tests/test_math.py:9: AssertionError',
+        duration: 1
+      },
+      { file: mathFile, name: 'test_later', status: 'skipped', message: '', duration: 0 },
+      {
+        file: mathFile,
+        name: 'test_positive',
+        status: 'failed',
+        message: 'assert 1 > 1\nvalue = 1\n\n    @pytest.mark.parametrize("value", [1, 2])\n    def test_positive(value):\n' +
+          '>       assert value > 1\nE       assert 1 > 1\n\ntests/test_math.py:19: AssertionError',
+        duration: 1
+      },
+      { file: mathFile, name: 'test_positive', status: 'passed', message: '', duration: 1 },
+      { file: mathFile, name: 'TestStrings::test_upper', status: 'passed', message: '', duration: 0 },
+      {
+        file: mathFile,
+        name: 'TestStrings::test_broken',
+        status: 'failed',
+        message: 'ValueError: bad & worse\nself = <test_math.TestStrings object at 0x7fec1d07b3d0>\n\n    def test_broken(self):\n' +
+          '>       raise ValueError("bad & worse")\nE       ValueError: bad & worse\n\ntests/test_math.py:27: ValueError',
+        duration: 0
+      }
+    ]);
+  });
+
+  test('reports a collection error without a test name', () => {
+    const [result] = parseJUnitResults(readReport('pytest-collection-error.xml'), workspacePath);
+
+    assert.equal(result.file, path.join(workspacePath, 'tests', 'test_broken.py'));
+    assert.equal(result.name, null);
+    assert.equal(result.status, 'failed');
+    assert.match(result.message, /^collection failure\nImportError while importing test module/);
+    assert.match(result.message, /tests\/test_broken\.py:1: in <module>\n {4}import missing_module\n/);
+  });
+
+  test('reads test cases of nested suites with failure and error bodies', () => {
+    const clientFile = path.join(workspacePath, 'tests', 'api', 'test_client.py');
+
+    assert.deepEqual(parseJUnitResults(readReport('junit-nested.xml'), workspacePath), [
+      {
+        file: clientFile,
+        name: 'TestClient::TestRetries::test_gives_up',
+        status: 'failed',
+        message: 'AssertionError: assert 3 == 5\nself = <tests.api.test_client.TestClient.TestRetries object at 0x7f1c>\n\n' +
+          '    def test_gives_up(self):\n>       assert self.client.attempts == 5\nE       AssertionError: assert 3 == 5\n\n' +
+          'tests/api/test_client.py:43: AssertionError',
+        duration: 1104
+      },
+      { file: clientFile, name: 'TestClient::test_get', status: 'passed', message: '', duration: 51 },
+      {
+        file: clientFile,
+        name: 'test_timeout',
+        status: 'failed',
+        message: 'failed on setup with "fixture \'server\' not found"\nfile tests/api/test_client.py, line 60\n' +
+          "  def test_timeout(server):\nE       fixture 'server' not found",
+        duration: 45
+      },
+      {
+        file: path.join(workspacePath, 'tests', 'unit', 'test_cache.py'),
+        name: 'test_evicts',
+        status: 'skipped',
+        message: '',
+        duration: 0
+      }
+    ]);
+  });
+});
+
+describe('parseCargoResults', () => {
+  test('reads libtest output with assertion failures and panics', () => {
+    assert.deepEqual(parseCargoResults(readReport('cargo.txt')), [
+      { file: null, name: 'tests::adds', status: 'passed', message: '', duration: 0 },
+      {
+        file: null,
+        name: 'tests::adds_wrong',
+        status: 'failed',
+        message: "thread 'tests::adds_wrong' panicked at src/lib.rs:16:9:\nassertion `left == right` failed: math is broken\n" +
+          '  left: 4\n right: 5\nnote: run with `RUST_BACKTRACE=1` environment variable to display a backtrace',
+        duration: 0
+      },
+      {
+        file: null,
+        name: 'tests::nested::panics',
+        status: 'failed',
+        message: "about to index\n\nthread 'tests::nested::panics' panicked at src/lib.rs:28:22:\n" +
+          'index out of bounds: the len is 0 but the index is 3',
+        duration: 0
+      },
+      { file: null, name: 'tests::slow', status: 'skipped', message: '', duration: 0 }
+    ]);
+  });
+
+  test('keeps the results of every test target', () => {
+    const output = [
+      '',
+      'running 1 test',
+      'test tests::unit ... ok',
+      '',
+      'test result: ok. 1 passed; 0 failed; 0 ignored; 0 measured; 0 filtered out; finished in 0.00s',
+      '',
+      '',
+      'running 1 test',
+      'test api_responds ... FAILED',
+      '',
+      'failures:',
+      '',
+      '---- api_responds stdout ----',
+      '',
+      "thread 'api_responds' panicked at tests/api.rs:3:5:",
+      'explicit panic',
+      '',
+      '',
+      'failures:',
+      '    api_responds',
+      '',
+      'test result: FAILED. 0 passed; 1 failed; 0 ignored; 0 measured; 0 filtered out; finished in 0.00s',
+      ''
+    ].join('\n');
+
+    assert.deepEqual(parseCargoResults(output).map(result => [result.name, result.status, result.message]), [
+      ['tests::unit', 'passed', ''],
+      ['api_responds', 'failed', "thread 'api_responds' panicked at tests/api.rs:3:5:\nexplicit panic"]
+    ]);
+  });
+});